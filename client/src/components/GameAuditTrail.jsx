@@ -2,6 +2,14 @@
  * Game Audit Trail Component
  * Shows a fun, engaging history of all picks and steals
  */
+
+// How an undone action is described in UNDO entries
+const UNDONE_ACTION_LABELS = {
+  PICK: 'pick',
+  STEAL: 'steal',
+  END_TURN: 'skip',
+};
+
 export function GameAuditTrail({ history, gifts, userNames, userEmails }) {
   if (!history || history.length === 0) {
     return null;
@@ -119,6 +127,36 @@ export function GameAuditTrail({ history, gifts, userNames, userEmails }) {
                 </div>
               </div>
             );
+          } else if (event.type === 'UNDO') {
+            const undonePlayerName = getPlayerName(event.undonePlayerId);
+            const undoneAction = UNDONE_ACTION_LABELS[event.undoneType] || 'move';
+            
+            return (
+              <div
+                key={index}
+                className="bg-slate-800/40 border border-white/5 mb-3 rounded-xl p-4 hover:border-white/10 transition-all"
+              >
+                <div className="flex items-start gap-3">
+                  <div className="bg-slate-500/20 border border-slate-500/30 rounded-full p-2 mt-0.5">
+                    <svg className="w-5 h-5 text-slate-300" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 10h10a8 8 0 018 8v2M3 10l6 6m-6-6l6-6" />
+                    </svg>
+                  </div>
+                  <div className="flex-1">
+                    <div className="flex items-center gap-2 mb-1 flex-wrap">
+                      <span className="font-bold text-white">{playerName}</span>
+                      <span className="text-slate-200">undid</span>
+                      <span className="font-bold text-white">{undonePlayerName}'s</span>
+                      <span className="text-slate-200">{undoneAction}</span>
+                    </div>
+                    <p className="text-slate-500 text-sm">↩️ Rewound by the host</p>
+                  </div>
+                  <div className="text-xs text-slate-500 font-mono">
+                    #{index + 1}
+                  </div>
+                </div>
+              </div>
+            );
           }
           return null;
         })}
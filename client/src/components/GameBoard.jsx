@@ -20,8 +20,10 @@ import { ReactionBar } from './ReactionBar.jsx';
 import { ReactionOverlay } from './ReactionOverlay.jsx';
 import { SimulationControls } from './dev/SimulationControls.jsx';
 import { GameFooter } from './GameFooter.jsx';
+import { PausedOverlay } from './PausedOverlay.jsx';
 import { apiRequest } from '../utils/api.js';
 import { trackGameAction } from '../utils/analytics.js';
+import { getGiftsPerPlayer, hasFullHand } from '../reducers/gameReducer.js';
 import { doc, updateDoc } from 'firebase/firestore';
 import { db } from '../utils/firebase.js';
 
@@ -227,7 +229,7 @@ export function GameBoard({ partyId, onEndTurn }) {
     const wasMyTurn = prevIsMyTurnRef.current;
     
     // Only play sound when transitioning from not my turn to my turn
-    if (isMyTurn && !wasMyTurn && gameState?.phase === 'ACTIVE') {
+    if (isMyTurn && !wasMyTurn && (gameState?.phase === 'ACTIVE' || gameState?.phase === 'LAST_CHANCE')) {
       playTurnNotification();
     }
     
@@ -772,20 +774,20 @@ export function GameBoard({ partyId, onEndTurn }) {
   const returnToStart = gameState?.config?.returnToStart || false;
   const isBoomerangPhase = returnToStart && (
     gameState?.isBoomerangPhase || 
-    (gameState?.currentTurnIndex >= (gameState?.turnOrder?.length || 0))
+    (gameState?.currentTurnIndex >= (gameState?.turnOrder?.length || 0) * getGiftsPerPlayer(gameState?.config))
   );
   
-  // Check if player has a gift
-  const playerHasGift = unwrappedGiftList.some((gift) => {
-    const giftData = unwrappedMap.get(gift.id);
-    return giftData?.ownerId === user?.uid;
-  });
+  // Check if player already has every gift they should hold by now
+  const playerHasGift = hasFullHand(gameState, Object.fromEntries(unwrappedMap), user?.uid);
   
   // Check if a gift was originally submitted by the current user
   const isMyGift = (gift) => gift?.submitterId === user?.uid;
   
   const canPick = currentAction === null && wrappedGifts.length > 0 && 
     (!playerHasGift || wrappedGifts.length > 0 || isPlayer1FinalTurn);
+  // With config.forbidOwnGift, the gift you brought stays wrapped until it's the last one
+  const canPickWrapped = (gift) => canPick &&
+    !(gameState?.config?.forbidOwnGift && isMyGift(gift) && wrappedGiftList.some((g) => !isMyGift(g)));
   
   const canSteal = (giftId) => {
     // In boomerang phase or Player 1's final turn, players can steal even after picking
@@ -804,6 +806,11 @@ export function GameBoard({ partyId, onEndTurn }) {
       return false; // Can't steal your own gift
     }
     
+    // Last-chance swaps: only locked gifts are protected - the player's own included
+    if (phase === 'LAST_CHANCE') {
+      return Array.from(unwrappedMap.values()).some((g) => g.ownerId === user?.uid && !g.isFrozen);
+    }
+    
     // RULE 4: Immediate Steal-Back Prevention (U-Turn Rule) - Updated
     // Per GAME_RULES.md Rule 4: "A player CANNOT steal a gift that was just stolen from them on the SAME turn"
     // Once the turn advances, players CAN steal back gifts they lost
@@ -1191,6 +1198,15 @@ export function GameBoard({ partyId, onEndTurn }) {
     <>
       {/* Reaction Overlay - Full screen layer for flying emojis */}
       {socket && <ReactionOverlay socket={socket} />}
+
+      {/* Paused Overlay - blocks the board until the admin resumes */}
+      {phase === 'PAUSED' && (
+        <PausedOverlay
+          isAdmin={isAdmin}
+          onResume={() => socket?.emit('admin_resume_game', { partyId })}
+          disabled={!connected}
+        />
+      )}
       
       {/* Game Over Victory Modal - Overlay on top of game board */}
       {showGameOverModal && (
@@ -1231,6 +1247,12 @@ export function GameBoard({ partyId, onEndTurn }) {
                     {roundsInfo.roundsRemaining} turn{roundsInfo.roundsRemaining !== 1 ? 's' : ''} remaining
                   </div>
                 )}
+                {/* Last-chance swap round */}
+                {phase === 'LAST_CHANCE' && gameState.lastChance && (
+                  <div className="bg-emerald-500/20 text-emerald-300 border border-emerald-500/30 px-3 py-1 rounded-full text-xs font-mono mb-2 inline-block">
+                    ⏳ Last chance: {gameState.lastChance.queue.length - gameState.lastChance.index} swap{gameState.lastChance.queue.length - gameState.lastChance.index !== 1 ? 's' : ''} left
+                  </div>
+                )}
                 {/* Boomerang Badge */}
                 {(party?.config?.returnToStart || gameState.isBoomerangPhase) && (
                   <div className="bg-indigo-500/20 text-indigo-300 text-[10px] uppercase tracking-wider px-2 py-1 rounded-full border border-indigo-500/30">
@@ -1342,7 +1364,7 @@ export function GameBoard({ partyId, onEndTurn }) {
                       currentPlayerId={currentPlayerId}
                       userId={user?.uid}
                       onPick={pickGift}
-                      canPick={canPick}
+                      canPick={canPickWrapped(gift)}
                       canSteal={false}
                       revealingGiftId={revealingGiftId}
                       isMyGift={isMyGift(gift)}
@@ -1393,11 +1415,11 @@ export function GameBoard({ partyId, onEndTurn }) {
         </div>
 
         {/* Right Column: Live Feed (1 column on large screens) */}
-        {(phase === 'ACTIVE' || showGameOverModal) && (
+        {(phase === 'ACTIVE' || phase === 'LAST_CHANCE' || showGameOverModal) && (
           <div className="lg:col-span-1 border-l border-white/10 h-full flex flex-col bg-slate-900/20 overflow-y-auto">
             <GamePlayByPlay
               state={{
-                status: gameState?.phase === 'ACTIVE' ? 'PLAYING' : gameState?.phase === 'ENDED' ? 'FINISHED' : 'LOBBY',
+                status: gameState?.phase === 'ACTIVE' || gameState?.phase === 'LAST_CHANCE' ? 'PLAYING' : gameState?.phase === 'ENDED' ? 'FINISHED' : 'LOBBY',
                 turnQueue: gameState?.turnQueue || [],
                 currentTurnIndex: gameState?.currentTurnIndex ?? -1,
                 pendingVictimId: gameState?.currentVictim || null,
@@ -19,6 +19,13 @@ export function GamePlayByPlay({ state, userNames, userEmails }) {
   // Convert gifts object to array for GameTicker
   const giftsArray = state.gifts ? Object.values(state.gifts) : [];
 
+  // Chaos cards still to come (config.chaosCardTurns holds turn indexes) - none once the last-chance swaps start
+  const chaosCardTurns = state.gameState?.config?.chaosCardTurns || [];
+  const nextChaosTurn = state.status === 'PLAYING' && !state.gameState?.lastChance
+    ? chaosCardTurns[state.gameState?.chaosCardsPlayed || 0]
+    : undefined;
+  const cardsLeft = chaosCardTurns.length - (state.gameState?.chaosCardsPlayed || 0);
+
   return (
     <div className="flex flex-col h-full bg-slate-900/40 rounded-xl border border-white/5" data-component="game-play-by-play">
       {/* Sticky Title Header */}
@@ -26,6 +33,13 @@ export function GamePlayByPlay({ state, userNames, userEmails }) {
         Live Feed ⚡️
       </div>
 
+      {nextChaosTurn !== undefined && (
+        <div className="px-4 py-2 border-b border-white/5 text-xs text-purple-300">
+          🃏 Next chaos card on turn {nextChaosTurn + 1}
+          {cardsLeft > 1 && <span className="text-slate-500"> ({cardsLeft} left)</span>}
+        </div>
+      )}
+
       {/* Scrolling Content Area */}
       <div className="flex-1 overflow-y-auto p-4">
         {state.activities && state.activities.length > 0 ? (
@@ -4,6 +4,28 @@
  */
 import { useState, useEffect, useRef } from 'react';
 
+// How an undone action is described in UNDO entries
+const UNDONE_ACTION_LABELS = {
+  PICK: 'pick',
+  STEAL: 'steal',
+  END_TURN: 'skip',
+};
+
+// What each chaos card does, as announced in the feed
+const CHAOS_CARD_ANNOUNCEMENTS = {
+  PASS_LEFT: 'Everyone passes their gift left!',
+  UNFREEZE_ALL: 'Every locked gift is back in play!',
+  REVERSE_ORDER: 'The rest of the turn order is reversed!',
+  DOUBLE_ACTION: (playerName) => `${playerName} gets two goes this turn!`,
+};
+
+// How an extra gift was handed out at the end, by SURPLUS_GIFT policy
+const SURPLUS_GIFT_LABELS = {
+  return: 'got their extra gift back:',
+  bonus_round: 'won a bonus gift:',
+  admin: 'takes home the extra gift',
+};
+
 export function GameTicker({ activities, gifts, userNames, userEmails }) {
   const [animatedItems, setAnimatedItems] = useState(new Set());
   const prevActivitiesRef = useRef([]);
@@ -130,9 +152,9 @@ export function GameTicker({ activities, gifts, userNames, userEmails }) {
                   <div className="flex-1 min-w-0">
                     <div className="flex items-center gap-1.5 flex-wrap text-xs">
                       <span className="font-semibold text-white">{playerName}</span>
-                      <span className="text-slate-300">stole</span>
+                      <span className="text-slate-300">{event.lastChance ? 'swapped for' : 'stole'}</span>
                       <span className="font-semibold text-white truncate">{giftName}</span>
-                      <span className="text-slate-300">from</span>
+                      <span className="text-slate-300">{event.lastChance ? 'with' : 'from'}</span>
                       <span className="font-semibold text-white">{previousOwnerName}</span>
                       {event.stealCount > 1 && (
                         <span className="inline-block bg-amber-500/20 text-amber-300 border border-amber-500/30 text-[10px] font-semibold px-1 py-0.5 rounded">
@@ -147,6 +169,217 @@ export function GameTicker({ activities, gifts, userNames, userEmails }) {
                 </div>
               </div>
             );
+          } else if (event.type === 'UNDO') {
+            const undonePlayerName = getPlayerName(event.undonePlayerId);
+            const undoneAction = UNDONE_ACTION_LABELS[event.undoneType] || 'move';
+            
+            return (
+              <div
+                key={eventKey}
+                className={`bg-slate-800/40 border border-white/5 rounded-lg p-2 hover:border-white/10 transition-all ${
+                  isAnimated ? 'animate-fade-in-slide-down' : ''
+                }`}
+              >
+                <div className="flex items-center gap-2">
+                  <div className="bg-slate-500/20 border border-slate-500/30 rounded-full p-1 flex-shrink-0">
+                    <svg className="w-3.5 h-3.5 text-slate-300" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 10h10a8 8 0 018 8v2M3 10l6 6m-6-6l6-6" />
+                    </svg>
+                  </div>
+                  <div className="flex-1 min-w-0">
+                    <div className="flex items-center gap-1.5 flex-wrap text-xs">
+                      <span className="font-semibold text-white">{playerName}</span>
+                      <span className="text-slate-300">undid</span>
+                      <span className="font-semibold text-white">{undonePlayerName}'s</span>
+                      <span className="text-slate-300">{undoneAction}</span>
+                      <span className="text-slate-500 text-[10px]">↩️</span>
+                    </div>
+                  </div>
+                </div>
+              </div>
+            );
+          } else if (event.type === 'TIMEOUT') {
+            return (
+              <div
+                key={eventKey}
+                className={`bg-slate-800/40 border border-white/5 rounded-lg p-2 hover:border-white/10 transition-all ${
+                  isAnimated ? 'animate-fade-in-slide-down' : ''
+                }`}
+              >
+                <div className="flex items-center gap-2">
+                  <div className="bg-red-500/20 border border-red-500/30 rounded-full p-1 flex-shrink-0">
+                    <svg className="w-3.5 h-3.5 text-red-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+                    </svg>
+                  </div>
+                  <div className="flex-1 min-w-0">
+                    <div className="flex items-center gap-1.5 flex-wrap text-xs">
+                      <span className="font-semibold text-white">{playerName}</span>
+                      <span className="text-slate-300">ran out of time</span>
+                      <span className="text-slate-500 text-[10px]">⏱️</span>
+                    </div>
+                  </div>
+                </div>
+              </div>
+            );
+          } else if (event.type === 'PLAYER_REMOVED') {
+            const removedPlayerName = getPlayerName(event.removedPlayerId);
+            const giftOutcome = (event.gifts || (event.giftId ? [event] : []))
+              .map(({ giftId, reassignedTo }) => (reassignedTo
+                ? `${getGiftName(giftId)} went to ${getPlayerName(reassignedTo)}`
+                : `${getGiftName(giftId)} went back to the pile`))
+              .join(', ') || null;
+
+            return (
+              <div
+                key={eventKey}
+                className={`bg-slate-800/40 border border-white/5 rounded-lg p-2 hover:border-white/10 transition-all ${
+                  isAnimated ? 'animate-fade-in-slide-down' : ''
+                }`}
+              >
+                <div className="flex items-center gap-2">
+                  <div className="bg-slate-500/20 border border-slate-500/30 rounded-full p-1 flex-shrink-0">
+                    <svg className="w-3.5 h-3.5 text-slate-300" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 7a4 4 0 11-8 0 4 4 0 018 0zM9 14a6 6 0 00-6 6v1h12v-1a6 6 0 00-6-6zM21 12h-6" />
+                    </svg>
+                  </div>
+                  <div className="flex-1 min-w-0">
+                    <div className="flex items-center gap-1.5 flex-wrap text-xs">
+                      <span className="font-semibold text-white">{removedPlayerName}</span>
+                      <span className="text-slate-300">left the game</span>
+                      {giftOutcome && <span className="text-slate-400 truncate">- {giftOutcome}</span>}
+                      <span className="text-slate-500 text-[10px]">🚪</span>
+                    </div>
+                  </div>
+                </div>
+              </div>
+            );
+          } else if (event.type === 'PLAYER_ADDED') {
+            return (
+              <div
+                key={eventKey}
+                className={`bg-slate-800/40 border border-white/5 rounded-lg p-2 hover:border-white/10 transition-all ${
+                  isAnimated ? 'animate-fade-in-slide-down' : ''
+                }`}
+              >
+                <div className="flex items-center gap-2">
+                  <div className="bg-green-500/20 border border-green-500/30 rounded-full p-1 flex-shrink-0">
+                    <svg className="w-3.5 h-3.5 text-green-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M18 9v3m0 0v3m0-3h3m-3 0h-3m-2-5a4 4 0 11-8 0 4 4 0 018 0zM3 20a6 6 0 0112 0v1H3v-1z" />
+                    </svg>
+                  </div>
+                  <div className="flex-1 min-w-0">
+                    <div className="flex items-center gap-1.5 flex-wrap text-xs">
+                      <span className="font-semibold text-white">{getPlayerName(event.addedPlayerId)}</span>
+                      <span className="text-slate-300">joined with a wrapped gift</span>
+                      <span className="text-slate-500 text-[10px]">🙋</span>
+                    </div>
+                  </div>
+                </div>
+              </div>
+            );
+          } else if (event.type === 'CHAOS_CARD') {
+            const announcement = CHAOS_CARD_ANNOUNCEMENTS[event.card];
+            const message = typeof announcement === 'function' ? announcement(playerName) : announcement;
+
+            return (
+              <div
+                key={eventKey}
+                className={`bg-purple-900/30 border border-purple-500/30 rounded-lg p-2 hover:border-purple-400/40 transition-all ${
+                  isAnimated ? 'animate-fade-in-slide-down' : ''
+                }`}
+              >
+                <div className="flex items-center gap-2">
+                  <div className="bg-purple-500/20 border border-purple-500/30 rounded-full p-1 flex-shrink-0">
+                    <svg className="w-3.5 h-3.5 text-purple-300" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 10V3L4 14h7v7l9-11h-7z" />
+                    </svg>
+                  </div>
+                  <div className="flex-1 min-w-0">
+                    <div className="flex items-center gap-1.5 flex-wrap text-xs">
+                      <span className="font-semibold text-purple-200">Chaos card!</span>
+                      <span className="text-slate-300">{message || 'Something unexpected happened'}</span>
+                      <span className="text-slate-500 text-[10px]">🃏</span>
+                    </div>
+                  </div>
+                </div>
+              </div>
+            );
+          } else if (event.type === 'LAST_CHANCE_STARTED') {
+            return (
+              <div
+                key={eventKey}
+                className={`bg-emerald-900/30 border border-emerald-500/30 rounded-lg p-2 hover:border-emerald-400/40 transition-all ${
+                  isAnimated ? 'animate-fade-in-slide-down' : ''
+                }`}
+              >
+                <div className="flex items-center gap-2">
+                  <div className="bg-emerald-500/20 border border-emerald-500/30 rounded-full p-1 flex-shrink-0">
+                    <svg className="w-3.5 h-3.5 text-emerald-300" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+                    </svg>
+                  </div>
+                  <div className="flex-1 min-w-0">
+                    <div className="flex items-center gap-1.5 flex-wrap text-xs">
+                      <span className="font-semibold text-emerald-200">Last chance!</span>
+                      <span className="text-slate-300">Everyone gets one more swap, last player first</span>
+                      <span className="text-slate-500 text-[10px]">⏳</span>
+                    </div>
+                  </div>
+                </div>
+              </div>
+            );
+          } else if (event.type === 'SELF_WIN_SWAP') {
+            return (
+              <div
+                key={eventKey}
+                className={`bg-slate-800/40 border border-white/5 rounded-lg p-2 hover:border-white/10 transition-all ${
+                  isAnimated ? 'animate-fade-in-slide-down' : ''
+                }`}
+              >
+                <div className="flex items-center gap-2">
+                  <div className="bg-amber-500/20 border border-amber-500/30 rounded-full p-1 flex-shrink-0">
+                    <svg className="w-3.5 h-3.5 text-amber-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7h12m0 0l-4-4m4 4l-4 4m0 6H4m0 0l4 4m-4-4l4-4" />
+                    </svg>
+                  </div>
+                  <div className="flex-1 min-w-0">
+                    <div className="flex items-center gap-1.5 flex-wrap text-xs">
+                      <span className="font-semibold text-white">{playerName}</span>
+                      <span className="text-slate-300">swapped gifts with</span>
+                      <span className="font-semibold text-white">{getPlayerName(event.otherPlayerId)}</span>
+                      <span className="text-slate-400 truncate">- nobody keeps their own gift</span>
+                      <span className="text-slate-500 text-[10px]">🔁</span>
+                    </div>
+                  </div>
+                </div>
+              </div>
+            );
+          } else if (event.type === 'SURPLUS_GIFT') {
+            return (
+              <div
+                key={eventKey}
+                className={`bg-yellow-900/20 border border-yellow-500/20 rounded-lg p-2 hover:border-yellow-400/30 transition-all ${
+                  isAnimated ? 'animate-fade-in-slide-down' : ''
+                }`}
+              >
+                <div className="flex items-center gap-2">
+                  <div className="bg-yellow-500/20 border border-yellow-500/30 rounded-full p-1 flex-shrink-0">
+                    <svg className="w-3.5 h-3.5 text-yellow-300" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v13m0-13V6a2 2 0 112 2h-2zm0 0V5.5A2.5 2.5 0 109.5 8H12zm-7 4h14M5 12a2 2 0 110-4h14a2 2 0 110 4M5 12v7a2 2 0 002 2h10a2 2 0 002-2v-7" />
+                    </svg>
+                  </div>
+                  <div className="flex-1 min-w-0">
+                    <div className="flex items-center gap-1.5 flex-wrap text-xs">
+                      <span className="font-semibold text-white">{playerName}</span>
+                      <span className="text-slate-300">{SURPLUS_GIFT_LABELS[event.policy] || SURPLUS_GIFT_LABELS.return}</span>
+                      <span className="font-semibold text-white truncate">{giftName}</span>
+                      <span className="text-slate-500 text-[10px]">🎁</span>
+                    </div>
+                  </div>
+                </div>
+              </div>
+            );
           }
           return null;
         })}
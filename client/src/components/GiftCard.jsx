@@ -5,6 +5,12 @@ import { memo, useState, useEffect, useRef } from 'react';
 import { Button } from './ui/Button.jsx';
 import { GiftIcon, LockClosedIcon, FireIcon } from '@heroicons/react/24/outline';
 
+// Gift pool badges (config.giftPoolMode) - gift.pool is 'nice' or 'gag'
+const POOL_BADGES = {
+  nice: { label: '😇 Nice', className: 'bg-emerald-500/80 border-emerald-300/50' },
+  gag: { label: '🤪 Gag', className: 'bg-fuchsia-500/80 border-fuchsia-300/50' },
+};
+
 export const GiftCard = memo(function GiftCard({
   gift,
   isWrapped,
@@ -30,7 +36,9 @@ export const GiftCard = memo(function GiftCard({
   const isCurrentPlayer = currentPlayerId === userId;
   // Recalculate isMyGift from gift prop to avoid stale prop values
   // This ensures the badge always shows correctly even if the passed prop is stale
-  const computedIsMyGift = gift?.submitterId === userId || isMyGift;
+  // Hidden gifts (blind steal) never say whose they are
+  const computedIsMyGift = !gift?.isHidden && (gift?.submitterId === userId || isMyGift);
+  const poolBadge = POOL_BADGES[gift?.pool] || null;
   const [imageError, setImageError] = useState(false);
   const [isRevealing, setIsRevealing] = useState(false);
   const revealTimerRef = useRef(null);
@@ -109,6 +117,11 @@ export const GiftCard = memo(function GiftCard({
         compact ? (
           <div className="relative h-full flex items-center justify-center">
             <div className="text-4xl">🎁</div>
+            {poolBadge && (
+              <div className={`absolute top-1 left-1 text-white text-[9px] font-bold px-1.5 py-0.5 rounded-full border ${poolBadge.className}`}>
+                {poolBadge.label}
+              </div>
+            )}
             {giftNumber && (
               <div className="absolute top-1 right-1 bg-slate-800/80 text-white text-[10px] font-bold px-1.5 py-0.5 rounded-full border border-white/20">
                 #{giftNumber}
@@ -137,6 +150,11 @@ export const GiftCard = memo(function GiftCard({
               </div>
             )}
             <p className="text-white/50 font-medium tracking-widest uppercase mb-4">Mystery Gift</p>
+            {poolBadge && (
+              <span className={`inline-block mb-4 text-white text-xs font-bold px-2 py-1 rounded-full border ${poolBadge.className}`}>
+                {poolBadge.label}
+              </span>
+            )}
             {computedIsMyGift && !isRevealing && (
               <div className="mb-3 bg-amber-500/20 border border-amber-400/50 rounded-lg px-4 py-2">
                 <p className="text-amber-300 text-sm font-semibold flex items-center justify-center gap-2">
@@ -159,8 +177,15 @@ export const GiftCard = memo(function GiftCard({
       ) : (
         <div className="flex flex-col h-full">
           {/* Image or Fallback Container */}
-          <div className="relative w-full h-48 rounded-lg mb-3 overflow-hidden bg-gradient-to-br from-indigo-500 via-purple-500 to-pink-500">
-            {gift.image && !imageError ? (
+          <div className={`relative w-full h-48 rounded-lg mb-3 overflow-hidden bg-gradient-to-br ${
+            gift.isHidden ? 'from-slate-700 via-slate-800 to-slate-900' : 'from-indigo-500 via-purple-500 to-pink-500'
+          }`}>
+            {gift.isHidden ? (
+              <div className="w-full h-full flex flex-col items-center justify-center">
+                <div className="text-5xl mb-2">❔</div>
+                <p className="text-white/50 text-xs font-medium tracking-widest uppercase">Hidden Gift</p>
+              </div>
+            ) : gift.image && !imageError ? (
               <img
                 src={gift.image}
                 alt={gift.title || 'Gift'}
@@ -185,6 +210,11 @@ export const GiftCard = memo(function GiftCard({
                 {stealCount} STEAL{stealCount !== 1 ? 'S' : ''}
               </div>
             ) : null}
+            {poolBadge && (
+              <div className={`absolute bottom-2 left-2 text-white text-[10px] font-bold px-2 py-1 rounded-full z-10 border ${poolBadge.className}`}>
+                {poolBadge.label}
+              </div>
+            )}
             {/* Your Gift Badge - Shows on unwrapped gifts (always visible when gift is unwrapped) */}
             {computedIsMyGift && !isWrapped && (
               <div className="absolute top-2 right-2 bg-amber-500/90 text-white shadow-lg shadow-amber-500/50 text-[10px] font-bold px-2 py-1 rounded-full flex items-center gap-1 z-20 border border-amber-300/50">
@@ -194,8 +224,12 @@ export const GiftCard = memo(function GiftCard({
             )}
           </div>
           
-          <h3 className="text-white font-bold truncate mb-2">{gift.title || 'Gift'}</h3>
-          {gift.url && (
+          {gift.isHidden ? (
+            <p className="text-slate-400 text-sm mb-3">Only its holder knows what's inside</p>
+          ) : (
+            <h3 className="text-white font-bold truncate mb-2">{gift.title || 'Gift'}</h3>
+          )}
+          {!gift.isHidden && gift.url && (
             <a
               href={gift.url}
               target="_blank"
@@ -268,6 +302,8 @@ export const GiftCard = memo(function GiftCard({
     prevProps.gift.isWrapped === nextProps.gift.isWrapped &&
     prevProps.gift.isFrozen === nextProps.gift.isFrozen &&
     prevProps.gift.stealCount === nextProps.gift.stealCount &&
+    prevProps.gift.isHidden === nextProps.gift.isHidden &&
+    prevProps.gift.pool === nextProps.gift.pool &&
     prevProps.canPick === nextProps.canPick &&
     prevProps.canSteal === nextProps.canSteal &&
     prevProps.currentPlayerId === nextProps.currentPlayerId &&
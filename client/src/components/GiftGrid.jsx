@@ -6,9 +6,16 @@
 import { memo } from 'react';
 import { GiftCard } from './GiftCard.jsx';
 
+// Gift pool sections (config.giftPoolMode), in the order they are shown
+const GIFT_POOL_SECTIONS = [
+  { pool: 'nice', label: '😇 Nice Gifts' },
+  { pool: 'gag', label: '🤪 Gag Gifts' },
+];
+
 export const GiftGrid = memo(function GiftGrid({ 
   gifts, 
   isMyTurn, 
+  canPickGift,
   canSteal,
   getStealBlockReason,
   actions,
@@ -33,7 +40,21 @@ export const GiftGrid = memo(function GiftGrid({
       if (bTime !== aTime) return bTime - aTime; // Most recent first
       return (a.id || '').localeCompare(b.id || ''); // Fallback to ID for stable sort
     });
-  
+
+  // With gift pools, unwrapped gifts are grouped by pool - each with its own locked/steal counts
+  const hasPools = giftList.some((gift) => gift.pool);
+  const unwrappedSections = hasPools
+    ? GIFT_POOL_SECTIONS.map(({ pool, label }) => {
+        const poolGifts = unwrappedGifts.filter((gift) => gift.pool === pool);
+        return {
+          key: pool,
+          label,
+          gifts: poolGifts,
+          lockedCount: poolGifts.filter((gift) => gift.isFrozen).length,
+          stealCount: poolGifts.reduce((total, gift) => total + (gift.stealCount || 0), 0),
+        };
+      }).filter((section) => section.gifts.length > 0)
+    : [{ key: 'all', label: null, gifts: unwrappedGifts }];
 
   return (
     <div className="space-y-8">
@@ -41,6 +62,11 @@ export const GiftGrid = memo(function GiftGrid({
       {wrappedGifts.length > 0 && (
         <div className="mb-8">
           <h2 className="text-xl font-semibold mb-4 text-white text-center">Wrapped Gifts</h2>
+          {hasPools && (
+            <p className="text-sm text-slate-400 text-center -mt-2 mb-4">
+              {GIFT_POOL_SECTIONS.map(({ pool }) => `${wrappedGifts.filter((gift) => gift.pool === pool).length} ${pool}`).join(' · ')}
+            </p>
+          )}
           <div className="flex flex-wrap justify-center gap-3 w-full">
             {wrappedGifts.map((gift, index) => {
               return (
@@ -53,7 +79,7 @@ export const GiftGrid = memo(function GiftGrid({
                   currentPlayerId={currentPlayerId}
                   userId={userId}
                   onPick={actions.pickGift}
-                  canPick={isMyTurn && gift.isWrapped}
+                  canPick={isMyTurn && gift.isWrapped && (!canPickGift || canPickGift(gift.id))}
                   canSteal={false}
                   revealingGiftId={revealingGiftId}
                 />
@@ -68,33 +94,50 @@ export const GiftGrid = memo(function GiftGrid({
         <div>
           <div className="border-t border-white/5 mt-4 mb-6"></div>
           <h2 className="text-xl font-semibold mb-4 text-white text-center">Unwrapped Gifts</h2>
-          <div className="flex flex-wrap justify-center gap-6 w-full max-w-7xl mx-auto">
-            {unwrappedGifts.map((gift) => {
-              const ownerName = gift.ownerId 
-                ? (userNames[gift.ownerId] || userEmails[gift.ownerId] || null)
-                : null;
+          {unwrappedGifts.some((gift) => gift.isHidden) && (
+            <p className="text-sm text-slate-400 text-center -mt-2 mb-4">
+              Blind steal: you only see what you're holding - steal by steal count alone!
+            </p>
+          )}
+          {unwrappedSections.map((section) => (
+            <div key={section.key} className="mb-6">
+              {section.label && (
+                <h3 className="text-lg font-semibold mb-3 text-white text-center">
+                  {section.label}
+                  <span className="ml-2 text-sm font-normal text-slate-400">
+                    {section.lockedCount} locked · {section.stealCount} steal{section.stealCount !== 1 ? 's' : ''}
+                  </span>
+                </h3>
+              )}
+              <div className="flex flex-wrap justify-center gap-6 w-full max-w-7xl mx-auto">
+                {section.gifts.map((gift) => {
+                  const ownerName = gift.ownerId 
+                    ? (userNames[gift.ownerId] || userEmails[gift.ownerId] || null)
+                    : null;
               
               
-              return (
-                <GiftCard
-                  key={gift.id}
-                  gift={gift}
-                  isWrapped={false}
-                  ownerId={gift.ownerId}
-                  ownerName={ownerName}
-                  stealCount={gift.stealCount}
-                  isFrozen={gift.isFrozen}
-                  currentPlayerId={currentPlayerId}
-                  userId={userId}
-                  onSteal={actions.stealGift}
-                  canPick={false}
-                  canSteal={(()=>{const result=canSteal(gift.id);console.log('[DEBUG]',{location:'GiftGrid.jsx:canSteal',message:'canSteal result passed to GiftCard',data:{giftId:gift.id,canStealResult:result},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'F'});return result;})()}
-                  stealBlockReason={getStealBlockReason ? getStealBlockReason(gift.id) : null}
-                  revealingGiftId={revealingGiftId}
-                />
-              );
-            })}
-          </div>
+                  return (
+                    <GiftCard
+                      key={gift.id}
+                      gift={gift}
+                      isWrapped={false}
+                      ownerId={gift.ownerId}
+                      ownerName={ownerName}
+                      stealCount={gift.stealCount}
+                      isFrozen={gift.isFrozen}
+                      currentPlayerId={currentPlayerId}
+                      userId={userId}
+                      onSteal={actions.stealGift}
+                      canPick={false}
+                      canSteal={(()=>{const result=canSteal(gift.id);console.log('[DEBUG]',{location:'GiftGrid.jsx:canSteal',message:'canSteal result passed to GiftCard',data:{giftId:gift.id,canStealResult:result},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'F'});return result;})()}
+                      stealBlockReason={getStealBlockReason ? getStealBlockReason(gift.id) : null}
+                      revealingGiftId={revealingGiftId}
+                    />
+                  );
+                })}
+              </div>
+            </div>
+          ))}
         </div>
       )}
     </div>
@@ -105,6 +148,7 @@ export const GiftGrid = memo(function GiftGrid({
   return (
     prevProps.gifts === nextProps.gifts &&
     prevProps.isMyTurn === nextProps.isMyTurn &&
+    prevProps.canPickGift === nextProps.canPickGift &&
     prevProps.currentPlayerId === nextProps.currentPlayerId &&
     prevProps.userId === nextProps.userId &&
     prevProps.userNames === nextProps.userNames &&
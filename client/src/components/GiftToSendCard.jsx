@@ -9,7 +9,7 @@ import { ClipboardDocumentIcon } from '@heroicons/react/24/outline';
 import { CheckIcon } from '@heroicons/react/24/solid';
 import { CheckBadgeIcon } from '@heroicons/react/24/solid';
 
-export function GiftToSendCard({ gift, winnerId, winnerName, userNames, userEmails, isSelfWin = false }) {
+export function GiftToSendCard({ gift, winnerId, winnerName, userNames, userEmails, isSelfWin = false, isReturned = false }) {
   const [address, setAddress] = useState(null);
   const [loadingAddress, setLoadingAddress] = useState(true);
   const [copied, setCopied] = useState(false);
@@ -118,7 +118,9 @@ export function GiftToSendCard({ gift, winnerId, winnerName, userNames, userEmai
           {isSelfWin ? (
             <div className="bg-emerald-500/10 border border-emerald-500/20 backdrop-blur-sm rounded-lg p-6 mt-4 text-center">
               <CheckBadgeIcon className="w-12 h-12 mx-auto mb-2 text-emerald-400" />
-              <p className="text-emerald-400 font-bold text-lg mb-2">You won your own gift!</p>
+              <p className="text-emerald-400 font-bold text-lg mb-2">
+                {isReturned ? 'Your gift came back to you!' : 'You won your own gift!'}
+              </p>
               <p className="text-slate-400">No shipping required. You get to keep it!</p>
             </div>
           ) : (
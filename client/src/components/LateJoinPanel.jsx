@@ -0,0 +1,104 @@
+/**
+ * Late Join Panel Component
+ * Lets the admin add guests who RSVP'd after the game started, with the gift they brought
+ */
+import { useState } from 'react';
+import { Button } from './ui/Button.jsx';
+import { Input } from './ui/Input.jsx';
+
+const POSITION_LABELS = {
+  random: 'Random spot',
+  next: 'Next up',
+  last: 'Last in line',
+};
+
+// giftsHidden: blind steal game - other players' gifts can't be looked up, so the title is optional
+export function LateJoinPanel({ lateArrivals, onAdd, onClose, disabled = false, giftsHidden = false }) {
+  const [playerId, setPlayerId] = useState(lateArrivals[0]?.id || '');
+  const [position, setPosition] = useState('random');
+  const [giftTitle, setGiftTitle] = useState('');
+
+  const selected = lateArrivals.find((arrival) => arrival.id === playerId);
+  const needsGiftTitle = selected && !selected.giftTitle;
+  const giftTitleRequired = needsGiftTitle && !giftsHidden;
+
+  const handleAdd = () => {
+    if (!selected || (giftTitleRequired && !giftTitle.trim())) return;
+    onAdd(selected.id, {
+      position,
+      giftTitle: needsGiftTitle && giftTitle.trim() ? giftTitle.trim() : undefined,
+    });
+    setGiftTitle('');
+    onClose();
+  };
+
+  return (
+    <div className="mt-4 bg-slate-800/50 border border-white/10 rounded-lg p-4 text-left">
+      <h3 className="text-sm font-semibold text-white mb-3">Add a Late Arrival</h3>
+      {lateArrivals.length === 0 ? (
+        <p className="text-xs text-slate-400 mb-3">
+          Nobody is waiting. Guests can join with the party link, then show up here.
+        </p>
+      ) : (
+        <>
+          <div className="mb-4">
+            <label htmlFor="lateArrival" className="block text-sm font-medium text-slate-300 mb-1">
+              Player
+            </label>
+            <select
+              id="lateArrival"
+              value={playerId}
+              onChange={(e) => setPlayerId(e.target.value)}
+              className="w-full px-3 py-2 rounded-md bg-slate-800 border border-slate-600 text-white"
+            >
+              {lateArrivals.map((arrival) => (
+                <option key={arrival.id} value={arrival.id}>{arrival.name}</option>
+              ))}
+            </select>
+          </div>
+          {needsGiftTitle ? (
+            <Input
+              label={giftsHidden ? 'What did they bring? (skip if they submitted a gift)' : 'What did they bring?'}
+              placeholder="e.g., Scented candle"
+              value={giftTitle}
+              onChange={(e) => setGiftTitle(e.target.value)}
+              maxLength={200}
+              required={giftTitleRequired}
+            />
+          ) : (
+            selected && <p className="text-xs text-slate-400 mb-4">🎁 Their gift: {selected.giftTitle}</p>
+          )}
+          <div className="mb-4">
+            <label htmlFor="lateArrivalPosition" className="block text-sm font-medium text-slate-300 mb-1">
+              Turn
+            </label>
+            <select
+              id="lateArrivalPosition"
+              value={position}
+              onChange={(e) => setPosition(e.target.value)}
+              className="w-full px-3 py-2 rounded-md bg-slate-800 border border-slate-600 text-white"
+            >
+              {Object.entries(POSITION_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+        </>
+      )}
+      <div className="flex gap-2">
+        {lateArrivals.length > 0 && (
+          <Button
+            onClick={handleAdd}
+            disabled={disabled || !selected || (giftTitleRequired && !giftTitle.trim())}
+            className="text-xs px-3 py-1"
+          >
+            Add to Game
+          </Button>
+        )}
+        <Button variant="secondary" onClick={onClose} className="text-xs px-3 py-1">
+          Cancel
+        </Button>
+      </div>
+    </div>
+  );
+}
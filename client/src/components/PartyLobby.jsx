@@ -9,6 +9,7 @@ import { Input } from './ui/Input.jsx';
 import { Modal } from './ui/Modal.jsx';
 import { scrapeGiftUrl, apiRequest } from '../utils/api.js';
 import { PartyManagement } from './PartyManagement.jsx';
+import { TurnOrderSetup } from './TurnOrderSetup.jsx';
 import { GiftCard } from './GiftCard.jsx';
 import { trackSubmitGift, trackStartGame, trackInviteSent, trackParticipantJoin, trackError, trackGameAbandoned } from '../utils/analytics.js';
 import { SimulationControls } from './dev/SimulationControls.jsx';
@@ -27,6 +28,86 @@ import {
 } from 'firebase/firestore';
 import { db } from '../utils/firebase.js';
 
+// How each party.config.turnOrderMode is shown in the rules
+const TURN_ORDER_MODE_LABELS = {
+  random: 'Random shuffle',
+  manual: 'Set by host',
+  draw: 'Draw numbers',
+};
+
+// What happens to the gift held by a player the host removes mid-game
+const DROP_OUT_GIFT_RULE_LABELS = {
+  return: 'Goes back to the wrapped pile',
+  reassign: 'Goes to the next player without a gift',
+};
+
+// Where gifts nobody needs go when the game ends (more gifts than everyone's share)
+const SURPLUS_GIFT_POLICY_LABELS = {
+  return: 'Go back to whoever brought them',
+  bonus_round: 'Bonus round - drawn for among the players',
+  admin: 'Go to the host',
+};
+
+// How long players can swap won gifts after the game (party.config.tradeWindowMinutes, '' = no trading)
+const TRADE_WINDOW_LABELS = {
+  '': 'No trading',
+  15: '15 minutes',
+  60: '1 hour',
+  1440: '1 day',
+};
+
+// What a victim may do once the turn's steal cap is hit and no wrapped gifts are left
+const STEAL_CHAIN_FALLBACK_LABELS = {
+  skip: 'Keep their gift - the turn ends',
+  steal: 'Steal anyway',
+};
+
+// Gift pools a submitter tags their gift with (gift.pool)
+const GIFT_POOL_LABELS = {
+  nice: '😇 Nice',
+  gag: '🤪 Gag',
+};
+
+// How players collect one gift from each pool (party.config.giftPoolMode, '' = no pools)
+const GIFT_POOL_MODE_LABELS = {
+  '': 'No pools',
+  one_each: 'One of each - either pool any turn',
+  per_turn: 'Nice on your first turn, gag on your second',
+};
+
+// Chaos cards the host can put in the deck (party.config.chaosCards)
+const CHAOS_CARD_LABELS = {
+  PASS_LEFT: 'Everyone passes their gift left',
+  UNFREEZE_ALL: 'Unfreeze all gifts',
+  REVERSE_ORDER: 'Reverse the remaining turn order',
+  DOUBLE_ACTION: 'Next player gets two goes',
+};
+
+// Most gifts each person can be asked to bring (party.config.giftsPerPlayer)
+const MAX_GIFTS_PER_PLAYER = 5;
+
+// party.config.stealExclusionGroups holds { playerIds } groups (Firestore has no nested arrays) -
+// the editor assigns each participant a group number
+const toNoStealGroupNumbers = (groups) => Object.fromEntries(
+  (groups || []).flatMap((group, i) => group.playerIds.map((participantId) => [participantId, String(i + 1)]))
+);
+
+// Teams live on the participant docs (participant.teamNumber) - same number, one shared seat
+const toTeamNumbers = (participants) => Object.fromEntries(
+  participants.filter((p) => p.teamNumber).map((p) => [p.id, String(p.teamNumber)])
+);
+
+// party.config.rounds holds [{ name, playerIds }] breakout rounds, maybe followed by
+// { name, finals: true } - the editor assigns each participant a round number
+const MAX_BREAKOUT_ROUNDS = 4;
+const toRoundNumbers = (rounds) => Object.fromEntries(
+  (rounds || []).flatMap((round, i) => (round.playerIds || []).map((participantId) => [participantId, String(i + 1)]))
+);
+const countBreakoutRounds = (rounds) => (rounds || []).filter((round) => !round.finals).length || 1;
+
+// party.config.chaosCardTurns holds turn indexes - hosts see turn numbers ("turn 1" is the first turn)
+const formatChaosCardTurns = (turnIndexes) => (turnIndexes || []).map((turnIndex) => turnIndex + 1).join(', ');
+
 export function PartyLobby({ partyId, onStartGame }) {
   const { user } = useAuth();
   const { party, participants, pendingInvites, gifts, loading } = useParty(partyId);
@@ -38,6 +119,7 @@ export function PartyLobby({ partyId, onStartGame }) {
   const [manualImageUrl, setManualImageUrl] = useState('');
   const [manualPrice, setManualPrice] = useState('');
   const [pastedImage, setPastedImage] = useState(null);
+  const [giftPool, setGiftPool] = useState(''); // '' = the pool the user still owes a gift for
   const [showInviteModal, setShowInviteModal] = useState(false);
   const [showShareModal, setShowShareModal] = useState(false);
   const [inviteEmail, setInviteEmail] = useState('');
@@ -50,15 +132,43 @@ export function PartyLobby({ partyId, onStartGame }) {
   const [addingPerson, setAddingPerson] = useState(false);
   const [showAddPeople, setShowAddPeople] = useState(false);
   const [maxSteals, setMaxSteals] = useState(party?.config?.maxSteals ?? '');
+  const [maxStealsPerPlayer, setMaxStealsPerPlayer] = useState(party?.config?.maxStealsPerPlayer ?? '');
+  const [maxStealsPerTurn, setMaxStealsPerTurn] = useState(party?.config?.maxStealsPerTurn ?? '');
+  const [giftsPerPlayer, setGiftsPerPlayer] = useState(party?.config?.giftsPerPlayer ?? 1);
+  const [giftPoolMode, setGiftPoolMode] = useState(party?.config?.giftPoolMode ?? '');
+  const [stealChainFallback, setStealChainFallback] = useState(party?.config?.stealChainFallback ?? 'skip');
   const [returnToStart, setReturnToStart] = useState(party?.config?.returnToStart ?? false);
+  const [blindSteal, setBlindSteal] = useState(party?.config?.blindSteal ?? false);
+  const [lastChanceSwap, setLastChanceSwap] = useState(party?.config?.lastChanceSwap ?? false);
+  const [forbidOwnGift, setForbidOwnGift] = useState(party?.config?.forbidOwnGift ?? false);
+  const [noStealGroupNumbers, setNoStealGroupNumbers] = useState(toNoStealGroupNumbers(party?.config?.stealExclusionGroups));
+  const [teamNumbers, setTeamNumbers] = useState(toTeamNumbers(participants));
+  const [breakoutRounds, setBreakoutRounds] = useState(countBreakoutRounds(party?.config?.rounds));
+  const [roundNumbers, setRoundNumbers] = useState(toRoundNumbers(party?.config?.rounds));
+  const [hasFinals, setHasFinals] = useState((party?.config?.rounds || []).some((round) => round.finals));
+  const [chaosCardTurns, setChaosCardTurns] = useState(formatChaosCardTurns(party?.config?.chaosCardTurns));
+  const [chaosCards, setChaosCards] = useState(party?.config?.chaosCards ?? Object.keys(CHAOS_CARD_LABELS));
   const [priceLimit, setPriceLimit] = useState(party?.config?.priceLimit ?? '');
+  const [turnOrderMode, setTurnOrderMode] = useState(party?.config?.turnOrderMode ?? 'random');
+  const [turnTimeoutSeconds, setTurnTimeoutSeconds] = useState(party?.config?.turnTimeoutSeconds ?? '');
+  const [dropOutGiftRule, setDropOutGiftRule] = useState(party?.config?.dropOutGiftRule ?? 'return');
+  const [surplusGiftPolicy, setSurplusGiftPolicy] = useState(party?.config?.surplusGiftPolicy ?? 'return');
+  const [tradeWindowMinutes, setTradeWindowMinutes] = useState(party?.config?.tradeWindowMinutes ?? '');
   const [editingRules, setEditingRules] = useState(false);
   const [savingRules, setSavingRules] = useState(false);
   const [openStep, setOpenStep] = useState(null); // Track which step is open
 
   const isAdmin = party?.adminId === user?.uid;
   const currentParticipant = participants.find((p) => p.id === user?.uid);
-  const userGift = gifts.find((g) => g.submitterId === user?.uid);
+  // Everyone brings party.config.giftsPerPlayer gifts (default 1)
+  const giftsToBring = party?.config?.giftsPerPlayer || 1;
+  const userGifts = gifts.filter((g) => g.submitterId === user?.uid);
+  const hasAllGifts = userGifts.length >= giftsToBring;
+  const submitGiftLabel = giftsToBring > 1 ? `Submit your ${giftsToBring} gifts` : 'Submit your gift';
+  // With gift pools (party.config.giftPoolMode) every gift is tagged nice or gag
+  const hasGiftPools = Boolean(party?.config?.giftPoolMode);
+  const owedGiftPool = Object.keys(GIFT_POOL_LABELS).find((pool) => !userGifts.some((g) => g.pool === pool)) || 'nice';
+  const newGiftPool = hasGiftPools ? giftPool || owedGiftPool : null;
   const [adminShippingAddress, setAdminShippingAddress] = useState(null);
   const [loadingAdminAddress, setLoadingAdminAddress] = useState(false);
   const [userShippingAddress, setUserShippingAddress] = useState(null);
@@ -163,11 +273,37 @@ export function PartyLobby({ partyId, onStartGame }) {
   useEffect(() => {
     if (party?.config) {
       setMaxSteals(party.config.maxSteals ?? '');
+      setMaxStealsPerPlayer(party.config.maxStealsPerPlayer ?? '');
+      setMaxStealsPerTurn(party.config.maxStealsPerTurn ?? '');
+      setGiftsPerPlayer(party.config.giftsPerPlayer ?? 1);
+      setGiftPoolMode(party.config.giftPoolMode ?? '');
+      setStealChainFallback(party.config.stealChainFallback ?? 'skip');
       setReturnToStart(party.config.returnToStart ?? false);
+      setBlindSteal(party.config.blindSteal ?? false);
+      setLastChanceSwap(party.config.lastChanceSwap ?? false);
+      setForbidOwnGift(party.config.forbidOwnGift ?? false);
+      setNoStealGroupNumbers(toNoStealGroupNumbers(party.config.stealExclusionGroups));
+      setBreakoutRounds(countBreakoutRounds(party.config.rounds));
+      setRoundNumbers(toRoundNumbers(party.config.rounds));
+      setHasFinals((party.config.rounds || []).some((round) => round.finals));
+      setChaosCardTurns(formatChaosCardTurns(party.config.chaosCardTurns));
+      setChaosCards(party.config.chaosCards ?? Object.keys(CHAOS_CARD_LABELS));
       setPriceLimit(party.config.priceLimit ?? '');
+      setTurnOrderMode(party.config.turnOrderMode ?? 'random');
+      setTurnTimeoutSeconds(party.config.turnTimeoutSeconds ?? '');
+      setDropOutGiftRule(party.config.dropOutGiftRule ?? 'return');
+      setSurplusGiftPolicy(party.config.surplusGiftPolicy ?? 'return');
+      setTradeWindowMinutes(party.config.tradeWindowMinutes ?? '');
     }
   }, [party]);
 
+  // Keep team numbers in step with the participant docs while the rules aren't being edited
+  useEffect(() => {
+    if (!editingRules) {
+      setTeamNumbers(toTeamNumbers(participants));
+    }
+  }, [participants, editingRules]);
+
   // Compress image to reduce size for Firestore (max ~700KB to stay under 1MB limit)
   const compressImage = (file, callback) => {
     const reader = new FileReader();
@@ -300,36 +436,34 @@ export function PartyLobby({ partyId, onStartGame }) {
         title,
         image,
         price,
+        pool: newGiftPool,
         isFrozen: false,
         winnerId: null,
         createdAt: new Date(),
         updatedAt: new Date(),
       };
 
-      if (userGift) {
-        // Update existing gift
-        await updateDoc(doc(db, 'gifts', userGift.id), giftData);
-        console.log('Gift updated successfully');
-      } else {
-        // Create new gift
-        const giftRef = await addDoc(collection(db, 'gifts'), giftData);
-        console.log('Gift created successfully with ID:', giftRef.id);
-      }
+      // Create new gift (the form only shows while the user still owes gifts)
+      const giftRef = await addDoc(collection(db, 'gifts'), giftData);
+      console.log('Gift created successfully with ID:', giftRef.id);
 
       // Track gift submission
       trackSubmitGift(partyId);
 
       // Clear the form
       setGiftUrl('');
+      setGiftPool('');
       
-      // Auto-advance to next step
+      // Auto-advance to next step once this was their last gift
       const currentIndex = setupSteps.findIndex(s => s.id === 'gift');
-      if (currentIndex < setupSteps.length - 1) {
-        setTimeout(() => {
-          setOpenStep(setupSteps[currentIndex + 1].id);
-        }, 500);
-      } else {
-        setOpenStep(null);
+      if (userGifts.length + 1 >= giftsToBring) {
+        if (currentIndex < setupSteps.length - 1) {
+          setTimeout(() => {
+            setOpenStep(setupSteps[currentIndex + 1].id);
+          }, 500);
+        } else {
+          setOpenStep(null);
+        }
       }
       
       // Show success message (the UI will update via the real-time listener)
@@ -394,9 +528,9 @@ export function PartyLobby({ partyId, onStartGame }) {
       return;
     }
 
-    // Validate admin has submitted a gift
-    if (!userGift) {
-      alert('Please submit your gift before starting the game!');
+    // Validate admin has submitted their gifts
+    if (!hasAllGifts) {
+      alert(giftsToBring > 1 ? `Please submit all ${giftsToBring} of your gifts before starting the game!` : 'Please submit your gift before starting the game!');
       return;
     }
 
@@ -658,17 +792,97 @@ export function PartyLobby({ partyId, onStartGame }) {
       alert('Max Steals is required and must be at least 1');
       return;
     }
+    if (maxStealsPerPlayer !== '' && parseInt(maxStealsPerPlayer) < 1) {
+      alert('Steals per Player must be at least 1');
+      return;
+    }
+    if (maxStealsPerTurn !== '' && parseInt(maxStealsPerTurn) < 1) {
+      alert('Steals per Turn must be at least 1');
+      return;
+    }
+    if (!Number.isInteger(Number(giftsPerPlayer)) || giftsPerPlayer < 1 || giftsPerPlayer > MAX_GIFTS_PER_PLAYER) {
+      alert(`Gifts per Person must be a whole number from 1 to ${MAX_GIFTS_PER_PLAYER}`);
+      return;
+    }
+    if (giftPoolMode && parseInt(giftsPerPlayer) !== 2) {
+      alert('Gift pools need Gifts per Person set to 2 - one nice, one gag');
+      return;
+    }
+    if (turnTimeoutSeconds !== '' && parseInt(turnTimeoutSeconds) < 10) {
+      alert('Turn Timer must be at least 10 seconds');
+      return;
+    }
+    const chaosTurnNumbers = chaosCardTurns.split(',').map((turn) => turn.trim()).filter(Boolean).map(Number);
+    if (chaosTurnNumbers.some((turn) => !Number.isInteger(turn) || turn < 2)) {
+      alert('Chaos card turns must be whole turn numbers from 2 up');
+      return;
+    }
+    // Groups of one don't block anything, so they are dropped
+    const noStealGroups = Object.values(
+      participants.reduce((groups, p) => {
+        const groupNumber = noStealGroupNumbers[p.id];
+        if (groupNumber) {
+          groups[groupNumber] = [...(groups[groupNumber] || []), p.id];
+        }
+        return groups;
+      }, {})
+    ).filter((playerIds) => playerIds.length >= 2).map((playerIds) => ({ playerIds }));
+    // Boomerang games already reverse, so Reverse Order is left out of their deck
+    const chaosDeck = chaosCards.filter((card) => !(returnToStart && card === 'REVERSE_ORDER'));
+    if (chaosTurnNumbers.length > 0 && chaosDeck.length === 0) {
+      alert('Pick at least one chaos card');
+      return;
+    }
+    // Breakout rounds split the party - everyone who's coming plays in one of them
+    const rounds = breakoutRounds > 1 ? [
+      ...Array.from({ length: breakoutRounds }, (_, i) => ({
+        name: `Round ${i + 1}`,
+        playerIds: participants.filter((p) => roundNumbers[p.id] === String(i + 1)).map((p) => p.id),
+      })),
+      ...(hasFinals ? [{ name: 'Finals', finals: true }] : []),
+    ] : null;
+    if (rounds && participants.some((p) => p.status === 'GOING' && !(parseInt(roundNumbers[p.id]) <= breakoutRounds))) {
+      alert('Put everyone who is coming in a round');
+      return;
+    }
     
     setSavingRules(true);
     try {
       await updateDoc(doc(db, 'parties', partyId), {
         config: {
           maxSteals: parseInt(maxSteals),
+          maxStealsPerPlayer: maxStealsPerPlayer !== '' ? parseInt(maxStealsPerPlayer) : null,
+          maxStealsPerTurn: maxStealsPerTurn !== '' ? parseInt(maxStealsPerTurn) : null,
+          stealChainFallback,
+          giftsPerPlayer: parseInt(giftsPerPlayer),
+          giftPoolMode: giftPoolMode || null,
+          stealExclusionGroups: noStealGroups,
           returnToStart: returnToStart,
+          blindSteal,
+          lastChanceSwap,
+          forbidOwnGift,
+          chaosCardTurns: [...new Set(chaosTurnNumbers)].sort((a, b) => a - b).map((turn) => turn - 1),
+          chaosCards: chaosTurnNumbers.length > 0 ? chaosDeck : null,
           priceLimit: priceLimit ? parseFloat(priceLimit) : null,
+          turnOrderMode,
+          turnTimeoutSeconds: turnTimeoutSeconds !== '' ? parseInt(turnTimeoutSeconds) : null,
+          dropOutGiftRule,
+          surplusGiftPolicy,
+          tradeWindowMinutes: tradeWindowMinutes !== '' ? parseInt(tradeWindowMinutes) : null,
+          rounds,
         },
         updatedAt: new Date(),
       });
+      // Teams of one are just players, so their numbers are cleared
+      const teamSizes = Object.values(teamNumbers).reduce((sizes, teamNumber) => (
+        teamNumber ? { ...sizes, [teamNumber]: (sizes[teamNumber] || 0) + 1 } : sizes
+      ), {});
+      await Promise.all(participants.map((p) => {
+        const teamNumber = teamSizes[teamNumbers[p.id]] >= 2 ? parseInt(teamNumbers[p.id]) : null;
+        return teamNumber === (p.teamNumber || null)
+          ? null
+          : updateDoc(doc(db, 'parties', partyId, 'participants', p.id), { teamNumber, updatedAt: new Date() });
+      }));
       setEditingRules(false);
       // Auto-advance to next step
       const currentIndex = setupSteps.findIndex(s => s.id === 'rules');
@@ -695,13 +909,13 @@ export function PartyLobby({ partyId, onStartGame }) {
       const displayedInvites = pendingInvites.filter(inv => inv.status === 'GOING' || inv.status !== 'ACCEPTED');
       return participants.length + displayedInvites.length >= 2;
     })() },
-    { id: 'gift', label: 'Submit your gift', completed: !!userGift },
+    { id: 'gift', label: submitGiftLabel, completed: hasAllGifts },
     { id: 'ready', label: 'All participants ready', completed: (() => {
       const nonAdminParticipants = participants.filter((p) => p.status === 'GOING' && p.id !== party?.adminId);
       return nonAdminParticipants.length > 0 && nonAdminParticipants.every((p) => p.ready === true);
     })() },
   ] : [
-    { id: 'gift', label: 'Submit your gift', completed: !!userGift },
+    { id: 'gift', label: submitGiftLabel, completed: hasAllGifts },
     { id: 'ready', label: 'Mark yourself as ready', completed: currentParticipant?.ready === true },
   ];
 
@@ -830,6 +1044,188 @@ export function PartyLobby({ partyId, onStartGame }) {
                             min="1"
                             placeholder="e.g., 3"
                           />
+                          <Input
+                            type="number"
+                            label="Steals per Player (optional)"
+                            value={maxStealsPerPlayer}
+                            onChange={(e) => setMaxStealsPerPlayer(e.target.value)}
+                            min="1"
+                            step="1"
+                            placeholder="e.g., 2"
+                          />
+                          <p className="text-xs text-slate-400">
+                            Caps how many steals each player can make over the whole game, so one player can't dominate.
+                          </p>
+                          <Input
+                            type="number"
+                            label="Steals per Turn (optional)"
+                            value={maxStealsPerTurn}
+                            onChange={(e) => setMaxStealsPerTurn(e.target.value)}
+                            min="1"
+                            step="1"
+                            placeholder="e.g., 3"
+                          />
+                          <p className="text-xs text-slate-400">
+                            Caps how long a steal chain can run. Once it's reached, the next victim opens a wrapped gift.
+                          </p>
+                          <Input
+                            type="number"
+                            label="Gifts per Person"
+                            value={giftsPerPlayer}
+                            onChange={(e) => setGiftsPerPlayer(e.target.value)}
+                            min="1"
+                            max={String(MAX_GIFTS_PER_PLAYER)}
+                            step="1"
+                          />
+                          <p className="text-xs text-slate-400">
+                            Everyone brings this many gifts and takes home the same number. Each extra gift adds another round of turns.
+                          </p>
+                          <div>
+                            <label htmlFor="giftPoolMode" className="block text-sm font-medium text-slate-300 mb-1">
+                              Gift Pools
+                            </label>
+                            <select
+                              id="giftPoolMode"
+                              value={giftPoolMode}
+                              onChange={(e) => {
+                                setGiftPoolMode(e.target.value);
+                                if (e.target.value) setGiftsPerPlayer(2);
+                              }}
+                              className="w-full px-3 py-2 rounded-md bg-slate-800 border border-slate-600 text-white"
+                            >
+                              {Object.entries(GIFT_POOL_MODE_LABELS).map(([mode, label]) => (
+                                <option key={mode} value={mode}>{label}</option>
+                              ))}
+                            </select>
+                            <p className="text-xs text-slate-400 mt-1">
+                              Everyone brings one nice gift and one gag gift, and goes home with one of each.
+                            </p>
+                          </div>
+                          {maxStealsPerTurn !== '' && (
+                            <div>
+                              <label htmlFor="stealChainFallback" className="block text-sm font-medium text-slate-300 mb-1">
+                                If No Wrapped Gifts Are Left, the Victim Can
+                              </label>
+                              <select
+                                id="stealChainFallback"
+                                value={stealChainFallback}
+                                onChange={(e) => setStealChainFallback(e.target.value)}
+                                className="w-full px-3 py-2 rounded-md bg-slate-800 border border-slate-600 text-white"
+                              >
+                                {Object.entries(STEAL_CHAIN_FALLBACK_LABELS).map(([fallback, label]) => (
+                                  <option key={fallback} value={fallback}>{label}</option>
+                                ))}
+                              </select>
+                            </div>
+                          )}
+                          {participants.length >= 2 && (
+                            <div className="space-y-2">
+                              <span className="block text-sm font-medium text-slate-300">No-Steal Groups (optional)</span>
+                              {participants.map((p) => (
+                                <div key={p.id} className="flex items-center justify-between gap-2">
+                                  <label htmlFor={`noStealGroup-${p.id}`} className="text-sm text-slate-300 truncate">
+                                    {userNames[p.id] || userEmails[p.id] || `Player ${p.id.slice(0, 8)}`}
+                                  </label>
+                                  <select
+                                    id={`noStealGroup-${p.id}`}
+                                    value={noStealGroupNumbers[p.id] || ''}
+                                    onChange={(e) => setNoStealGroupNumbers({ ...noStealGroupNumbers, [p.id]: e.target.value })}
+                                    className="px-3 py-1 rounded-md bg-slate-800 border border-slate-600 text-white text-sm"
+                                  >
+                                    <option value="">None</option>
+                                    {Array.from({ length: Math.floor(participants.length / 2) }, (_, i) => (
+                                      <option key={i} value={String(i + 1)}>Group {i + 1}</option>
+                                    ))}
+                                  </select>
+                                </div>
+                              ))}
+                              <p className="text-xs text-slate-400">
+                                Put couples or housemates in the same group - they can't steal from each other.
+                              </p>
+                            </div>
+                          )}
+                          {participants.length >= 3 && (
+                            <div className="space-y-2">
+                              <span className="block text-sm font-medium text-slate-300">Teams (optional)</span>
+                              {participants.map((p) => (
+                                <div key={p.id} className="flex items-center justify-between gap-2">
+                                  <label htmlFor={`team-${p.id}`} className="text-sm text-slate-300 truncate">
+                                    {userNames[p.id] || userEmails[p.id] || `Player ${p.id.slice(0, 8)}`}
+                                  </label>
+                                  <select
+                                    id={`team-${p.id}`}
+                                    value={teamNumbers[p.id] || ''}
+                                    onChange={(e) => setTeamNumbers({ ...teamNumbers, [p.id]: e.target.value })}
+                                    className="px-3 py-1 rounded-md bg-slate-800 border border-slate-600 text-white text-sm"
+                                  >
+                                    <option value="">Plays alone</option>
+                                    {Array.from({ length: Math.floor(participants.length / 2) }, (_, i) => (
+                                      <option key={i} value={String(i + 1)}>Team {i + 1}</option>
+                                    ))}
+                                  </select>
+                                </div>
+                              ))}
+                              <p className="text-xs text-slate-400">
+                                A team (e.g. a household) shares one turn and goes home with one share of gifts - any member can play it.
+                              </p>
+                            </div>
+                          )}
+                          {participants.length >= 4 && (
+                            <div className="space-y-2">
+                              <label htmlFor="breakoutRounds" className="block text-sm font-medium text-slate-300">
+                                Rounds
+                              </label>
+                              <select
+                                id="breakoutRounds"
+                                value={breakoutRounds}
+                                onChange={(e) => setBreakoutRounds(parseInt(e.target.value))}
+                                className="w-full px-3 py-2 rounded-md bg-slate-800 border border-slate-600 text-white"
+                              >
+                                <option value={1}>One game for everyone</option>
+                                {Array.from({ length: MAX_BREAKOUT_ROUNDS - 1 }, (_, i) => (
+                                  <option key={i} value={i + 2}>{i + 2} breakout rounds</option>
+                                ))}
+                              </select>
+                              {breakoutRounds > 1 && (
+                                <>
+                                  {participants.map((p) => (
+                                    <div key={p.id} className="flex items-center justify-between gap-2">
+                                      <label htmlFor={`round-${p.id}`} className="text-sm text-slate-300 truncate">
+                                        {userNames[p.id] || userEmails[p.id] || `Player ${p.id.slice(0, 8)}`}
+                                      </label>
+                                      <select
+                                        id={`round-${p.id}`}
+                                        value={roundNumbers[p.id] || ''}
+                                        onChange={(e) => setRoundNumbers({ ...roundNumbers, [p.id]: e.target.value })}
+                                        className="px-3 py-1 rounded-md bg-slate-800 border border-slate-600 text-white text-sm"
+                                      >
+                                        <option value="">Pick a round</option>
+                                        {Array.from({ length: breakoutRounds }, (_, i) => (
+                                          <option key={i} value={String(i + 1)}>Round {i + 1}</option>
+                                        ))}
+                                      </select>
+                                    </div>
+                                  ))}
+                                  <div className="flex items-center gap-2">
+                                    <input
+                                      type="checkbox"
+                                      id="hasFinals"
+                                      checked={hasFinals}
+                                      onChange={(e) => setHasFinals(e.target.checked)}
+                                      className="w-4 h-4 text-purple-500 border-slate-600 rounded focus:ring-purple-500 bg-slate-800"
+                                    />
+                                    <label htmlFor="hasFinals" className="text-sm text-slate-300">
+                                      Finish with a finals round
+                                    </label>
+                                  </div>
+                                  <p className="text-xs text-slate-400">
+                                    Each round is its own game with the gifts its players brought (e.g. one per department).
+                                    In the finals, everyone plays again for all the gifts won so far.
+                                  </p>
+                                </>
+                              )}
+                            </div>
+                          )}
                           <Input
                             type="number"
                             label="Price Limit (optional)"
@@ -854,6 +1250,152 @@ export function PartyLobby({ partyId, onStartGame }) {
                               Enable Boomerang Rule (reverse turn order after last player)
                             </label>
                           </div>
+                          <div className="flex items-center gap-2">
+                            <input
+                              type="checkbox"
+                              id="blindSteal"
+                              checked={blindSteal}
+                              onChange={(e) => setBlindSteal(e.target.checked)}
+                              className="w-4 h-4 text-purple-500 border-slate-600 rounded focus:ring-purple-500 bg-slate-800"
+                            />
+                            <label htmlFor="blindSteal" className="text-sm text-slate-300">
+                              Blind Steal (opened gifts stay hidden from everyone but their holder until the end)
+                            </label>
+                          </div>
+                          <div className="flex items-center gap-2">
+                            <input
+                              type="checkbox"
+                              id="lastChanceSwap"
+                              checked={lastChanceSwap}
+                              onChange={(e) => setLastChanceSwap(e.target.checked)}
+                              className="w-4 h-4 text-purple-500 border-slate-600 rounded focus:ring-purple-500 bg-slate-800"
+                            />
+                            <label htmlFor="lastChanceSwap" className="text-sm text-slate-300">
+                              Last-Chance Swaps (once the turns run out, everyone gets one more swap in reverse order)
+                            </label>
+                          </div>
+                          <div className="flex items-center gap-2">
+                            <input
+                              type="checkbox"
+                              id="forbidOwnGift"
+                              checked={forbidOwnGift}
+                              onChange={(e) => setForbidOwnGift(e.target.checked)}
+                              className="w-4 h-4 text-purple-500 border-slate-600 rounded focus:ring-purple-500 bg-slate-800"
+                            />
+                            <label htmlFor="forbidOwnGift" className="text-sm text-slate-300">
+                              No Self-Wins (nobody opens or steals the gift they brought, and anyone left with it swaps at the end)
+                            </label>
+                          </div>
+                          <Input
+                            type="text"
+                            label="Chaos Card Turns (optional)"
+                            placeholder="e.g., 4, 8"
+                            value={chaosCardTurns}
+                            onChange={(e) => setChaosCardTurns(e.target.value)}
+                          />
+                          <p className="text-xs text-slate-400">
+                            A random chaos card is drawn at the start of each of these turns.
+                          </p>
+                          {chaosCardTurns.trim() !== '' && (
+                            <div className="space-y-1">
+                              {Object.entries(CHAOS_CARD_LABELS)
+                                .filter(([card]) => !(returnToStart && card === 'REVERSE_ORDER'))
+                                .map(([card, label]) => (
+                                  <div key={card} className="flex items-center gap-2">
+                                    <input
+                                      type="checkbox"
+                                      id={`chaosCard-${card}`}
+                                      checked={chaosCards.includes(card)}
+                                      onChange={(e) => setChaosCards(e.target.checked
+                                        ? [...chaosCards, card]
+                                        : chaosCards.filter((c) => c !== card))}
+                                      className="w-4 h-4 text-purple-500 border-slate-600 rounded focus:ring-purple-500 bg-slate-800"
+                                    />
+                                    <label htmlFor={`chaosCard-${card}`} className="text-sm text-slate-300">
+                                      {label}
+                                    </label>
+                                  </div>
+                                ))}
+                            </div>
+                          )}
+                          <div>
+                            <label htmlFor="turnOrderMode" className="block text-sm font-medium text-slate-300 mb-1">
+                              Turn Order
+                            </label>
+                            <select
+                              id="turnOrderMode"
+                              value={turnOrderMode}
+                              onChange={(e) => setTurnOrderMode(e.target.value)}
+                              className="w-full px-3 py-2 rounded-md bg-slate-800 border border-slate-600 text-white"
+                            >
+                              {Object.entries(TURN_ORDER_MODE_LABELS).map(([mode, label]) => (
+                                <option key={mode} value={mode}>{label}</option>
+                              ))}
+                            </select>
+                          </div>
+                          <Input
+                            type="number"
+                            label="Turn Timer in seconds (optional)"
+                            placeholder="e.g., 60"
+                            value={turnTimeoutSeconds}
+                            onChange={(e) => setTurnTimeoutSeconds(e.target.value)}
+                            min="10"
+                            step="1"
+                          />
+                          <p className="text-xs text-slate-400">
+                            When a player runs out of time, their turn is skipped - or a random wrapped gift is opened for them if they have to pick.
+                          </p>
+                          <div>
+                            <label htmlFor="dropOutGiftRule" className="block text-sm font-medium text-slate-300 mb-1">
+                              If a Player Leaves, Their Gift
+                            </label>
+                            <select
+                              id="dropOutGiftRule"
+                              value={dropOutGiftRule}
+                              onChange={(e) => setDropOutGiftRule(e.target.value)}
+                              className="w-full px-3 py-2 rounded-md bg-slate-800 border border-slate-600 text-white"
+                            >
+                              {Object.entries(DROP_OUT_GIFT_RULE_LABELS).map(([rule, label]) => (
+                                <option key={rule} value={rule}>{label}</option>
+                              ))}
+                            </select>
+                          </div>
+                          <div>
+                            <label htmlFor="surplusGiftPolicy" className="block text-sm font-medium text-slate-300 mb-1">
+                              Extra Gifts
+                            </label>
+                            <select
+                              id="surplusGiftPolicy"
+                              value={surplusGiftPolicy}
+                              onChange={(e) => setSurplusGiftPolicy(e.target.value)}
+                              className="w-full px-3 py-2 rounded-md bg-slate-800 border border-slate-600 text-white"
+                            >
+                              {Object.entries(SURPLUS_GIFT_POLICY_LABELS).map(([policy, label]) => (
+                                <option key={policy} value={policy}>{label}</option>
+                              ))}
+                            </select>
+                            <p className="text-xs text-slate-400 mt-1">
+                              If more gifts are brought than players take home, the ones left wrapped at the end are handed out this way.
+                            </p>
+                          </div>
+                          <div>
+                            <label htmlFor="tradeWindowMinutes" className="block text-sm font-medium text-slate-300 mb-1">
+                              Trading After the Game
+                            </label>
+                            <select
+                              id="tradeWindowMinutes"
+                              value={tradeWindowMinutes}
+                              onChange={(e) => setTradeWindowMinutes(e.target.value)}
+                              className="w-full px-3 py-2 rounded-md bg-slate-800 border border-slate-600 text-white"
+                            >
+                              {Object.entries(TRADE_WINDOW_LABELS).map(([minutes, label]) => (
+                                <option key={minutes} value={minutes}>{label}</option>
+                              ))}
+                            </select>
+                            <p className="text-xs text-slate-400 mt-1">
+                              For this long after the game, players can offer each other one-for-one swaps of the gifts they won.
+                            </p>
+                          </div>
                           <div className="flex gap-2">
                             <Button 
                               onClick={handleUpdateRules} 
@@ -866,8 +1408,28 @@ export function PartyLobby({ partyId, onStartGame }) {
                               onClick={() => {
                                 setEditingRules(false);
                                 setMaxSteals(party?.config?.maxSteals ?? '');
+                                setMaxStealsPerPlayer(party?.config?.maxStealsPerPlayer ?? '');
+                                setMaxStealsPerTurn(party?.config?.maxStealsPerTurn ?? '');
+                                setGiftsPerPlayer(party?.config?.giftsPerPlayer ?? 1);
+                                setGiftPoolMode(party?.config?.giftPoolMode ?? '');
+                                setStealChainFallback(party?.config?.stealChainFallback ?? 'skip');
                                 setReturnToStart(party?.config?.returnToStart ?? false);
+                                setBlindSteal(party?.config?.blindSteal ?? false);
+                                setLastChanceSwap(party?.config?.lastChanceSwap ?? false);
+                                setForbidOwnGift(party?.config?.forbidOwnGift ?? false);
+                                setNoStealGroupNumbers(toNoStealGroupNumbers(party?.config?.stealExclusionGroups));
+                                setTeamNumbers(toTeamNumbers(participants));
+                                setBreakoutRounds(countBreakoutRounds(party?.config?.rounds));
+                                setRoundNumbers(toRoundNumbers(party?.config?.rounds));
+                                setHasFinals((party?.config?.rounds || []).some((round) => round.finals));
+                                setChaosCardTurns(formatChaosCardTurns(party?.config?.chaosCardTurns));
+                                setChaosCards(party?.config?.chaosCards ?? Object.keys(CHAOS_CARD_LABELS));
                                 setPriceLimit(party?.config?.priceLimit ?? '');
+                                setTurnOrderMode(party?.config?.turnOrderMode ?? 'random');
+                                setTurnTimeoutSeconds(party?.config?.turnTimeoutSeconds ?? '');
+                                setDropOutGiftRule(party?.config?.dropOutGiftRule ?? 'return');
+                                setSurplusGiftPolicy(party?.config?.surplusGiftPolicy ?? 'return');
+                                setTradeWindowMinutes(party?.config?.tradeWindowMinutes ?? '');
                               }}
                             >
                               Cancel
@@ -882,6 +1444,60 @@ export function PartyLobby({ partyId, onStartGame }) {
                               {party?.config?.maxSteals ? party.config.maxSteals : 'Not set'}
                             </span>
                           </div>
+                          <div className="flex items-center justify-between p-3 bg-slate-800/50 rounded-lg">
+                            <span className="text-slate-300 font-medium">Steals per Player:</span>
+                            <span className="text-white font-semibold">
+                              {party?.config?.maxStealsPerPlayer ? party.config.maxStealsPerPlayer : 'No limit'}
+                            </span>
+                          </div>
+                          <div className="flex items-center justify-between p-3 bg-slate-800/50 rounded-lg">
+                            <span className="text-slate-300 font-medium">Steals per Turn:</span>
+                            <span className="text-white font-semibold">
+                              {party?.config?.maxStealsPerTurn ? party.config.maxStealsPerTurn : 'No limit'}
+                            </span>
+                          </div>
+                          <div className="flex items-center justify-between p-3 bg-slate-800/50 rounded-lg">
+                            <span className="text-slate-300 font-medium">Gifts per Person:</span>
+                            <span className="text-white font-semibold">
+                              {party?.config?.giftsPerPlayer || 1}
+                            </span>
+                          </div>
+                          <div className="flex items-center justify-between p-3 bg-slate-800/50 rounded-lg">
+                            <span className="text-slate-300 font-medium">Gift Pools:</span>
+                            <span className="text-white font-semibold">
+                              {GIFT_POOL_MODE_LABELS[party?.config?.giftPoolMode || '']}
+                            </span>
+                          </div>
+                          {party?.config?.maxStealsPerTurn && (
+                            <div className="flex items-center justify-between p-3 bg-slate-800/50 rounded-lg">
+                              <span className="text-slate-300 font-medium">Capped Victim, No Wrapped Gifts:</span>
+                              <span className="text-white font-semibold">
+                                {STEAL_CHAIN_FALLBACK_LABELS[party.config.stealChainFallback] || STEAL_CHAIN_FALLBACK_LABELS.skip}
+                              </span>
+                            </div>
+                          )}
+                          <div className="flex items-center justify-between p-3 bg-slate-800/50 rounded-lg">
+                            <span className="text-slate-300 font-medium">No-Steal Groups:</span>
+                            <span className="text-white font-semibold text-right">
+                              {party?.config?.stealExclusionGroups?.length
+                                ? party.config.stealExclusionGroups
+                                  .map((group) => group.playerIds.map((id) => userNames[id] || userEmails[id] || `Player ${id.slice(0, 8)}`).join(' & '))
+                                  .join(', ')
+                                : 'None'}
+                            </span>
+                          </div>
+                          <div className="flex items-center justify-between p-3 bg-slate-800/50 rounded-lg">
+                            <span className="text-slate-300 font-medium">Teams:</span>
+                            <span className="text-white font-semibold text-right">
+                              {participants.some((p) => p.teamNumber)
+                                ? Object.values(participants.reduce((teams, p) => (
+                                  p.teamNumber ? { ...teams, [p.teamNumber]: [...(teams[p.teamNumber] || []), p.id] } : teams
+                                ), {}))
+                                  .map((playerIds) => playerIds.map((id) => userNames[id] || userEmails[id] || `Player ${id.slice(0, 8)}`).join(' & '))
+                                  .join(', ')
+                                : 'None'}
+                            </span>
+                          </div>
                           <div className="flex items-center justify-between p-3 bg-slate-800/50 rounded-lg">
                             <span className="text-slate-300 font-medium">Price Limit:</span>
                             <span className="text-white font-semibold">
@@ -894,6 +1510,70 @@ export function PartyLobby({ partyId, onStartGame }) {
                               {party?.config?.returnToStart ? 'Enabled' : 'Disabled'}
                             </span>
                           </div>
+                          <div className="flex items-center justify-between p-3 bg-slate-800/50 rounded-lg">
+                            <span className="text-slate-300 font-medium">Blind Steal:</span>
+                            <span className={`font-semibold ${party?.config?.blindSteal ? 'text-green-400' : 'text-slate-400'}`}>
+                              {party?.config?.blindSteal ? 'Enabled' : 'Disabled'}
+                            </span>
+                          </div>
+                          <div className="flex items-center justify-between p-3 bg-slate-800/50 rounded-lg">
+                            <span className="text-slate-300 font-medium">Last-Chance Swaps:</span>
+                            <span className={`font-semibold ${party?.config?.lastChanceSwap ? 'text-green-400' : 'text-slate-400'}`}>
+                              {party?.config?.lastChanceSwap ? 'Enabled' : 'Disabled'}
+                            </span>
+                          </div>
+                          <div className="flex items-center justify-between p-3 bg-slate-800/50 rounded-lg">
+                            <span className="text-slate-300 font-medium">No Self-Wins:</span>
+                            <span className={`font-semibold ${party?.config?.forbidOwnGift ? 'text-green-400' : 'text-slate-400'}`}>
+                              {party?.config?.forbidOwnGift ? 'Enabled' : 'Disabled'}
+                            </span>
+                          </div>
+                          <div className="flex items-center justify-between p-3 bg-slate-800/50 rounded-lg">
+                            <span className="text-slate-300 font-medium">Chaos Cards:</span>
+                            <span className="text-white font-semibold text-right">
+                              {party?.config?.chaosCardTurns?.length
+                                ? `Turns ${formatChaosCardTurns(party.config.chaosCardTurns)}`
+                                : 'Off'}
+                            </span>
+                          </div>
+                          <div className="flex items-center justify-between p-3 bg-slate-800/50 rounded-lg">
+                            <span className="text-slate-300 font-medium">Turn Order:</span>
+                            <span className="text-white font-semibold">
+                              {TURN_ORDER_MODE_LABELS[party?.config?.turnOrderMode] || TURN_ORDER_MODE_LABELS.random}
+                            </span>
+                          </div>
+                          <div className="flex items-center justify-between p-3 bg-slate-800/50 rounded-lg">
+                            <span className="text-slate-300 font-medium">Turn Timer:</span>
+                            <span className="text-white font-semibold">
+                              {party?.config?.turnTimeoutSeconds ? `${party.config.turnTimeoutSeconds}s per turn` : 'Off'}
+                            </span>
+                          </div>
+                          <div className="flex items-center justify-between p-3 bg-slate-800/50 rounded-lg">
+                            <span className="text-slate-300 font-medium">If a Player Leaves:</span>
+                            <span className="text-white font-semibold">
+                              {DROP_OUT_GIFT_RULE_LABELS[party?.config?.dropOutGiftRule] || DROP_OUT_GIFT_RULE_LABELS.return}
+                            </span>
+                          </div>
+                          <div className="flex items-center justify-between p-3 bg-slate-800/50 rounded-lg">
+                            <span className="text-slate-300 font-medium">Extra Gifts:</span>
+                            <span className="text-white font-semibold">
+                              {SURPLUS_GIFT_POLICY_LABELS[party?.config?.surplusGiftPolicy] || SURPLUS_GIFT_POLICY_LABELS.return}
+                            </span>
+                          </div>
+                          <div className="flex items-center justify-between p-3 bg-slate-800/50 rounded-lg">
+                            <span className="text-slate-300 font-medium">Trading After the Game:</span>
+                            <span className="text-white font-semibold">
+                              {TRADE_WINDOW_LABELS[party?.config?.tradeWindowMinutes ?? ''] || `${party.config.tradeWindowMinutes} minutes`}
+                            </span>
+                          </div>
+                          {party?.config?.rounds?.length > 0 && (
+                            <div className="flex items-center justify-between p-3 bg-slate-800/50 rounded-lg">
+                              <span className="text-slate-300 font-medium">Rounds:</span>
+                              <span className="text-white font-semibold">
+                                {party.config.rounds.map((round) => round.name).join(', ')}
+                              </span>
+                            </div>
+                          )}
                           {step.completed && (
                             <Button
                               variant="secondary"
@@ -1140,8 +1820,34 @@ export function PartyLobby({ partyId, onStartGame }) {
                 case 'gift':
                   return (
                     <div className="p-6">
-                      {!userGift ? (
+                      {!hasAllGifts && (
                         <div className="space-y-4">
+                          {giftsToBring > 1 && (
+                            <p className="text-sm text-slate-400">
+                              Gift {userGifts.length + 1} of {giftsToBring}
+                            </p>
+                          )}
+                          {hasGiftPools && (
+                            <div className="flex items-center gap-2" role="radiogroup" aria-label="Gift pool">
+                              <span className="text-sm text-slate-300">This gift is:</span>
+                              {Object.entries(GIFT_POOL_LABELS).map(([pool, label]) => (
+                                <button
+                                  key={pool}
+                                  type="button"
+                                  role="radio"
+                                  aria-checked={newGiftPool === pool}
+                                  onClick={() => setGiftPool(pool)}
+                                  className={`px-3 py-1 rounded-full text-sm border transition-colors ${
+                                    newGiftPool === pool
+                                      ? 'bg-purple-500/30 text-white border-purple-400/50'
+                                      : 'bg-slate-800/50 text-slate-300 border-white/10 hover:border-white/30'
+                                  }`}
+                                >
+                                  {label}
+                                </button>
+                              ))}
+                            </div>
+                          )}
                           {!showManualEntry ? (
                             <>
                               <p className="text-slate-300">
@@ -1356,34 +2062,34 @@ export function PartyLobby({ partyId, onStartGame }) {
                                         title: manualTitle.trim(),
                                         image: pastedImage || manualImageUrl.trim() || null,
                                         price: manualPrice.trim() || null,
+                                        pool: newGiftPool,
                                         isFrozen: false,
                                         winnerId: null,
                                         createdAt: new Date(),
                                         updatedAt: new Date(),
                                       };
 
-                                      if (userGift) {
-                                        await updateDoc(doc(db, 'gifts', userGift.id), giftData);
-                                      } else {
-                                        await addDoc(collection(db, 'gifts'), giftData);
-                                      }
+                                      await addDoc(collection(db, 'gifts'), giftData);
 
                                       // Clear the form
                                       setGiftUrl('');
+                                      setGiftPool('');
                                       setManualTitle('');
                                       setManualImageUrl('');
                                       setManualPrice('');
                                       setPastedImage(null);
                                       setShowManualEntry(false);
                                       
-                                      // Auto-advance to next step
+                                      // Auto-advance to next step once this was their last gift
                                       const currentIndex = setupSteps.findIndex(s => s.id === 'gift');
-                                      if (currentIndex < setupSteps.length - 1) {
-                                        setTimeout(() => {
-                                          setOpenStep(setupSteps[currentIndex + 1].id);
-                                        }, 500);
-                                      } else {
-                                        setOpenStep(null);
+                                      if (userGifts.length + 1 >= giftsToBring) {
+                                        if (currentIndex < setupSteps.length - 1) {
+                                          setTimeout(() => {
+                                            setOpenStep(setupSteps[currentIndex + 1].id);
+                                          }, 500);
+                                        } else {
+                                          setOpenStep(null);
+                                        }
                                       }
                                     } catch (error) {
                                       console.error('Error submitting gift (manual entry):', error);
@@ -1412,42 +2118,76 @@ export function PartyLobby({ partyId, onStartGame }) {
                             </div>
                           )}
                         </div>
-                      ) : (
-                        <div className="space-y-4">
+                      )}
+                      {userGifts.length > 0 && (
+                        <div className={`space-y-4 ${hasAllGifts ? '' : 'mt-6'}`}>
                           <div className="flex items-center gap-2 mb-4">
-                            <span className="text-green-400 font-semibold">✓ Gift Submitted</span>
-                          </div>
-                          <div className="max-w-md">
-                            <GiftCard
-                              gift={userGift}
-                              isWrapped={false}
-                              ownerId={user.uid}
-                              ownerName="You"
-                              darkMode={true}
-                            />
+                            <span className="text-green-400 font-semibold">
+                              {giftsToBring > 1
+                                ? `✓ ${Math.min(userGifts.length, giftsToBring)} of ${giftsToBring} Gifts Submitted`
+                                : '✓ Gift Submitted'}
+                            </span>
                           </div>
-                          <Button
-                            variant="danger"
-                            onClick={async () => {
-                              if (confirm('Are you sure you want to delete your gift? You can submit a new one.')) {
-                                try {
-                                  await deleteDoc(doc(db, 'gifts', userGift.id));
-                                  const participantRef = doc(db, 'parties', partyId, 'participants', user.uid);
-                                  await updateDoc(participantRef, {
-                                    status: 'PENDING',
-                                    updatedAt: new Date(),
-                                  });
-                                  setOpenStep(step.id);
-                                } catch (error) {
-                                  console.error('Error deleting gift:', error);
-                                  alert('Failed to delete gift: ' + error.message);
-                                }
-                              }
-                            }}
-                            className="w-full sm:w-auto"
-                          >
-                            Change Gift
-                          </Button>
+                          {userGifts.map((userGift) => (
+                            <div key={userGift.id} className="space-y-2">
+                              <div className="max-w-md">
+                                <GiftCard
+                                  gift={userGift}
+                                  isWrapped={false}
+                                  ownerId={user.uid}
+                                  ownerName="You"
+                                  darkMode={true}
+                                />
+                              </div>
+                              {hasGiftPools && (
+                                <select
+                                  aria-label="Gift pool"
+                                  value={userGift.pool || ''}
+                                  onChange={async (e) => {
+                                    try {
+                                      await updateDoc(doc(db, 'gifts', userGift.id), {
+                                        pool: e.target.value || null,
+                                        updatedAt: new Date(),
+                                      });
+                                    } catch (error) {
+                                      console.error('Error tagging gift:', error);
+                                      alert('Failed to tag gift: ' + error.message);
+                                    }
+                                  }}
+                                  className="px-3 py-2 rounded-md bg-slate-800 border border-slate-600 text-white text-sm"
+                                >
+                                  {!userGift.pool && <option value="">Not tagged yet</option>}
+                                  {Object.entries(GIFT_POOL_LABELS).map(([pool, label]) => (
+                                    <option key={pool} value={pool}>{label}</option>
+                                  ))}
+                                </select>
+                              )}
+                              <Button
+                                variant="danger"
+                                onClick={async () => {
+                                  if (confirm('Are you sure you want to delete this gift? You can submit a new one.')) {
+                                    try {
+                                      await deleteDoc(doc(db, 'gifts', userGift.id));
+                                      if (userGifts.length === 1) {
+                                        const participantRef = doc(db, 'parties', partyId, 'participants', user.uid);
+                                        await updateDoc(participantRef, {
+                                          status: 'PENDING',
+                                          updatedAt: new Date(),
+                                        });
+                                      }
+                                      setOpenStep(step.id);
+                                    } catch (error) {
+                                      console.error('Error deleting gift:', error);
+                                      alert('Failed to delete gift: ' + error.message);
+                                    }
+                                  }
+                                }}
+                                className="w-full sm:w-auto"
+                              >
+                                Change Gift
+                              </Button>
+                            </div>
+                          ))}
                         </div>
                       )}
                     </div>
@@ -1559,14 +2299,14 @@ export function PartyLobby({ partyId, onStartGame }) {
                             </p>
                             <Button
                               onClick={handleToggleReady}
-                              disabled={!userGift}
+                              disabled={!hasAllGifts}
                               className="w-full sm:w-auto"
                             >
                               I'm Ready!
                             </Button>
-                            {!userGift && (
+                            {!hasAllGifts && (
                               <p className="text-sm text-slate-400">
-                                Please submit your gift first before marking yourself as ready.
+                                {giftsToBring > 1 ? `Please submit all ${giftsToBring} of your gifts` : 'Please submit your gift'} first before marking yourself as ready.
                               </p>
                     )}
                   </div>
@@ -1633,6 +2373,19 @@ export function PartyLobby({ partyId, onStartGame }) {
         </div>
       </div>
 
+      {/* Turn Order - host-arranged or drawn from a hat */}
+      {party.status === 'LOBBY' && ['manual', 'draw'].includes(party.config?.turnOrderMode) && (
+        <TurnOrderSetup
+          partyId={partyId}
+          mode={party.config.turnOrderMode}
+          participants={participants}
+          userNames={userNames}
+          userEmails={userEmails}
+          userId={user?.uid}
+          isAdmin={isAdmin}
+        />
+      )}
+
       {/* Action Section */}
       {party.status === 'LOBBY' && (
         <div key="action-section" className="bg-slate-900/80 backdrop-blur-xl border border-white/10 shadow-2xl rounded-2xl p-8">
@@ -1647,7 +2400,7 @@ export function PartyLobby({ partyId, onStartGame }) {
                 const totalParticipants = participants.length + displayedInvites.length;
                 
                 const hasShippingAddress = adminShippingAddress && adminShippingAddress.street && adminShippingAddress.city;
-                const hasGift = !!userGift;
+                const hasGift = hasAllGifts;
                 const canStart = allReady && totalParticipants >= 2 && hasShippingAddress && hasGift;
                 
                 return (
@@ -1664,7 +2417,7 @@ export function PartyLobby({ partyId, onStartGame }) {
                             ) : (
                               <span className="text-slate-500">○</span>
                             )}
-                            <span className={hasGift ? 'text-slate-300' : ''}>Submit your gift</span>
+                            <span className={hasGift ? 'text-slate-300' : ''}>{submitGiftLabel}</span>
                           </li>
                           <li className="flex items-center gap-2">
                             {hasShippingAddress ? (
@@ -1753,7 +2506,7 @@ export function PartyLobby({ partyId, onStartGame }) {
               <>
                 {(() => {
                   const hasShippingAddress = userShippingAddress && userShippingAddress.street && userShippingAddress.city;
-                  const canBeReady = userGift && hasShippingAddress;
+                  const canBeReady = hasAllGifts && hasShippingAddress;
                   
                   return (
                     <div className="text-center space-y-4">
@@ -1766,12 +2519,12 @@ export function PartyLobby({ partyId, onStartGame }) {
                           <p className="font-semibold text-white mb-2">Complete these steps first:</p>
                           <ul className="space-y-1 text-sm text-slate-300">
                             <li className="flex items-center gap-2">
-                              {userGift ? (
+                              {hasAllGifts ? (
                                 <span className="text-green-400">✓</span>
                               ) : (
                                 <span className="text-slate-500">○</span>
                               )}
-                              <span className={userGift ? 'text-slate-300' : ''}>Submit your gift</span>
+                              <span className={hasAllGifts ? 'text-slate-300' : ''}>{submitGiftLabel}</span>
                             </li>
                             <li className="flex items-center gap-2">
                               {hasShippingAddress ? (
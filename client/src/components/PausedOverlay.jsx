@@ -0,0 +1,26 @@
+/**
+ * Paused Overlay Component
+ * Covers the board while the admin has the game paused
+ */
+import { Button } from './ui/Button.jsx';
+
+export function PausedOverlay({ isAdmin, onResume, disabled = false }) {
+  return (
+    <div className="fixed inset-0 bg-black/70 backdrop-blur-sm z-[9000] flex items-center justify-center p-4">
+      <div className="bg-slate-900/95 border border-white/10 rounded-3xl p-8 max-w-md w-full shadow-2xl text-center animate-fade-in">
+        <div className="text-6xl mb-4">⏸️</div>
+        <h2 className="text-3xl font-bold text-white mb-2">Game Paused</h2>
+        <p className="text-slate-300 mb-6">
+          {isAdmin
+            ? 'Nobody can pick or steal until you resume. The same player will be up when you do.'
+            : 'The host paused the game. Hang tight - it picks up right where it left off.'}
+        </p>
+        {isAdmin && (
+          <Button onClick={onResume} disabled={disabled} className="px-8">
+            ▶️ Resume Game
+          </Button>
+        )}
+      </div>
+    </div>
+  );
+}
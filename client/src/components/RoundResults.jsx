@@ -0,0 +1,108 @@
+/**
+ * Round Results Component
+ * Round picker for multi-round parties (party.config.rounds): who won what in each finished
+ * round, plus the overall result - the gift docs' winnerId, which later rounds overwrite.
+ * Between rounds the admin starts the next one from here.
+ */
+import { useState, useEffect } from 'react';
+import { Button } from './ui/Button.jsx';
+import { apiRequest } from '../utils/api.js';
+
+const OVERALL = 'overall';
+
+// gifts: every party gift; getName(seatId) gives 'You' for your seat
+export function RoundResults({ partyId, currentRound, gifts, getName, isAdmin }) {
+  const [rounds, setRounds] = useState([]);
+  const [selected, setSelected] = useState(OVERALL);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    if (!partyId) return;
+    let cancelled = false;
+
+    const loadRounds = async () => {
+      try {
+        const data = await apiRequest(`/api/game/rounds/${partyId}`);
+        if (!cancelled) setRounds(data.rounds || []);
+      } catch (error) {
+        console.warn('Could not load round results:', error.message);
+      }
+    };
+
+    loadRounds();
+    return () => {
+      cancelled = true;
+    };
+  }, [partyId, currentRound]);
+
+  const nextRound = rounds.find((round) => round.index === currentRound + 1);
+  const giftTitle = (giftId) => gifts.find((gift) => gift.id === giftId)?.title || 'Gift';
+  const selectedRound = rounds.find((round) => round.index === selected);
+  const winners = selectedRound
+    ? selectedRound.winners || []
+    : gifts.filter((gift) => gift.winnerId).map((gift) => ({ giftId: gift.id, winnerId: gift.winnerId, isSurplus: gift.isSurplus }));
+
+  const handleStartNext = async () => {
+    setBusy(true);
+    try {
+      await apiRequest('/api/game/rounds/next', { method: 'POST', body: JSON.stringify({ partyId }) });
+    } catch (error) {
+      alert(error.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (rounds.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="mb-12 bg-gradient-to-br from-white/10 to-white/5 backdrop-blur-xl border border-white/10 rounded-2xl p-6">
+      <div className="flex items-center justify-between gap-4 mb-4">
+        <h2 className="text-2xl font-bold text-white">🏆 Rounds</h2>
+        {nextRound && (isAdmin ? (
+          <Button onClick={handleStartNext} disabled={busy}>
+            Start {nextRound.name}
+          </Button>
+        ) : (
+          <span className="text-sm text-slate-400">Waiting for the host to start {nextRound.name}</span>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap gap-2 mb-4" role="tablist">
+        {[...rounds.map(({ index, name, status }) => ({ key: index, label: name, disabled: status !== 'ENDED' })),
+          { key: OVERALL, label: nextRound ? 'So far' : 'Overall', disabled: false }].map(({ key, label, disabled }) => (
+          <button
+            key={key}
+            type="button"
+            role="tab"
+            aria-selected={selected === key}
+            disabled={disabled}
+            onClick={() => setSelected(key)}
+            className={`px-3 py-1 rounded-full text-sm border transition-colors disabled:opacity-40 disabled:cursor-not-allowed ${
+              selected === key
+                ? 'bg-indigo-500/30 text-white border-indigo-400/50'
+                : 'bg-slate-800/50 text-slate-300 border-white/10 hover:border-white/30'
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {winners.length > 0 ? (
+        <ul className="space-y-1">
+          {winners.map(({ giftId, winnerId, isSurplus }) => (
+            <li key={giftId} className="flex justify-between gap-3 text-sm text-slate-300">
+              <span>🎁 {giftTitle(giftId)}{isSurplus && <span className="text-yellow-300/80"> (extra)</span>}</span>
+              <span className="text-white">{getName(winnerId)}</span>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-sm text-slate-400">No gifts won yet.</p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,164 @@
+/**
+ * Trade Window Component
+ * After the game, players offer one of the gifts they won for one someone else won
+ * (party.config.tradeWindowMinutes). Offers and their outcomes come from useTrades;
+ * accepted trades move winnerId on the gift docs, so the results screen updates itself.
+ */
+import { useState, useEffect } from 'react';
+import { Button } from './ui/Button.jsx';
+import { apiRequest } from '../utils/api.js';
+
+// wonGifts: [{ gift, winnerId }] for every gift with a winner; getName(seatId) gives 'You' for seatId
+export function TradeWindow({ partyId, trades, wonGifts, seatId, getName, endsAt }) {
+  const [now, setNow] = useState(Date.now());
+  const [offeredGiftId, setOfferedGiftId] = useState('');
+  const [requestedGiftId, setRequestedGiftId] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const isOpen = Boolean(endsAt) && now < endsAt.getTime();
+
+  // Re-check every half minute so the window closes on screen too
+  useEffect(() => {
+    if (!isOpen) return;
+    const interval = setInterval(() => setNow(Date.now()), 30000);
+    return () => clearInterval(interval);
+  }, [isOpen]);
+
+  const possessive = (id) => (id === seatId ? 'your' : `${getName(id)}'s`);
+  const giftTitle = (giftId) => wonGifts.find(({ gift }) => gift.id === giftId)?.gift.title || 'a gift';
+  const myGifts = wonGifts.filter(({ winnerId }) => winnerId === seatId);
+  const otherGifts = wonGifts.filter(({ winnerId }) => winnerId !== seatId);
+  const pending = trades.filter((trade) => trade.status === 'PENDING');
+  const offersToMe = pending.filter((trade) => trade.toSeatId === seatId);
+  const myOffers = pending.filter((trade) => trade.fromSeatId === seatId);
+  const completed = trades.filter((trade) => trade.status === 'ACCEPTED');
+
+  const send = async (endpoint, body) => {
+    setBusy(true);
+    try {
+      await apiRequest(endpoint, { method: 'POST', body: JSON.stringify({ partyId, ...body }) });
+      return true;
+    } catch (error) {
+      alert(error.message);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleOffer = async () => {
+    if (!offeredGiftId || !requestedGiftId) return;
+    if (await send('/api/game/trades', { offeredGiftId, requestedGiftId })) {
+      setRequestedGiftId('');
+    }
+  };
+
+  const respond = (tradeId, response) => send('/api/game/trades/respond', { tradeId, response });
+
+  return (
+    <div className="mb-12 bg-gradient-to-br from-white/10 to-white/5 backdrop-blur-xl border border-white/10 rounded-2xl p-6">
+      <div className="flex items-center justify-between gap-4 mb-4">
+        <h2 className="text-2xl font-bold text-white">🔁 Trade Gifts</h2>
+        <span className="text-sm text-slate-400">
+          {isOpen
+            ? `Open until ${endsAt.toLocaleString([], { weekday: 'short', hour: 'numeric', minute: '2-digit' })}`
+            : 'Trading has closed'}
+        </span>
+      </div>
+
+      {isOpen && myGifts.length > 0 && otherGifts.length > 0 && (
+        <div className="grid grid-cols-1 md:grid-cols-[1fr_1fr_auto] gap-3 items-end mb-6">
+          <div>
+            <label htmlFor="tradeOfferedGift" className="block text-sm font-medium text-slate-300 mb-1">
+              Your gift
+            </label>
+            <select
+              id="tradeOfferedGift"
+              value={offeredGiftId}
+              onChange={(e) => setOfferedGiftId(e.target.value)}
+              className="w-full px-3 py-2 rounded-md bg-slate-800 border border-slate-600 text-white"
+            >
+              <option value="">Pick one of yours</option>
+              {myGifts.map(({ gift }) => (
+                <option key={gift.id} value={gift.id}>{gift.title || 'Gift'}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="tradeRequestedGift" className="block text-sm font-medium text-slate-300 mb-1">
+              For
+            </label>
+            <select
+              id="tradeRequestedGift"
+              value={requestedGiftId}
+              onChange={(e) => setRequestedGiftId(e.target.value)}
+              className="w-full px-3 py-2 rounded-md bg-slate-800 border border-slate-600 text-white"
+            >
+              <option value="">Pick someone else's</option>
+              {otherGifts.map(({ gift, winnerId }) => (
+                <option key={gift.id} value={gift.id}>{gift.title || 'Gift'} ({getName(winnerId)})</option>
+              ))}
+            </select>
+          </div>
+          <Button onClick={handleOffer} disabled={busy || !offeredGiftId || !requestedGiftId}>
+            Offer Trade
+          </Button>
+        </div>
+      )}
+
+      {offersToMe.length > 0 && (
+        <div className="space-y-2 mb-6">
+          <h3 className="text-sm font-semibold text-white">Offers for you</h3>
+          {offersToMe.map((trade) => (
+            <div key={trade.id} className="flex items-center justify-between gap-3 p-3 bg-slate-800/50 rounded-lg">
+              <span className="text-sm text-slate-300">
+                {getName(trade.fromSeatId)} offers <strong className="text-white">{giftTitle(trade.offeredGiftId)}</strong> for
+                your <strong className="text-white">{giftTitle(trade.requestedGiftId)}</strong>
+              </span>
+              <div className="flex gap-2 flex-shrink-0">
+                {isOpen && (
+                  <Button onClick={() => respond(trade.id, 'accept')} disabled={busy} className="text-xs px-3 py-1">
+                    Accept
+                  </Button>
+                )}
+                <Button variant="secondary" onClick={() => respond(trade.id, 'decline')} disabled={busy} className="text-xs px-3 py-1">
+                  Decline
+                </Button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {myOffers.length > 0 && (
+        <div className="space-y-2 mb-6">
+          <h3 className="text-sm font-semibold text-white">Your offers</h3>
+          {myOffers.map((trade) => (
+            <div key={trade.id} className="flex items-center justify-between gap-3 p-3 bg-slate-800/50 rounded-lg">
+              <span className="text-sm text-slate-300">
+                Your <strong className="text-white">{giftTitle(trade.offeredGiftId)}</strong> for
+                {' '}{possessive(trade.toSeatId)} <strong className="text-white">{giftTitle(trade.requestedGiftId)}</strong> - waiting for an answer
+              </span>
+              <Button variant="secondary" onClick={() => respond(trade.id, 'cancel')} disabled={busy} className="text-xs px-3 py-1 flex-shrink-0">
+                Cancel
+              </Button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {completed.length > 0 ? (
+        <div className="space-y-1">
+          <h3 className="text-sm font-semibold text-white mb-1">Trades made</h3>
+          {completed.map((trade) => (
+            <p key={trade.id} className="text-sm text-slate-400">
+              {getName(trade.fromSeatId)} swapped {giftTitle(trade.offeredGiftId)} for {possessive(trade.toSeatId)} {giftTitle(trade.requestedGiftId)}
+            </p>
+          ))}
+        </div>
+      ) : (
+        !isOpen && <p className="text-sm text-slate-400">No gifts were traded.</p>
+      )}
+    </div>
+  );
+}
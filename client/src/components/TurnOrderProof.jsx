@@ -0,0 +1,67 @@
+/**
+ * Turn Order Proof Component
+ * Shows the revealed shuffle seed after the game and checks it in the browser
+ * against the hash published at the start
+ */
+import { useState, useEffect } from 'react';
+import { apiRequest } from '../utils/api.js';
+import { verifyShuffle } from '../utils/fairShuffle.js';
+
+export function TurnOrderProof({ partyId }) {
+  const [proof, setProof] = useState(null);
+  const [result, setResult] = useState(null);
+
+  useEffect(() => {
+    if (!partyId) return;
+    let cancelled = false;
+
+    const loadProof = async () => {
+      try {
+        const data = await apiRequest(`/api/game/fairness/${partyId}`);
+        if (cancelled || !data.seed) return;
+        const verification = await verifyShuffle(data);
+        if (cancelled) return;
+        setProof(data);
+        setResult(verification);
+      } catch (error) {
+        // Games started before seeded shuffles have no proof - nothing to show
+        console.warn('Could not load turn order proof:', error.message);
+      }
+    };
+
+    loadProof();
+    return () => {
+      cancelled = true;
+    };
+  }, [partyId]);
+
+  if (!proof || !result) {
+    return null;
+  }
+
+  const isFair = result.seedMatchesHash && result.turnOrderMatches;
+
+  return (
+    <div className="mb-12 bg-slate-800/40 border border-white/5 rounded-xl p-4">
+      <p className={`text-sm font-semibold mb-2 ${isFair ? 'text-green-300' : 'text-red-300'}`}>
+        {isFair
+          ? '✅ Turn order verified - it came from the seed committed at the start'
+          : '⚠️ Turn order could not be verified against the published seed hash'}
+      </p>
+      <dl className="text-xs font-mono text-slate-400 space-y-1 break-all">
+        <div>
+          <dt className="inline text-slate-500">Seed hash (published at start): </dt>
+          <dd className="inline">{proof.seedHash}</dd>
+        </div>
+        <div>
+          <dt className="inline text-slate-500">Revealed seed: </dt>
+          <dd className="inline">{proof.seed}</dd>
+        </div>
+        <div>
+          <dt className="inline text-slate-500">Algorithm: </dt>
+          <dd className="inline">{proof.algorithm}</dd>
+        </div>
+      </dl>
+    </div>
+  );
+}
@@ -0,0 +1,125 @@
+/**
+ * Turn Order Setup Component
+ * Lobby panel for the 'manual' (host arranges) and 'draw' (numbers from a hat) turn order modes
+ */
+import { useState, useEffect } from 'react';
+import { Button } from './ui/Button.jsx';
+import { apiRequest } from '../utils/api.js';
+
+export function TurnOrderSetup({ partyId, mode, participants, userNames, userEmails, userId, isAdmin }) {
+  const going = participants.filter((p) => p.status === 'GOING');
+  // Numbered participants first, in turn order
+  const byTurnNumber = [...going].sort((a, b) => (a.turnNumber ?? Infinity) - (b.turnNumber ?? Infinity));
+
+  const [order, setOrder] = useState(byTurnNumber.map((p) => p.id));
+  const [busy, setBusy] = useState(false);
+  const orderKey = byTurnNumber.map((p) => `${p.id}:${p.turnNumber ?? ''}`).join(',');
+
+  // Reset the local arrangement when participants or saved numbers change
+  useEffect(() => {
+    setOrder(byTurnNumber.map((p) => p.id));
+  }, [orderKey]);
+
+  const getName = (participantId) => {
+    if (participantId === userId) return 'You';
+    if (userNames[participantId] && userNames[participantId] !== participantId) return userNames[participantId];
+    if (userEmails[participantId]) return userEmails[participantId].split('@')[0];
+    return `User ${participantId.slice(0, 8)}`;
+  };
+
+  const run = async (endpoint, body) => {
+    setBusy(true);
+    try {
+      await apiRequest(endpoint, { method: 'POST', body: JSON.stringify({ partyId, ...body }) });
+    } catch (error) {
+      console.error(`Error calling ${endpoint}:`, error);
+      alert(error.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const move = (index, offset) => {
+    const next = [...order];
+    [next[index], next[index + offset]] = [next[index + offset], next[index]];
+    setOrder(next);
+  };
+
+  const allNumbered = going.length > 0 && going.every((p) => p.turnNumber);
+
+  return (
+    <div className="bg-slate-900/80 backdrop-blur-xl border border-white/10 shadow-2xl rounded-2xl p-6 mb-6">
+      <h3 className="text-xl font-bold text-white mb-1">
+        {mode === 'draw' ? '🎩 Draw for Turn Order' : '📋 Turn Order'}
+      </h3>
+      <p className="text-sm text-slate-400 mb-4">
+        {mode === 'draw'
+          ? 'Everyone draws a number from the hat - #1 goes first.'
+          : isAdmin
+            ? 'Arrange the players in the order they will take their turns.'
+            : 'The host is setting the turn order.'}
+      </p>
+
+      {mode === 'manual' ? (
+        <div className="space-y-2">
+          {order.map((participantId, index) => (
+            <div key={participantId} className="flex items-center justify-between p-3 bg-slate-800/50 rounded-lg">
+              <span className="text-white font-medium">
+                <span className="font-bold mr-2">{index + 1}.</span>
+                {getName(participantId)}
+              </span>
+              {isAdmin && (
+                <div className="flex gap-1">
+                  <Button variant="secondary" className="text-xs px-2 py-1" disabled={index === 0} onClick={() => move(index, -1)}>
+                    ↑
+                  </Button>
+                  <Button variant="secondary" className="text-xs px-2 py-1" disabled={index === order.length - 1} onClick={() => move(index, 1)}>
+                    ↓
+                  </Button>
+                </div>
+              )}
+            </div>
+          ))}
+          {isAdmin && (
+            <Button onClick={() => run('/api/game/turn-order', { turnOrder: order })} disabled={busy || order.length === 0}>
+              {busy ? 'Saving...' : allNumbered ? 'Update Turn Order' : 'Save Turn Order'}
+            </Button>
+          )}
+        </div>
+      ) : (
+        <div className="space-y-2">
+          {byTurnNumber.map((participant) => {
+            const canDraw = !participant.turnNumber && (participant.id === userId || isAdmin);
+            return (
+              <div key={participant.id} className="flex items-center justify-between p-3 bg-slate-800/50 rounded-lg">
+                <span className="text-white font-medium">{getName(participant.id)}</span>
+                {participant.turnNumber ? (
+                  <span className="text-lg font-bold text-indigo-300">#{participant.turnNumber}</span>
+                ) : canDraw ? (
+                  <Button
+                    className="text-xs px-3 py-1"
+                    disabled={busy}
+                    onClick={() => run('/api/game/turn-order/draw', { participantId: participant.id })}
+                  >
+                    {participant.id === userId ? 'Draw My Number' : 'Draw'}
+                  </Button>
+                ) : (
+                  <span className="text-xs text-slate-500">Waiting to draw...</span>
+                )}
+              </div>
+            );
+          })}
+          {isAdmin && going.some((p) => p.turnNumber) && (
+            <Button
+              variant="secondary"
+              disabled={busy}
+              onClick={() => confirm('Clear all drawn numbers and draw again?') && run('/api/game/turn-order/clear')}
+            >
+              Redo Draw
+            </Button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,31 @@
+/**
+ * Turn Timer Component
+ * Counts down to the server's turn deadline - when it hits zero the server plays the turn
+ */
+import { useState, useEffect } from 'react';
+
+export function TurnTimer({ deadline, isMyTurn }) {
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    if (!deadline) return;
+    setNow(Date.now());
+    const interval = setInterval(() => setNow(Date.now()), 250);
+    return () => clearInterval(interval);
+  }, [deadline]);
+
+  if (!deadline) {
+    return null;
+  }
+
+  const secondsLeft = Math.max(0, Math.ceil((new Date(deadline).getTime() - now) / 1000));
+  const isLow = secondsLeft <= 10;
+
+  return (
+    <p className={`mt-2 text-sm font-mono ${isLow ? 'text-red-400 animate-pulse' : 'text-slate-400'}`}>
+      ⏱️ {secondsLeft > 0
+        ? `${Math.floor(secondsLeft / 60)}:${String(secondsLeft % 60).padStart(2, '0')}`
+        : isMyTurn ? 'Time is up - playing for you...' : 'Time is up...'}
+    </p>
+  );
+}
@@ -48,6 +48,9 @@ export function SimulationControls({ socket, partyId, gameState }) {
         userNames: userNames,
         gameState: lastGameState, // Pass full gameState so validator can check total gift count
         maxSteals: lastGameState.config?.maxSteals || 3,
+        maxStealsPerTurn: lastGameState.config?.maxStealsPerTurn ?? null,
+        stealExclusionGroups: lastGameState.config?.stealExclusionGroups ?? [],
+        giftsPerPlayer: lastGameState.config?.giftsPerPlayer ?? 1,
       };
     }
   }, [lastGameState, userNames]);
@@ -6,12 +6,159 @@
 import { useReducer, useEffect, useRef, useCallback, useMemo, useState } from 'react';
 import { useAuth } from './useAuth.js';
 import { useParty } from './useParty.js';
-import { gameReducer, initialState, ActionTypes, gameActions } from '../reducers/gameReducer.js';
+import { gameReducer, initialState, ActionTypes, gameActions, getGiftsPerPlayer, hasFullHand, getSeatId, getTurnPool } from '../reducers/gameReducer.js';
 import { io } from 'socket.io-client';
 import { auth } from '../utils/firebase.js';
 import { trackGameAction, trackGameComplete, trackError, trackEvent } from '../utils/analytics.js';
 import { SERVER_URL } from '../utils/config.js';
 
+// Server block reasons worth explaining on a gift card (others are implied by the UI)
+const SHOWN_STEAL_BLOCK_REASONS = new Set(['GIFT_FROZEN', 'UTURN_BLOCKED', 'HOLDING_GIFT', 'STEAL_QUOTA_REACHED', 'STEAL_CHAIN_LIMIT', 'STEAL_EXCLUDED', 'OWN_SUBMITTED_GIFT', 'WRONG_POOL']);
+
+// Action error codes that are normal game conditions - roll back without an error toast
+const QUIET_ACTION_ERROR_CODES = new Set([
+  'NOT_YOUR_TURN',
+  'ALREADY_ACTED',
+  'GIFT_NOT_AVAILABLE',
+  'GIFT_FROZEN',
+  'OWN_GIFT',
+  'UTURN_BLOCKED',
+  'HOLDING_GIFT',
+  'STEAL_QUOTA_REACHED',
+  'STEAL_CHAIN_LIMIT',
+  'STEAL_EXCLUDED',
+  'OWN_SUBMITTED_GIFT',
+  'WRONG_POOL',
+  'GAME_PAUSED', // The paused overlay already explains it
+]);
+
+// Game action acks: resend with the same actionId on timeout (the server applies it at most once)
+const ACTION_ACK_TIMEOUT = 5000;
+const ACTION_MAX_ATTEMPTS = 3;
+const ACTION_IN_PROGRESS_RETRY_DELAY = 1000;
+
+/**
+ * Whether a player has used all their steals (config.maxStealsPerPlayer)
+ * Mirrors GameEngine.hasReachedStealQuota: waived when stealing is their only way to get a gift
+ */
+function hasReachedStealQuota(gameState, gifts, playerId) {
+  const quota = gameState?.config?.maxStealsPerPlayer;
+  const stealCount = new Map(gameState?.playerStealCounts || []).get(playerId) || 0;
+  if (!quota || stealCount < quota) {
+    return false;
+  }
+  return hasFullHand(gameState, gifts, playerId) || Object.values(gifts).some((g) => g.isWrapped);
+}
+
+/**
+ * Whether the current turn has used all its steals (config.maxStealsPerTurn)
+ * Mirrors GameEngine.isStealChainCapped, including the config.stealChainFallback waiver
+ */
+function isStealChainCapped(gameState, gifts, playerId) {
+  const cap = gameState?.config?.maxStealsPerTurn;
+  if (!cap || (gameState?.turnStealCount || 0) < cap) {
+    return false;
+  }
+  const giftList = Object.values(gifts);
+  if (giftList.some((g) => g.isWrapped)) {
+    return true;
+  }
+  return hasFullHand(gameState, gifts, playerId) && gameState.config.stealChainFallback !== 'steal';
+}
+
+/**
+ * Whether the gift's holder is in the player's no-steal group (config.stealExclusionGroups)
+ * Mirrors GameEngine.isStealExcluded, including the waiver when stealing is their only way to get a gift
+ */
+function isStealExcluded(gameState, gifts, playerId, ownerId) {
+  const groups = gameState?.config?.stealExclusionGroups;
+  if (!ownerId || !groups?.some(({ playerIds }) => playerIds.includes(playerId) && playerIds.includes(ownerId))) {
+    return false;
+  }
+  return hasFullHand(gameState, gifts, playerId) || Object.values(gifts).some((g) => g.isWrapped);
+}
+
+/**
+ * Whether the gift is the one the player brought and the party forbids self-wins (config.forbidOwnGift)
+ * Mirrors GameEngine.isOwnGiftBlocked, including the waiver when stealing is their only way to get a gift
+ */
+function isOwnGiftBlocked(gameState, gifts, giftId, playerId) {
+  if (!gameState?.config?.forbidOwnGift || gameState.giftSubmitters?.[giftId] !== playerId) {
+    return false;
+  }
+  return hasFullHand(gameState, gifts, playerId) || Object.values(gifts).some((g) => g.isWrapped);
+}
+
+/**
+ * Why the gift's pool is off limits to the player, or null if it isn't (config.giftPoolMode)
+ * Mirrors GameEngine.getPoolBlockReason: one gift from each pool, swapped only within a pool
+ */
+function getPoolBlockReason(gameState, gifts, giftId, playerId) {
+  const pool = gifts[giftId]?.pool;
+  if (!pool) {
+    return null;
+  }
+  const turnPool = getTurnPool(gameState);
+  if (turnPool && pool !== turnPool) {
+    return `This turn is for ${turnPool} gifts`;
+  }
+  const holdsPool = Object.values(gifts).some((g) => !g.isWrapped && g.ownerId === playerId && g.pool === pool);
+  if (hasFullHand(gameState, gifts, playerId)) {
+    return holdsPool ? null : `You have no ${pool} gift to swap for this one`;
+  }
+  return holdsPool ? `You already have a ${pool} gift` : null;
+}
+
+/**
+ * Whether a DOUBLE_ACTION chaos card lets the player act while holding a gift right now
+ * Mirrors GameEngine.isChaosExtraTurn
+ */
+function isChaosExtraTurn(gameState, playerId) {
+  const extraTurn = gameState?.chaosExtraTurn;
+  return Boolean(extraTurn) && !gameState.currentVictim &&
+    extraTurn.turnIndex === gameState.currentTurnIndex && extraTurn.playerId === playerId;
+}
+
+/**
+ * Why the player can't swap for a gift in the last-chance round, or null if they can
+ * Mirrors GameEngine.getLastChanceSwapBlockReason - only locked gifts are protected
+ */
+function getLastChanceSwapBlockReason(gameState, gifts, giftId, playerId) {
+  const gift = gifts[giftId];
+  const ownGifts = Object.values(gifts).filter((g) => !g.isWrapped && g.ownerId === playerId);
+  if (gift.ownerId === playerId) {
+    return 'You already own this gift';
+  }
+  if (gift.isFrozen) {
+    return 'This gift is locked';
+  }
+  if (isStealExcluded(gameState, gifts, playerId, gift.ownerId)) {
+    return 'You cannot swap with someone in your no-steal group';
+  }
+  if (isOwnGiftBlocked(gameState, gifts, giftId, playerId)) {
+    return 'You cannot swap for the gift you brought';
+  }
+  if (ownGifts.length === 0) {
+    return 'You have no gift to swap';
+  }
+  // With gift pools the swap stays within the gift's pool
+  const swapGifts = gift.pool ? ownGifts.filter((g) => g.pool === gift.pool) : ownGifts;
+  if (swapGifts.length === 0) {
+    return `You have no ${gift.pool} gift to swap for this one`;
+  }
+  if (swapGifts.every((g) => g.isFrozen)) {
+    return 'Your gift is locked - it stays with you';
+  }
+  return null;
+}
+
+function createActionId() {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
 export function useGameEngine(partyId) {
   const { user } = useAuth();
   const { gifts, participants, party } = useParty(partyId);
@@ -104,6 +251,7 @@ export function useGameEngine(partyId) {
         });
         // Use refs to get latest values
         dispatch(gameActions.gameStateReceived(gameState, giftsRef.current, participantsRef.current));
+        socket.emit('get-legal-moves', { partyId });
       });
 
       socket.on('game-started', (gameState) => {
@@ -114,6 +262,7 @@ export function useGameEngine(partyId) {
         });
         // Use refs to get latest values
         dispatch(gameActions.gameStarted(gameState, giftsRef.current, participantsRef.current));
+        socket.emit('get-legal-moves', { partyId });
       });
 
       socket.on('game-updated', (gameState) => {
@@ -127,6 +276,11 @@ export function useGameEngine(partyId) {
         pendingOptimisticUpdateRef.current = null;
         // Use refs to get latest values
         dispatch(gameActions.gameUpdated(gameState, giftsRef.current, participantsRef.current));
+        socket.emit('get-legal-moves', { partyId });
+      });
+
+      socket.on('legal-moves', (legalMoves) => {
+        dispatch(gameActions.legalMovesReceived(legalMoves));
       });
 
       socket.on('game-ended', (finalState) => {
@@ -243,6 +397,60 @@ export function useGameEngine(partyId) {
   // Instead, we rely on the reducer to handle participant ordering from the action payload
   // The mergeGifts and orderParticipants functions already handle this correctly
 
+  // Roll back an action's optimistic update (ignored once a newer action or server state replaced it)
+  const rollbackAction = useCallback((actionId) => {
+    const pending = pendingOptimisticUpdateRef.current;
+    if (!pending || pending.actionId !== actionId) return;
+    dispatch({
+      type: ActionTypes.ROLLBACK_OPTIMISTIC_UPDATE,
+      payload: { snapshot: pending.snapshot },
+    });
+    pendingOptimisticUpdateRef.current = null;
+  }, []);
+
+  // Emit a game action and handle its ack ({ ok, actionId, code, message })
+  // Success needs no handling here - the game-updated broadcast replaces the optimistic state
+  const emitGameAction = useCallback((event, payload, actionId) => {
+    const send = (attempt) => {
+      const socket = socketRef.current;
+      if (!socket) return;
+      
+      socket.timeout(ACTION_ACK_TIMEOUT).emit(event, { partyId, ...payload, actionId }, (err, result) => {
+        if (err) {
+          if (attempt < ACTION_MAX_ATTEMPTS) {
+            console.warn(`[GameEngine] No ack for ${event}, retrying (${attempt}/${ACTION_MAX_ATTEMPTS - 1})`);
+            send(attempt + 1);
+            return;
+          }
+          trackError('socket_action_timeout', event, 'useGameEngine');
+          dispatch(gameActions.errorReceived('No response from server. Please try again.'));
+          rollbackAction(actionId);
+          return;
+        }
+        
+        if (result.ok) return;
+        
+        // An earlier attempt of this action is still running - ask again for its result
+        if (result.code === 'ACTION_IN_PROGRESS' && attempt < ACTION_MAX_ATTEMPTS) {
+          setTimeout(() => send(attempt + 1), ACTION_IN_PROGRESS_RETRY_DELAY);
+          return;
+        }
+        
+        console.warn(`[GameEngine] ${event} rejected:`, result.code, result.message);
+        if (!QUIET_ACTION_ERROR_CODES.has(result.code)) {
+          dispatch(gameActions.errorReceived(result.message));
+        }
+        trackError('socket_action_error', `${result.code}: ${result.message}`, 'useGameEngine');
+        rollbackAction(actionId);
+      });
+    };
+    
+    send(1);
+  }, [partyId, rollbackAction]);
+
+  // The seat this user plays - shared by a household in team mode (config.teams)
+  const seatId = useMemo(() => getSeatId(state.gameState?.config, user?.uid), [state.gameState?.config, user?.uid]);
+
   // Optimistic action handlers
   const handlePickGift = useCallback((giftId) => {
     if (!socketRef.current || !state.ui.isSocketConnected) {
@@ -256,16 +464,17 @@ export function useGameEngine(partyId) {
     // Dispatch optimistic update
     dispatch({
       type: ActionTypes.OPTIMISTIC_PICK,
-      payload: { giftId, userId: user.uid },
+      payload: { giftId, userId: seatId },
     });
 
     // Store snapshot for potential rollback
-    pendingOptimisticUpdateRef.current = { snapshot, action: 'pick', giftId };
+    const actionId = createActionId();
+    pendingOptimisticUpdateRef.current = { snapshot, action: 'pick', giftId, actionId };
 
     // Emit socket event
     trackGameAction('reveal', partyId);
-    socketRef.current.emit('pick-gift', { partyId, giftId });
-  }, [state, user?.uid, partyId]);
+    emitGameAction('pick-gift', { giftId }, actionId);
+  }, [state, seatId, partyId, emitGameAction]);
 
   const handleStealGift = useCallback((giftId) => {
     if (!socketRef.current || !state.ui.isSocketConnected) {
@@ -287,18 +496,19 @@ export function useGameEngine(partyId) {
       type: ActionTypes.OPTIMISTIC_STEAL,
       payload: {
         giftId,
-        userId: user.uid,
+        userId: seatId,
         previousOwnerId: gift.ownerId,
       },
     });
 
     // Store snapshot for potential rollback
-    pendingOptimisticUpdateRef.current = { snapshot, action: 'steal', giftId };
+    const actionId = createActionId();
+    pendingOptimisticUpdateRef.current = { snapshot, action: 'steal', giftId, actionId };
 
     // Emit socket event
     trackGameAction('steal', partyId);
-    socketRef.current.emit('steal-gift', { partyId, giftId });
-  }, [state, user?.uid, partyId]);
+    emitGameAction('steal-gift', { giftId }, actionId);
+  }, [state, seatId, partyId, emitGameAction]);
 
   const handleEndTurn = useCallback(() => {
     if (!socketRef.current || !state.ui.isSocketConnected) {
@@ -315,41 +525,143 @@ export function useGameEngine(partyId) {
     });
 
     // Store snapshot for potential rollback
-    pendingOptimisticUpdateRef.current = { snapshot, action: 'endTurn' };
+    const actionId = createActionId();
+    pendingOptimisticUpdateRef.current = { snapshot, action: 'endTurn', actionId };
 
     // Emit socket event
     trackGameAction('end_turn', partyId);
-    socketRef.current.emit('end-turn', { partyId });
-  }, [state, partyId]);
+    emitGameAction('end-turn', {}, actionId);
+  }, [state, partyId, emitGameAction]);
+
+  // Admin undo - no optimistic update, the server broadcasts the rewound state
+  const handleUndoLastAction = useCallback(() => {
+    if (!socketRef.current || !state.ui.isSocketConnected) {
+      console.warn('Cannot undo: socket not connected');
+      return;
+    }
+
+    trackGameAction('undo_last_action', partyId);
+    emitGameAction('admin_undo_last_action', {}, createActionId());
+  }, [state.ui.isSocketConnected, partyId, emitGameAction]);
+
+  // Admin pause/resume - the server broadcasts the PAUSED/ACTIVE state
+  const handlePauseGame = useCallback(() => {
+    if (!socketRef.current || !state.ui.isSocketConnected) {
+      console.warn('Cannot pause: socket not connected');
+      return;
+    }
+
+    trackGameAction('pause_game', partyId);
+    emitGameAction('admin_pause_game', {}, createActionId());
+  }, [state.ui.isSocketConnected, partyId, emitGameAction]);
+
+  const handleResumeGame = useCallback(() => {
+    if (!socketRef.current || !state.ui.isSocketConnected) {
+      console.warn('Cannot resume: socket not connected');
+      return;
+    }
+
+    trackGameAction('resume_game', partyId);
+    emitGameAction('admin_resume_game', {}, createActionId());
+  }, [state.ui.isSocketConnected, partyId, emitGameAction]);
+
+  // Admin removes a player who left - the server broadcasts the new turn order
+  const handleRemovePlayer = useCallback((playerId) => {
+    if (!socketRef.current || !state.ui.isSocketConnected) {
+      console.warn('Cannot remove player: socket not connected');
+      return;
+    }
+
+    trackGameAction('remove_player', partyId);
+    emitGameAction('admin_remove_player', { playerId }, createActionId());
+  }, [state.ui.isSocketConnected, partyId, emitGameAction]);
+
+  // Admin adds a late arrival - position is 'random', 'next' or 'last'
+  const handleAddPlayer = useCallback((playerId, { position = 'random', giftTitle } = {}) => {
+    if (!socketRef.current || !state.ui.isSocketConnected) {
+      console.warn('Cannot add player: socket not connected');
+      return;
+    }
+
+    trackGameAction('add_player', partyId);
+    emitGameAction('admin_add_player', { playerId, position, giftTitle }, createActionId());
+  }, [state.ui.isSocketConnected, partyId, emitGameAction]);
 
   // Derived state calculations
   const isMyTurn = useMemo(() => {
     // Use activePlayerId from state machine (accounts for pendingVictimId)
     if (!state.activePlayerId || !user) return false;
-    return state.activePlayerId === user.uid;
-  }, [state.activePlayerId, user?.uid]);
+    return state.activePlayerId === seatId;
+  }, [state.activePlayerId, seatId]);
+
+  // Server-computed legal moves - only trusted while they match the state we are rendering
+  // Falls back to the local checks below until the server answers for the latest state
+  const legalMoves = useMemo(() => {
+    const moves = state.legalMoves;
+    if (!moves || !state.gameState || moves.stateVersion !== state.gameState.stateVersion) {
+      return null;
+    }
+    return moves;
+  }, [state.legalMoves, state.gameState]);
 
   const canPick = useMemo(() => {
     if (!isMyTurn || state.status !== 'PLAYING') return false;
+    if (legalMoves) return legalMoves.canPick;
     // Check if there are any wrapped gifts
     return Object.values(state.gifts).some(gift => gift.isWrapped);
-  }, [isMyTurn, state.status, state.gifts]);
+  }, [isMyTurn, state.status, state.gifts, legalMoves]);
+
+  // Whether this wrapped gift can be opened - with config.forbidOwnGift, not the one you brought while others are wrapped
+  const canPickGift = useCallback((giftId) => {
+    if (!canPick) return false;
+    if (legalMoves) return legalMoves.pickableGiftIds.includes(giftId);
+    if (getPoolBlockReason(state.gameState, state.gifts, giftId, seatId)) return false;
+    if (!state.gameState?.config?.forbidOwnGift || state.gameState.giftSubmitters?.[giftId] !== seatId) return true;
+    return !Object.values(state.gifts).some((g) => g.isWrapped && g.id !== giftId && state.gameState.giftSubmitters?.[g.id] !== seatId &&
+      !getPoolBlockReason(state.gameState, state.gifts, g.id, seatId));
+  }, [canPick, legalMoves, state.gameState, state.gifts, seatId]);
+
+  const canSkip = useMemo(() => {
+    if (!isMyTurn || state.status !== 'PLAYING') return false;
+    // Without a server answer, let the server decide (errors roll back)
+    return legalMoves ? legalMoves.canSkip : true;
+  }, [isMyTurn, state.status, legalMoves]);
 
   const getStealBlockReason = useCallback((giftId) => {
     if (!isMyTurn || state.status !== 'PLAYING') {
       return null; // Not shown - not your turn
     }
     
+    if (legalMoves) {
+      const blockReason = legalMoves.steals.find((steal) => steal.giftId === giftId)?.blockReason;
+      return blockReason && SHOWN_STEAL_BLOCK_REASONS.has(blockReason.code) ? blockReason.message : null;
+    }
+    
     const gift = state.gifts[giftId];
     if (!gift || gift.isWrapped) {
       return null; // Not shown - gift doesn't exist or wrapped
     }
+    if (state.gameState?.phase === 'LAST_CHANCE') {
+      return gift.ownerId === seatId ? null : getLastChanceSwapBlockReason(state.gameState, state.gifts, giftId, seatId);
+    }
     if (gift.isFrozen) {
       return "This gift is locked (3 steals)";
     }
-    if (gift.ownerId === user?.uid) {
+    if (hasReachedStealQuota(state.gameState, state.gifts, seatId)) {
+      return `You have used all ${state.gameState.config.maxStealsPerPlayer} of your steals this game`;
+    }
+    if (isStealChainCapped(state.gameState, state.gifts, seatId)) {
+      return `This turn has reached its limit of ${state.gameState.config.maxStealsPerTurn} steals`;
+    }
+    if (gift.ownerId === seatId) {
       return null; // Not shown - own gift
     }
+    if (isStealExcluded(state.gameState, state.gifts, seatId, gift.ownerId)) {
+      return 'You cannot steal from someone in your no-steal group';
+    }
+    if (isOwnGiftBlocked(state.gameState, state.gifts, giftId, seatId)) {
+      return 'You cannot steal the gift you brought';
+    }
     
     // Check U-turn rule
     const turnOrder = state.gameState?.turnOrder || [];
@@ -357,46 +669,63 @@ export function useGameEngine(partyId) {
     const returnToStart = state.gameState?.config?.returnToStart || false;
     const isBoomerangPhase = returnToStart && (
       state.gameState?.isBoomerangPhase || 
-      (state.currentTurnIndex >= (turnOrder.length || 0))
+      (state.currentTurnIndex >= (turnOrder.length || 0) * getGiftsPerPlayer(state.gameState?.config))
     );
     
-    if (gift.lastOwnerId === user?.uid && !isBoomerangPhase) {
+    if (gift.lastOwnerId === seatId && !isBoomerangPhase) {
       return "You can't steal this gift back yet - wait until the next turn";
     }
     
     // Check if player has gift
-    const playerHasGift = Object.values(state.gifts).some(g => 
-      !g.isWrapped && g.ownerId === user?.uid
-    );
+    const playerHasGift = hasFullHand(state.gameState, state.gifts, seatId);
     
     if (playerHasGift) {
       const isLastIndex = state.currentTurnIndex === (turnQueue.length - 1);
-      const isPlayer1 = turnOrder.length > 0 && turnOrder[0] === user?.uid;
+      const isPlayer1 = turnOrder.length > 0 && turnOrder[0] === seatId;
       const isPlayer1FinalTurn = isLastIndex && isPlayer1;
       
-      if (!isBoomerangPhase && !isPlayer1FinalTurn) {
+      if (!isBoomerangPhase && !isPlayer1FinalTurn && !isChaosExtraTurn(state.gameState, seatId)) {
         return "You already have a gift - you can only swap in boomerang phase";
       }
     }
     
-    return null; // No blocking reason
-  }, [isMyTurn, state.status, state.gifts, state.gameState, state.currentTurnIndex, state.turnQueue, user?.uid]);
+    return getPoolBlockReason(state.gameState, state.gifts, giftId, seatId);
+  }, [isMyTurn, state.status, state.gifts, state.gameState, state.currentTurnIndex, state.turnQueue, seatId, legalMoves]);
 
   const canSteal = useCallback((giftId) => {
     if (!isMyTurn || state.status !== 'PLAYING') {
       return false;
     }
     
+    if (legalMoves) {
+      return legalMoves.stealableGiftIds.includes(giftId);
+    }
+    
     const gift = state.gifts[giftId];
     if (!gift || gift.isWrapped) {
       return false;
     }
+    if (state.gameState?.phase === 'LAST_CHANCE') {
+      return getLastChanceSwapBlockReason(state.gameState, state.gifts, giftId, seatId) === null;
+    }
     if (gift.isFrozen) {
       return false;
     }
-    if (gift.ownerId === user?.uid) {
+    if (gift.ownerId === seatId) {
       return false; // Can't steal your own gift
     }
+    if (hasReachedStealQuota(state.gameState, state.gifts, seatId)) {
+      return false;
+    }
+    if (isStealChainCapped(state.gameState, state.gifts, seatId)) {
+      return false;
+    }
+    if (isStealExcluded(state.gameState, state.gifts, seatId, gift.ownerId)) {
+      return false;
+    }
+    if (isOwnGiftBlocked(state.gameState, state.gifts, giftId, seatId)) {
+      return false;
+    }
     
     // RULE 4: Immediate Steal-Back Prevention (U-Turn Rule)
     // Per GAME_RULES.md Rule 4: "A player CANNOT steal a gift that was just stolen from them on the SAME turn"
@@ -407,10 +736,10 @@ export function useGameEngine(partyId) {
     const returnToStart = state.gameState?.config?.returnToStart || false;
     const isBoomerangPhase = returnToStart && (
       state.gameState?.isBoomerangPhase || 
-      (state.currentTurnIndex >= (turnOrder.length || 0))
+      (state.currentTurnIndex >= (turnOrder.length || 0) * getGiftsPerPlayer(state.gameState?.config))
     );
     
-    if (gift.lastOwnerId === user?.uid) {
+    if (gift.lastOwnerId === seatId) {
       // In boomerang phase, allow stealing even if lastOwnerId matches (turn has advanced)
       // The U-turn rule only prevents immediate steal-back on the SAME turn
       // Since we're in boomerang phase, turns have advanced, so allow the steal
@@ -421,25 +750,23 @@ export function useGameEngine(partyId) {
     
     // RULE 1: One Gift Per Person (Double-Dip Prevention)
     // Check if player already has a gift
-    const playerHasGift = Object.values(state.gifts).some(g => 
-      !g.isWrapped && g.ownerId === user?.uid
-    );
+    const playerHasGift = hasFullHand(state.gameState, state.gifts, seatId);
     
     if (playerHasGift) {
       // Player has a gift - can only steal if:
       // - Exception 1: Player 1's Final Turn (bookend exception)
       // - Exception 2: Boomerang Phase (players can swap) - only if returnToStart is enabled
       const isLastIndex = state.currentTurnIndex === (turnQueue.length - 1);
-      const isPlayer1 = turnOrder.length > 0 && turnOrder[0] === user?.uid;
+      const isPlayer1 = turnOrder.length > 0 && turnOrder[0] === seatId;
       const isPlayer1FinalTurn = isLastIndex && isPlayer1;
       
-      if (!isBoomerangPhase && !isPlayer1FinalTurn) {
-        return false; // Player has a gift and it's not boomerang phase or Player 1's final turn
+      if (!isBoomerangPhase && !isPlayer1FinalTurn && !isChaosExtraTurn(state.gameState, seatId)) {
+        return false; // Player has a gift and it's not boomerang phase, Player 1's final turn or a chaos extra turn
       }
     }
     
-    return true;
-  }, [isMyTurn, state.status, state.gifts, state.gameState, state.currentTurnIndex, state.turnQueue, user?.uid]);
+    return getPoolBlockReason(state.gameState, state.gifts, giftId, seatId) === null;
+  }, [isMyTurn, state.status, state.gifts, state.gameState, state.currentTurnIndex, state.turnQueue, seatId, legalMoves]);
 
   // Emit reaction method
   const emitReaction = useCallback((emoji) => {
@@ -458,12 +785,21 @@ export function useGameEngine(partyId) {
       pickGift: handlePickGift,
       stealGift: handleStealGift,
       endTurn: handleEndTurn,
+      undoLastAction: handleUndoLastAction,
+      pauseGame: handlePauseGame,
+      resumeGame: handleResumeGame,
+      removePlayer: handleRemovePlayer,
+      addPlayer: handleAddPlayer,
     },
     derived: {
+      seatId,
       isMyTurn,
       canPick,
+      canPickGift,
       canSteal,
+      canSkip,
       getStealBlockReason,
+      legalMoves,
     },
     socket,
     emitReaction,
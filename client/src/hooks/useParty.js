@@ -10,6 +10,7 @@ import {
   where,
 } from 'firebase/firestore';
 import { db } from '../utils/firebase.js';
+import { useAuth } from './useAuth.js';
 
 export function useParty(partyId) {
   const [party, setParty] = useState(null);
@@ -18,6 +19,11 @@ export function useParty(partyId) {
   const [gifts, setGifts] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const { user } = useAuth();
+  // Blind steal games hide other players' gifts until the game ends (see firestore.rules),
+  // so only the user's own submissions can be read meanwhile
+  const giftsHidden = party?.status === 'ACTIVE' && party?.config?.blindSteal === true;
+  const hiddenGiftsUserId = giftsHidden ? user?.uid ?? null : null;
 
   useEffect(() => {
     if (!partyId) {
@@ -80,12 +86,40 @@ export function useParty(partyId) {
       }
     );
 
+    // Subscribe to pending invites
+    const pendingInvitesUnsubscribe = onSnapshot(
+      collection(db, 'parties', partyId, 'pendingInvites'),
+      (snapshot) => {
+        const invitesList = snapshot.docs.map((doc) => ({
+          id: doc.id,
+          ...doc.data(),
+        }));
+        setPendingInvites(invitesList);
+      }
+    );
+
+    return () => {
+      partyUnsubscribe();
+      participantsUnsubscribe();
+      pendingInvitesUnsubscribe();
+    };
+  }, [partyId]);
+
+  useEffect(() => {
+    if (!partyId) {
+      return;
+    }
+    if (giftsHidden && !hiddenGiftsUserId) {
+      setGifts([]);
+      return;
+    }
+
     // Subscribe to gifts
+    const giftsQuery = giftsHidden
+      ? query(collection(db, 'gifts'), where('partyId', '==', partyId), where('submitterId', '==', hiddenGiftsUserId))
+      : query(collection(db, 'gifts'), where('partyId', '==', partyId));
     const giftsUnsubscribe = onSnapshot(
-      query(
-        collection(db, 'gifts'),
-        where('partyId', '==', partyId)
-      ),
+      giftsQuery,
       (snapshot) => {
         const giftsList = snapshot.docs.map((doc) => ({
           id: doc.id,
@@ -106,25 +140,10 @@ export function useParty(partyId) {
       }
     );
 
-    // Subscribe to pending invites
-    const pendingInvitesUnsubscribe = onSnapshot(
-      collection(db, 'parties', partyId, 'pendingInvites'),
-      (snapshot) => {
-        const invitesList = snapshot.docs.map((doc) => ({
-          id: doc.id,
-          ...doc.data(),
-        }));
-        setPendingInvites(invitesList);
-      }
-    );
-
     return () => {
-      partyUnsubscribe();
-      participantsUnsubscribe();
       giftsUnsubscribe();
-      pendingInvitesUnsubscribe();
     };
-  }, [partyId]);
+  }, [partyId, giftsHidden, hiddenGiftsUserId]);
 
   return { party, participants, pendingInvites, gifts, loading, error };
 }
@@ -0,0 +1,44 @@
+/**
+ * Post-Game Trades Hook - Firestore subscription to parties/{partyId}/trades
+ * Offers are written by the server (POST /api/game/trades); this only listens.
+ */
+import { useState, useEffect } from 'react';
+import { collection, onSnapshot, orderBy, query } from 'firebase/firestore';
+import { db } from '../utils/firebase.js';
+
+/**
+ * @param {string} partyId
+ * @param {boolean} enabled - Only subscribe once the game has ended with trading on
+ * @returns {Array<Object>} Trades, oldest first
+ */
+export function useTrades(partyId, enabled) {
+  const [trades, setTrades] = useState([]);
+
+  useEffect(() => {
+    if (!partyId || !enabled) {
+      setTrades([]);
+      return;
+    }
+
+    const tradesUnsubscribe = onSnapshot(
+      query(collection(db, 'parties', partyId, 'trades'), orderBy('createdAt')),
+      (snapshot) => {
+        setTrades(snapshot.docs.map((doc) => ({
+          id: doc.id,
+          ...doc.data(),
+        })));
+      },
+      (error) => {
+        console.error('❌ Error fetching trades:', error);
+        // Set empty array on error so UI doesn't break
+        setTrades([]);
+      }
+    );
+
+    return () => {
+      tradesUnsubscribe();
+    };
+  }, [partyId, enabled]);
+
+  return trades;
+}
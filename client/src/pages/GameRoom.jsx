@@ -5,8 +5,10 @@
  */
 import { useState, useEffect, useRef } from 'react';
 import { useGameEngine } from '../hooks/useGameEngine.js';
+import { getGiftsPerPlayer, getSeatId, getTurnPool } from '../reducers/gameReducer.js';
 import { useAuth } from '../hooks/useAuth.js';
 import { useParty } from '../hooks/useParty.js';
+import { useTrades } from '../hooks/useTrades.js';
 import { useGameSounds } from '../hooks/useGameSounds.js';
 import { GiftGrid } from '../components/GiftGrid.jsx';
 import { Button } from '../components/ui/Button.jsx';
@@ -15,10 +17,23 @@ import { SimulationControls } from '../components/dev/SimulationControls.jsx';
 import { ReactionBar } from '../components/ReactionBar.jsx';
 import { ReactionOverlay } from '../components/ReactionOverlay.jsx';
 import { GiftToSendCard } from '../components/GiftToSendCard.jsx';
+import { TurnOrderProof } from '../components/TurnOrderProof.jsx';
+import { TurnTimer } from '../components/TurnTimer.jsx';
+import { PausedOverlay } from '../components/PausedOverlay.jsx';
+import { LateJoinPanel } from '../components/LateJoinPanel.jsx';
+import { TradeWindow } from '../components/TradeWindow.jsx';
+import { RoundResults } from '../components/RoundResults.jsx';
 import { GiftIcon } from '@heroicons/react/24/outline';
 import confetti from 'canvas-confetti';
 import { apiRequest } from '../utils/api.js';
 
+// Why an extra gift (more gifts than everyone's share) ended up with someone - by party.config.surplusGiftPolicy
+const SURPLUS_GIFT_NOTES = {
+  return: 'An extra gift - it came back to you',
+  bonus_round: 'Won in the bonus round',
+  admin: 'An extra gift - the host takes it home',
+};
+
 // Error Toast Component with auto-dismiss
 function ErrorToast({ message, onDismiss }) {
   useEffect(() => {
@@ -57,14 +72,18 @@ function ErrorToast({ message, onDismiss }) {
 
 export function GameRoom({ partyId }) {
   const { user } = useAuth();
-  const { party } = useParty(partyId);
+  const { party, participants: partyParticipants, gifts: partyGifts } = useParty(partyId);
   const { state, actions, derived, socket, emitReaction, dispatch } = useGameEngine(partyId);
   const { playTurnNotification, playSteal, playUnwrap } = useGameSounds();
   const [userNames, setUserNames] = useState({});
   const [userEmails, setUserEmails] = useState({});
   const [revealingGiftId, setRevealingGiftId] = useState(null);
-  const [prizeImageError, setPrizeImageError] = useState(false);
+  const [prizeImageErrors, setPrizeImageErrors] = useState({}); // giftId -> true once its image failed
+  const [showLateJoin, setShowLateJoin] = useState(false);
   const prevIsMyTurnRef = useRef(false);
+  // Post-game trading (config.tradeWindowMinutes) - offers are only read once the game has ended
+  const tradeWindowMinutes = (state.gameState?.config || party?.config)?.tradeWindowMinutes || null;
+  const trades = useTrades(partyId, party?.status === 'ENDED' && Boolean(tradeWindowMinutes));
 
   // Function to trigger confetti
   const triggerConfetti = () => {
@@ -179,6 +198,11 @@ export function GameRoom({ partyId }) {
     };
   }, [socket, playSteal, playUnwrap]);
 
+  // Guests who RSVP'd after the game started - the admin can add them to the game
+  const lateArrivalIds = (partyParticipants || [])
+    .filter((p) => p.status === 'GOING' && state.gameState?.turnOrder && !state.gameState.turnOrder.includes(getSeatId(state.gameState.config, p.id)))
+    .map((p) => p.id);
+
   // Fetch user names for display
   useEffect(() => {
     const fetchUserNames = async () => {
@@ -191,7 +215,11 @@ export function GameRoom({ partyId }) {
       try {
         const allUserIds = [
           ...state.participants.map(p => p.id),
+          ...(state.gameState?.config?.teams || []).flatMap(({ playerIds }) => playerIds),
+          ...lateArrivalIds,
           ...Object.values(state.gifts).map(g => g.ownerId).filter(Boolean),
+          // Winners from earlier rounds of a multi-round party
+          ...(partyGifts || []).map(g => g.winnerId).filter(Boolean),
         ].filter(Boolean);
 
         if (allUserIds.length === 0) return;
@@ -209,7 +237,7 @@ export function GameRoom({ partyId }) {
     };
 
     fetchUserNames();
-  }, [state.participants, state.gifts]);
+  }, [state.participants, state.gifts, partyGifts, lateArrivalIds.join()]);
 
   // Calculate rounds remaining
   const calculateRoundsRemaining = () => {
@@ -250,13 +278,41 @@ export function GameRoom({ partyId }) {
 
   const roundsInfo = calculateRoundsRemaining();
   const isAdmin = party?.adminId === user?.uid;
+  // Multi-round parties (config.rounds) - this game is one round of several
+  const gameRounds = state.gameState?.config?.rounds || [];
+  const currentRound = state.gameState?.config?.round ?? 0;
+  const nextRound = gameRounds[currentRound + 1] || null;
+  // The seat you play - your household's in team mode - and the names shown for seats
+  const { seatId } = derived;
+  const playerNames = { ...userNames };
+  const teamSeatIds = new Set((state.gameState?.config?.teams || []).map((team) => team.seatId));
+  (state.gameState?.config?.teams || []).forEach(({ seatId: teamSeatId, playerIds }) => {
+    playerNames[teamSeatId] = playerIds
+      .map((id) => userNames[id] || userEmails[id] || `Player ${id.slice(0, 8)}`)
+      .join(' & ');
+  });
   // Use activePlayerId from state machine (accounts for pendingVictimId)
   const currentPlayerId = state.activePlayerId;
   const allGiftsFrozen = Object.values(state.gifts).filter(g => !g.isWrapped).every(g => g.isFrozen);
+  // Per-player steal quota - shown on the queue chips when the party sets one
+  const stealQuota = state.gameState?.config?.maxStealsPerPlayer || null;
+  const playerStealCounts = new Map(state.gameState?.playerStealCounts || []);
+  // Players in your no-steal group (e.g. your partner) - marked on the queue chips
+  const myNoStealGroup = (state.gameState?.config?.stealExclusionGroups || [])
+    .find(({ playerIds }) => playerIds.includes(seatId))?.playerIds || [];
+  const giftsInGame = new Set([
+    ...(state.gameState?.wrappedGifts || []),
+    ...(state.gameState?.unwrappedGifts || []).map(([giftId]) => giftId),
+  ]);
+  const lateArrivals = lateArrivalIds.map((id) => ({
+    id,
+    name: userNames[id] || userEmails[id] || `Player ${id.slice(0, 8)}`,
+    giftTitle: (partyGifts || []).find((g) => g.submitterId === id && !giftsInGame.has(g.id))?.title || null,
+  }));
 
   const getCurrentPlayerName = () => {
-    if (currentPlayerId === user?.uid) return 'Your Turn!';
-    return userNames[currentPlayerId] || userEmails[currentPlayerId] || `Player ${currentPlayerId?.slice(0, 8)}`;
+    if (currentPlayerId === seatId) return 'Your Turn!';
+    return playerNames[currentPlayerId] || userEmails[currentPlayerId] || `Player ${currentPlayerId?.slice(0, 8)}`;
   };
 
   // Loading state
@@ -284,23 +340,36 @@ export function GameRoom({ partyId }) {
   if (state.status === 'FINISHED' || party?.status === 'ENDED') {
     const getWinnerName = (ownerId) => {
       if (!ownerId) return 'No Winner';
-      if (ownerId === user?.uid) return 'You';
-      return userNames[ownerId] || userEmails[ownerId] || `User ${ownerId?.slice(0, 8)}`;
+      if (ownerId === seatId) return 'You';
+      return playerNames[ownerId] || userEmails[ownerId] || `User ${ownerId?.slice(0, 8)}`;
     };
 
-    // Get all gifts as array
-    const allGifts = Object.values(state.gifts || {});
+    // Get all gifts as array - a multi-round party's results cover every round, not just this one's board
+    const allGifts = gameRounds.length > 0 ? (partyGifts || []) : Object.values(state.gifts || {});
     
-    // Build a map to ensure each winner only gets ONE gift (first one encountered)
+    // Build a map to ensure each winner only gets their share of gifts (config.giftsPerPlayer, first ones encountered)
     // Use winnerId from Firestore (gifts that have been persisted with winners)
+    const giftsPerPlayer = getGiftsPerPlayer(state.gameState?.config || party?.config);
+    // Extra gifts (config.surplusGiftPolicy) come on top of a winner's share
+    const surplusGifts = state.gameState?.surplusGifts || {};
+    const isSurplusGift = (gift) => gift.isSurplus === true || Boolean(surplusGifts[gift.id]);
+    const surplusGiftNote = SURPLUS_GIFT_NOTES[(state.gameState?.config || party?.config)?.surplusGiftPolicy] || SURPLUS_GIFT_NOTES.return;
     const winnerGiftMap = new Map();
+    const addWinnerGift = (winnerId, gift) => {
+      const winnerGifts = winnerGiftMap.get(winnerId) || [];
+      const shareCount = winnerGifts.filter((g) => !isSurplusGift(g)).length;
+      if ((isSurplusGift(gift) || shareCount < giftsPerPlayer) && !winnerGifts.some((g) => g.id === gift.id)) {
+        winnerGiftMap.set(winnerId, [...winnerGifts, gift]);
+      }
+    };
     allGifts.forEach((gift) => {
-      if (gift.winnerId && !winnerGiftMap.has(gift.winnerId)) {
-        winnerGiftMap.set(gift.winnerId, gift);
+      if (gift.winnerId) {
+        addWinnerGift(gift.winnerId, gift);
       }
     });
 
     // Also check unwrapped gifts from gameState if available (for games that just ended)
+    const persistedWinnerIds = new Set(winnerGiftMap.keys());
     if (state.gameState?.unwrappedGifts) {
       const unwrappedMap = new Map(
         Array.isArray(state.gameState.unwrappedGifts)
@@ -309,19 +378,31 @@ export function GameRoom({ partyId }) {
       );
       
       unwrappedMap.forEach((giftData, giftId) => {
-        if (giftData?.ownerId && !winnerGiftMap.has(giftData.ownerId)) {
+        if (giftData?.ownerId && !persistedWinnerIds.has(giftData.ownerId)) {
           const gift = allGifts.find(g => g.id === giftId);
           if (gift) {
-            winnerGiftMap.set(giftData.ownerId, gift);
+            addWinnerGift(giftData.ownerId, gift);
           }
         }
       });
     }
+    Object.entries(surplusGifts).forEach(([giftId, winnerId]) => {
+      const gift = allGifts.find(g => g.id === giftId);
+      if (gift && !persistedWinnerIds.has(winnerId)) {
+        addWinnerGift(winnerId, gift);
+      }
+    });
 
-    // Identify the user's prize and obligation
-    const myPrize = winnerGiftMap.get(user?.uid); // Gift where winnerId === user?.uid
-    const myObligation = allGifts.find((gift) => gift.submitterId === user?.uid); // Gift where submitterId === user?.uid
-    const isSelfWin = myPrize?.id === myObligation?.id; // Check if user won their own gift
+    // Identify the user's prizes and obligations (one each unless config.giftsPerPlayer is higher)
+    const myPrizes = winnerGiftMap.get(seatId) || []; // Gifts where winnerId === seatId (your household's in team mode)
+    const myObligations = allGifts.filter((gift) => gift.submitterId === user?.uid); // Gifts where submitterId === user?.uid
+    const isSelfWin = (obligation) => myPrizes.some((prize) => prize.id === obligation.id); // Check if user won their own gift
+    const unwrappedOwners = new Map(Array.isArray(state.gameState?.unwrappedGifts) ? state.gameState.unwrappedGifts : []);
+    const getGiftWinnerId = (gift) => gift.winnerId || unwrappedOwners.get(gift.id)?.ownerId || surplusGifts[gift.id] || null;
+    // Trading opens when the party is marked ENDED (after the last round) and runs for config.tradeWindowMinutes
+    const tradeWindowEndsAt = tradeWindowMinutes && !nextRound && party?.endedAt?.toDate
+      ? new Date(party.endedAt.toDate().getTime() + tradeWindowMinutes * 60 * 1000)
+      : null;
 
     return (
       <>
@@ -338,13 +419,28 @@ export function GameRoom({ partyId }) {
               🎉
             </div>
             <h1 className="text-5xl font-bold mb-3 bg-gradient-to-r from-blue-600 to-purple-600 bg-clip-text text-transparent">
-              Game Over!
+              {nextRound ? `${gameRounds[currentRound].name} Over!` : 'Game Over!'}
             </h1>
-            <p className="text-xl text-slate-300">Time to see what you won and send your gifts!</p>
+            <p className="text-xl text-slate-300">
+              {nextRound
+                ? `Next up: ${nextRound.name}. What you've won can still change until the last round.`
+                : 'Time to see what you won and send your gifts!'}
+            </p>
           </div>
 
+          {/* Round Picker - each round's winners and the overall result */}
+          {gameRounds.length > 0 && (
+            <RoundResults
+              partyId={partyId}
+              currentRound={currentRound}
+              gifts={allGifts}
+              getName={getWinnerName}
+              isAdmin={isAdmin}
+            />
+          )}
+
           {/* What You Won Section */}
-          {myPrize && (
+          {myPrizes.length > 0 && (
             <div className="mb-12">
               <div className="flex items-center gap-3 mb-6">
                 <div className="bg-yellow-500/20 text-yellow-300 ring-1 ring-yellow-500/50 p-3 rounded-full">
@@ -355,46 +451,65 @@ export function GameRoom({ partyId }) {
                 <h2 className="text-2xl font-bold text-white mb-6">What You Won</h2>
               </div>
               <div className="space-y-6">
-                <div
-                  key={myPrize.id}
-                  className="bg-gradient-to-br from-white/10 to-white/5 backdrop-blur-xl border border-white/10 rounded-2xl p-6 shadow-[0_0_30px_-10px_rgba(234,179,8,0.3)] hover:border-white/20 transition-all"
-                >
-                  <div className="flex gap-6">
-                    <div className="relative w-32 h-32 rounded-lg overflow-hidden bg-gradient-to-br from-indigo-500 via-purple-500 to-pink-500 flex-shrink-0">
-                      {myPrize.image && !prizeImageError ? (
-                        <img
-                          src={myPrize.image}
-                          alt={myPrize.title || 'Gift'}
-                          className="w-full h-full object-cover"
-                          onError={() => setPrizeImageError(true)}
-                        />
-                      ) : (
-                        <div className="w-full h-full flex items-center justify-center">
-                          <GiftIcon className="w-12 h-12 text-white opacity-50" />
-                        </div>
-                      )}
-                    </div>
-                    <div className="flex-1">
-                      <h3 className="text-white text-3xl font-bold mb-2">{myPrize.title || 'Gift'}</h3>
-                      {myPrize.url && (
-                        <a
-                          href={myPrize.url}
-                          target="_blank"
-                          rel="noopener noreferrer"
-                          className="text-indigo-300 hover:text-white underline underline-offset-4 text-sm mb-4 inline-block"
-                        >
-                          View Gift Link ↗
-                        </a>
-                      )}
+                {myPrizes.map((myPrize) => (
+                  <div
+                    key={myPrize.id}
+                    className="bg-gradient-to-br from-white/10 to-white/5 backdrop-blur-xl border border-white/10 rounded-2xl p-6 shadow-[0_0_30px_-10px_rgba(234,179,8,0.3)] hover:border-white/20 transition-all"
+                  >
+                    <div className="flex gap-6">
+                      <div className="relative w-32 h-32 rounded-lg overflow-hidden bg-gradient-to-br from-indigo-500 via-purple-500 to-pink-500 flex-shrink-0">
+                        {myPrize.image && !prizeImageErrors[myPrize.id] ? (
+                          <img
+                            src={myPrize.image}
+                            alt={myPrize.title || 'Gift'}
+                            className="w-full h-full object-cover"
+                            onError={() => setPrizeImageErrors((errors) => ({ ...errors, [myPrize.id]: true }))}
+                          />
+                        ) : (
+                          <div className="w-full h-full flex items-center justify-center">
+                            <GiftIcon className="w-12 h-12 text-white opacity-50" />
+                          </div>
+                        )}
+                      </div>
+                      <div className="flex-1">
+                        <h3 className="text-white text-3xl font-bold mb-2">{myPrize.title || 'Gift'}</h3>
+                        {isSurplusGift(myPrize) && (
+                          <p className="text-sm text-yellow-300/80 mb-2">🎁 {surplusGiftNote}</p>
+                        )}
+                        {myPrize.url && (
+                          <a
+                            href={myPrize.url}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="text-indigo-300 hover:text-white underline underline-offset-4 text-sm mb-4 inline-block"
+                          >
+                            View Gift Link ↗
+                          </a>
+                        )}
+                      </div>
                     </div>
                   </div>
-                </div>
+                ))}
               </div>
             </div>
           )}
 
+          {/* Trade Gifts Section - swaps agreed after the game */}
+          {tradeWindowEndsAt && (
+            <TradeWindow
+              partyId={partyId}
+              trades={trades}
+              wonGifts={allGifts
+                .map((gift) => ({ gift, winnerId: getGiftWinnerId(gift) }))
+                .filter(({ winnerId }) => winnerId)}
+              seatId={seatId}
+              getName={getWinnerName}
+              endsAt={tradeWindowEndsAt}
+            />
+          )}
+
           {/* What You Need to Send Section */}
-          {myObligation && (
+          {myObligations.length > 0 && (
             <div className="mb-12">
               <div className="flex items-center gap-3 mb-6">
                 <div className="bg-blue-500/20 text-blue-300 ring-1 ring-blue-500/50 p-3 rounded-full">
@@ -405,30 +520,32 @@ export function GameRoom({ partyId }) {
                 <h2 className="text-2xl font-bold text-white mb-6">What You Need to Send</h2>
               </div>
               <div className="space-y-6">
-                <GiftToSendCard
-                  key={myObligation.id}
-                  gift={myObligation}
-                  winnerId={myObligation.winnerId || (state.gameState?.unwrappedGifts 
-                    ? new Map(Array.isArray(state.gameState.unwrappedGifts) ? state.gameState.unwrappedGifts : []).get(myObligation.id)?.ownerId
-                    : null)}
-                  winnerName={getWinnerName(myObligation.winnerId || (state.gameState?.unwrappedGifts 
-                    ? new Map(Array.isArray(state.gameState.unwrappedGifts) ? state.gameState.unwrappedGifts : []).get(myObligation.id)?.ownerId
-                    : null))}
-                  userNames={userNames}
-                  userEmails={userEmails}
-                  isSelfWin={isSelfWin}
-                />
+                {myObligations.map((myObligation) => (
+                  <GiftToSendCard
+                    key={myObligation.id}
+                    gift={myObligation}
+                    winnerId={getGiftWinnerId(myObligation)}
+                    winnerName={getWinnerName(getGiftWinnerId(myObligation))}
+                    userNames={userNames}
+                    userEmails={userEmails}
+                    isSelfWin={isSelfWin(myObligation)}
+                    isReturned={isSelfWin(myObligation) && isSurplusGift(myObligation)}
+                  />
+                ))}
               </div>
             </div>
           )}
 
           {/* No gifts message */}
-          {!myPrize && !myObligation && (
+          {myPrizes.length === 0 && myObligations.length === 0 && (
             <div className="text-center py-12">
               <p className="text-slate-400 text-lg">No gifts assigned to you this game.</p>
             </div>
           )}
 
+          {/* Provably fair turn order - revealed seed checked in the browser */}
+          <TurnOrderProof key={currentRound} partyId={partyId} />
+
           {/* Developer Simulation Controls (includes Audit Trail & Reset) - Only visible when ?sim=true */}
           <SimulationControls socket={socket} partyId={partyId} gameState={state.gameState} />
         </div>
@@ -451,6 +568,15 @@ export function GameRoom({ partyId }) {
     <>
       {/* Reaction Overlay - Full screen layer for flying emojis */}
       {socket && <ReactionOverlay socket={socket} />}
+
+      {/* Paused Overlay - blocks the board until the admin resumes */}
+      {state.status === 'PAUSED' && (
+        <PausedOverlay
+          isAdmin={isAdmin}
+          onResume={actions.resumeGame}
+          disabled={!state.ui.isSocketConnected}
+        />
+      )}
       
       {/* Connection Health Toast */}
       {!state.ui.isSocketConnected && (
@@ -490,12 +616,59 @@ export function GameRoom({ partyId }) {
                     {roundsInfo.roundsRemaining} turn{roundsInfo.roundsRemaining !== 1 ? 's' : ''} remaining
                   </div>
                 )}
+                {/* Round Badge - multi-round parties */}
+                {gameRounds.length > 0 && (
+                  <div className="bg-amber-500/20 text-amber-300 text-[10px] uppercase tracking-wider px-2 py-1 rounded-full border border-amber-500/30">
+                    🏆 {gameRounds[currentRound]?.name} · {currentRound + 1} of {gameRounds.length}
+                  </div>
+                )}
                 {/* Boomerang Badge */}
                 {(party?.config?.returnToStart || state.gameState?.isBoomerangPhase) && (
                   <div className="bg-indigo-500/20 text-indigo-300 text-[10px] uppercase tracking-wider px-2 py-1 rounded-full border border-indigo-500/30">
                     {state.gameState?.isBoomerangPhase ? '🔄 Boomerang Round!' : '🔄 Boomerang Rule Active'}
                   </div>
                 )}
+                {/* Gift Pools Badge - one nice and one gag gift each (config.giftPoolMode) */}
+                {state.status === 'PLAYING' && state.gameState?.config?.giftPoolMode && (
+                  <div className="bg-fuchsia-500/20 text-fuchsia-300 text-[10px] uppercase tracking-wider px-2 py-1 rounded-full border border-fuchsia-500/30">
+                    {getTurnPool(state.gameState) === 'nice'
+                      ? '😇 Nice gifts this turn'
+                      : getTurnPool(state.gameState) === 'gag'
+                        ? '🤪 Gag gifts this turn'
+                        : '😇🤪 One nice + one gag each'}
+                  </div>
+                )}
+                {/* Admin: rewind the last pick, steal or skip */}
+                {state.status === 'PLAYING' && isAdmin && (
+                  <Button
+                    onClick={actions.undoLastAction}
+                    variant="secondary"
+                    className="text-xs px-3 py-1"
+                    disabled={!state.ui.isSocketConnected}
+                  >
+                    ↩️ Undo Last Move
+                  </Button>
+                )}
+                {state.status === 'PLAYING' && isAdmin && (
+                  <Button
+                    onClick={actions.pauseGame}
+                    variant="secondary"
+                    className="text-xs px-3 py-1"
+                    disabled={!state.ui.isSocketConnected}
+                  >
+                    ⏸️ Pause Game
+                  </Button>
+                )}
+                {state.status === 'PLAYING' && isAdmin && getGiftsPerPlayer(state.gameState?.config) === 1 && (
+                  <Button
+                    onClick={() => setShowLateJoin(!showLateJoin)}
+                    variant="secondary"
+                    className="text-xs px-3 py-1"
+                    disabled={!state.ui.isSocketConnected}
+                  >
+                    ➕ Add Late Arrival{lateArrivals.length > 0 ? ` (${lateArrivals.length})` : ''}
+                  </Button>
+                )}
               </div>
 
               {/* Center Section: Turn Indicator */}
@@ -508,7 +681,13 @@ export function GameRoom({ partyId }) {
                     {/* Action Buttons */}
                     {state.gameState?.turnAction && state.gameState.turnAction.some(([id]) => id === currentPlayerId) ? (
                       <div className="mt-4">
-                        <Button onClick={actions.endTurn} variant="primary" className="px-8">
+                        <Button
+                          onClick={actions.endTurn}
+                          variant="primary"
+                          className="px-8"
+                          disabled={!derived.canSkip}
+                          title={derived.legalMoves?.skipBlockReason?.message}
+                        >
                           End Turn
                         </Button>
                       </div>
@@ -518,6 +697,8 @@ export function GameRoom({ partyId }) {
                           onClick={actions.endTurn} 
                           variant="secondary" 
                           className="px-6"
+                          disabled={!derived.canSkip}
+                          title={derived.legalMoves?.skipBlockReason?.message}
                         >
                           Skip Turn
                         </Button>
@@ -529,6 +710,7 @@ export function GameRoom({ partyId }) {
                     Waiting for <span className="text-white font-semibold truncate">{getCurrentPlayerName()}</span>...
                   </p>
                 )}
+                <TurnTimer deadline={state.turnDeadline} isMyTurn={derived.isMyTurn} />
               </div>
 
               {/* Right Section: Player Queue */}
@@ -537,9 +719,9 @@ export function GameRoom({ partyId }) {
                   <div className="flex gap-2 px-12 items-center">
                     {state.participants.map((participant, index) => {
                       const isCurrent = participant.id === state.activePlayerId;
-                      const playerName = participant.id === user?.uid 
+                      const playerName = participant.id === seatId 
                         ? 'You' 
-                        : (userNames[participant.id] || userEmails[participant.id] || `Player ${participant.id.slice(0, 8)}`);
+                        : (playerNames[participant.id] || userEmails[participant.id] || `Player ${participant.id.slice(0, 8)}`);
                       const participantTurnIndex = state.turnQueue?.indexOf(participant.id) ?? index;
                       const isPast = state.gameState?.isBoomerangPhase 
                         ? participantTurnIndex > state.currentTurnIndex
@@ -558,7 +740,38 @@ export function GameRoom({ partyId }) {
                         >
                           <span className="font-bold mr-1">{index + 1}.</span>
                           {playerName}
+                          {stealQuota && (
+                            <span className="ml-2 text-xs opacity-75" title="Steals used this game">
+                              🥷 {playerStealCounts.get(participant.id) || 0}/{stealQuota}
+                            </span>
+                          )}
+                          {teamSeatIds.has(participant.id) && (
+                            <span className="ml-2 text-xs opacity-75" title="A team - any member can play this turn">
+                              👪
+                            </span>
+                          )}
+                          {participant.id !== seatId && myNoStealGroup.includes(participant.id) && (
+                            <span className="ml-2 text-xs opacity-75" title="In your no-steal group - you can't steal from each other">
+                              🏠
+                            </span>
+                          )}
                           {isCurrent && <span className="ml-2">👈</span>}
+                          {/* Admin: drop a player who left - their gift follows the lobby rule */}
+                          {state.status === 'PLAYING' && isAdmin && state.participants.length > 2 && (
+                            <button
+                              type="button"
+                              onClick={() => {
+                                if (window.confirm(`Remove ${playerName} from the game? This can't be undone.`)) {
+                                  actions.removePlayer(participant.id);
+                                }
+                              }}
+                              disabled={!state.ui.isSocketConnected}
+                              className="ml-2 text-slate-500 hover:text-red-400 disabled:opacity-50"
+                              title="Remove player"
+                            >
+                              ✕
+                            </button>
+                          )}
                         </div>
                       );
                     })}
@@ -567,6 +780,19 @@ export function GameRoom({ partyId }) {
               )}
             </div>
 
+            {state.status === 'PLAYING' && isAdmin && showLateJoin && (
+              <div className="px-4">
+                <LateJoinPanel
+                  key={lateArrivalIds.join()}
+                  lateArrivals={lateArrivals}
+                  onAdd={actions.addPlayer}
+                  onClose={() => setShowLateJoin(false)}
+                  disabled={!state.ui.isSocketConnected}
+                  giftsHidden={Boolean(state.gameState?.config?.blindSteal)}
+                />
+              </div>
+            )}
+
             {/* Show message to non-admins when all gifts are frozen */}
             {state.status === 'PLAYING' && !isAdmin && allGiftsFrozen && (
               <div className="mt-4 px-4">
@@ -584,12 +810,13 @@ export function GameRoom({ partyId }) {
             <GiftGrid
               gifts={state.gifts}
               isMyTurn={derived.isMyTurn}
+              canPickGift={derived.canPickGift}
               canSteal={derived.canSteal}
               getStealBlockReason={derived.getStealBlockReason}
               actions={actions}
               currentPlayerId={currentPlayerId}
-              userId={user?.uid}
-              userNames={userNames}
+              userId={seatId}
+              userNames={playerNames}
               userEmails={userEmails}
               revealingGiftId={revealingGiftId}
             />
@@ -601,7 +828,7 @@ export function GameRoom({ partyId }) {
           <div className="lg:col-span-1 border-l border-white/10 h-full flex flex-col bg-slate-900/20 overflow-y-auto">
             <GamePlayByPlay
               state={state}
-              userNames={userNames}
+              userNames={playerNames}
               userEmails={userEmails}
             />
           </div>
@@ -82,9 +82,9 @@ export function Party() {
   // Check if user is a participant
   const isParticipant = participants?.some(p => p.id === user.uid) || false;
 
-  // If user is authenticated but not a participant and party is in LOBBY, show invite landing
-  // This allows them to explicitly join via the "RSVP Now" button
-  if (!isParticipant && party.status === 'LOBBY') {
+  // If user is authenticated but not a participant and the party hasn't ended, show invite landing
+  // This allows them to explicitly join via the "RSVP Now" button (late arrivals are added by the admin)
+  if (!isParticipant && (party.status === 'LOBBY' || party.status === 'ACTIVE')) {
     return <PartyInviteLanding partyId={partyId} />;
   }
 
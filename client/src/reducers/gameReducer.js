@@ -17,6 +17,7 @@ export const ActionTypes = {
   GAME_UPDATED: 'GAME_UPDATED',
   GAME_ENDED: 'GAME_ENDED',
   GIFTS_METADATA_LOADED: 'GIFTS_METADATA_LOADED',
+  LEGAL_MOVES_RECEIVED: 'LEGAL_MOVES_RECEIVED',
   ERROR_RECEIVED: 'ERROR_RECEIVED',
   ERROR_CLEARED: 'ERROR_CLEARED',
   // Optimistic updates
@@ -35,27 +36,19 @@ export const initialState = {
   pendingVictimId: null,
   // Derived fields (computed, not stored)
   activePlayerId: null,
+  turnDeadline: null, // ISO time the server auto-plays the current turn (null = no turn timer)
   // Legacy fields (for compatibility)
-  turnDeadline: null,
   gifts: {},
   participants: [],
   activities: [],
   gameState: null, // Store raw game state for reference
+  legalMoves: null, // Server-computed legal moves for the current user (see get-legal-moves)
   ui: {
     isSocketConnected: false,
     lastError: null,
   },
 };
 
-/**
- * Calculate turn deadline (60 seconds from now)
- */
-function calculateTurnDeadline() {
-  const now = new Date();
-  const deadline = new Date(now.getTime() + 60 * 1000); // 60 seconds
-  return deadline.toISOString();
-}
-
 /**
  * Map server phase to client status
  */
@@ -64,7 +57,10 @@ function mapPhaseToStatus(phase) {
     case 'LOBBY':
       return 'LOBBY';
     case 'ACTIVE':
+    case 'LAST_CHANCE':
       return 'PLAYING';
+    case 'PAUSED':
+      return 'PAUSED';
     case 'ENDED':
       return 'FINISHED';
     default:
@@ -141,8 +137,68 @@ function canPlayerAct(playerId, turnQueue, currentTurnIndex, turnOrder, isBoomer
   return false;
 }
 
+/**
+ * Gifts each player brings and takes home (config.giftsPerPlayer, default 1)
+ * Mirrors server/variants/shared.js getGiftsPerPlayer
+ */
+export function getGiftsPerPlayer(config) {
+  const giftsPerPlayer = Number(config?.giftsPerPlayer);
+  return Number.isInteger(giftsPerPlayer) && giftsPerPlayer > 1 ? giftsPerPlayer : 1;
+}
+
+/**
+ * The seat a user plays - their team's seat (config.teams), or their own ID
+ * Mirrors server/utils/teams.js getSeatId
+ */
+export function getSeatId(config, userId) {
+  return config?.teams?.find(({ playerIds }) => playerIds.includes(userId))?.seatId ?? userId;
+}
+
+/**
+ * Whether a player already holds every gift they should have by now
+ * Mirrors GameEngine.hasFullHand: one gift per picking pass they have reached, all of them after that
+ */
+export function hasFullHand(gameState, gifts, playerId) {
+  const giftsPerPlayer = getGiftsPerPlayer(gameState?.config);
+  const giftCount = Object.values(gifts).filter((g) => !g.isWrapped && g.ownerId === playerId).length;
+  const turnIndex = gameState?.currentTurnIndex || 0;
+  if (giftsPerPlayer === 1 || turnIndex >= (gameState?.turnOrder?.length || 0) * giftsPerPlayer) {
+    return giftCount >= giftsPerPlayer;
+  }
+  const slotsReached = (gameState?.turnQueue || []).slice(0, turnIndex + 1).filter((id) => id === playerId).length;
+  return giftCount >= Math.max(1, Math.min(giftsPerPlayer, slotsReached));
+}
+
+/**
+ * The pool ('nice' or 'gag') a gift is in, or null if the game has no gift pools (config.giftPoolMode)
+ * Mirrors server/utils/gift-pools.js getGiftPool
+ */
+export function getGiftPool(config, giftId) {
+  return config?.giftPoolMode ? config.giftPools?.[giftId] ?? null : null;
+}
+
+/**
+ * The only pool the current turn may take from with per_turn gift pools - nice on a player's
+ * first turn, gag on their second - or null if any pool goes
+ * Mirrors server/utils/gift-pools.js getTurnPool
+ */
+export function getTurnPool(gameState) {
+  const turnIndex = gameState?.currentTurnIndex || 0;
+  if (gameState?.config?.giftPoolMode !== 'per_turn' || turnIndex >= (gameState.turnOrder?.length || 0) * 2) {
+    return null;
+  }
+  const playerId = gameState.turnQueue?.[turnIndex];
+  const turnsReached = (gameState.turnQueue || []).slice(0, turnIndex + 1).filter((id) => id === playerId).length;
+  return ['nice', 'gag'][turnsReached - 1] ?? null;
+}
+
+// Gift details shown for an unwrapped gift the player may not see (blind steal)
+const HIDDEN_GIFT_DETAILS = { title: null, image: null, url: null, price: null };
+
 /**
  * Merge Firestore gifts (Base Layer) with game state (Live Layer)
+ * While a blind steal game runs, unwrapped gifts only carry the details the server
+ * revealed to this player (gameState.giftDetails); the rest are marked isHidden.
  */
 function mergeGifts(firestoreGifts, gameState) {
   const merged = {};
@@ -152,12 +208,20 @@ function mergeGifts(firestoreGifts, gameState) {
   const unwrappedGiftsMap = gameState?.unwrappedGifts 
     ? new Map(gameState.unwrappedGifts) 
     : new Map();
+  const isBlind = Boolean(gameState?.config?.blindSteal) && gameState.phase !== 'ENDED';
+  const revealedDetails = new Map(gameState?.giftDetails || []);
+  // A round of a multi-round party (config.rounds) only plays some of the party's gifts
+  const roundGiftIds = gameState?.config?.rounds?.length > 0 && gameState.giftSubmitters
+    ? new Set(Object.keys(gameState.giftSubmitters))
+    : null;
   
   // Start with Firestore metadata (Base Layer)
   if (firestoreGifts && Array.isArray(firestoreGifts)) {
     firestoreGifts.forEach(gift => {
+      if (roundGiftIds && !roundGiftIds.has(gift.id)) return;
       merged[gift.id] = {
         ...gift, // Base Layer: id, title, image, url, price, submitterId, partyId
+        pool: getGiftPool(gameState?.config, gift.id),
         isWrapped: wrappedGifts.includes(gift.id),
         ownerId: null,
         stealCount: 0,
@@ -168,11 +232,32 @@ function mergeGifts(firestoreGifts, gameState) {
     });
   }
   
+  // Blind steal: other players' gifts can't be read from Firestore, so list them from the game state
+  if (isBlind) {
+    [...wrappedGifts, ...unwrappedGiftsMap.keys()].forEach((giftId) => {
+      if (!merged[giftId]) {
+        merged[giftId] = {
+          id: giftId,
+          ...HIDDEN_GIFT_DETAILS,
+          pool: getGiftPool(gameState?.config, giftId),
+          isWrapped: wrappedGifts.includes(giftId),
+          ownerId: null,
+          stealCount: 0,
+          isFrozen: false,
+          lastOwnerId: null,
+          lastInteractedAt: null,
+        };
+      }
+    });
+  }
+  
   // Apply Live Layer from game state
   unwrappedGiftsMap.forEach((giftData, giftId) => {
     if (merged[giftId]) {
       merged[giftId] = {
         ...merged[giftId],
+        ...(isBlind && (revealedDetails.get(giftId) || HIDDEN_GIFT_DETAILS)),
+        isHidden: isBlind && !revealedDetails.has(giftId),
         ownerId: giftData.ownerId || null,
         stealCount: giftData.stealCount || 0,
         isFrozen: giftData.isFrozen || false,
@@ -212,7 +297,7 @@ function transformActivities(history) {
   }
   
   return history.map(event => ({
-    type: event.type, // 'PICK' | 'STEAL'
+    type: event.type, // 'PICK' | 'STEAL' | 'UNDO' | 'TIMEOUT' | 'PLAYER_REMOVED' | 'PLAYER_ADDED' | 'CHAOS_CARD' | 'LAST_CHANCE_STARTED' | 'SELF_WIN_SWAP' | 'SURPLUS_GIFT'
     playerId: event.playerId,
     giftId: event.giftId,
     timestamp: event.timestamp,
@@ -222,6 +307,38 @@ function transformActivities(history) {
       exchangedGiftId: event.exchangedGiftId,
       stealCount: event.stealCount,
       isFrozen: event.isFrozen,
+      lastChance: event.lastChance === true, // Swap in the last-chance round (no steal chain)
+    }),
+    // Metadata for admin UNDO events (playerId is the admin)
+    ...(event.type === 'UNDO' && {
+      undoneType: event.undoneType,
+      undonePlayerId: event.undonePlayerId,
+    }),
+    // Metadata for admin PLAYER_REMOVED events (playerId is the admin)
+    ...(event.type === 'PLAYER_REMOVED' && {
+      removedPlayerId: event.removedPlayerId,
+      reassignedTo: event.reassignedTo,
+      gifts: event.gifts, // Every gift they held: [{ giftId, reassignedTo }] (multi-gift parties)
+    }),
+    // Metadata for admin PLAYER_ADDED events (playerId is the admin)
+    ...(event.type === 'PLAYER_ADDED' && {
+      addedPlayerId: event.addedPlayerId,
+    }),
+    // Metadata for CHAOS_CARD entries (playerId is whose turn the card was played on)
+    ...(event.type === 'CHAOS_CARD' && {
+      card: event.card,
+      turnIndex: event.turnIndex,
+      transfers: event.transfers,
+      giftIds: event.giftIds,
+    }),
+    // Metadata for SELF_WIN_SWAP entries (playerId gets giftId, otherPlayerId gets the gift playerId brought)
+    ...(event.type === 'SELF_WIN_SWAP' && {
+      otherPlayerId: event.otherPlayerId,
+      otherGiftId: event.otherGiftId,
+    }),
+    // Metadata for SURPLUS_GIFT entries (playerId gets giftId, an extra gift nobody needed)
+    ...(event.type === 'SURPLUS_GIFT' && {
+      policy: event.policy,
     }),
   }));
 }
@@ -276,6 +393,12 @@ export function gameReducer(state = initialState, action) {
         gifts: updatedGifts,
       };
 
+    case ActionTypes.LEGAL_MOVES_RECEIVED:
+      return {
+        ...state,
+        legalMoves: action.payload.legalMoves,
+      };
+
     case ActionTypes.GAME_STATE_RECEIVED:
     case ActionTypes.GAME_STARTED:
     case ActionTypes.GAME_UPDATED:
@@ -333,8 +456,13 @@ export function gameReducer(state = initialState, action) {
       // Map server's currentVictim to client's pendingVictimId
       const pendingVictimId = gameState?.currentVictim || null;
       
+      // The last-chance swap round runs after the queue is exhausted, in its own (reverse) order
+      const lastChance = gameState?.lastChance || null;
+      
       // Derive activePlayerId
-      const activePlayerId = deriveActivePlayerId(turnQueue, currentTurnIndex, pendingVictimId);
+      const activePlayerId = lastChance
+        ? gameState.currentPlayerId
+        : deriveActivePlayerId(turnQueue, currentTurnIndex, pendingVictimId);
       
       // Use provided firestoreGifts, or extract base layer from existing gifts
       let firestoreGifts = action.payload.firestoreGifts || [];
@@ -353,16 +481,10 @@ export function gameReducer(state = initialState, action) {
       // Map phase to status
       const status = mapPhaseToStatus(gameState?.phase || 'LOBBY');
       
-      // Calculate turn deadline
-      let turnDeadline = state.turnDeadline;
-      if (status === 'PLAYING' && currentTurnIndex >= 0) {
-        const previousTurnIndex = state.currentTurnIndex;
-        if (previousTurnIndex !== currentTurnIndex) {
-          turnDeadline = calculateTurnDeadline();
-        }
-      } else {
-        turnDeadline = null;
-      }
+      // Turn deadline is set and enforced by the server (ms timestamp)
+      const turnDeadline = status === 'PLAYING' && gameState?.turnDeadline
+        ? new Date(gameState.turnDeadline).toISOString()
+        : null;
       
       // Merge gifts
       const gifts = mergeGifts(firestoreGifts, gameState);
@@ -372,7 +494,7 @@ export function gameReducer(state = initialState, action) {
       const totalParticipants = (action.payload.participants || []).length;
       
       // Check if game should end
-      const gameShouldEnd = shouldGameEnd(
+      const gameShouldEnd = !lastChance && shouldGameEnd(
         turnQueue,
         currentTurnIndex,
         pendingVictimId,
@@ -397,8 +519,8 @@ export function gameReducer(state = initialState, action) {
         currentTurnIndex,
         pendingVictimId,
         activePlayerId,
-        // Legacy fields
         turnDeadline,
+        // Legacy fields
         gifts,
         participants,
         activities,
@@ -423,8 +545,8 @@ export function gameReducer(state = initialState, action) {
       // Check if player can act
       const turnOrder = state.gameState?.turnOrder || [];
       const isBoomerangPhase = state.gameState?.isBoomerangPhase || 
-        (state.currentTurnIndex >= (turnOrder.length || 0));
-      const playerHasGift = Object.values(state.gifts).some(g => g.ownerId === userId);
+        (state.currentTurnIndex >= (turnOrder.length || 0) * getGiftsPerPlayer(state.gameState?.config));
+      const playerHasGift = hasFullHand(state.gameState, state.gifts, userId);
       
       if (!canPlayerAct(userId, state.turnQueue, state.currentTurnIndex, turnOrder, isBoomerangPhase, playerHasGift)) {
         console.error(`VIOLATION: Player ${userId} cannot act! Pick move rejected.`);
@@ -462,7 +584,7 @@ export function gameReducer(state = initialState, action) {
         pendingVictimId: newPendingVictimId,
         currentTurnIndex: newCurrentTurnIndex,
         activePlayerId: newActivePlayerId,
-        turnDeadline: calculateTurnDeadline(),
+        turnDeadline: null, // The server sends the next player's deadline
       };
     }
 
@@ -491,20 +613,21 @@ export function gameReducer(state = initialState, action) {
       // Check if player can act
       const turnOrder = state.gameState?.turnOrder || [];
       const isBoomerangPhase = state.gameState?.isBoomerangPhase || 
-        (state.currentTurnIndex >= (turnOrder.length || 0));
-      const playerHasGift = Object.values(state.gifts).some(g => g.ownerId === userId);
+        (state.currentTurnIndex >= (turnOrder.length || 0) * getGiftsPerPlayer(state.gameState?.config));
+      const playerHasGift = hasFullHand(state.gameState, state.gifts, userId);
       
       if (!canPlayerAct(userId, state.turnQueue, state.currentTurnIndex, turnOrder, isBoomerangPhase, playerHasGift)) {
         console.error(`VIOLATION: Player ${userId} cannot act! Steal move rejected.`);
         return state;
       }
       
-      // Find gift currently owned by stealing user (if any) - for swap logic
+      // Find the gift the stealing user hands over (if their hand is full) - for swap logic
+      // Mirrors GameEngine.findSwapGiftId: the gift they got most recently
       let exchangedGiftId = null;
       for (const [id, g] of Object.entries(gifts)) {
-        if (g.ownerId === userId && id !== giftId) {
+        if (playerHasGift && g.ownerId === userId && id !== giftId &&
+          (!exchangedGiftId || (g.lastInteractedAt || 0) > (gifts[exchangedGiftId].lastInteractedAt || 0))) {
           exchangedGiftId = id;
-          break;
         }
       }
       
@@ -576,7 +699,7 @@ export function gameReducer(state = initialState, action) {
         pendingVictimId: newPendingVictimId,
         currentTurnIndex: newCurrentTurnIndex,
         activePlayerId: newActivePlayerId,
-        turnDeadline: calculateTurnDeadline(),
+        turnDeadline: null, // The server sends the next player's deadline
       };
     }
 
@@ -611,6 +734,11 @@ export const gameActions = {
     payload: { gifts },
   }),
 
+  legalMovesReceived: (legalMoves) => ({
+    type: ActionTypes.LEGAL_MOVES_RECEIVED,
+    payload: { legalMoves },
+  }),
+
   gameStateReceived: (gameState, firestoreGifts = [], participants = []) => ({
     type: ActionTypes.GAME_STATE_RECEIVED,
     payload: { gameState, firestoreGifts, participants },
@@ -21,7 +21,7 @@ export async function apiRequest(endpoint, options = {}) {
 
   if (!response.ok) {
     const error = await response.json();
-    throw new Error(error.message || 'API request failed');
+    throw new Error(error.message || error.error || 'API request failed');
   }
 
   return response.json();
@@ -0,0 +1,69 @@
+/**
+ * Turn Order Shuffle Verifier
+ *
+ * Independently re-runs the server's seeded shuffle (sha256-fisher-yates-v1) in the
+ * browser, so players can check the revealed seed against the hash published at the
+ * start of the game and the turn order that was actually played.
+ */
+
+const UINT32_RANGE = 2 ** 32;
+
+async function sha256(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return new Uint8Array(digest);
+}
+
+function toHex(bytes) {
+  return Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Shuffle player IDs with a seed, exactly like server/utils/fair-shuffle.js
+ * @param {string[]} playerIds - Players in any order
+ * @param {string} seed - Revealed seed
+ * @returns {Promise<string[]>} Turn order
+ */
+export async function seededShuffle(playerIds, seed) {
+  let block = 0;
+  let view = new DataView(new ArrayBuffer(0));
+  let offset = 0;
+  const next = async () => {
+    if (offset + 4 > view.byteLength) {
+      view = new DataView((await sha256(`${seed}:${block++}`)).buffer);
+      offset = 0;
+    }
+    const value = view.getUint32(offset);
+    offset += 4;
+    return value;
+  };
+
+  const order = [...playerIds].sort();
+  for (let i = order.length - 1; i > 0; i--) {
+    // Rejection sampling avoids modulo bias
+    const max = i + 1;
+    const limit = UINT32_RANGE - (UINT32_RANGE % max);
+    let value = await next();
+    while (value >= limit) {
+      value = await next();
+    }
+    const j = value % max;
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+  return order;
+}
+
+/**
+ * Verify a revealed seed
+ * @param {Object} proof - From GET /api/game/fairness/:partyId
+ * @param {string} proof.seed - Revealed seed
+ * @param {string} proof.seedHash - Hash published at game start
+ * @param {string[]} proof.turnOrder - The game's turn order
+ * @returns {Promise<{seedMatchesHash: boolean, turnOrderMatches: boolean}>}
+ */
+export async function verifyShuffle({ seed, seedHash, turnOrder }) {
+  const expected = await seededShuffle(turnOrder, seed);
+  return {
+    seedMatchesHash: toHex(await sha256(seed)) === seedHash,
+    turnOrderMatches: expected.every((playerId, index) => playerId === turnOrder[index]),
+  };
+}
@@ -12,6 +12,9 @@
  * @param {Object} options.gifts - Map of giftId -> gift object (for name resolution)
  * @param {Object} options.userNames - Map of playerId -> player name (for name resolution)
  * @param {Number} options.maxSteals - Maximum steals before gift locks (default: 3)
+ * @param {Number} options.maxStealsPerTurn - Maximum steals in one turn's chain (default: null, no cap)
+ * @param {Array<{playerIds: string[]}>} options.stealExclusionGroups - Players who may not steal from each other (default: none)
+ * @param {Number} options.giftsPerPlayer - Gifts each player takes home (default: 1)
  * @param {Boolean} options.allowBoomerangDoubleDip - Allow double-dip in boomerang phase (default: false)
  * @param {Boolean} options.throwOnError - Throw errors immediately (default: true for console testing)
  * @returns {Object} { valid: boolean, errors: Array<string>, warnings: Array<string> }
@@ -21,6 +24,9 @@ export function validateGameHistory(history, options = {}) {
     gifts = {},
     userNames = {},
     maxSteals = 3,
+    maxStealsPerTurn = null,
+    stealExclusionGroups = [],
+    giftsPerPlayer = 1,
     allowBoomerangDoubleDip = false,
     throwOnError = true,
   } = options;
@@ -45,6 +51,18 @@ export function validateGameHistory(history, options = {}) {
   const giftStatus = new Map(); // { [giftId]: { owner: playerId | null, steals: number, locked: boolean } }
   let lastMove = null; // { actor: playerId, victim: playerId, giftId }
   let currentVictim = null; // playerId | null
+  let turnSteals = 0; // Steals in the current turn's chain
+  const extraTurnActions = new Map(); // { [playerId]: actions left } - a DOUBLE_ACTION card lets them act while holding a gift
+  let lastChancePlayers = null; // Set of players who had their go, once the last-chance swap round has started
+
+  // With several gifts each, a player only has a full hand once they hold all of them
+  const hasFullHand = (playerId) => {
+    if (giftsPerPlayer === 1) {
+      return playerStatus.get(playerId) === 'HAS_GIFT';
+    }
+    const heldCount = Array.from(giftStatus.values()).filter((gift) => gift.owner === playerId).length;
+    return heldCount >= giftsPerPlayer;
+  };
 
   // Initialize all players as WAITING
   // We'll discover players as we process history
@@ -53,7 +71,7 @@ export function validateGameHistory(history, options = {}) {
 
   // Process each event in history
   history.forEach((event, eventIndex) => {
-    const { type, playerId, giftId, previousOwnerId, exchangedGiftId, stealCount, isFrozen, timestamp } = event;
+    const { type, playerId, giftId, previousOwnerId, exchangedGiftId, stealCount, isFrozen, turnStealNumber, chainCapLifted, timestamp } = event;
     
     // Track discovered players and gifts
     if (playerId) discoveredPlayers.add(playerId);
@@ -80,15 +98,40 @@ export function validateGameHistory(history, options = {}) {
     const actorName = getPlayerName(playerId);
     const giftName = getGiftName(giftId);
 
+    // Rule H: Last-Chance Swaps - once the round starts, everyone gets one go (swap or pass) and nobody picks
+    if (lastChancePlayers && (type === 'PICK' || type === 'STEAL' || type === 'END_TURN')) {
+      let errorMsg = null;
+      if (type === 'PICK') {
+        errorMsg = `${eventPrefix} Player ${actorName} picked a gift during the last-chance swaps!`;
+      } else if (lastChancePlayers.has(playerId)) {
+        errorMsg = `${eventPrefix} Player ${actorName} had a second go in the last-chance swaps!`;
+      } else if (type === 'STEAL' && !event.lastChance) {
+        errorMsg = `${eventPrefix} Player ${actorName} started a steal chain during the last-chance swaps!`;
+      }
+      if (errorMsg) {
+        errors.push(errorMsg);
+        if (throwOnError) {
+          throw new Error(errorMsg);
+        }
+      }
+      lastChancePlayers.add(playerId);
+    }
+
     // Rule A: Double Dip Check
     if (type === 'PICK' || type === 'STEAL') {
-      const currentStatus = playerStatus.get(playerId);
-      if (currentStatus === 'HAS_GIFT') {
+      if (hasFullHand(playerId)) {
         // Exception: If actor is the current victim (steal chain), this is valid
         // Exception: If boomerang double-dip is allowed, this is valid
         const isStealChain = playerId === currentVictim;
+        // Exception: Last-chance swaps are made by players holding a gift (Rule H)
+        const isLastChanceSwap = type === 'STEAL' && event.lastChance === true;
+        // Exception: A DOUBLE_ACTION chaos card covers both of the player's goes
+        const isChaosExtraTurn = !isStealChain && extraTurnActions.get(playerId) > 0;
+        if (isChaosExtraTurn) {
+          extraTurnActions.set(playerId, extraTurnActions.get(playerId) - 1);
+        }
         
-        if (!isStealChain && !allowBoomerangDoubleDip) {
+        if (!isStealChain && !isChaosExtraTurn && !isLastChanceSwap && !allowBoomerangDoubleDip) {
           const errorMsg = `${eventPrefix} Player ${actorName} took a turn but already held a gift!`;
           errors.push(errorMsg);
           if (throwOnError) {
@@ -121,6 +164,82 @@ export function validateGameHistory(history, options = {}) {
       // Clear current victim (turn advances normally after PICK)
       currentVictim = null;
       lastMove = null;
+      turnSteals = 0;
+
+    } else if (type === 'END_TURN') {
+      // A skip ends the steal chain - and the turn, so lost gifts can be stolen back
+      currentVictim = null;
+      lastMove = null;
+      turnSteals = 0;
+
+    } else if (type === 'LAST_CHANCE_STARTED') {
+      // The turn queue is done - no steal chain carries over into the round
+      lastChancePlayers = new Set();
+      currentVictim = null;
+      lastMove = null;
+      turnSteals = 0;
+
+    } else if (type === 'SELF_WIN_SWAP') {
+      // The game is over: two players swap so neither keeps the gift they brought.
+      // A gift still wrapped at the end (no tracked owner) was handed out by endGame.
+      const { otherPlayerId, otherGiftId } = event;
+      [[otherGiftId, playerId], [giftId, otherPlayerId]].forEach(([swappedGiftId, expectedOwner]) => {
+        const owner = giftStatus.get(swappedGiftId)?.owner;
+        if (owner && owner !== expectedOwner) {
+          const errorMsg = `${eventPrefix} ${getPlayerName(expectedOwner)} swapped away ${getGiftName(swappedGiftId)}, but ${getPlayerName(owner)} had it!`;
+          errors.push(errorMsg);
+          if (throwOnError) {
+            throw new Error(errorMsg);
+          }
+        }
+      });
+      giftStatus.set(otherGiftId, { ...(giftStatus.get(otherGiftId) || { steals: 0, locked: false }), owner: otherPlayerId });
+      giftStatus.set(giftId, { ...(giftStatus.get(giftId) || { steals: 0, locked: false }), owner: playerId });
+      playerStatus.set(playerId, 'HAS_GIFT');
+      playerStatus.set(otherPlayerId, 'HAS_GIFT');
+
+    } else if (type === 'CHAOS_CARD') {
+      // Rule G: Chaos Cards - a card starts a turn, so no steal chain may be running
+      if (turnSteals > 0) {
+        const errorMsg = `${eventPrefix} Chaos card ${event.card} was played during ${getPlayerName(currentVictim)}'s steal chain!`;
+        errors.push(errorMsg);
+        if (throwOnError) {
+          throw new Error(errorMsg);
+        }
+      }
+      currentVictim = null;
+      lastMove = null;
+      turnSteals = 0;
+
+      if (event.card === 'PASS_LEFT') {
+        // Every gift moves at once - each must come from the player recorded as holding it
+        (event.transfers || []).forEach(({ giftId: passedGiftId, fromId }) => {
+          const owner = giftStatus.get(passedGiftId)?.owner;
+          if (owner !== fromId) {
+            const errorMsg = `${eventPrefix} ${getPlayerName(fromId)} passed ${getGiftName(passedGiftId)} left, but ${owner ? getPlayerName(owner) : 'nobody'} had it!`;
+            errors.push(errorMsg);
+            if (throwOnError) {
+              throw new Error(errorMsg);
+            }
+          }
+        });
+        (event.transfers || []).forEach(({ fromId }) => playerStatus.set(fromId, 'WAITING'));
+        (event.transfers || []).forEach(({ giftId: passedGiftId, toId }) => {
+          discoveredPlayers.add(toId);
+          giftStatus.set(passedGiftId, { ...(giftStatus.get(passedGiftId) || { steals: 0, locked: false }), owner: toId });
+          playerStatus.set(toId, 'HAS_GIFT');
+        });
+      } else if (event.card === 'UNFREEZE_ALL') {
+        // Steal counts stay, so one more steal locks them again
+        (event.giftIds || []).forEach((unfrozenGiftId) => {
+          const gift = giftStatus.get(unfrozenGiftId);
+          if (gift) {
+            giftStatus.set(unfrozenGiftId, { ...gift, locked: false });
+          }
+        });
+      } else if (event.card === 'DOUBLE_ACTION') {
+        extraTurnActions.set(playerId, 2);
+      }
 
     } else if (type === 'STEAL') {
       // Rule B: Ghost Steal Check
@@ -155,6 +274,16 @@ export function validateGameHistory(history, options = {}) {
         return; // Skip state update on locked gift
       }
 
+      // Rule H: Last-Chance Swaps - a locked gift stays with its holder, so it can't be swapped away either
+      if (event.lastChance && giftStatus.get(exchangedGiftId)?.locked) {
+        const errorMsg = `${eventPrefix} ${actorName} swapped away locked gift ${getGiftName(exchangedGiftId)}!`;
+        errors.push(errorMsg);
+        if (throwOnError) {
+          throw new Error(errorMsg);
+        }
+        return; // Skip state update on locked gift
+      }
+
       // Rule D: U-Turn Check (Immediate Steal Back)
       if (lastMove && lastMove.victim === playerId && lastMove.giftId === giftId) {
         const victimName = getPlayerName(lastMove.victim);
@@ -166,6 +295,27 @@ export function validateGameHistory(history, options = {}) {
         return; // Skip state update on immediate steal-back
       }
 
+      // Rule I: No-Steal Groups - only waived for a player with no gift (who may have nothing left to pick)
+      if (exchangedGiftId && stealExclusionGroups.some(({ playerIds }) => playerIds.includes(playerId) && playerIds.includes(previousOwnerId))) {
+        const errorMsg = `${eventPrefix} ${actorName} stole ${giftName} from ${getPlayerName(previousOwnerId)}, who is in their no-steal group!`;
+        errors.push(errorMsg);
+        if (throwOnError) {
+          throw new Error(errorMsg);
+        }
+      }
+
+      // Rule D3: Steal Chain Cap (a fallback may lift it once no wrapped gifts are left)
+      // A steal by the current victim continues the chain; anyone else starts a new turn
+      const newTurnSteals = turnSteals > 0 && playerId === currentVictim ? turnSteals + 1 : 1;
+      if (maxStealsPerTurn && newTurnSteals > maxStealsPerTurn && !chainCapLifted && !event.lastChance) {
+        const errorMsg = `${eventPrefix} ${actorName} made steal #${newTurnSteals} of a turn capped at ${maxStealsPerTurn} steals!`;
+        errors.push(errorMsg);
+        if (throwOnError) {
+          throw new Error(errorMsg);
+        }
+      }
+      turnSteals = newTurnSteals;
+
       // Update state after STEAL
       const stealerHadGift = exchangedGiftId !== null && exchangedGiftId !== undefined;
       
@@ -182,7 +332,10 @@ export function validateGameHistory(history, options = {}) {
       // Handle gift exchange: if stealer had a gift, transfer it to victim
       if (stealerHadGift && exchangedGiftId) {
         const exchangedGift = giftStatus.get(exchangedGiftId);
-        if (exchangedGift) {
+        if (exchangedGift && event.lastChance) {
+          // Last-chance swaps are straight exchanges - the swapped gift keeps its steals
+          giftStatus.set(exchangedGiftId, { ...exchangedGift, owner: previousOwnerId });
+        } else if (exchangedGift) {
           giftStatus.set(exchangedGiftId, {
             owner: previousOwnerId,
             steals: 0, // Reset steal count for exchanged gift
@@ -208,12 +361,19 @@ export function validateGameHistory(history, options = {}) {
       playerStatus.set(playerId, 'HAS_GIFT');
 
       // Update tracking variables
-      currentVictim = previousOwnerId; // Victim gets next turn (steal chain)
-      lastMove = {
-        actor: playerId,
-        victim: previousOwnerId,
-        giftId: giftId,
-      };
+      if (event.lastChance) {
+        // No steal chain - the round moves on to the next player
+        currentVictim = null;
+        lastMove = null;
+        turnSteals = 0;
+      } else {
+        currentVictim = previousOwnerId; // Victim gets next turn (steal chain)
+        lastMove = {
+          actor: playerId,
+          victim: previousOwnerId,
+          giftId: giftId,
+        };
+      }
 
       // Validate steal count matches expected
       if (stealCount !== undefined && stealCount !== newStealCount) {
@@ -221,6 +381,12 @@ export function validateGameHistory(history, options = {}) {
         warnings.push(warningMsg);
       }
 
+      // Validate chain position matches expected
+      if (turnStealNumber !== undefined && turnStealNumber !== newTurnSteals) {
+        const warningMsg = `${eventPrefix} Turn steal number mismatch: expected ${newTurnSteals}, got ${turnStealNumber}`;
+        warnings.push(warningMsg);
+      }
+
       // Validate locked status matches expected
       if (isFrozen !== undefined && isFrozen !== isNowLocked) {
         const warningMsg = `${eventPrefix} Locked status mismatch: expected ${isNowLocked}, got ${isFrozen}`;
@@ -239,7 +405,7 @@ export function validateGameHistory(history, options = {}) {
   });
 
   giftOwnership.forEach((count, playerId) => {
-    if (count > 1) {
+    if (count > giftsPerPlayer) {
       const playerName = getPlayerName(playerId);
       const errorMsg = `[Final State] Player ${playerName} has ${count} gifts! (Duplicate ownership detected)`;
       errors.push(errorMsg);
@@ -317,6 +483,15 @@ window.validateGame = function(options = {}) {
     if (gameState.maxSteals !== undefined) {
       options.maxSteals = gameState.maxSteals;
     }
+    if (gameState.maxStealsPerTurn !== undefined) {
+      options.maxStealsPerTurn = gameState.maxStealsPerTurn;
+    }
+    if (gameState.stealExclusionGroups !== undefined) {
+      options.stealExclusionGroups = gameState.stealExclusionGroups;
+    }
+    if (gameState.giftsPerPlayer !== undefined) {
+      options.giftsPerPlayer = gameState.giftsPerPlayer;
+    }
     // Pass gameState to validator for final state checks
     if (gameState.gameState) {
       options.gameState = gameState.gameState;
@@ -330,7 +505,7 @@ window.validateGame = function(options = {}) {
 
   if (!history) {
     console.error('Could not find game state. Please call validateGameHistory() directly with history array.');
-    console.log('Usage: validateGameHistory(history, { gifts, userNames, maxSteals: 3 })');
+    console.log('Usage: validateGameHistory(history, { gifts, userNames, maxSteals: 3, maxStealsPerTurn: null })');
     return null;
   }
 
@@ -1,6 +1,145 @@
 /**
  * Game Engine - White Elephant Game Logic
  */
+import { getGiftsPerPlayer, getHandSize, resolveVariant } from './variants/index.js';
+import { seededIndex, seededShuffle } from './utils/fair-shuffle.js';
+import { getGiftPool, getTurnPool } from './utils/gift-pools.js';
+
+/**
+ * Machine-readable reasons an action is not legal for a player
+ */
+export const MOVE_BLOCK_REASONS = {
+  GAME_ENDED: 'GAME_ENDED',
+  GAME_PAUSED: 'GAME_PAUSED',
+  NOT_YOUR_TURN: 'NOT_YOUR_TURN',
+  ALREADY_ACTED: 'ALREADY_ACTED',
+  NO_WRAPPED_GIFTS: 'NO_WRAPPED_GIFTS',
+  HOLDING_GIFT: 'HOLDING_GIFT',
+  GIFT_NOT_AVAILABLE: 'GIFT_NOT_AVAILABLE',
+  GIFT_FROZEN: 'GIFT_FROZEN',
+  STEAL_QUOTA_REACHED: 'STEAL_QUOTA_REACHED',
+  STEAL_CHAIN_LIMIT: 'STEAL_CHAIN_LIMIT',
+  OWN_GIFT: 'OWN_GIFT',
+  STEAL_EXCLUDED: 'STEAL_EXCLUDED',
+  OWN_SUBMITTED_GIFT: 'OWN_SUBMITTED_GIFT',
+  UTURN_BLOCKED: 'UTURN_BLOCKED',
+  NO_GIFT: 'NO_GIFT',
+  WRONG_POOL: 'WRONG_POOL',
+};
+
+/**
+ * Event log entry types
+ * The log starts with GAME_STARTED and records every state-changing action,
+ * so replaying it (see event-log.js) rebuilds the game state exactly.
+ * Auto-skips are not events - they follow deterministically from the events.
+ */
+export const GAME_EVENT_TYPES = {
+  GAME_STARTED: 'GAME_STARTED',
+  PICK: 'PICK',
+  STEAL: 'STEAL',
+  END_TURN: 'END_TURN',
+  TURN_ACTION_RESET: 'TURN_ACTION_RESET',
+  REACTION: 'REACTION',
+  GAME_ENDED: 'GAME_ENDED',
+  UNDO: 'UNDO',
+  TURN_TIMEOUT: 'TURN_TIMEOUT',
+  GAME_PAUSED: 'GAME_PAUSED',
+  GAME_RESUMED: 'GAME_RESUMED',
+  PLAYER_REMOVED: 'PLAYER_REMOVED',
+  PLAYER_ADDED: 'PLAYER_ADDED',
+};
+
+/**
+ * What happens to the gift held by a player who leaves mid-game (config.dropOutGiftRule)
+ * return   - the gift goes back into the wrapped pile for someone to pick
+ * reassign - the next player in turn order without a gift gets it (falls back to return)
+ */
+export const DROP_OUT_GIFT_RULES = {
+  RETURN: 'return',
+  REASSIGN: 'reassign',
+};
+
+/**
+ * Where the gifts nobody needs go when the game ends (config.surplusGiftPolicy) - extras
+ * beyond players x config.giftsPerPlayer, or a leaver's gift that was never picked
+ * return      - back to the player who brought it
+ * bonus_round - drawn for among the players (from config.surplusSeed), one each before anyone gets a second
+ * admin       - to the party admin (config.adminId)
+ */
+export const SURPLUS_GIFT_POLICIES = {
+  RETURN: 'return',
+  BONUS_ROUND: 'bonus_round',
+  ADMIN: 'admin',
+};
+
+/**
+ * What a victim may do once the turn's steal cap (config.maxStealsPerTurn) is hit
+ * and no wrapped gifts are left to pick (config.stealChainFallback)
+ * skip  - the chain ends: they keep the gift they hold and the turn moves on
+ * steal - the cap is lifted, so the chain can carry on
+ * A victim left with no gift may always steal, whatever the fallback.
+ */
+export const STEAL_CHAIN_FALLBACKS = {
+  SKIP: 'skip',
+  STEAL: 'steal',
+};
+
+/**
+ * Chaos cards - random events drawn when the turn order reaches config.chaosCardTurns
+ * PASS_LEFT     - every gift moves to the next player in turn order who holds one
+ *                 (just each holder's most recent gift when everyone has several,
+ *                 or every gift to the next holder from its pool - config.giftPoolMode)
+ * UNFREEZE_ALL  - frozen gifts can be stolen again (their steal counts stay, so the next steal re-freezes them)
+ * REVERSE_ORDER - the turns after the current one are played in reverse order
+ * DOUBLE_ACTION - the player whose turn it is gets a second go once their turn is over,
+ *                 and may act while holding a gift on both
+ */
+export const CHAOS_CARDS = {
+  PASS_LEFT: 'PASS_LEFT',
+  UNFREEZE_ALL: 'UNFREEZE_ALL',
+  REVERSE_ORDER: 'REVERSE_ORDER',
+  DOUBLE_ACTION: 'DOUBLE_ACTION',
+};
+
+/**
+ * Deadline for a turn starting at `at`
+ * @param {Object} config - Game config (turnTimeoutSeconds)
+ * @param {number} at - Turn start (ms since epoch)
+ * @returns {number|null} Deadline (ms since epoch), or null if the party has no turn timer
+ */
+export function getTurnDeadline(config, at) {
+  const seconds = config?.turnTimeoutSeconds;
+  return seconds > 0 ? at + seconds * 1000 : null;
+}
+
+/**
+ * Check if moves can be made in a game phase: the turn queue (ACTIVE) or the
+ * end-of-game swap round (LAST_CHANCE, see config.lastChanceSwap)
+ * @param {string} phase
+ * @returns {boolean}
+ */
+export function isPlayablePhase(phase) {
+  return phase === 'ACTIVE' || phase === 'LAST_CHANCE';
+}
+
+function blockReason(code, message) {
+  return { code, message };
+}
+
+// Error for a rejected move, carrying the block reason code for socket acks
+function moveError(reason, message = reason.message) {
+  const error = new Error(message);
+  error.code = reason.code;
+  return error;
+}
+
+// A game's n-th chaos card, from config.chaosSeed and the cards the party allows (config.chaosCards)
+// The same seed always draws the same cards, so replaying the event log replays them too
+function drawChaosCard(config, n) {
+  const deck = config?.chaosCards?.length ? config.chaosCards : Object.values(CHAOS_CARDS);
+  return deck[seededIndex(`${config?.chaosSeed}:${n}`, deck.length)];
+}
+
 export class GameEngine {
   constructor(gameState, config) {
     // CRITICAL: Validate partyId exists in gameState
@@ -18,35 +157,119 @@ export class GameEngine {
     // If currentVictim is null, active player is turnQueue[currentTurnIndex]
     this.currentVictim = gameState.currentVictim || null;
     this.turnOrder = [...gameState.turnOrder];
+    this.config = config;
+    // Rule variant (queue generation, legality exceptions, end conditions)
+    this.variant = resolveVariant(config);
     // Generate turnQueue if missing (for backwards compatibility)
     if (gameState.turnQueue) {
       this.turnQueue = [...gameState.turnQueue];
     } else {
-      this.turnQueue = this.generateTurnQueue(gameState.turnOrder, config?.returnToStart || false);
+      this.turnQueue = this.generateTurnQueue(gameState.turnOrder);
     }
     this.stealStack = [...(gameState.stealStack || [])]; // Keep for backwards compatibility
     this.wrappedGifts = [...gameState.wrappedGifts];
     this.unwrappedGifts = new Map(gameState.unwrappedGifts);
     this.turnAction = new Map(gameState.turnAction);
+    // Steals made by each player over the whole game (for config.maxStealsPerPlayer)
+    this.playerStealCounts = new Map(gameState.playerStealCounts || []);
+    // Steals made so far in the current turn's chain (for config.maxStealsPerTurn)
+    this.turnStealCount = gameState.turnStealCount || 0;
+    // Chaos cards played so far - the next one is due at config.chaosCardTurns[chaosCardsPlayed]
+    this.chaosCardsPlayed = gameState.chaosCardsPlayed || 0;
+    // Second go granted by a DOUBLE_ACTION card: { turnIndex, playerId, used }
+    this.chaosExtraTurn = gameState.chaosExtraTurn || null;
+    // Last-chance swap round (config.lastChanceSwap): { queue, index } - players in reverse turn order
+    this.lastChance = gameState.lastChance ? { ...gameState.lastChance, queue: [...gameState.lastChance.queue] } : null;
+    // Who brought each gift: { giftId: playerId } - for config.forbidOwnGift
+    this.giftSubmitters = { ...(gameState.giftSubmitters || {}) };
+    // Gifts nobody needed, handed out when the game ended: { giftId: playerId } (config.surplusGiftPolicy)
+    this.surplusGifts = gameState.surplusGifts || null;
     this.phase = gameState.phase || 'ACTIVE';
-    this.config = config;
     this.isBoomerangPhase = gameState.isBoomerangPhase || false;
     // Initialize history array to track all picks and steals
     this.history = gameState.history || [];
     // Initialize reaction count to track emoji reactions (hype level)
     this.reactionCount = gameState.reactionCount || 0;
+    // Append-only event log (empty for games started before the log existed)
+    this.events = [...(gameState.events || [])];
+    // Published seed hash for the turn-order shuffle (null for older games)
+    this.fairness = gameState.fairness || null;
+    // When the active player's turn times out (null if the party has no turn timer)
+    this.turnDeadline = gameState.turnDeadline ?? null;
+    // Set while the game is PAUSED: { pausedBy, pausedAt, turnTimeLeft }
+    this.pause = gameState.pause || null;
+    // Time source for action timestamps - replay swaps in the recorded event times
+    this.clock = Date.now;
     
     // Calculate active player based on victim-first priority
     this.currentPlayerId = this.calculateActivePlayer();
   }
   
+  /**
+   * Start applying an action: fix the time used for all of its timestamps
+   * @returns {number} Action time (ms since epoch)
+   */
+  beginAction() {
+    this.actionTime = this.clock();
+    return this.actionTime;
+  }
+
+  /**
+   * Give whoever is active after the current action a fresh turn timer
+   */
+  restartTurnTimer() {
+    this.turnDeadline = getTurnDeadline(this.config, this.actionTime);
+  }
+
+  /**
+   * Reject moves while the game is paused
+   */
+  assertNotPaused() {
+    if (this.phase === 'PAUSED') {
+      throw moveError(blockReason(MOVE_BLOCK_REASONS.GAME_PAUSED, 'The game is paused'));
+    }
+  }
+
+  /**
+   * ISO timestamp for history entries of the current action
+   */
+  actionTimestamp() {
+    return new Date(this.actionTime ?? this.clock()).toISOString();
+  }
+
+  /**
+   * Append an event to the log
+   * Only games whose log starts with GAME_STARTED are recorded - a partial log can't be replayed.
+   * @param {string} type - One of GAME_EVENT_TYPES
+   * @param {Object} data - Event payload (everything needed to re-apply the action)
+   */
+  recordEvent(type, data = {}) {
+    if (this.events[0]?.type !== GAME_EVENT_TYPES.GAME_STARTED) {
+      return;
+    }
+    this.events.push({
+      seq: this.events.length,
+      type,
+      ...data,
+      at: this.actionTime ?? this.clock(),
+    });
+  }
+
   /**
    * Calculate who is the active player using victim-first priority
    * Priority 1: If currentVictim is set, they are active (steal chain)
    * Priority 2: Otherwise, use turnQueue[currentTurnIndex]
+   * Once the last-chance swap round has started, its own queue decides instead.
    * @returns {string} Active player ID
    */
   calculateActivePlayer() {
+    // Last-chance swap round: no steal chains, one go each in reverse turn order
+    if (this.lastChance) {
+      const { queue, index } = this.lastChance;
+      return queue[Math.min(index, queue.length - 1)] ?? null;
+    }
+
+
     // Priority 1: Victim takes precedence (steal chain in progress)
     if (this.currentVictim) {
       return this.currentVictim;
@@ -82,100 +305,198 @@ export class GameEngine {
   /**
    * Generate turn queue (helper method for backwards compatibility)
    * @param {Array} turnOrder - The initial shuffled turn order (array of player IDs)
-   * @param {boolean} returnToStart - Whether boomerang rule is active
-   * @returns {Array} Complete turn queue array
+   * @returns {Array} Complete turn queue array for the active variant
    */
-  generateTurnQueue(turnOrder, returnToStart) {
-    if (returnToStart) {
-      // Boomerang (Snake Draft): [P1, P2, ... P9, P10, P10, P9, ... P2, P1]
-      // Forward pass: all players
-      const forward = [...turnOrder];
-      // Reverse pass: all players in reverse (last player appears twice at transition)
-      const reverse = [...turnOrder].reverse();
-      // Last player appears twice at the transition
-      return [...forward, ...reverse];
-    } else {
-      // Standard (Bookend): [P1, P2, ... P10, P1]
-      // Forward pass: all players
-      const forward = [...turnOrder];
-      // Only first player gets a second turn
-      return [...forward, turnOrder[0]];
-    }
+  generateTurnQueue(turnOrder) {
+    return this.variant.generateTurnQueue(turnOrder, getGiftsPerPlayer(this.config));
+  }
+
+  /**
+   * Check if the game is in the variant's swap phase
+   * (players holding a gift may still steal/swap)
+   * @returns {boolean}
+   */
+  isSwapPhase() {
+    return this.variant.isSwapPhase(this);
+  }
+
+  /**
+   * Check if a player may act while holding a gift on the current slot:
+   * a variant exception (e.g. Player 1's bookend turn) or a DOUBLE_ACTION chaos card
+   * @param {string} playerId
+   * @returns {boolean}
+   */
+  canActWhileHolding(playerId) {
+    return this.variant.canActWhileHolding(this, playerId) || this.isChaosExtraTurn(playerId);
+  }
+
+  /**
+   * Check if the current slot is one a DOUBLE_ACTION card was played on, and it is
+   * that player's go (not a victim's during their steal chain)
+   * @param {string} playerId
+   * @returns {boolean}
+   */
+  isChaosExtraTurn(playerId) {
+    return Boolean(this.chaosExtraTurn) &&
+      !this.currentVictim &&
+      this.chaosExtraTurn.turnIndex === this.currentTurnIndex &&
+      this.chaosExtraTurn.playerId === playerId;
   }
 
   /**
    * Check if player can pick a wrapped gift
    */
   canPick(playerId) {
+    return this.getPickBlockReason(playerId) === null;
+  }
+
+  /**
+   * Explain why a player cannot pick a wrapped gift
+   * @param {string} playerId
+   * @returns {{code: string, message: string}|null} Block reason, or null if the pick is legal
+   */
+  getPickBlockReason(playerId) {
     // CRITICAL: Use calculated active player (victim-first priority)
     const activePlayer = this.calculateActivePlayer();
-    if (activePlayer !== playerId) return false;
-    if (this.turnAction.get(playerId)) return false; // Already acted this turn
-    if (this.wrappedGifts.length === 0) return false; // No wrapped gifts left
+    if (activePlayer !== playerId) {
+      return blockReason(MOVE_BLOCK_REASONS.NOT_YOUR_TURN, 'It is not your turn');
+    }
+    if (this.turnAction.get(playerId)) {
+      return blockReason(MOVE_BLOCK_REASONS.ALREADY_ACTED, 'You have already acted this turn');
+    }
+    if (this.wrappedGifts.length === 0) {
+      return blockReason(MOVE_BLOCK_REASONS.NO_WRAPPED_GIFTS, 'There are no wrapped gifts left');
+    }
     
-    // Check if player already has a gift
-    const playerHasGift = this.playerHasGift(playerId);
+    // Check if player already has a gift (every gift they should hold by now - config.giftsPerPlayer)
+    const playerHasGift = this.hasFullHand(playerId);
+    
+    // Picking while holding trades the held gift away - only allowed while gifts are to spare
+    if (playerHasGift && !this.holderMayPick()) {
+      return blockReason(MOVE_BLOCK_REASONS.HOLDING_GIFT, 'You already have a gift - steal to swap it or keep it');
+    }
+
+    // Gift pools (config.giftPoolMode): the wrapped gifts left may all be from pools they can't take
+    if (this.config?.giftPoolMode && this.getPickableGiftIds(playerId).length === 0) {
+      return blockReason(MOVE_BLOCK_REASONS.WRONG_POOL, 'None of the wrapped gifts are from a pool you can take');
+    }
     
     // If there are wrapped gifts remaining, allow players to pick even if they have a gift
     // This ensures all gifts are claimed before the game ends
     if (playerHasGift && this.wrappedGifts.length > 0) {
       // Allow picking wrapped gifts even if player has a gift (to claim all gifts)
-      return true;
+      return null;
     }
     
     // If player doesn't have a gift, they can always pick
     if (!playerHasGift) {
-      return true;
+      return null;
     }
     
-    // Exception 1: Player 1's Final Turn in Standard Mode (bookend exception)
-    // Per GAME_RULES.md Rule 1: "The Final Turn of Standard Mode (Player 1's second turn at the end of the queue).
-    // Player 1 acts as if in Boomerang phase, allowing them to pick or steal even though they already hold a gift."
-    const isLastIndex = this.currentTurnIndex === (this.turnQueue.length - 1);
-    const isPlayer1 = this.turnOrder && this.turnOrder[0] === playerId;
-    const isPlayer1FinalTurn = isLastIndex && isPlayer1;
-    
-    // Exception 2: First player in final boomerang turn can still act
-    // Compute boomerang phase dynamically (consistent with canSteal)
-    const isInBoomerangPhase = this.currentTurnIndex >= (this.turnOrder?.length || 0);
-    const isFirstPlayerFinalBoomerangTurn = isInBoomerangPhase && 
-      this.turnOrder[0] === playerId && 
-      activePlayer === playerId;
+    // Variant exceptions (e.g. Player 1's bookend turn, Boomerang swap phase) and chaos extra turns
+    if (this.canActWhileHolding(playerId)) {
+      return null;
+    }
     
-    if (isPlayer1FinalTurn || isFirstPlayerFinalBoomerangTurn) {
+    return blockReason(MOVE_BLOCK_REASONS.HOLDING_GIFT, 'You already have a gift');
+  }
+
+  /**
+   * Check if a player holding a gift may still pick a wrapped one (giving up the gift they hold)
+   * Normally allowed whenever wrapped gifts remain, so every gift gets claimed. DOUBLE_ACTION
+   * chaos cards swap gifts while wrapped gifts are still out, so chaos games only allow it
+   * for gifts nobody short of gifts still needs (e.g. a removed player's gift).
+   * Once nobody needs a gift, what is left is surplus and set aside (config.surplusGiftPolicy).
+   * @returns {boolean}
+   */
+  holderMayPick() {
+    if (this.wrappedGifts.length === 0 || this.countGiftsStillNeeded() === 0) {
+      return false;
+    }
+    if (!(this.config?.chaosCardTurns?.length > 0)) {
       return true;
     }
-    
-    return false;
+    return this.wrappedGifts.length > this.countGiftsStillNeeded();
+  }
+
+  /**
+   * Count the gifts players are still short of (config.giftsPerPlayer each)
+   * Wrapped gifts beyond this many are surplus (see settleSurplusGifts).
+   * @returns {number}
+   */
+  countGiftsStillNeeded() {
+    const giftsPerPlayer = getGiftsPerPlayer(this.config);
+    return this.turnOrder
+      .reduce((total, id) => total + Math.max(0, giftsPerPlayer - this.countPlayerGifts(id)), 0);
   }
 
   /**
    * Check if gift is stealable
+   * Throws for the U-Turn rule so callers get a specific error message
    */
   canSteal(giftId, playerId) {
+    const reason = this.getStealBlockReason(giftId, playerId);
+    if (reason?.code === MOVE_BLOCK_REASONS.UTURN_BLOCKED) {
+      throw moveError(reason);
+    }
+    return reason === null;
+  }
+
+  /**
+   * Explain why a player cannot steal a gift
+   * @param {string} giftId
+   * @param {string} playerId
+   * @returns {{code: string, message: string}|null} Block reason, or null if the steal is legal
+   */
+  getStealBlockReason(giftId, playerId) {
     // CRITICAL: Use calculated active player (victim-first priority)
     const activePlayer = this.calculateActivePlayer();
-    if (activePlayer !== playerId) return false;
-    
-    // Check if player is in second half of boomerang queue
-    const isInSecondHalf = this.turnQueue && 
-      this.currentTurnIndex >= (this.turnOrder?.length || 0);
+    if (activePlayer !== playerId) {
+      return blockReason(MOVE_BLOCK_REASONS.NOT_YOUR_TURN, 'It is not your turn');
+    }
+    if (this.lastChance) {
+      return this.getLastChanceSwapBlockReason(giftId, playerId);
+    }
     
-    // Calculate Player 1's final turn (bookend exception)
-    const isLastIndex = this.currentTurnIndex === (this.turnQueue.length - 1);
-    const isPlayer1 = this.turnOrder && this.turnOrder[0] === playerId;
-    const isPlayer1FinalTurn = isLastIndex && isPlayer1;
+    // Variant exceptions: in the swap phase (Boomerang second half, Player 1's bookend turn)
+    // players can steal even after picking or while holding a gift
+    const canActWhileHolding = this.isSwapPhase() || this.canActWhileHolding(playerId);
     
-    // In boomerang phase or Player 1's final turn, players can steal even after picking
     // This allows swapping (picking then stealing in boomerang phase)
-    if (this.turnAction.get(playerId) && !isInSecondHalf && !isPlayer1FinalTurn) {
-      return false; // Already acted this turn (only in standard phase)
+    if (this.turnAction.get(playerId) && !canActWhileHolding) {
+      // Already acted this turn (only in standard phase)
+      return blockReason(MOVE_BLOCK_REASONS.ALREADY_ACTED, 'You have already acted this turn');
     }
     
     const gift = this.unwrappedGifts.get(giftId);
-    if (!gift) return false; // Gift doesn't exist or is wrapped
-    if (gift.isFrozen) return false; // Gift is frozen
-    if (gift.ownerId === playerId) return false; // Can't steal your own gift
+    if (!gift) {
+      // Gift doesn't exist or is wrapped
+      return blockReason(MOVE_BLOCK_REASONS.GIFT_NOT_AVAILABLE, 'This gift has not been unwrapped');
+    }
+    if (gift.isFrozen) {
+      return blockReason(MOVE_BLOCK_REASONS.GIFT_FROZEN, `This gift is locked (${this.config.maxSteals} steals)`);
+    }
+    if (this.hasReachedStealQuota(playerId)) {
+      return blockReason(
+        MOVE_BLOCK_REASONS.STEAL_QUOTA_REACHED,
+        `You have used all ${this.config.maxStealsPerPlayer} of your steals this game`
+      );
+    }
+    if (this.isStealChainCapped(playerId)) {
+      return blockReason(
+        MOVE_BLOCK_REASONS.STEAL_CHAIN_LIMIT,
+        `This turn has reached its limit of ${this.config.maxStealsPerTurn} steals`
+      );
+    }
+    if (gift.ownerId === playerId) {
+      return blockReason(MOVE_BLOCK_REASONS.OWN_GIFT, 'You already own this gift');
+    }
+    if (this.isStealExcluded(playerId, gift.ownerId)) {
+      return blockReason(MOVE_BLOCK_REASONS.STEAL_EXCLUDED, 'You cannot steal from someone in your no-steal group');
+    }
+    if (this.isOwnGiftBlocked(giftId, playerId)) {
+      return blockReason(MOVE_BLOCK_REASONS.OWN_SUBMITTED_GIFT, 'You cannot steal the gift you brought');
+    }
     
     // RULE 4: The "Immediate Steal-Back" Rule (Updated)
     // Prevent immediate steal-back on the SAME turn
@@ -184,7 +505,7 @@ export class GameEngine {
     // Check if the player was the last owner of this gift
     // Note: lastOwnerId is cleared when turns advance, allowing re-stealing on next turn
     if (gift.lastOwnerId === playerId) {
-      throw new Error('Cannot steal back a gift immediately after losing it on the same turn');
+      return blockReason(MOVE_BLOCK_REASONS.UTURN_BLOCKED, 'Cannot steal back a gift immediately after losing it on the same turn');
     }
     
     // RULE 9: Wrapped Gift Claiming (Unwrap Before Final Turn)
@@ -195,55 +516,193 @@ export class GameEngine {
     // Bots will still prioritize picking wrapped gifts (handled in bot-utils.js)
     
     // RULE 3: The "Holding" Constraint
-    // In second half of boomerang, players can steal/swap even if they hold a gift
-    if (!isInSecondHalf) {
-      // First half: normal constraint - cannot act if holding a gift
-      for (const [currentGiftId, currentGift] of this.unwrappedGifts.entries()) {
-        if (currentGift.ownerId === playerId && currentGiftId !== giftId) {
-          // Exception 1: Player 1's Final Turn in Standard Mode (bookend exception)
-          // Per GAME_RULES.md Rule 1: "The Final Turn of Standard Mode (Player 1's second turn at the end of the queue).
-          // Player 1 acts as if in Boomerang phase, allowing them to pick or steal even though they already hold a gift."
-          const isLastIndex = this.currentTurnIndex === (this.turnQueue.length - 1);
-          const isPlayer1 = this.turnOrder && this.turnOrder[0] === playerId;
-          const isPlayer1FinalTurn = isLastIndex && isPlayer1;
-          
-          // Exception 2: First player in final boomerang turn can still act
-          // Use computed boomerang phase (isInSecondHalf) instead of stored value
-          const activePlayer = this.calculateActivePlayer();
-          const isFirstPlayerFinalBoomerangTurn = isInSecondHalf && 
-            this.turnOrder[0] === playerId && 
-            activePlayer === playerId;
-          
-          if (!isPlayer1FinalTurn && !isFirstPlayerFinalBoomerangTurn) {
-            return false; // Player already has a gift - cannot steal
-          }
-        }
-      }
+    // Outside the variant's exceptions, players cannot steal while holding a gift
+    // (with config.giftsPerPlayer, while holding every gift they should have by now)
+    if (!canActWhileHolding && this.hasFullHand(playerId)) {
+      return blockReason(MOVE_BLOCK_REASONS.HOLDING_GIFT, 'You already have a gift - you can only swap in boomerang phase');
     }
-    // If isInSecondHalf is true, allow steal (swap) even if player has a gift
+    // Otherwise allow steal (swap) even if player has a gift
     
-    return true;
+    return this.getPoolBlockReason(giftId, playerId);
+  }
+
+  /**
+   * Explain why a player cannot swap for a gift in the last-chance round
+   * Only locked gifts are protected - the player's own included. Quotas, chain caps
+   * and the U-Turn rule don't apply: nobody steals back in this round.
+   * @param {string} giftId
+   * @param {string} playerId
+   * @returns {{code: string, message: string}|null} Block reason, or null if the swap is legal
+   */
+  getLastChanceSwapBlockReason(giftId, playerId) {
+    const gift = this.unwrappedGifts.get(giftId);
+    if (!gift) {
+      return blockReason(MOVE_BLOCK_REASONS.GIFT_NOT_AVAILABLE, 'This gift has not been unwrapped');
+    }
+    if (gift.ownerId === playerId) {
+      return blockReason(MOVE_BLOCK_REASONS.OWN_GIFT, 'You already own this gift');
+    }
+    if (gift.isFrozen) {
+      return blockReason(MOVE_BLOCK_REASONS.GIFT_FROZEN, `This gift is locked (${this.config.maxSteals} steals)`);
+    }
+    if (this.isStealExcluded(playerId, gift.ownerId)) {
+      return blockReason(MOVE_BLOCK_REASONS.STEAL_EXCLUDED, 'You cannot swap with someone in your no-steal group');
+    }
+    if (this.isOwnGiftBlocked(giftId, playerId)) {
+      return blockReason(MOVE_BLOCK_REASONS.OWN_SUBMITTED_GIFT, 'You cannot swap for the gift you brought');
+    }
+    if (!this.playerHasGift(playerId)) {
+      return blockReason(MOVE_BLOCK_REASONS.NO_GIFT, 'You have no gift to swap');
+    }
+    // With gift pools (config.giftPoolMode) the swap stays within the gift's pool
+    const pool = this.getGiftPool(giftId);
+    if (pool && !this.holdsPoolGift(playerId, pool)) {
+      return blockReason(MOVE_BLOCK_REASONS.WRONG_POOL, `You have no ${pool} gift to swap for this one`);
+    }
+    if (!this.findSwapGiftId(playerId, { unlockedOnly: true, pool })) {
+      return blockReason(MOVE_BLOCK_REASONS.GIFT_FROZEN, 'Your gift is locked - it stays with you');
+    }
+    return null;
+  }
+
+  /**
+   * Check if two players share a no-steal group (config.stealExclusionGroups), e.g. a couple
+   * Waived like the steal quota when stealing is the only way left for the player to get a gift.
+   * @param {string} playerId - The player who wants to steal
+   * @param {string|null} ownerId - The gift's holder
+   * @returns {boolean}
+   */
+  isStealExcluded(playerId, ownerId) {
+    const groups = this.config?.stealExclusionGroups;
+    if (!ownerId || !groups?.some(({ playerIds }) => playerIds.includes(playerId) && playerIds.includes(ownerId))) {
+      return false;
+    }
+    return this.hasFullHand(playerId) || this.wrappedGifts.length > 0;
+  }
+
+  /**
+   * Check if a player may not steal the gift they brought (config.forbidOwnGift)
+   * Waived like the steal quota when stealing is the only way left for them to get a gift.
+   * @param {string} giftId
+   * @param {string} playerId
+   * @returns {boolean}
+   */
+  isOwnGiftBlocked(giftId, playerId) {
+    if (!this.config?.forbidOwnGift || this.giftSubmitters[giftId] !== playerId) {
+      return false;
+    }
+    return this.hasFullHand(playerId) || this.wrappedGifts.length > 0;
+  }
+
+  /**
+   * Wrapped gifts a player may open: only from a pool they can take (config.giftPoolMode),
+   * and with config.forbidOwnGift not the one they brought while any other gift is still wrapped
+   * @param {string} playerId
+   * @returns {string[]}
+   */
+  getPickableGiftIds(playerId) {
+    const wrappedGifts = this.wrappedGifts.filter((giftId) => this.getPoolBlockReason(giftId, playerId) === null);
+    if (!this.config?.forbidOwnGift) {
+      return wrappedGifts;
+    }
+    const others = wrappedGifts.filter((giftId) => this.giftSubmitters[giftId] !== playerId);
+    return others.length > 0 ? others : wrappedGifts;
+  }
+
+  /**
+   * Explain why a gift's pool keeps a player from taking it (config.giftPoolMode)
+   * Everyone goes home with one gift from each pool, so a player with room in their hand
+   * may only take from a pool they have no gift from yet, and a full hand only swaps within
+   * a pool. With 'per_turn' the picking passes also only play their own pool.
+   * @param {string} giftId - Wrapped or unwrapped gift
+   * @param {string} playerId
+   * @returns {{code: string, message: string}|null} Block reason, or null if the pool allows it
+   */
+  getPoolBlockReason(giftId, playerId) {
+    const pool = this.getGiftPool(giftId);
+    if (!pool) {
+      return null;
+    }
+    const turnPool = getTurnPool(this);
+    if (turnPool && pool !== turnPool) {
+      return blockReason(MOVE_BLOCK_REASONS.WRONG_POOL, `This turn is for ${turnPool} gifts`);
+    }
+    const holdsPool = this.holdsPoolGift(playerId, pool);
+    if (this.hasFullHand(playerId)) {
+      return holdsPool
+        ? null
+        : blockReason(MOVE_BLOCK_REASONS.WRONG_POOL, `You have no ${pool} gift to swap for this one`);
+    }
+    return holdsPool
+      ? blockReason(MOVE_BLOCK_REASONS.WRONG_POOL, `You already have a ${pool} gift`)
+      : null;
+  }
+
+  /**
+   * Check if a player has used up their steals for the game (config.maxStealsPerPlayer)
+   * The quota is waived when stealing is the only way left for them to get a gift.
+   * @param {string} playerId
+   * @returns {boolean}
+   */
+  hasReachedStealQuota(playerId) {
+    const quota = this.config?.maxStealsPerPlayer;
+    if (!quota || (this.playerStealCounts.get(playerId) || 0) < quota) {
+      return false;
+    }
+    return this.hasFullHand(playerId) || this.wrappedGifts.length > 0;
+  }
+
+  /**
+   * Check if the current turn's steal chain has hit its cap (config.maxStealsPerTurn)
+   * Once capped, the victim picks a wrapped gift; with none left, config.stealChainFallback
+   * decides. A victim with no gift and nothing to pick may always steal.
+   * @param {string} playerId
+   * @returns {boolean}
+   */
+  isStealChainCapped(playerId) {
+    const cap = this.config?.maxStealsPerTurn;
+    if (!cap || this.turnStealCount < cap) {
+      return false;
+    }
+    if (this.wrappedGifts.length > 0) {
+      return true;
+    }
+    return this.hasFullHand(playerId) && this.config.stealChainFallback !== STEAL_CHAIN_FALLBACKS.STEAL;
   }
 
   /**
    * Player picks a wrapped gift
    */
   pickGift(giftId, playerId) {
-    if (!this.canPick(playerId)) {
-      throw new Error('Cannot pick gift: invalid action');
+    this.assertNotPaused();
+    this.beginAction();
+    this.restartTurnTimer();
+    const pickBlockReason = this.getPickBlockReason(playerId);
+    if (pickBlockReason) {
+      throw moveError(pickBlockReason, 'Cannot pick gift: invalid action');
+    }
+    const poolBlockReason = this.wrappedGifts.includes(giftId) ? this.getPoolBlockReason(giftId, playerId) : null;
+    if (poolBlockReason) {
+      throw moveError(poolBlockReason);
+    }
+    if (this.wrappedGifts.includes(giftId) && !this.getPickableGiftIds(playerId).includes(giftId)) {
+      throw moveError(blockReason(
+        MOVE_BLOCK_REASONS.OWN_SUBMITTED_GIFT,
+        'You cannot open the gift you brought while other gifts are still wrapped'
+      ));
     }
 
     // CRITICAL: If player already has a gift, remove it first to prevent duplicate ownership
-    // This ensures "one gift per person" rule is maintained
-    const playerHasGift = this.playerHasGift(playerId);
+    // This ensures "one gift per person" rule is maintained (config.giftsPerPlayer per person)
+    // The released gift goes back into the wrapped pile, so it still ends up with someone
+    // (with gift pools, the one from the picked gift's pool - config.giftPoolMode)
+    const playerHasGift = this.hasFullHand(playerId);
     if (playerHasGift) {
-      // Find and remove the player's existing gift
-      for (const [existingGiftId, gift] of this.unwrappedGifts.entries()) {
-        if (gift.ownerId === playerId) {
-          this.unwrappedGifts.delete(existingGiftId);
-          console.log(`🔄 Player ${playerId} picking new gift - releasing old gift ${existingGiftId}`);
-          break;
-        }
+      const existingGiftId = this.findSwapGiftId(playerId, { pool: this.getGiftPool(giftId) });
+      if (existingGiftId) {
+        this.unwrappedGifts.delete(existingGiftId);
+        this.wrappedGifts.push(existingGiftId);
+        console.log(`🔄 Player ${playerId} picking new gift - releasing old gift ${existingGiftId}`);
       }
     }
 
@@ -260,7 +719,7 @@ export class GameEngine {
       stealCount: 0,
       isFrozen: false,
       lastOwnerId: null, // No previous owner for picked gifts
-      lastInteractedAt: Date.now(), // Track when gift was last interacted with
+      lastInteractedAt: this.actionTime, // Track when gift was last interacted with
     });
 
     // Mark player as having acted
@@ -271,8 +730,9 @@ export class GameEngine {
       type: 'PICK',
       playerId: playerId,
       giftId: giftId,
-      timestamp: new Date().toISOString(),
+      timestamp: this.actionTimestamp(),
     });
+    this.recordEvent(GAME_EVENT_TYPES.PICK, { playerId, giftId });
 
     // RULE 2: Turn Termination Logic - PICK Action
     // When OPEN_GIFT happens:
@@ -281,6 +741,7 @@ export class GameEngine {
     // 3. Check if game should end
     
     this.currentVictim = null; // Chain is broken - victim resolved by picking
+    this.turnStealCount = 0;
     
     // Clear lastOwnerId for all gifts when turn advances
     // This allows players to steal back gifts they lost once a turn has passed
@@ -289,13 +750,18 @@ export class GameEngine {
       gift.lastOwnerId = null;
     }
     
+    // A DOUBLE_ACTION card gives this slot's player a second go before the turn order moves on
+    if (this.startChaosExtraTurn()) {
+      return this.getState();
+    }
+    
     // Increment turn index to next position
     this.currentTurnIndex = (this.currentTurnIndex || 0) + 1;
     
     // Check if game should end (queue exhausted)
     if (this.currentTurnIndex >= this.turnQueue.length) {
       if (this.shouldGameEnd()) {
-        this.phase = 'ENDED';
+        this.finishTurnQueue();
       } else {
         // Queue exhausted but game can't end (wrapped gifts remain)
         // Clamp currentTurnIndex to the last valid index (length - 1, not length)
@@ -304,9 +770,8 @@ export class GameEngine {
         console.warn(`⚠️ Queue exhausted (index: ${this.currentTurnIndex}, queue length: ${this.turnQueue.length}) but wrapped gifts remain. Allowing players to pick wrapped gifts.`);
       }
     } else {
-      // Determine if we're in boomerang phase
-      const isBoomerangPhase = this.isBoomerangPhase || 
-        (this.currentTurnIndex >= (this.turnOrder?.length || 0));
+      // Determine if we're in the variant's swap phase
+      const isBoomerangPhase = this.isSwapPhase();
       
       if (isBoomerangPhase) {
         // Boomerang Phase: Use skip logic (players with gifts can still act via swap)
@@ -314,7 +779,8 @@ export class GameEngine {
         
         if (nextPlayer) {
           // Update currentTurnIndex to match the found player's position
-          const nextIndex = this.turnQueue.indexOf(nextPlayer);
+          // (search forward - players appear once per pass)
+          const nextIndex = this.turnQueue.indexOf(nextPlayer, this.currentTurnIndex);
           if (nextIndex >= 0) {
             this.currentTurnIndex = nextIndex;
           }
@@ -323,7 +789,7 @@ export class GameEngine {
         } else {
           // No valid player found - check if game should end
           if (this.shouldGameEnd()) {
-            this.phase = 'ENDED';
+            this.finishTurnQueue();
           }
         }
       } else {
@@ -341,6 +807,7 @@ export class GameEngine {
         }
       }
     }
+    this.playDueChaosCards();
     
     // Recalculate active player (victim-first priority)
     this.currentPlayerId = this.calculateActivePlayer();
@@ -353,8 +820,14 @@ export class GameEngine {
    * When you steal, the previous owner gets your current gift
    */
   stealGift(giftId, playerId) {
+    this.assertNotPaused();
+    this.beginAction();
+    this.restartTurnTimer();
     if (!this.canSteal(giftId, playerId)) {
-      throw new Error('Cannot steal gift: invalid action');
+      throw moveError(this.getStealBlockReason(giftId, playerId), 'Cannot steal gift: invalid action');
+    }
+    if (this.lastChance) {
+      return this.swapLastChance(giftId, playerId);
     }
 
     const stolenGift = this.unwrappedGifts.get(giftId);
@@ -363,37 +836,32 @@ export class GameEngine {
     // Track last owner to prevent immediate steal-back
     const lastOwnerId = stolenGift.lastOwnerId || previousOwnerId;
 
-    // Find the gift that the stealing player currently owns (if any)
+    // Find the gift that the stealing player hands over (if any)
+    // Only a player already holding every gift they should have by now swaps one away -
+    // with config.giftsPerPlayer, a thief short of gifts just adds the stolen one to their hand
+    // With gift pools (config.giftPoolMode) they swap away their gift from the stolen one's pool
     // IMPORTANT: Use a different variable name to avoid shadowing the parameter giftId
     // Also important: Exclude the gift being stolen from this search
-    let playerCurrentGiftId = null;
-    for (const [currentGiftId, gift] of this.unwrappedGifts.entries()) {
-      // Skip the gift being stolen - we're about to transfer it
-      if (currentGiftId === giftId) continue;
-      if (gift.ownerId === playerId) {
-        playerCurrentGiftId = currentGiftId;
-        break;
-      }
-    }
+    const playerCurrentGiftId = this.hasFullHand(playerId)
+      ? this.findSwapGiftId(playerId, { excludeGiftId: giftId, pool: this.getGiftPool(giftId) })
+      : null;
 
-    // CRITICAL: Validate that the victim doesn't already have a DIFFERENT gift
-    // The victim should only own the gift being stolen (giftId), not any other gift
+    // CRITICAL: Validate that the victim doesn't already hold more gifts than allowed
+    // With one gift per player, the victim should only own the gift being stolen (giftId)
     // This validation must happen BEFORE any ownership changes
-    let victimHasOtherGift = false;
-    for (const [currentGiftId, currentGift] of this.unwrappedGifts.entries()) {
-      if (currentGift.ownerId === previousOwnerId && currentGiftId !== giftId) {
-        victimHasOtherGift = true;
-        break;
-      }
-    }
-    if (victimHasOtherGift) {
-      console.error(`ERROR: Victim ${previousOwnerId} already has a different gift! Cannot steal.`);
+    const giftsPerPlayer = getGiftsPerPlayer(this.config);
+    if (this.countPlayerGifts(previousOwnerId) > giftsPerPlayer) {
+      console.error(`ERROR: Victim ${previousOwnerId} already has too many gifts! Cannot steal.`);
       console.error('Current unwrappedGifts state:', Array.from(this.unwrappedGifts.entries()));
       throw new Error(`Cannot steal: victim ${previousOwnerId} already owns another gift. This indicates a state corruption.`);
     }
 
-    // Increment steal count on the stolen gift
+    // Increment steal count on the stolen gift, the thief's steals this game and this turn's chain
     stolenGift.stealCount += 1;
+    this.playerStealCounts.set(playerId, (this.playerStealCounts.get(playerId) || 0) + 1);
+    // Past the cap only when a fallback lifted it (see isStealChainCapped)
+    const chainCapLifted = Boolean(this.config?.maxStealsPerTurn) && this.turnStealCount >= this.config.maxStealsPerTurn;
+    this.turnStealCount += 1;
 
     // Check if stolen gift should be frozen
     const isFrozenNow = stolenGift.stealCount >= this.config.maxSteals;
@@ -419,7 +887,7 @@ export class GameEngine {
       // Track last owner for U-Turn prevention
       playerGift.lastOwnerId = playerId; // The stealing player was the previous owner
       // Update interaction timestamp for exchanged gift
-      playerGift.lastInteractedAt = Date.now();
+      playerGift.lastInteractedAt = this.actionTime;
     }
     // Note: If stealing player had no gift, previous owner will get a turn to pick a new gift
 
@@ -429,31 +897,21 @@ export class GameEngine {
     // Update lastOwnerId to track previous owner for U-Turn prevention
     stolenGift.lastOwnerId = previousOwnerId;
     // Update interaction timestamp for stolen gift
-    stolenGift.lastInteractedAt = Date.now();
+    stolenGift.lastInteractedAt = this.actionTime;
     
     // CRITICAL: Final validation - ensure stealer doesn't have multiple gifts
-    // Check if stealer now owns multiple gifts (should only own the stolen gift)
-    let stealerGiftCount = 0;
-    for (const [currentGiftId, currentGift] of this.unwrappedGifts.entries()) {
-      if (currentGift.ownerId === playerId) {
-        stealerGiftCount++;
-      }
-    }
-    if (stealerGiftCount > 1) {
+    // Check if stealer now owns multiple gifts (more than config.giftsPerPlayer)
+    const stealerGiftCount = this.countPlayerGifts(playerId);
+    if (stealerGiftCount > giftsPerPlayer) {
       console.error(`ERROR: After steal, stealer ${playerId} has ${stealerGiftCount} gifts!`);
       console.error('unwrappedGifts state:', Array.from(this.unwrappedGifts.entries()));
       throw new Error(`Duplicate ownership detected: stealer ${playerId} has ${stealerGiftCount} gifts after steal`);
     }
     
     // CRITICAL: Final validation - ensure victim doesn't have multiple gifts
-    // Check if victim now owns multiple gifts (should only own exchanged gift or none)
-    let victimGiftCount = 0;
-    for (const [currentGiftId, currentGift] of this.unwrappedGifts.entries()) {
-      if (currentGift.ownerId === previousOwnerId) {
-        victimGiftCount++;
-      }
-    }
-    if (victimGiftCount > 1) {
+    // Check if victim now owns multiple gifts (more than config.giftsPerPlayer)
+    const victimGiftCount = this.countPlayerGifts(previousOwnerId);
+    if (victimGiftCount > giftsPerPlayer) {
       console.error(`ERROR: After steal, victim ${previousOwnerId} has ${victimGiftCount} gifts!`);
       console.error('unwrappedGifts state:', Array.from(this.unwrappedGifts.entries()));
       throw new Error(`Duplicate ownership detected: victim ${previousOwnerId} has ${victimGiftCount} gifts after steal`);
@@ -492,7 +950,7 @@ export class GameEngine {
         ownerCounts[gift.ownerId] = (ownerCounts[gift.ownerId] || 0) + 1;
       }
     }
-    const duplicates = Object.entries(ownerCounts).filter(([_, count]) => count > 1);
+    const duplicates = Object.entries(ownerCounts).filter(([_, count]) => count > giftsPerPlayer);
     if (duplicates.length > 0) {
       console.error('ERROR: After steal, duplicate ownership detected!', duplicates);
       console.error('unwrappedGifts state:', Array.from(this.unwrappedGifts.entries()));
@@ -511,111 +969,129 @@ export class GameEngine {
       exchangedGiftId: playerCurrentGiftId || null, // The gift the stealer gave up (if any)
       stealCount: stolenGift.stealCount,
       isFrozen: isFrozenNow,
-      timestamp: new Date().toISOString(),
+      turnStealNumber: this.turnStealCount, // Position of this steal in the turn's chain
+      chainCapLifted,
+      timestamp: this.actionTimestamp(),
     });
+    this.recordEvent(GAME_EVENT_TYPES.STEAL, { playerId, giftId });
 
     return this.getState();
   }
 
   /**
-   * Check if game should end based on robust conditions
-   * Game ends if:
-   * Option A (Normal end):
-   *   1. currentTurnIndex >= turnQueue.length (Everyone has had their primary turn)
-   *   2. AND the current activePlayer has a gift (No pending victims from steal chains)
-   *   3. AND unwrappedGifts.length === totalParticipants (All gifts have been claimed)
-   * Option B (All gifts frozen):
-   *   1. currentTurnIndex >= turnQueue.length (No more turns)
-   *   2. AND all unwrapped gifts are frozen (No more steals possible)
-   *   3. AND at least one gift has been unwrapped (game has started)
+   * Check if game should end
+   * The wrapped-gifts invariant is enforced here for every variant;
+   * remaining end conditions are delegated to the active variant.
    * Note: Remaining wrapped gifts will be assigned in endGame() to players without gifts
+   * During the last-chance swap round the game ends once everyone has had their go.
    */
   shouldGameEnd() {
+    if (this.lastChance) {
+      return this.lastChance.index >= this.lastChance.queue.length;
+    }
+
     // CRITICAL INVARIANT: Per .cursorrules - "The Game NEVER ends if wrapped gifts remain"
-    // SAFETY NET: Game cannot end if wrapped gifts exist
+    // SAFETY NET: Game cannot end if wrapped gifts exist that someone still needs
     // This prevents the game from ending prematurely when there are still gifts to be picked
-    if (this.wrappedGifts && Array.isArray(this.wrappedGifts) && this.wrappedGifts.length > 0) {
-      return false; // GAME CANNOT END if wrapped gifts exist
+    // (surplus gifts nobody needs go by config.surplusGiftPolicy once it ends)
+    if (this.wrappedGifts && Array.isArray(this.wrappedGifts) && this.wrappedGifts.length > 0 &&
+      this.countGiftsStillNeeded() > 0) {
+      return false; // GAME CANNOT END if wrapped gifts are still needed
     }
     
-    // Condition 1: Check if we've exhausted the turn queue
-    const queueExhausted = (this.currentTurnIndex || 0) >= this.turnQueue.length;
-    if (!queueExhausted) {
-      return false; // Still have players in queue
-    }
+    return this.variant.shouldGameEnd(this);
+  }
 
-    // Check if all unwrapped gifts are frozen
-    let allGiftsFrozen = true;
-    if (this.unwrappedGifts.size === 0) {
-      allGiftsFrozen = false; // No gifts to freeze
-    } else {
-      for (const [_, gift] of this.unwrappedGifts.entries()) {
-        if (!gift.isFrozen) {
-          allGiftsFrozen = false;
-          break;
-        }
+  /**
+   * Helper: Check if a player currently has a gift
+   */
+  playerHasGift(playerId) {
+    if (!playerId) return false;
+    for (const [_, gift] of this.unwrappedGifts.entries()) {
+      if (gift.ownerId === playerId) {
+        return true;
       }
     }
+    return false;
+  }
 
-    // Option B: If all unwrapped gifts are frozen AND queue is exhausted, game should end
-    // (Remaining wrapped gifts will be assigned in endGame() to players without gifts)
-    if (allGiftsFrozen && this.unwrappedGifts.size > 0) {
-      return true; // Game should end - no more steals possible
+  /**
+   * Helper: Count the gifts a player currently holds
+   * @param {string} playerId
+   * @returns {number}
+   */
+  countPlayerGifts(playerId) {
+    let count = 0;
+    for (const gift of this.unwrappedGifts.values()) {
+      if (gift.ownerId === playerId) {
+        count++;
+      }
     }
+    return count;
+  }
 
-    // Option A: Normal end - check if all gifts have been claimed
-    const totalParticipants = this.turnOrder?.length || 0;
-    const unwrappedGiftsCount = this.unwrappedGifts.size;
-    const allGiftsClaimed = unwrappedGiftsCount >= totalParticipants;
-    if (!allGiftsClaimed) {
-      return false; // Not all gifts have been picked yet
-    }
+  /**
+   * Helper: The pool a gift is in (config.giftPoolMode)
+   * @param {string} giftId
+   * @returns {string|null} 'nice' or 'gag', or null if the game has no pools
+   */
+  getGiftPool(giftId) {
+    return getGiftPool(this.config, giftId);
+  }
 
-    // Current player must have a gift (no pending victims from steal chains)
-    // CRITICAL: Check if there's a pending victim (steal chain in progress)
-    if (this.currentVictim) {
-      return false; // There's a pending victim - game cannot end yet
-    }
-    
-    // When queue is exhausted, we don't need to check the active player
-    // because there is no active player (index is out of bounds)
-    // Instead, verify that all participants have gifts
-    const playersWithGifts = new Set();
-    for (const [_, gift] of this.unwrappedGifts.entries()) {
-      if (gift.ownerId) {
-        playersWithGifts.add(gift.ownerId);
-      }
-    }
-    
-    // If queue is exhausted and all participants have gifts, game should end
-    if (playersWithGifts.size >= totalParticipants) {
-      return true; // All participants have gifts - game should end
-    }
-    
-    // Fallback: Check active player if index is still valid
-    if (this.currentTurnIndex < this.turnQueue.length) {
-      const activePlayer = this.calculateActivePlayer();
-      const currentPlayerHasGift = activePlayer && this.playerHasGift(activePlayer);
-      if (!currentPlayerHasGift) {
-        return false; // Current player doesn't have a gift, might be waiting to act
+  /**
+   * Helper: Check if a player holds a gift from a pool
+   * @param {string} playerId
+   * @param {string} pool
+   * @returns {boolean}
+   */
+  holdsPoolGift(playerId, pool) {
+    for (const [giftId, gift] of this.unwrappedGifts.entries()) {
+      if (gift.ownerId === playerId && this.getGiftPool(giftId) === pool) {
+        return true;
       }
     }
-
-    // All conditions met - game should end
-    return true;
+    return false;
   }
 
   /**
-   * Helper: Check if a player currently has a gift
+   * Helper: Check if a player holds every gift they should have by a turn queue slot
+   * With one gift per player this is just playerHasGift; with config.giftsPerPlayer it is
+   * one gift per picking pass they have reached (see getHandSize in variants/shared.js).
+   * @param {string} playerId
+   * @param {number} turnIndex - Slot to check (defaults to the current one)
+   * @returns {boolean}
    */
-  playerHasGift(playerId) {
+  hasFullHand(playerId, turnIndex = this.currentTurnIndex || 0) {
     if (!playerId) return false;
-    for (const [_, gift] of this.unwrappedGifts.entries()) {
-      if (gift.ownerId === playerId) {
-        return true;
+    return this.countPlayerGifts(playerId) >= getHandSize(this, playerId, turnIndex);
+  }
+
+  /**
+   * Helper: The gift a player hands over when they swap - the one they got most recently
+   * @param {string} playerId
+   * @param {Object} options
+   * @param {string|null} options.excludeGiftId - Gift that doesn't count (the one being stolen)
+   * @param {boolean} options.unlockedOnly - Skip locked gifts (the last-chance round keeps them put)
+   * @param {string|null} options.pool - Prefer their gift from this pool (config.giftPoolMode), if they hold one
+   * @returns {string|null} Gift ID, or null if they hold none that qualifies
+   */
+  findSwapGiftId(playerId, { excludeGiftId = null, unlockedOnly = false, pool = null } = {}) {
+    const inPool = pool && this.holdsPoolGift(playerId, pool) ? pool : null;
+    let swapGiftId = null;
+    let swapGiftAt = -Infinity;
+    for (const [giftId, gift] of this.unwrappedGifts.entries()) {
+      if (gift.ownerId !== playerId || giftId === excludeGiftId || (unlockedOnly && gift.isFrozen) ||
+        (inPool && this.getGiftPool(giftId) !== inPool)) {
+        continue;
+      }
+      const at = gift.lastInteractedAt ?? -Infinity;
+      if (swapGiftId === null || at > swapGiftAt) {
+        swapGiftId = giftId;
+        swapGiftAt = at;
       }
     }
-    return false;
+    return swapGiftId;
   }
 
   /**
@@ -647,8 +1123,7 @@ export class GameEngine {
    */
   advanceTurnWithAutoSkip() {
     // In Standard Phase, check if current player has a gift and can't act
-    const isBoomerangPhase = this.isBoomerangPhase || 
-      (this.currentTurnIndex >= (this.turnOrder?.length || 0));
+    const isBoomerangPhase = this.isSwapPhase();
     
     // Only auto-skip in Standard Phase
     if (isBoomerangPhase) {
@@ -667,7 +1142,7 @@ export class GameEngine {
         break;
       }
       
-      const currentPlayerHasGift = this.playerHasGift(currentPlayerId);
+      const currentPlayerHasGift = this.hasFullHand(currentPlayerId);
       
       if (!currentPlayerHasGift) {
         // Player doesn't have a gift, they can act - stop auto-skipping
@@ -675,13 +1150,13 @@ export class GameEngine {
       }
       
       // Player has a gift - check if they can act
-      const isLastIndex = this.currentTurnIndex === (this.turnQueue.length - 1);
-      const isPlayer1 = this.turnOrder && this.turnOrder[0] === currentPlayerId;
-      const isPlayer1FinalTurn = isLastIndex && isPlayer1;
-      const hasWrappedGifts = this.wrappedGifts && this.wrappedGifts.length > 0;
+      const canActWhileHolding = this.canActWhileHolding(currentPlayerId);
+      // Wrapped gifts only let a holder act while they are to spare (see holderMayPick),
+      // and with gift pools only if one is from a pool they can take
+      const hasWrappedGifts = this.holderMayPick() && this.getPickableGiftIds(currentPlayerId).length > 0;
       
-      // If player can act (Player 1 final turn or wrapped gifts remain), stop auto-skipping
-      if (isPlayer1FinalTurn || hasWrappedGifts) {
+      // If player can act (variant exception or wrapped gifts remain), stop auto-skipping
+      if (canActWhileHolding || hasWrappedGifts) {
         break;
       }
       
@@ -690,7 +1165,7 @@ export class GameEngine {
       this.history.push({
         type: 'END_TURN',
         playerId: currentPlayerId,
-        timestamp: new Date().toISOString(),
+        timestamp: this.actionTimestamp(),
       });
       
       // Reset their turn action
@@ -704,19 +1179,22 @@ export class GameEngine {
         // Queue exhausted - stop auto-skipping (will be handled by caller)
         break;
       }
+      
+      // Fresh turn for the next player (they may have picked in an earlier pass - config.giftsPerPlayer)
+      this.turnAction.set(this.turnQueue[this.currentTurnIndex], null);
     }
   }
 
   /**
    * Find next valid player who can act
+   * Searches from currentTurnIndex, which callers have already moved on.
    * Skips players who already have gifts (unless in boomerang phase or bookend turn)
    * @returns {string|null} Next valid player ID or null if none found
    */
   findNextValidPlayer() {
-    const isBoomerangPhase = this.isBoomerangPhase || 
-      (this.currentTurnIndex >= (this.turnOrder?.length || 0));
+    const isBoomerangPhase = this.isSwapPhase();
     
-    let searchIndex = (this.currentTurnIndex || 0) + 1;
+    let searchIndex = this.currentTurnIndex || 0;
     const maxIterations = this.turnQueue.length; // Prevent infinite loops
     
     // Check if this is the bookend turn in Standard mode (last index, Player 1 goes again)
@@ -743,7 +1221,7 @@ export class GameEngine {
       }
       
       // In standard phase, skip players who already have gifts
-      const playerHasGift = this.playerHasGift(candidatePlayerId);
+      const playerHasGift = this.hasFullHand(candidatePlayerId, searchIndex);
       if (!playerHasGift) {
         return candidatePlayerId;
       }
@@ -757,80 +1235,141 @@ export class GameEngine {
   }
 
   /**
-   * End current turn and advance to next player
-   * Note: This is only used for manual turn ending (skip turn). Picks automatically advance.
-   * When a player skips their turn, it's treated like a PICK action (clears victim, increments index)
-   * 
-   * CRITICAL: Per GAME_RULES.md Rule 10 - Players can only skip if they have a gift they like.
-   * - Standard Mode: Only Player 1 on Final Turn OR victim with gift from exchange (and no legal moves)
-   * - Boomerang Mode: Anyone with a gift can skip
-   * - Never allow skip if player has no gift (except deadlock prevention for victims)
+   * Explain why a player cannot skip (end) their turn
+   * Per GAME_RULES.md Rule 10 - Players can only skip if they have a gift they like.
+   * @param {string} playerId
+   * @returns {{code: string, message: string}|null} Block reason, or null if skipping is legal
    */
-  endTurn() {
-    const skippingPlayerId = this.currentPlayerId;
-    const playerHasGift = this.playerHasGift(skippingPlayerId);
-    
-    // Determine if we're in boomerang phase
-    const isBoomerangPhase = this.isBoomerangPhase || 
-      (this.currentTurnIndex >= (this.turnOrder?.length || 0));
-    
-    // Check if this is Player 1's Final Turn (bookend exception)
-    const isLastIndex = this.currentTurnIndex === (this.turnQueue.length - 1);
-    const isPlayer1 = this.turnOrder && this.turnOrder[0] === skippingPlayerId;
-    const isPlayer1FinalTurn = isLastIndex && isPlayer1;
+  getSkipBlockReason(playerId) {
+    if (this.calculateActivePlayer() !== playerId) {
+      return blockReason(MOVE_BLOCK_REASONS.NOT_YOUR_TURN, 'It is not your turn');
+    }
+    // Passing in the last-chance round just keeps the gift they hold
+    if (this.lastChance) {
+      return null;
+    }
     
-    // CRITICAL VALIDATION: Per GAME_RULES.md Rule 10
-    // Players should only skip if they have a gift they like
+    const playerHasGift = this.hasFullHand(playerId);
+    const isBoomerangPhase = this.isSwapPhase();
     
     // Rule 1: In Standard Phase, players without gifts CANNOT skip (they must pick)
     if (!isBoomerangPhase && !playerHasGift) {
       // Exception: Victim deadlock prevention (Rule 10)
-      const isVictim = this.currentVictim === skippingPlayerId;
-      if (isVictim) {
-        // Check if victim has any legal moves
-        const hasWrappedGifts = this.wrappedGifts && this.wrappedGifts.length > 0;
-        let hasLegalMoves = false;
-        
-        if (hasWrappedGifts) {
-          hasLegalMoves = true;
-        } else {
-          // Check if victim can steal
-          for (const [giftId, gift] of this.unwrappedGifts.entries()) {
-            if (!gift.isFrozen && gift.ownerId !== skippingPlayerId) {
-              if (gift.lastOwnerId !== skippingPlayerId) {
-                hasLegalMoves = true;
-                break;
-              }
+      const isVictim = this.currentVictim === playerId;
+      if (!isVictim) {
+        // Not a victim and has no gift - cannot skip in Standard Phase
+        return blockReason(MOVE_BLOCK_REASONS.NO_GIFT, `Cannot skip: Player ${playerId} has no gift. Players can only skip if they have a gift they like.`);
+      }
+      
+      // Check if victim has any legal moves
+      const hasWrappedGifts = this.wrappedGifts && this.wrappedGifts.length > 0;
+      let hasLegalMoves = false;
+      
+      if (hasWrappedGifts) {
+        hasLegalMoves = true;
+      } else {
+        // Check if victim can steal
+        for (const [giftId, gift] of this.unwrappedGifts.entries()) {
+          if (!gift.isFrozen && gift.ownerId !== playerId) {
+            if (gift.lastOwnerId !== playerId) {
+              hasLegalMoves = true;
+              break;
             }
           }
         }
-        
-        // If victim has no gift and has legal moves, they CANNOT skip - they MUST pick
-        if (hasLegalMoves) {
-          throw new Error(`Cannot skip: Victim ${skippingPlayerId} has no gift and must pick a new gift. They cannot skip when they have legal moves available.`);
-        }
-        
-        // If victim has no gift and no legal moves, allow skip (deadlock prevention per Rule 10)
-        console.warn(`⚠️ Victim ${skippingPlayerId} has no gift and no legal moves - allowing skip to prevent deadlock (Rule 10)`);
-      } else {
-        // Not a victim and has no gift - cannot skip in Standard Phase
-        throw new Error(`Cannot skip: Player ${skippingPlayerId} has no gift. Players can only skip if they have a gift they like.`);
+      }
+      
+      // If victim has no gift and has legal moves, they CANNOT skip - they MUST pick
+      // If victim has no gift and no legal moves, allow skip (deadlock prevention per Rule 10)
+      if (hasLegalMoves) {
+        return blockReason(MOVE_BLOCK_REASONS.NO_GIFT, `Cannot skip: Victim ${playerId} has no gift and must pick a new gift. They cannot skip when they have legal moves available.`);
       }
     }
     
     // Rule 2: In Standard Phase, players with gifts CAN skip (they want to keep their gift)
     // Per GAME_RULES.md Rule 10: "Players CAN skip their turn if they are content with their current gift"
-    // If a player has a gift, they should be able to skip to keep it
-    // No additional restrictions needed - having a gift is sufficient reason to skip
-    if (!isBoomerangPhase && playerHasGift) {
-      // Player has a gift and wants to keep it - allow skip
-      // This is the core behavior: if you like your gift, you can skip to keep it
-      console.log(`✅ Player ${skippingPlayerId} skipping to keep their gift (Standard Phase)`);
-    }
     
     // Rule 3: In Boomerang Phase, players can skip if they have a gift
     if (isBoomerangPhase && !playerHasGift) {
-      throw new Error(`Cannot skip: Player ${skippingPlayerId} has no gift. In Boomerang Mode, players can only skip if they have a gift they like.`);
+      return blockReason(MOVE_BLOCK_REASONS.NO_GIFT, `Cannot skip: Player ${playerId} has no gift. In Boomerang Mode, players can only skip if they have a gift they like.`);
+    }
+    
+    return null;
+  }
+
+  /**
+   * Get every legal action for a player
+   * Single source of truth for clients, so the UI never guesses at canPick/canSteal
+   * @param {string} playerId
+   * @returns {Object} Legal moves with block reasons for anything not allowed
+   */
+  getLegalMoves(playerId) {
+    const isActivePlayer = this.calculateActivePlayer() === playerId;
+    let gameBlocked = null;
+    if (this.phase === 'ENDED') {
+      gameBlocked = blockReason(MOVE_BLOCK_REASONS.GAME_ENDED, 'The game has ended');
+    } else if (this.phase === 'PAUSED') {
+      gameBlocked = blockReason(MOVE_BLOCK_REASONS.GAME_PAUSED, 'The game is paused');
+    }
+    
+    const pickBlockReason = gameBlocked || this.getPickBlockReason(playerId);
+    const steals = Array.from(this.unwrappedGifts.entries()).map(([giftId, gift]) => {
+      const stealBlockReason = gameBlocked || this.getStealBlockReason(giftId, playerId);
+      return {
+        giftId,
+        ownerId: gift.ownerId,
+        allowed: stealBlockReason === null,
+        blockReason: stealBlockReason,
+      };
+    });
+    const skipBlockReason = gameBlocked || this.getSkipBlockReason(playerId);
+    
+    return {
+      playerId,
+      isActivePlayer,
+      canPick: pickBlockReason === null,
+      pickableGiftIds: pickBlockReason === null ? this.getPickableGiftIds(playerId) : [],
+      pickBlockReason,
+      steals, // Every unwrapped gift, with the reason it is blocked (if any)
+      stealableGiftIds: steals.filter((steal) => steal.allowed).map((steal) => steal.giftId),
+      canSkip: skipBlockReason === null,
+      skipBlockReason,
+    };
+  }
+
+  /**
+   * End current turn and advance to next player
+   * Note: This is only used for manual turn ending (skip turn). Picks automatically advance.
+   * When a player skips their turn, it's treated like a PICK action (clears victim, increments index)
+   * 
+   * CRITICAL: Per GAME_RULES.md Rule 10 - Players can only skip if they have a gift they like.
+   * - Standard Mode: Only Player 1 on Final Turn OR victim with gift from exchange (and no legal moves)
+   * - Boomerang Mode: Anyone with a gift can skip
+   * - Never allow skip if player has no gift (except deadlock prevention for victims)
+   */
+  endTurn() {
+    this.assertNotPaused();
+    this.beginAction();
+    this.restartTurnTimer();
+    const skippingPlayerId = this.currentPlayerId;
+    const playerHasGift = this.hasFullHand(skippingPlayerId);
+    
+    // Determine if we're in the variant's swap phase
+    const isBoomerangPhase = this.isSwapPhase();
+    
+    // CRITICAL VALIDATION: Per GAME_RULES.md Rule 10
+    // Players should only skip if they have a gift they like
+    const skipBlockReason = this.getSkipBlockReason(skippingPlayerId);
+    if (skipBlockReason) {
+      throw moveError(skipBlockReason);
+    }
+    
+    if (!playerHasGift) {
+      // Only reachable for a victim with no legal moves (deadlock prevention per Rule 10)
+      console.warn(`⚠️ Victim ${skippingPlayerId} has no gift and no legal moves - allowing skip to prevent deadlock (Rule 10)`);
+    } else if (!isBoomerangPhase) {
+      // Player has a gift and wants to keep it - allow skip
+      console.log(`✅ Player ${skippingPlayerId} skipping to keep their gift (Standard Phase)`);
     }
     
     // Record skip action in history before advancing
@@ -838,13 +1377,20 @@ export class GameEngine {
       this.history.push({
         type: 'END_TURN',
         playerId: skippingPlayerId,
-        timestamp: new Date().toISOString(),
+        timestamp: this.actionTimestamp(),
       });
     }
+    this.recordEvent(GAME_EVENT_TYPES.END_TURN, { playerId: skippingPlayerId });
     
     // Reset turn action for previous player
     this.turnAction.set(this.currentPlayerId, null);
     
+    // Last-chance round: passing keeps their gift and the next player is up
+    if (this.lastChance) {
+      this.advanceLastChance();
+      return this.getState();
+    }
+    
     // END_TURN is treated like PICK: clears victim and increments index
     // CRITICAL: If this was a victim skipping, we need to resume from the paused turn index
     // When a steal happens, currentTurnIndex is paused at the stealer's position
@@ -852,6 +1398,12 @@ export class GameEngine {
     const wasVictim = this.currentVictim === skippingPlayerId;
     const pausedIndex = this.currentTurnIndex; // Store before clearing victim
     this.currentVictim = null; // Chain is broken - player chose to skip
+    this.turnStealCount = 0;
+    
+    // A DOUBLE_ACTION card gives this slot's player a second go before the turn order moves on
+    if (this.startChaosExtraTurn()) {
+      return this.getState();
+    }
     
     // Increment turn index to next position
     // CRITICAL: currentTurnIndex was paused at the stealer's position during the steal
@@ -880,7 +1432,7 @@ export class GameEngine {
       // Clamp index and check if game should end (respects wrapped gifts rule)
       this.currentTurnIndex = Math.min(this.currentTurnIndex, this.turnQueue.length - 1);
       if (this.shouldGameEnd()) {
-        this.phase = 'ENDED';
+        this.finishTurnQueue();
         return this.getState();
       } else {
         console.warn(`⚠️ Index out of bounds but wrapped gifts remain. Clamping index and continuing.`);
@@ -891,7 +1443,7 @@ export class GameEngine {
     if (this.currentTurnIndex >= this.turnQueue.length) {
       // If queue is exhausted, check if we should end the game
       if (this.shouldGameEnd()) {
-        this.phase = 'ENDED';
+        this.finishTurnQueue();
       } else {
         // Queue exhausted but game can't end (wrapped gifts remain)
         // Clamp currentTurnIndex to the last valid index to prevent further out-of-bounds issues
@@ -901,9 +1453,8 @@ export class GameEngine {
         console.warn(`⚠️ Queue exhausted (index: ${this.currentTurnIndex}, queue length: ${this.turnQueue.length}) but wrapped gifts remain. Allowing players to pick wrapped gifts.`);
       }
     } else {
-      // Determine if we're in boomerang phase
-      const isBoomerangPhase = this.isBoomerangPhase || 
-        (this.currentTurnIndex >= (this.turnOrder?.length || 0));
+      // Determine if we're in the variant's swap phase
+      const isBoomerangPhase = this.isSwapPhase();
       
       if (isBoomerangPhase) {
         // Boomerang Phase: Use skip logic (players with gifts can still act via swap)
@@ -911,7 +1462,8 @@ export class GameEngine {
         
         if (nextPlayer) {
           // Update currentTurnIndex to match the found player's position
-          const nextIndex = this.turnQueue.indexOf(nextPlayer);
+          // (search forward - players appear once per pass)
+          const nextIndex = this.turnQueue.indexOf(nextPlayer, this.currentTurnIndex);
           if (nextIndex >= 0) {
             this.currentTurnIndex = nextIndex;
           }
@@ -921,7 +1473,7 @@ export class GameEngine {
           // No valid player found - check if game should end
           // CRITICAL: Per .cursorrules - "The Game NEVER ends if wrapped gifts remain"
           if (this.shouldGameEnd()) {
-            this.phase = 'ENDED';
+            this.finishTurnQueue();
           } else {
             // Game can't end (wrapped gifts remain) - clamp index to prevent further issues
             this.currentTurnIndex = Math.min(this.currentTurnIndex, this.turnQueue.length - 1);
@@ -942,6 +1494,7 @@ export class GameEngine {
         }
       }
     }
+    this.playDueChaosCards();
     
     // Recalculate active player (victim-first priority)
     this.currentPlayerId = this.calculateActivePlayer();
@@ -949,6 +1502,692 @@ export class GameEngine {
     return this.getState();
   }
 
+  /**
+   * Clear a player's turn action so they can act again (admin recovery for stuck turns)
+   * @param {string} playerId
+   * @returns {Object} Updated game state
+   */
+  resetTurnAction(playerId) {
+    this.beginAction();
+    this.turnAction.set(playerId, null);
+    this.recordEvent(GAME_EVENT_TYPES.TURN_ACTION_RESET, { playerId });
+    return this.getState();
+  }
+
+  /**
+   * Choose the move the server makes for a player whose turn timer ran out
+   * Skips when allowed, otherwise picks a random wrapped gift. If neither is possible
+   * (no wrapped gifts left) a random legal steal keeps the game from stalling.
+   * @param {string} playerId - The active player
+   * @param {function} random - Random number source in [0, 1)
+   * @returns {{type: string, giftId: string|null}|null} END_TURN, PICK or STEAL, or null if no move is legal
+   */
+  getTimeoutMove(playerId, random = Math.random) {
+    const moves = this.getLegalMoves(playerId);
+    const choose = (giftIds) => giftIds[Math.floor(random() * giftIds.length)];
+    if (moves.canSkip) {
+      return { type: GAME_EVENT_TYPES.END_TURN, giftId: null };
+    }
+    if (moves.canPick) {
+      return { type: GAME_EVENT_TYPES.PICK, giftId: choose(moves.pickableGiftIds) };
+    }
+    if (moves.stealableGiftIds.length > 0) {
+      return { type: GAME_EVENT_TYPES.STEAL, giftId: choose(moves.stealableGiftIds) };
+    }
+    return null;
+  }
+
+  /**
+   * Record that a player's turn timer ran out - the server then makes their move
+   * @param {string} playerId
+   * @returns {Object} Updated game state
+   */
+  recordTurnTimeout(playerId) {
+    this.beginAction();
+    this.history.push({
+      type: 'TIMEOUT',
+      playerId,
+      timestamp: this.actionTimestamp(),
+    });
+    this.recordEvent(GAME_EVENT_TYPES.TURN_TIMEOUT, { playerId });
+    return this.getState();
+  }
+
+  /**
+   * Pause the game (e.g. a dinner break)
+   * The turn queue, active player and victim are left untouched; the active player's
+   * remaining turn time is kept so resuming doesn't cut their turn short.
+   * @param {string} pausedBy - Admin who paused
+   * @returns {Object} Updated game state
+   */
+  pauseGame(pausedBy) {
+    if (!isPlayablePhase(this.phase)) {
+      throw new Error(`Cannot pause a game that is ${this.phase}`);
+    }
+    this.beginAction();
+    this.phase = 'PAUSED';
+    this.pause = {
+      pausedBy,
+      pausedAt: this.actionTime,
+      turnTimeLeft: this.turnDeadline === null ? null : Math.max(0, this.turnDeadline - this.actionTime),
+    };
+    this.turnDeadline = null;
+    this.recordEvent(GAME_EVENT_TYPES.GAME_PAUSED, { pausedBy });
+    return this.getState();
+  }
+
+  /**
+   * Resume a paused game with the same active player and victim
+   * (back in the last-chance round if the game was paused during it)
+   * @param {string} resumedBy - Admin who resumed
+   * @returns {Object} Updated game state
+   */
+  resumeGame(resumedBy) {
+    if (this.phase !== 'PAUSED') {
+      throw new Error('Cannot resume a game that is not paused');
+    }
+    this.beginAction();
+    const turnTimeLeft = this.pause?.turnTimeLeft ?? null;
+    this.phase = this.lastChance ? 'LAST_CHANCE' : 'ACTIVE';
+    this.pause = null;
+    this.turnDeadline = turnTimeLeft === null ? null : this.actionTime + turnTimeLeft;
+    this.recordEvent(GAME_EVENT_TYPES.GAME_RESUMED, { resumedBy });
+    return this.getState();
+  }
+
+  /**
+   * Remove a player who left mid-game
+   * Their remaining queue slots are dropped and their gifts are handled by config.dropOutGiftRule.
+   * If it was their turn (or they were the victim) the turn order moves on as if their turn ended;
+   * if they stole and their victim is still up, the victim's turn continues.
+   * @param {string} playerId - Player leaving the game
+   * @param {string} removedBy - Admin who removed them
+   * @returns {Object} Updated game state
+   */
+  removePlayer(playerId, removedBy) {
+    if (this.phase !== 'ACTIVE' && this.phase !== 'PAUSED') {
+      throw new Error(`Cannot remove a player from a game that is ${this.phase}`);
+    }
+    if (this.lastChance) {
+      throw new Error('Cannot remove a player during the last-chance swaps');
+    }
+    if (!this.turnOrder.includes(playerId)) {
+      throw new Error(`Player ${playerId} is not in this game`);
+    }
+    if (this.turnOrder.length <= 2) {
+      throw new Error('A game needs at least 2 players');
+    }
+    this.beginAction();
+    const previousActivePlayer = this.calculateActivePlayer();
+
+    // Their gifts: back to the wrapped pile, or to the next player still waiting for one
+    const giftsPerPlayer = getGiftsPerPlayer(this.config);
+    const heldGiftIds = [...this.unwrappedGifts.entries()]
+      .filter(([, gift]) => gift.ownerId === playerId)
+      .map(([heldGiftId]) => heldGiftId);
+    const removedGifts = heldGiftIds.map((giftId) => {
+      let reassignedTo = null;
+      if (this.config?.dropOutGiftRule === DROP_OUT_GIFT_RULES.REASSIGN) {
+        const index = this.currentTurnIndex || 0;
+        const candidates = [...this.turnQueue.slice(index), ...this.turnOrder];
+        // With gift pools (config.giftPoolMode), only to someone with no gift from its pool yet
+        const pool = this.getGiftPool(giftId);
+        reassignedTo = candidates.find((id) => id !== playerId && this.countPlayerGifts(id) < giftsPerPlayer &&
+          !(pool && this.holdsPoolGift(id, pool))) || null;
+      }
+      if (reassignedTo) {
+        const gift = this.unwrappedGifts.get(giftId);
+        gift.ownerId = reassignedTo;
+        gift.lastOwnerId = null;
+        gift.lastInteractedAt = this.actionTime;
+      } else {
+        this.unwrappedGifts.delete(giftId);
+        this.wrappedGifts.push(giftId);
+      }
+      return { giftId, reassignedTo };
+    });
+
+    // Drop their queue slots, keeping currentTurnIndex on the same slot
+    const index = this.currentTurnIndex || 0;
+    const slotsBefore = this.turnQueue.slice(0, index).filter((id) => id === playerId).length;
+    const heldCurrentSlot = this.turnQueue[index] === playerId;
+    this.turnOrder = this.turnOrder.filter((id) => id !== playerId);
+    this.turnQueue = this.turnQueue.filter((id) => id !== playerId);
+    this.turnAction.delete(playerId);
+    this.currentTurnIndex = index - slotsBefore;
+
+    // A DOUBLE_ACTION second go is theirs alone; anyone else's stays on the (possibly shifted) current slot
+    if (this.chaosExtraTurn?.playerId === playerId) {
+      this.chaosExtraTurn = null;
+    } else if (this.chaosExtraTurn) {
+      this.chaosExtraTurn = { ...this.chaosExtraTurn, turnIndex: this.currentTurnIndex };
+    }
+
+    if (this.currentVictim === playerId) {
+      // Their steal chain ends - move past the thief's slot, as if the victim had picked
+      this.currentVictim = null;
+      this.turnStealCount = 0;
+      if (!this.startChaosExtraTurn()) {
+        this.currentTurnIndex += 1;
+        this.settleTurnIndex();
+      }
+    } else if (heldCurrentSlot && this.currentVictim) {
+      // They stole and the victim is still up: resolving the chain should land on the next slot
+      this.currentTurnIndex -= 1;
+    } else if (heldCurrentSlot) {
+      // It was their turn - the next slot is now current
+      this.settleTurnIndex();
+    }
+    this.playDueChaosCards();
+
+    this.history.push({
+      type: 'PLAYER_REMOVED',
+      playerId: removedBy, // Admin who removed the player
+      removedPlayerId: playerId,
+      giftId: removedGifts[0]?.giftId ?? null,
+      reassignedTo: removedGifts[0]?.reassignedTo ?? null,
+      gifts: removedGifts, // Every gift they held (config.giftsPerPlayer) - [{ giftId, reassignedTo }]
+      timestamp: this.actionTimestamp(),
+    });
+    this.recordEvent(GAME_EVENT_TYPES.PLAYER_REMOVED, { playerId, removedBy });
+
+    // A new active player gets a full turn timer
+    if (this.phase !== 'ENDED' && this.calculateActivePlayer() !== previousActivePlayer) {
+      if (this.phase === 'PAUSED') {
+        this.pause = { ...this.pause, turnTimeLeft: getTurnDeadline(this.config, 0) };
+      } else {
+        this.restartTurnTimer();
+      }
+    }
+    this.currentPlayerId = this.calculateActivePlayer();
+    return this.getState();
+  }
+
+  /**
+   * Make the slot at currentTurnIndex playable after the queue changed under it
+   * Auto-skips gift holders in the standard phase and ends the game if the queue ran out.
+   */
+  settleTurnIndex() {
+    // Lost-gift steal-back protection only lasts until the turn moves on
+    for (const gift of this.unwrappedGifts.values()) {
+      gift.lastOwnerId = null;
+    }
+    if (this.currentTurnIndex < this.turnQueue.length) {
+      this.turnAction.set(this.turnQueue[this.currentTurnIndex], null);
+      this.advanceTurnWithAutoSkip();
+    }
+    if (this.currentTurnIndex >= this.turnQueue.length) {
+      if (this.shouldGameEnd()) {
+        this.finishTurnQueue();
+      } else {
+        // Wrapped gifts remain - keep the last player up so they can be picked
+        this.currentTurnIndex = this.turnQueue.length - 1;
+      }
+    }
+  }
+
+  /**
+   * The turn queue is done and nothing stops the game ending: end it, or first start the
+   * last-chance swap round (config.lastChanceSwap) if there are at least two unlocked gifts
+   * to swap. Everyone then gets one go, in reverse turn order, to swap their gift for any
+   * unlocked one or keep it. If an admin action ran the queue out while paused, the game
+   * stays paused and resumes into the round.
+   */
+  finishTurnQueue() {
+    const unlockedGifts = [...this.unwrappedGifts.values()].filter((gift) => gift.ownerId && !gift.isFrozen);
+    if (!this.config?.lastChanceSwap || this.lastChance || unlockedGifts.length < 2) {
+      this.finishGame();
+      return;
+    }
+    const queue = [...this.turnOrder].reverse();
+    this.lastChance = { queue, index: 0 };
+    if (this.phase !== 'PAUSED') {
+      this.phase = 'LAST_CHANCE';
+    }
+    this.currentVictim = null;
+    this.turnStealCount = 0;
+    this.chaosExtraTurn = null;
+    for (const gift of this.unwrappedGifts.values()) {
+      gift.lastOwnerId = null;
+    }
+    this.history.push({
+      type: 'LAST_CHANCE_STARTED',
+      turnOrder: [...queue],
+      timestamp: this.actionTimestamp(),
+    });
+    this.settleLastChance();
+  }
+
+  /**
+   * Swap a player's gift for another player's in the last-chance round
+   * A straight exchange with no steal chain: the other player keeps the swapped gift
+   * and the round moves on. The taken gift counts the swap as a steal (and may lock).
+   * @param {string} giftId - Gift taken
+   * @param {string} playerId - Player swapping
+   * @returns {Object} Updated game state
+   */
+  swapLastChance(giftId, playerId) {
+    const takenGift = this.unwrappedGifts.get(giftId);
+    const previousOwnerId = takenGift.ownerId;
+    const exchangedGiftId = this.findSwapGiftId(playerId, { unlockedOnly: true, pool: this.getGiftPool(giftId) });
+    const exchangedGift = this.unwrappedGifts.get(exchangedGiftId);
+
+    takenGift.stealCount += 1;
+    const isFrozenNow = takenGift.stealCount >= this.config.maxSteals;
+    if (isFrozenNow) {
+      takenGift.isFrozen = true;
+    }
+    exchangedGift.ownerId = previousOwnerId;
+    exchangedGift.lastInteractedAt = this.actionTime;
+    takenGift.ownerId = playerId;
+    takenGift.lastInteractedAt = this.actionTime;
+
+    this.history.push({
+      type: 'STEAL',
+      playerId,
+      giftId,
+      previousOwnerId,
+      exchangedGiftId,
+      stealCount: takenGift.stealCount,
+      isFrozen: isFrozenNow,
+      lastChance: true, // Last-chance swap - no steal chain follows
+      timestamp: this.actionTimestamp(),
+    });
+    this.recordEvent(GAME_EVENT_TYPES.STEAL, { playerId, giftId });
+
+    this.advanceLastChance();
+    return this.getState();
+  }
+
+  /**
+   * Move the last-chance round on to the next player
+   */
+  advanceLastChance() {
+    this.lastChance = { ...this.lastChance, index: this.lastChance.index + 1 };
+    this.settleLastChance();
+    this.currentPlayerId = this.calculateActivePlayer();
+  }
+
+  /**
+   * Auto-skip last-chance players with nothing to swap (recorded in history, like
+   * standard-phase skips) and end the game once everyone has had their go
+   */
+  settleLastChance() {
+    const { queue } = this.lastChance;
+    while (this.lastChance.index < queue.length) {
+      const playerId = queue[this.lastChance.index];
+      const canSwap = Array.from(this.unwrappedGifts.keys())
+        .some((giftId) => this.getLastChanceSwapBlockReason(giftId, playerId) === null);
+      if (canSwap) {
+        this.turnAction.set(playerId, null);
+        return;
+      }
+      this.history.push({
+        type: 'END_TURN',
+        playerId,
+        timestamp: this.actionTimestamp(),
+      });
+      this.lastChance = { ...this.lastChance, index: this.lastChance.index + 1 };
+    }
+    this.finishGame();
+  }
+
+  /**
+   * End the game once its turns are over, swapping away any self-wins (config.forbidOwnGift)
+   * and handing out surplus gifts (config.surplusGiftPolicy)
+   */
+  finishGame() {
+    this.phase = 'ENDED';
+    const ownership = {};
+    for (const [giftId, gift] of this.unwrappedGifts.entries()) {
+      if (gift.ownerId) {
+        ownership[giftId] = gift.ownerId;
+      }
+    }
+    const surplusGiftIds = this.handOutWrappedGifts({ ...ownership });
+    this.swapAwaySelfWins(ownership);
+    this.surplusGifts = this.settleSurplusGifts(surplusGiftIds);
+  }
+
+  /**
+   * Give the wrapped gifts still left to players short of gifts (one per gift they are
+   * short of, with config.giftsPerPlayer) - from a pool they have no gift from yet
+   * (config.giftPoolMode), and not the gift they brought, if they can help it
+   * @param {Object} ownership - { giftId: playerId }, updated in place
+   * @returns {string[]} Wrapped gifts nobody needed
+   */
+  handOutWrappedGifts(ownership) {
+    const giftsPerPlayer = getGiftsPerPlayer(this.config);
+    const giftCounts = {};
+    Object.values(ownership).forEach((playerId) => {
+      giftCounts[playerId] = (giftCounts[playerId] || 0) + 1;
+    });
+    const playersWithoutGifts = this.turnOrder.flatMap((playerId) =>
+      Array(Math.max(0, giftsPerPlayer - (giftCounts[playerId] || 0))).fill(playerId));
+
+    const unassignedWrappedGifts = [...this.wrappedGifts];
+    for (const playerId of playersWithoutGifts.slice(0, this.wrappedGifts.length)) {
+      const heldPools = new Set(Object.keys(ownership)
+        .filter((giftId) => ownership[giftId] === playerId)
+        .map((giftId) => this.getGiftPool(giftId)));
+      const fitsPool = (giftId) => !this.config?.giftPoolMode || !heldPools.has(this.getGiftPool(giftId));
+      const isOthers = (giftId) => !this.config?.forbidOwnGift || this.giftSubmitters[giftId] !== playerId;
+      let index = unassignedWrappedGifts.findIndex((giftId) => fitsPool(giftId) && isOthers(giftId));
+      if (index === -1) {
+        index = Math.max(0, unassignedWrappedGifts.findIndex(fitsPool));
+      }
+      ownership[unassignedWrappedGifts.splice(index, 1)[0]] = playerId;
+    }
+    return unassignedWrappedGifts;
+  }
+
+  /**
+   * Decide where the gifts nobody needed go, by config.surplusGiftPolicy (see SURPLUS_GIFT_POLICIES)
+   * Bonus round draws come from config.surplusSeed, so every call hands out the same gifts.
+   * A gift with nobody to go to (e.g. an unknown submitter) is left without a winner.
+   * @param {string[]} giftIds - Surplus gifts
+   * @param {Object} options
+   * @param {boolean} options.record - Log each one as a SURPLUS_GIFT history entry
+   * @returns {Object} { giftId: playerId }
+   */
+  settleSurplusGifts(giftIds, { record = true } = {}) {
+    const policy = this.config?.surplusGiftPolicy ?? SURPLUS_GIFT_POLICIES.RETURN;
+    const drawOrder = seededShuffle(this.turnOrder, this.config?.surplusSeed ?? this.partyId);
+    let drawIndex = 0;
+    const surplusGifts = {};
+    for (const giftId of giftIds) {
+      let playerId;
+      if (policy === SURPLUS_GIFT_POLICIES.BONUS_ROUND && drawOrder.length > 0) {
+        // Next in the draw order - skipping whoever brought it (config.forbidOwnGift) if anyone else can take it
+        const offset = Math.max(0, drawOrder.findIndex((_, k) => !this.config?.forbidOwnGift ||
+          drawOrder[(drawIndex + k) % drawOrder.length] !== this.giftSubmitters[giftId]));
+        playerId = drawOrder[(drawIndex + offset) % drawOrder.length];
+        drawIndex = (drawIndex + offset + 1) % drawOrder.length;
+      } else if (policy === SURPLUS_GIFT_POLICIES.ADMIN) {
+        playerId = this.config?.adminId;
+      } else {
+        playerId = this.giftSubmitters[giftId];
+      }
+      if (!playerId) {
+        continue;
+      }
+      surplusGifts[giftId] = playerId;
+      if (record) {
+        this.history.push({
+          type: 'SURPLUS_GIFT',
+          playerId,
+          giftId,
+          policy,
+          timestamp: this.actionTimestamp(),
+        });
+      }
+    }
+    return surplusGifts;
+  }
+
+  /**
+   * Final swap pass for config.forbidOwnGift: players left holding the gift they brought
+   * swap with each other in pairs (in turn order), and an odd one out swaps with the next
+   * player after them who can take it. Each swap is a SELF_WIN_SWAP history entry.
+   * With config.giftsPerPlayer each self-won gift is swapped on its own, never between
+   * two gifts of the same player, and with gift pools (config.giftPoolMode) only for a
+   * gift from the same pool. Locks don't matter any more - the game is over.
+   * @param {Object} ownership - { giftId: playerId }, updated in place
+   * @param {Object} options
+   * @param {boolean} options.record - Apply the swaps to unwrappedGifts and log them
+   */
+  swapAwaySelfWins(ownership, { record = true } = {}) {
+    if (!this.config?.forbidOwnGift) {
+      return;
+    }
+    const giftsOf = (playerId) => Object.keys(ownership).filter((giftId) => ownership[giftId] === playerId);
+    const samePool = (giftId, otherGiftId) => this.getGiftPool(giftId) === this.getGiftPool(otherGiftId);
+    const swap = ({ playerId, giftId }, { playerId: otherId, giftId: otherGiftId }) => {
+      ownership[giftId] = otherId;
+      ownership[otherGiftId] = playerId;
+      if (!record) {
+        return;
+      }
+      for (const [id, ownerId] of [[giftId, otherId], [otherGiftId, playerId]]) {
+        const gift = this.unwrappedGifts.get(id);
+        if (gift) {
+          gift.ownerId = ownerId;
+          gift.lastOwnerId = null;
+        }
+      }
+      this.history.push({
+        type: 'SELF_WIN_SWAP',
+        playerId,
+        giftId: otherGiftId, // The gift they get
+        otherPlayerId: otherId,
+        otherGiftId: giftId, // The gift they brought
+        timestamp: this.actionTimestamp(),
+      });
+    };
+
+    // Pair each self-win with the first one still waiting that another player holds
+    const selfWins = this.turnOrder.flatMap((playerId) => giftsOf(playerId)
+      .filter((giftId) => this.giftSubmitters[giftId] === playerId)
+      .map((giftId) => ({ playerId, giftId })));
+    const unpaired = [];
+    for (const selfWin of selfWins) {
+      const partnerIndex = unpaired.findIndex(({ playerId, giftId }) =>
+        playerId !== selfWin.playerId && samePool(giftId, selfWin.giftId));
+      if (partnerIndex === -1) {
+        unpaired.push(selfWin);
+      } else {
+        swap(unpaired.splice(partnerIndex, 1)[0], selfWin);
+      }
+    }
+    for (const selfWin of unpaired) {
+      const { playerId, giftId } = selfWin;
+      const start = this.turnOrder.indexOf(playerId);
+      const others = [...this.turnOrder.slice(start + 1), ...this.turnOrder.slice(0, start)];
+      for (const otherId of others) {
+        const otherGiftId = giftsOf(otherId).find((id) => samePool(id, giftId) &&
+          this.giftSubmitters[id] !== playerId && this.giftSubmitters[giftId] !== otherId);
+        if (otherGiftId) {
+          swap(selfWin, { playerId: otherId, giftId: otherGiftId });
+          break;
+        }
+      }
+    }
+  }
+
+  /**
+   * Give the current slot's player the second go a DOUBLE_ACTION card granted them
+   * Called when their turn (including any steal chain it started) is over, before the index moves on.
+   * @returns {boolean} True if the slot is played again - the caller must not advance the turn
+   */
+  startChaosExtraTurn() {
+    const extraTurn = this.chaosExtraTurn;
+    if (!extraTurn || extraTurn.turnIndex !== this.currentTurnIndex) {
+      this.chaosExtraTurn = null;
+      return false;
+    }
+    if (extraTurn.used) {
+      this.chaosExtraTurn = null;
+      return false;
+    }
+    this.chaosExtraTurn = { ...extraTurn, used: true };
+    // The turn has moved on as far as steal-backs are concerned
+    for (const gift of this.unwrappedGifts.values()) {
+      gift.lastOwnerId = null;
+    }
+    this.turnAction.set(extraTurn.playerId, null);
+    this.currentPlayerId = this.calculateActivePlayer();
+    return true;
+  }
+
+  /**
+   * Play the chaos cards that are due (config.chaosCardTurns, sorted turn indexes)
+   * Called whenever the turn order moves on. A card is due once currentTurnIndex reaches its
+   * turn index, so a card on an auto-skipped turn is played on the next turn instead.
+   * Cards follow from the seed, so they are history entries but not events.
+   */
+  playDueChaosCards() {
+    const cardTurns = this.config?.chaosCardTurns || [];
+    while (
+      this.phase !== 'ENDED' &&
+      !this.lastChance &&
+      !this.currentVictim &&
+      this.chaosCardsPlayed < cardTurns.length &&
+      cardTurns[this.chaosCardsPlayed] <= this.currentTurnIndex
+    ) {
+      const card = drawChaosCard(this.config, this.chaosCardsPlayed);
+      this.chaosCardsPlayed += 1;
+      this.playChaosCard(card);
+      // The card can leave the player up with a gift they can't act on - auto-skip them as usual
+      this.settleTurnIndex();
+    }
+  }
+
+  /**
+   * Apply a chaos card at the start of the current turn and log it as a CHAOS_CARD history entry
+   * @param {string} card - One of CHAOS_CARDS
+   */
+  playChaosCard(card) {
+    const turnIndex = this.currentTurnIndex;
+    const playerId = this.turnQueue[turnIndex];
+    const entry = { type: 'CHAOS_CARD', card, playerId, turnIndex };
+
+    switch (card) {
+      case CHAOS_CARDS.PASS_LEFT: {
+        // Each gift goes to the next player in turn order who holds one, so everyone who
+        // had a gift still has one. Work out every move first - gifts change hands all at once.
+        // With several gifts each, holders only pass their most recent one so hands keep their size.
+        // With gift pools (config.giftPoolMode) every gift goes round its own pool's holders instead,
+        // so nobody ends up with two from one pool.
+        const pooled = Boolean(this.config?.giftPoolMode);
+        const holders = this.turnOrder.filter((id) => this.playerHasGift(id));
+        const passedGiftIds = new Set(holders.map((id) => this.findSwapGiftId(id)));
+        const transfers = [];
+        for (const [giftId, gift] of this.unwrappedGifts.entries()) {
+          const pool = this.getGiftPool(giftId);
+          const passers = pooled ? this.turnOrder.filter((id) => this.holdsPoolGift(id, pool)) : holders;
+          const position = passers.indexOf(gift.ownerId);
+          if (position !== -1 && passers.length > 1 && (pooled || passedGiftIds.has(giftId))) {
+            transfers.push({ giftId, fromId: gift.ownerId, toId: passers[(position + 1) % passers.length] });
+          }
+        }
+        transfers.forEach(({ giftId, toId }) => {
+          const gift = this.unwrappedGifts.get(giftId);
+          gift.ownerId = toId;
+          gift.lastOwnerId = null;
+          gift.lastInteractedAt = this.actionTime;
+        });
+        entry.transfers = transfers;
+        break;
+      }
+      case CHAOS_CARDS.UNFREEZE_ALL: {
+        entry.giftIds = [];
+        for (const [giftId, gift] of this.unwrappedGifts.entries()) {
+          if (gift.isFrozen) {
+            gift.isFrozen = false;
+            entry.giftIds.push(giftId);
+          }
+        }
+        break;
+      }
+      case CHAOS_CARDS.REVERSE_ORDER:
+        this.turnQueue = [...this.turnQueue.slice(0, turnIndex + 1), ...this.turnQueue.slice(turnIndex + 1).reverse()];
+        break;
+      case CHAOS_CARDS.DOUBLE_ACTION:
+        this.chaosExtraTurn = { turnIndex, playerId, used: false };
+        break;
+      default:
+        throw new Error(`Unknown chaos card: ${card}`);
+    }
+
+    this.history.push({ ...entry, timestamp: this.actionTimestamp() });
+  }
+
+  /**
+   * Turn order positions a late joiner can be added at
+   * They must still get their first-pass turn, so only slots after the current one qualify.
+   * Position 0 is never offered - Player 1 keeps the first slot (and the bookend turn).
+   * @returns {number[]} Indexes into turnOrder, soonest turn first
+   */
+  getLateJoinPositions() {
+    if (typeof this.variant.insertIntoTurnQueue !== 'function') {
+      return [];
+    }
+    // A reversed queue no longer has the variant's layout, so there is nowhere to insert them
+    if (this.history.some((entry) => entry.type === 'CHAOS_CARD' && entry.card === CHAOS_CARDS.REVERSE_ORDER)) {
+      return [];
+    }
+    // A late joiner brings one gift, so there is no slot for them when everyone brings more
+    if (getGiftsPerPlayer(this.config) > 1) {
+      return [];
+    }
+    // Empty once the first pass is over
+    const positions = [];
+    for (let position = Math.max(1, (this.currentTurnIndex || 0) + 1); position <= this.turnOrder.length; position++) {
+      positions.push(position);
+    }
+    return positions;
+  }
+
+  /**
+   * Add a late joiner and their gift to a running game
+   * The gift goes into the wrapped pile and the player into the remaining turn queue
+   * (via the variant, so Boomerang mirrors them in the reverse pass and the Bookend
+   * turn stays Player 1's). The active player and any steal chain are untouched.
+   * @param {string} playerId - Player joining
+   * @param {string} giftId - Gift they brought
+   * @param {string} addedBy - Admin who added them
+   * @param {number} position - Index in turnOrder to insert them at (see getLateJoinPositions)
+   * @returns {Object} Updated game state
+   */
+  addPlayer(playerId, giftId, addedBy, position) {
+    if (this.phase !== 'ACTIVE' && this.phase !== 'PAUSED') {
+      throw new Error(`Cannot add a player to a game that is ${this.phase}`);
+    }
+    if (this.lastChance) {
+      throw new Error('Cannot add a player during the last-chance swaps');
+    }
+    if (this.turnOrder.includes(playerId)) {
+      throw new Error(`Player ${playerId} is already in this game`);
+    }
+    if (this.wrappedGifts.includes(giftId) || this.unwrappedGifts.has(giftId)) {
+      throw new Error(`Gift ${giftId} is already in this game`);
+    }
+    if (!this.getLateJoinPositions().includes(position)) {
+      throw new Error(`Cannot add a player at turn order position ${position}`);
+    }
+    this.beginAction();
+
+    // Inserted after the current slot, so currentTurnIndex still points at it
+    this.turnQueue = this.variant.insertIntoTurnQueue(this.turnQueue, playerId, position, this.turnOrder.length);
+    this.turnOrder.splice(position, 0, playerId);
+    this.wrappedGifts.push(giftId);
+    this.giftSubmitters[giftId] = playerId;
+
+    this.history.push({
+      type: 'PLAYER_ADDED',
+      playerId: addedBy, // Admin who added the player
+      addedPlayerId: playerId,
+      giftId,
+      position,
+      timestamp: this.actionTimestamp(),
+    });
+    this.recordEvent(GAME_EVENT_TYPES.PLAYER_ADDED, { playerId, giftId, addedBy, position });
+
+    this.currentPlayerId = this.calculateActivePlayer();
+    return this.getState();
+  }
+
+  /**
+   * Count an emoji reaction (hype level)
+   * @returns {Object} Updated game state
+   */
+  addReaction() {
+    this.beginAction();
+    this.reactionCount = (this.reactionCount || 0) + 1;
+    this.recordEvent(GAME_EVENT_TYPES.REACTION);
+    return this.getState();
+  }
+
   /**
    * Get current game state
    */
@@ -963,8 +2202,7 @@ export class GameEngine {
     
     // CRITICAL: Calculate isBoomerangPhase dynamically based on current turn index
     // This ensures the phase is correctly updated when the turn advances
-    // Boomerang phase begins when currentTurnIndex >= turnOrder.length (second half of queue)
-    const computedBoomerangPhase = this.currentTurnIndex >= (this.turnOrder?.length || 0);
+    const computedBoomerangPhase = this.isSwapPhase();
     // Update stored value for consistency
     this.isBoomerangPhase = computedBoomerangPhase;
     
@@ -980,10 +2218,21 @@ export class GameEngine {
       wrappedGifts: [...this.wrappedGifts],
       unwrappedGifts: Array.from(this.unwrappedGifts.entries()),
       turnAction: Array.from(this.turnAction.entries()),
+      playerStealCounts: Array.from(this.playerStealCounts.entries()), // [playerId, steals this game]
+      turnStealCount: this.turnStealCount,
+      chaosCardsPlayed: this.chaosCardsPlayed, // Cards drawn from config.chaosCardTurns so far
+      chaosExtraTurn: this.chaosExtraTurn, // { turnIndex, playerId, used } - DOUBLE_ACTION second go
+      lastChance: this.lastChance && { ...this.lastChance, queue: [...this.lastChance.queue] }, // { queue, index } - last-chance swap round
+      giftSubmitters: { ...this.giftSubmitters }, // { giftId: playerId } - who brought each gift
+      surplusGifts: this.surplusGifts && { ...this.surplusGifts }, // { giftId: playerId } - surplus gifts handed out at the end
       phase: this.phase,
       isBoomerangPhase: computedBoomerangPhase, // Use computed value, not stored value
       config: this.config || { maxSteals: 3, returnToStart: false }, // Include config in state
       history: [...this.history], // Include history in state
+      events: [...this.events], // Append-only event log (replayable)
+      fairness: this.fairness, // { algorithm, seedHash } - seed is revealed after the game
+      turnDeadline: isPlayablePhase(this.phase) ? this.turnDeadline : null, // Server-enforced turn timer (ms)
+      pause: this.phase === 'PAUSED' ? this.pause : null, // { pausedBy, pausedAt, turnTimeLeft }
       reactionCount: this.reactionCount || 0, // Track emoji reactions (hype level)
       stateVersion: stateVersion, // Add timestamp for state versioning
       updatedAt: new Date().toISOString(), // ISO timestamp for easy comparison
@@ -1025,6 +2274,28 @@ export class GameEngine {
           playerGifts[stealerId] = stolenGiftId;
           delete playerGifts[previousOwnerId];
         }
+      } else if (event.type === 'CHAOS_CARD' && event.transfers) {
+        // PASS_LEFT: every gift moved on to the next player at once
+        event.transfers.forEach(({ giftId, fromId }) => {
+          if (playerGifts[fromId] === giftId) {
+            delete playerGifts[fromId];
+          }
+        });
+        event.transfers.forEach(({ giftId, toId }) => {
+          ownership[giftId] = toId;
+          playerGifts[toId] = giftId;
+        });
+      } else if (event.type === 'PLAYER_REMOVED' && event.giftId) {
+        // The leaver's gifts were reassigned or went back into the wrapped pile
+        delete playerGifts[event.removedPlayerId];
+        (event.gifts || [event]).forEach(({ giftId, reassignedTo }) => {
+          if (reassignedTo) {
+            ownership[giftId] = reassignedTo;
+            playerGifts[reassignedTo] = giftId;
+          } else {
+            delete ownership[giftId];
+          }
+        });
       }
     }
     
@@ -1034,15 +2305,25 @@ export class GameEngine {
   /**
    * End game and return final state for Firestore
    * Uses current ownership state directly - each gift goes to its current owner
-   * Validates that each player has exactly one gift and each gift has exactly one owner
+   * Validates that each player has at most config.giftsPerPlayer gifts and each gift has exactly one owner
+   * @param {Object} options
+   * @param {string} options.endedBy - User who ended the game early (recorded in the event log)
    */
-  endGame() {
+  endGame({ endedBy = null } = {}) {
+    // Ending an active game is an event; finishing a game that already ended itself is not
+    const endingNow = this.phase !== 'ENDED';
+    if (endingNow) {
+      this.beginAction();
+      this.recordEvent(GAME_EVENT_TYPES.GAME_ENDED, { endedBy });
+    }
+    // Once ENDED, blind steal games reveal every gift to everyone (see utils/blind-steal.js)
     this.phase = 'ENDED';
     
     // Build final gift ownership map from current unwrapped gifts
     // Each gift's current owner is the final winner
     let finalOwnership = {};
     const playerGiftCount = {}; // Track how many gifts each player has
+    const giftsPerPlayer = getGiftsPerPlayer(this.config);
     
     // First pass: assign all unwrapped gifts to their current owners
     for (const [giftId, gift] of this.unwrappedGifts.entries()) {
@@ -1052,8 +2333,8 @@ export class GameEngine {
       }
     }
     
-    // Validate: check for duplicates (a player having multiple gifts)
-    const duplicateOwners = Object.entries(playerGiftCount).filter(([_, count]) => count > 1);
+    // Validate: check for duplicates (a player having more gifts than they take home)
+    const duplicateOwners = Object.entries(playerGiftCount).filter(([_, count]) => count > giftsPerPlayer);
     if (duplicateOwners.length > 0) {
       console.error('ERROR: Duplicate ownership detected in unwrappedGifts!', duplicateOwners);
       console.error('Current unwrappedGifts state:', Array.from(this.unwrappedGifts.entries()));
@@ -1068,17 +2349,17 @@ export class GameEngine {
       for (const [giftId, ownerId] of Object.entries(reconstructedOwnership)) {
         reconstructedPlayerCount[ownerId] = (reconstructedPlayerCount[ownerId] || 0) + 1;
       }
-      const reconstructedDuplicates = Object.entries(reconstructedPlayerCount).filter(([_, count]) => count > 1);
+      const reconstructedDuplicates = Object.entries(reconstructedPlayerCount).filter(([_, count]) => count > giftsPerPlayer);
       
       if (reconstructedDuplicates.length === 0 && Object.keys(reconstructedOwnership).length > 0) {
         console.log('✅ Using reconstructed ownership from history (no duplicates)');
         finalOwnership = reconstructedOwnership;
       } else {
-        console.error('⚠️ Reconstructed ownership also has duplicates or is empty. Fixing by keeping first gift per player.');
-        // Fix duplicates: keep only the first gift per player (based on order in unwrappedGifts)
+        console.error('⚠️ Reconstructed ownership also has duplicates or is empty. Fixing by keeping first gifts per player.');
+        // Fix duplicates: keep only the first gift(s) per player (based on order in unwrappedGifts)
         // Use history to determine which gift should belong to which player (most recent owner wins)
         const fixedOwnership = {};
-        const playerGiftsAssigned = new Set();
+        const playerGiftsAssigned = new Map(); // playerId -> gifts kept
         
         // First, try to use the most recent owner from history for each gift
         const giftToOwner = new Map();
@@ -1101,9 +2382,9 @@ export class GameEngine {
             const historyOwner = giftToOwner.get(giftId);
             const ownerToUse = historyOwner || gift.ownerId;
             
-            if (!playerGiftsAssigned.has(ownerToUse)) {
+            if ((playerGiftsAssigned.get(ownerToUse) || 0) < giftsPerPlayer) {
               fixedOwnership[giftId] = ownerToUse;
-              playerGiftsAssigned.add(ownerToUse);
+              playerGiftsAssigned.set(ownerToUse, (playerGiftsAssigned.get(ownerToUse) || 0) + 1);
             }
           }
         }
@@ -1116,10 +2397,10 @@ export class GameEngine {
           }
         }
         
-        const playersWithoutGifts = this.turnOrder.filter(playerId => !playerGiftsAssigned.has(playerId));
-        for (let i = 0; i < Math.min(unassignedGifts.length, playersWithoutGifts.length); i++) {
-          fixedOwnership[unassignedGifts[i]] = playersWithoutGifts[i];
-          playerGiftsAssigned.add(playersWithoutGifts[i]);
+        const openSlots = this.turnOrder.flatMap((playerId) =>
+          Array(Math.max(0, giftsPerPlayer - (playerGiftsAssigned.get(playerId) || 0))).fill(playerId));
+        for (let i = 0; i < Math.min(unassignedGifts.length, openSlots.length); i++) {
+          fixedOwnership[unassignedGifts[i]] = openSlots[i];
         }
         
         finalOwnership = fixedOwnership;
@@ -1128,19 +2409,20 @@ export class GameEngine {
     }
     
     // Handle any remaining wrapped gifts - assign to players who don't have one
-    const playersWithGifts = new Set(Object.values(finalOwnership));
-    const playersWithoutGifts = this.turnOrder.filter(playerId => !playersWithGifts.has(playerId));
-    
-    // Assign wrapped gifts to players who don't have one
-    for (let i = 0; i < Math.min(this.wrappedGifts.length, playersWithoutGifts.length); i++) {
-      const giftId = this.wrappedGifts[i];
-      const playerId = playersWithoutGifts[i];
-      finalOwnership[giftId] = playerId;
+    const surplusGiftIds = this.handOutWrappedGifts(finalOwnership);
+
+    // Self-wins left over (config.forbidOwnGift) are swapped away - and logged when the game ends here
+    this.swapAwaySelfWins(finalOwnership, { record: endingNow });
+
+    // Gifts nobody needed go by config.surplusGiftPolicy (already settled if the game finished itself)
+    if (!this.surplusGifts) {
+      this.surplusGifts = this.settleSurplusGifts(surplusGiftIds, { record: endingNow });
     }
 
     return {
       phase: 'ENDED',
       finalOwnership,
+      surplusGifts: this.surplusGifts, // { giftId: playerId } - on top of each player's share
       state: this.getState(),
     };
   }
@@ -0,0 +1,337 @@
+/**
+ * Game Event Log - deterministic replay
+ *
+ * Every game state is the result of replaying its event log from GAME_STARTED.
+ * The stored snapshot is a cache: replay(state.events) rebuilds it exactly, which
+ * lets admins audit disputed games and repair corrupted Redis entries.
+ */
+import { GameEngine, GAME_EVENT_TYPES, getTurnDeadline, isPlayablePhase } from './engine.js';
+
+// Save metadata that changes on every write - not part of the replayed game state
+const VOLATILE_STATE_FIELDS = ['stateVersion', 'updatedAt'];
+
+// Player actions an admin can undo
+const UNDOABLE_EVENT_TYPES = new Set([
+  GAME_EVENT_TYPES.PICK,
+  GAME_EVENT_TYPES.STEAL,
+  GAME_EVENT_TYPES.END_TURN,
+]);
+
+// Changes to who is playing - undo can't rewind past them (the rewound state would have the old players)
+const UNDO_BARRIER_EVENT_TYPES = new Set([
+  GAME_EVENT_TYPES.PLAYER_REMOVED,
+  GAME_EVENT_TYPES.PLAYER_ADDED,
+]);
+
+// Events that aren't part of a player's action - undo replays them on the rewound state
+const UNDO_CARRIED_EVENT_TYPES = new Set([
+  GAME_EVENT_TYPES.TURN_TIMEOUT,
+  GAME_EVENT_TYPES.TURN_ACTION_RESET,
+  GAME_EVENT_TYPES.REACTION,
+  GAME_EVENT_TYPES.GAME_PAUSED,
+  GAME_EVENT_TYPES.GAME_RESUMED,
+]);
+
+/**
+ * Build the state of a newly started game, with GAME_STARTED as the first event
+ * @param {Object} params
+ * @param {string} params.partyId - The party ID
+ * @param {string[]} params.turnOrder - Shuffled player order
+ * @param {string[]} params.turnQueue - Full turn queue generated by the variant
+ * @param {string[]} params.wrappedGifts - Gift IDs in the wrapped pile
+ * @param {Object} params.config - Game config
+ * @param {Object} params.giftSubmitters - Who brought each gift: { giftId: playerId }
+ * @param {string} params.startedBy - User who started the game
+ * @param {number} params.startedAt - Start time (ms since epoch)
+ * @param {Object} params.fairness - Published shuffle proof { algorithm, seedHash }
+ * @returns {Object} Initial game state
+ */
+export function createInitialGameState({ partyId, turnOrder, turnQueue, wrappedGifts, config, giftSubmitters = {}, startedBy = null, startedAt = Date.now(), fairness = null }) {
+  const gameStarted = {
+    seq: 0,
+    type: GAME_EVENT_TYPES.GAME_STARTED,
+    partyId,
+    turnOrder: [...turnOrder],
+    turnQueue: [...turnQueue],
+    wrappedGifts: [...wrappedGifts],
+    config,
+    giftSubmitters: { ...giftSubmitters },
+    startedBy,
+    fairness,
+    at: startedAt,
+  };
+
+  return {
+    partyId,
+    currentTurnIndex: 0, // Index into turnQueue
+    currentPlayerId: turnQueue[0], // Active player from queue
+    currentVictim: null, // CRITICAL: Victim-first priority state machine
+    turnOrder: [...turnOrder], // Original shuffled order (for reference)
+    turnQueue: [...turnQueue], // Complete queue array
+    stealStack: [], // Keep for backwards compatibility
+    wrappedGifts: [...wrappedGifts],
+    unwrappedGifts: [],
+    turnAction: turnOrder.map((playerId) => [playerId, null]),
+    playerStealCounts: [], // [playerId, steals this game] - for config.maxStealsPerPlayer
+    turnStealCount: 0, // Steals in the current turn's chain - for config.maxStealsPerTurn
+    chaosCardsPlayed: 0, // Chaos cards drawn so far - for config.chaosCardTurns
+    chaosExtraTurn: null, // Second go granted by a DOUBLE_ACTION chaos card
+    lastChance: null, // Last-chance swap round - for config.lastChanceSwap
+    giftSubmitters: { ...giftSubmitters }, // Who brought each gift - for config.forbidOwnGift
+    surplusGifts: null, // Gifts nobody needed, handed out when the game ends - for config.surplusGiftPolicy
+    phase: 'ACTIVE',
+    isBoomerangPhase: false, // Can be removed or kept for backwards compatibility
+    config, // Store config in game state
+    history: [], // Initialize empty history array
+    events: [gameStarted], // Append-only event log
+    reactionCount: 0, // Initialize reaction count to track emoji reactions (hype level)
+    fairness, // Seed hash for the turn-order shuffle (seed revealed when the game ends)
+    turnDeadline: getTurnDeadline(config, startedAt), // Server-enforced turn timer (null if disabled)
+    pause: null, // Set while the admin has the game paused
+    stateVersion: startedAt, // Add timestamp for state versioning to prevent stale updates
+    updatedAt: new Date(startedAt).toISOString(), // ISO timestamp for easy comparison
+  };
+}
+
+/**
+ * Apply one logged event to a game state
+ * Uses a fresh engine per event, exactly like the live socket handlers do.
+ * @param {Object} gameState - State before the event
+ * @param {Object} event - Event from the log
+ * @returns {Object} State after the event
+ */
+export function applyEvent(gameState, event) {
+  // The engine mutates gift objects in place - work on a copy so earlier states stay intact
+  const state = structuredClone(gameState);
+  const config = state.config || { maxSteals: 3, returnToStart: false };
+  const engine = new GameEngine(state, config);
+  engine.clock = () => event.at;
+
+  switch (event.type) {
+    case GAME_EVENT_TYPES.PICK:
+      engine.pickGift(event.giftId, event.playerId);
+      break;
+    case GAME_EVENT_TYPES.STEAL:
+      engine.stealGift(event.giftId, event.playerId);
+      break;
+    case GAME_EVENT_TYPES.END_TURN:
+      engine.endTurn();
+      break;
+    case GAME_EVENT_TYPES.TURN_TIMEOUT:
+      engine.recordTurnTimeout(event.playerId);
+      break;
+    case GAME_EVENT_TYPES.TURN_ACTION_RESET:
+      engine.resetTurnAction(event.playerId);
+      break;
+    case GAME_EVENT_TYPES.REACTION:
+      engine.addReaction();
+      break;
+    case GAME_EVENT_TYPES.GAME_ENDED:
+      engine.endGame({ endedBy: event.endedBy });
+      break;
+    case GAME_EVENT_TYPES.GAME_PAUSED:
+      engine.pauseGame(event.pausedBy);
+      break;
+    case GAME_EVENT_TYPES.GAME_RESUMED:
+      engine.resumeGame(event.resumedBy);
+      break;
+    case GAME_EVENT_TYPES.PLAYER_REMOVED:
+      engine.removePlayer(event.playerId, event.removedBy);
+      break;
+    case GAME_EVENT_TYPES.PLAYER_ADDED:
+      engine.addPlayer(event.playerId, event.giftId, event.addedBy, event.position);
+      break;
+    default:
+      throw new Error(`Cannot replay unknown event type: ${event.type}`);
+  }
+
+  const newState = engine.getState();
+  // Preserve config in state (as the socket handlers do)
+  newState.config = state.config;
+  return newState;
+}
+
+/**
+ * Rewind to the state before an undone action
+ * Everything the action changed (ownership, steal counts, turnAction, lastOwnerId,
+ * currentVictim, auto-skips) comes from the checkpoint. Later events that weren't
+ * player actions (pauses, reactions, timeouts, turn resets) are replayed on top of it,
+ * then the log and an UNDO history entry are carried forward.
+ * @param {Object} gameState - Current state
+ * @param {{event: Object, state: Object}} checkpoint - The undone event and the state before it
+ * @param {Object} undoEvent - The UNDO event
+ * @returns {Object} Rewound state
+ */
+function applyUndo(gameState, checkpoint, undoEvent) {
+  const { event: undone } = checkpoint;
+  const before = gameState.events
+    .filter((event) => event.seq > undone.seq && UNDO_CARRIED_EVENT_TYPES.has(event.type))
+    .reduce(applyEvent, checkpoint.state);
+  const undoneGift = undone.type === GAME_EVENT_TYPES.END_TURN ? null : undone.giftId;
+  const rewound = {
+    ...before,
+    history: [
+      ...before.history,
+      {
+        type: 'UNDO',
+        playerId: undoEvent.undoneBy, // Admin who undid the action
+        undoneType: undone.type,
+        undonePlayerId: undone.playerId,
+        giftId: undoneGift,
+        timestamp: new Date(undoEvent.at).toISOString(),
+      },
+    ],
+    events: [...gameState.events, undoEvent],
+    // The rewound turn starts over
+    turnDeadline: getTurnDeadline(before.config, undoEvent.at),
+  };
+
+  const config = rewound.config || { maxSteals: 3, returnToStart: false };
+  const newState = new GameEngine(rewound, config).getState();
+  newState.config = rewound.config;
+  return newState;
+}
+
+/**
+ * Replay an event log, keeping the state before each action that can still be undone
+ * @param {Object[]} events - Full event log, starting with GAME_STARTED
+ * @returns {{state: Object, checkpoints: Array<{event: Object, state: Object}>}}
+ */
+function replayWithCheckpoints(events) {
+  if (!Array.isArray(events) || events[0]?.type !== GAME_EVENT_TYPES.GAME_STARTED) {
+    throw new Error('Cannot replay: event log must start with GAME_STARTED');
+  }
+
+  const [gameStarted, ...rest] = events;
+  let state = createInitialGameState({ ...gameStarted, startedAt: gameStarted.at });
+  const checkpoints = [];
+
+  rest.forEach((event, index) => {
+    if (event.seq !== index + 1) {
+      throw new Error(`Cannot replay: expected event ${index + 1} but found ${event.seq}`);
+    }
+
+    if (event.type === GAME_EVENT_TYPES.UNDO) {
+      const checkpoint = checkpoints.pop();
+      if (!checkpoint || checkpoint.event.seq !== event.undoneSeq) {
+        throw new Error(`Cannot replay: event ${event.seq} undoes event ${event.undoneSeq}, which is not the last action`);
+      }
+      state = applyUndo(state, checkpoint, event);
+      return;
+    }
+
+    if (UNDOABLE_EVENT_TYPES.has(event.type)) {
+      checkpoints.push({ event, state });
+    } else if (UNDO_BARRIER_EVENT_TYPES.has(event.type)) {
+      checkpoints.length = 0;
+    }
+    state = applyEvent(state, event);
+  });
+
+  return { state, checkpoints };
+}
+
+/**
+ * Rebuild a game state by replaying its event log
+ * @param {Object[]} events - Full event log, starting with GAME_STARTED
+ * @returns {Object} Replayed game state
+ */
+export function replay(events) {
+  return replayWithCheckpoints(events).state;
+}
+
+/**
+ * Find the action undoLastAction would undo, without replaying the game
+ * @param {Object[]} events - Event log
+ * @returns {Object|null} The PICK, STEAL or END_TURN event, or null if nothing can be undone
+ */
+export function getUndoableAction(events) {
+  if (!Array.isArray(events) || events[0]?.type !== GAME_EVENT_TYPES.GAME_STARTED) {
+    return null; // Games started before the event log can't be rewound
+  }
+
+  const undoable = [];
+  events.forEach((event) => {
+    if (event.type === GAME_EVENT_TYPES.UNDO) {
+      undoable.pop();
+    } else if (UNDOABLE_EVENT_TYPES.has(event.type)) {
+      undoable.push(event);
+    } else if (UNDO_BARRIER_EVENT_TYPES.has(event.type)) {
+      undoable.length = 0;
+    }
+  });
+  return undoable[undoable.length - 1] || null;
+}
+
+/**
+ * Undo the most recent PICK, STEAL or skip that hasn't been undone yet
+ * Repeated undos walk further back through the game.
+ * @param {Object} gameState - Stored game state (must include events)
+ * @param {Object} options
+ * @param {string} options.undoneBy - Admin performing the undo
+ * @param {number} options.at - Undo time (ms since epoch)
+ * @returns {{state: Object, undone: Object}} Rewound state and the event that was undone
+ */
+export function undoLastAction(gameState, { undoneBy, at = Date.now() }) {
+  if (!isPlayablePhase(gameState.phase)) {
+    throw new Error('Only an active game can be rewound');
+  }
+
+  const { state, checkpoints } = replayWithCheckpoints(gameState.events);
+  const checkpoint = checkpoints[checkpoints.length - 1];
+  if (!checkpoint) {
+    throw new Error('There is no action to undo');
+  }
+
+  const undoEvent = {
+    seq: gameState.events.length,
+    type: GAME_EVENT_TYPES.UNDO,
+    undoneSeq: checkpoint.event.seq,
+    undoneBy,
+    at,
+  };
+
+  return { state: applyUndo(state, checkpoint, undoEvent), undone: checkpoint.event };
+}
+
+// JSON round-trip (as stored in Redis) without save metadata
+function normalizeState(gameState) {
+  const normalized = JSON.parse(JSON.stringify(gameState));
+  VOLATILE_STATE_FIELDS.forEach((field) => delete normalized[field]);
+  return normalized;
+}
+
+// JSON with sorted object keys - states restored from Firestore don't keep key order
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Replay a stored game's event log and compare the result with the stored snapshot
+ * @param {Object} gameState - Stored game state (must include events)
+ * @returns {{matches: boolean, differences: string[], replayedState: Object|null, error: string|null}}
+ *   differences lists the top-level state fields that don't match
+ */
+export function verifyReplay(gameState) {
+  let replayedState;
+  try {
+    replayedState = replay(gameState?.events);
+  } catch (error) {
+    return { matches: false, differences: [], replayedState: null, error: error.message };
+  }
+
+  const stored = normalizeState(gameState);
+  const replayed = normalizeState(replayedState);
+  const fields = new Set([...Object.keys(stored), ...Object.keys(replayed)]);
+  const differences = Array.from(fields).filter(
+    (field) => stableStringify(stored[field]) !== stableStringify(replayed[field])
+  );
+
+  return { matches: differences.length === 0, differences, replayedState, error: null };
+}
@@ -3,12 +3,41 @@
  */
 import express from 'express';
 import { db, auth } from '../config/firebase-admin.js';
-import admin from 'firebase-admin';
 import { partyConverter, participantConverter, giftConverter } from '../utils/firestore-converters.js';
-import { GameEngine } from '../engine.js';
+import { GameEngine, GAME_EVENT_TYPES, DROP_OUT_GIFT_RULES, STEAL_CHAIN_FALLBACKS, CHAOS_CARDS, SURPLUS_GIFT_POLICIES } from '../engine.js';
 import redisClient from '../utils/redis.js';
 import { scrapeGiftMetadata } from '../utils/scraper.js';
-import { saveGameState, loadGameState, deleteGameState } from '../utils/game-state-persistence.js';
+import {
+  saveGameState,
+  loadGameState,
+  deleteGameState,
+  saveShuffleSeed,
+  loadShuffleSeed,
+  saveRoundState,
+  loadRoundState,
+  isStateConflict,
+} from '../utils/game-state-persistence.js';
+import { getVariant, hasVariant, resolveVariantId } from '../variants/index.js';
+import { createInitialGameState, verifyReplay } from '../event-log.js';
+import {
+  SHUFFLE_ALGORITHM,
+  createShuffleSeed,
+  hashSeed,
+  seededShuffle,
+  verifyShuffle,
+} from '../utils/fair-shuffle.js';
+import {
+  TURN_ORDER_MODES,
+  resolveTurnOrderMode,
+  getTurnOrderFromNumbers,
+  drawTurnNumber,
+} from '../utils/turn-order.js';
+import { buildTeams, getSeatId, toSeatTurnOrder } from '../utils/teams.js';
+import { emitGameState, getGameStateView } from '../utils/blind-steal.js';
+import { TRADE_STATUSES, proposeTrade, closeTrade } from '../utils/trades.js';
+import { normalizeRounds, getRoundLineup, hasNextRound } from '../utils/rounds.js';
+import { getFinalWinners, persistGameResults } from '../utils/game-results.js';
+import { normalizeGiftPools } from '../utils/gift-pools.js';
 
 const router = express.Router();
 
@@ -74,137 +103,461 @@ router.post('/start', async (req, res) => {
       ...giftConverter.fromFirestore(doc),
     }));
 
-    if (gifts.length < participants.length) {
-      return res.status(400).json({ error: 'Not enough gifts for all participants' });
-    }
-
-    // Build turn order (randomly shuffled)
-    const turnOrder = participants
-      .map((p) => p.id)
-      .sort(() => Math.random() - 0.5); // Random shuffle
-
-    /**
-     * Generate turn queue based on game mode
-     * @param {Array} turnOrder - The initial shuffled turn order (array of player IDs)
-     * @param {boolean} returnToStart - Whether boomerang rule is active
-     * @returns {Array} Complete turn queue array
-     */
-    function generateTurnQueue(turnOrder, returnToStart) {
-      if (returnToStart) {
-        // Boomerang (Snake Draft): [P1, P2, ... P9, P10, P10, P9, ... P2, P1]
-        // Forward pass: all players
-        const forward = [...turnOrder];
-        // Reverse pass: all players in reverse (last player appears twice at transition)
-        const reverse = [...turnOrder].reverse();
-        // Last player appears twice at the transition
-        return [...forward, ...reverse];
-      } else {
-        // Standard (Bookend): [P1, P2, ... P10, P1]
-        // Forward pass: all players
-        const forward = [...turnOrder];
-        // Only first player gets a second turn
-        return [...forward, turnOrder[0]];
-      }
+    // Multi-round parties start with their first round (see utils/rounds.js)
+    const { rounds, error: roundsError } = normalizeRounds(party.config?.rounds);
+    if (roundsError) {
+      return res.status(400).json({ error: roundsError });
     }
 
-    // Initialize game state
-    const wrappedGifts = gifts.map((g) => g.id);
-    const unwrappedGifts = new Map();
-    const turnAction = new Map();
-    turnOrder.forEach((playerId) => {
-      turnAction.set(playerId, null);
-    });
+    const gameState = await startRound(req, res, { partyId, party, rounds, round: 0, participants, gifts });
+    if (!gameState) {
+      return;
+    }
 
-    // Get game config from party (with defaults)
-    const gameConfig = party.config || {};
-    const config = {
-      maxSteals: gameConfig.maxSteals ?? 3,
-      returnToStart: gameConfig.returnToStart ?? false,
-    };
+    res.json({ success: true, gameState });
+  } catch (error) {
+    console.error('Error starting game:', error);
+    res.status(500).json({ error: 'Failed to start game', message: error.message });
+  }
+});
 
-    // Generate turn queue based on boomerang rule
-    const turnQueue = generateTurnQueue(turnOrder, config.returnToStart);
+/**
+ * Set up and save a new game - the whole party's, or one round of a multi-round party
+ * Sends the error response itself and returns null if the game can't start
+ * @param {Object} params
+ * @param {Object} params.party - Converted party (game options in party.config)
+ * @param {Array} params.rounds - Normalized config.rounds ([] for a single game)
+ * @param {number} params.round - Index of the round to start
+ * @param {Array} params.participants - All GOING participants
+ * @param {Array} params.gifts - All party gifts
+ * @returns {Promise<Object|null>} The new game state
+ */
+async function startRound(req, res, { partyId, party, rounds, round, participants: allParticipants, gifts: allGifts }) {
+  const userId = req.user.uid;
 
-    const gameState = {
-      partyId,
-      currentTurnIndex: 0, // Index into turnQueue
-      currentPlayerId: turnQueue[0], // Active player from queue
-      currentVictim: null, // CRITICAL: Victim-first priority state machine
-      turnOrder, // Original shuffled order (for reference)
-      turnQueue, // Complete queue array
-      stealStack: [], // Keep for backwards compatibility
-      wrappedGifts,
-      unwrappedGifts: Array.from(unwrappedGifts.entries()),
-      turnAction: Array.from(turnAction.entries()),
-      phase: 'ACTIVE',
-      isBoomerangPhase: false, // Can be removed or kept for backwards compatibility
-      config, // Store config in game state
-      history: [], // Initialize empty history array
-      reactionCount: 0, // Initialize reaction count to track emoji reactions (hype level)
-      stateVersion: Date.now(), // Add timestamp for state versioning to prevent stale updates
-      updatedAt: new Date().toISOString(), // ISO timestamp for easy comparison
-    };
-
-    // Save to both Redis and Firestore
-    await saveGameState(partyId, gameState);
-
-    // Update party status
-    await db.collection('parties').doc(partyId).update({
-      status: 'ACTIVE',
-      updatedAt: new Date(),
+  // Households (same participant.teamNumber) play as one seat under their captain's ID.
+  // Teams span the whole party, so a seat is the same in every round.
+  const teams = buildTeams(allParticipants);
+  let participants = allParticipants;
+  let gifts = allGifts;
+  let roundLabel = '';
+  if (rounds.length > 0) {
+    if (round === 0 && teams.some(({ playerIds }) =>
+      new Set(playerIds.map((id) => rounds.findIndex((r) => r.playerIds?.includes(id)))).size > 1)) {
+      res.status(400).json({ error: 'Teammates must play in the same round' });
+      return null;
+    }
+    const lineup = getRoundLineup({ rounds, round, participants: allParticipants, gifts: allGifts });
+    if (lineup.error) {
+      res.status(400).json({ error: `Rounds are not ready: ${lineup.error}` });
+      return null;
+    }
+    ({ participants, gifts } = lineup);
+    roundLabel = `${rounds[round].name}: `;
+  }
+
+  const seatIds = toSeatTurnOrder(participants.map((p) => p.id), teams);
+  if (seatIds.length < 2) {
+    res.status(400).json({ error: `${roundLabel}Need at least 2 players or teams to start` });
+    return null;
+  }
+
+  // Everyone brings - and takes home - config.giftsPerPlayer gifts
+  const giftsPerPlayer = party.config?.giftsPerPlayer ?? 1;
+  if (!(Number.isInteger(giftsPerPlayer) && giftsPerPlayer > 0)) {
+    res.status(400).json({ error: 'Gifts per person must be a whole number of at least 1' });
+    return null;
+  }
+  if (gifts.length < seatIds.length * giftsPerPlayer) {
+    res.status(400).json({
+      error: roundLabel + (giftsPerPlayer > 1
+        ? `Not enough gifts for all participants - everyone brings ${giftsPerPlayer}`
+        : 'Not enough gifts for all participants'),
     });
+    return null;
+  }
+  // Nice and gag gifts (see utils/gift-pools.js) - everyone goes home with one of each
+  const { giftPoolMode, giftPools, error: giftPoolsError } = normalizeGiftPools({
+    mode: party.config?.giftPoolMode,
+    giftsPerPlayer,
+    gifts,
+    seatCount: seatIds.length,
+  });
+  if (giftPoolsError) {
+    res.status(400).json({ error: roundLabel + giftPoolsError });
+    return null;
+  }
+
+  // Build turn order: arranged or drawn in the lobby, otherwise a seeded shuffle whose
+  // seed hash is published now and seed revealed after the game (GET /api/game/fairness/:partyId)
+  const turnOrderMode = resolveTurnOrderMode(party.config);
+  let turnOrder;
+  let shuffleSeed = null;
+  let fairness = null;
+  if (turnOrderMode === TURN_ORDER_MODES.RANDOM) {
+    shuffleSeed = createShuffleSeed();
+    turnOrder = seededShuffle(seatIds, shuffleSeed);
+    fairness = { algorithm: SHUFFLE_ALGORITHM, seedHash: hashSeed(shuffleSeed) };
+  } else {
+    const fromNumbers = getTurnOrderFromNumbers(participants);
+    if (fromNumbers.error) {
+      res.status(400).json({ error: `Turn order is not ready: ${fromNumbers.error}` });
+      return null;
+    }
+    turnOrder = toSeatTurnOrder(fromNumbers.turnOrder, teams);
+  }
+
+  const wrappedGifts = gifts.map((g) => g.id);
+
+  // Get game config from party (with defaults)
+  const gameConfig = party.config || {};
+  const variantId = resolveVariantId(gameConfig);
+  if (!hasVariant(variantId)) {
+    res.status(400).json({ error: `Unknown game variant: ${variantId}` });
+    return null;
+  }
+  const variant = getVariant(variantId);
+  const turnTimeoutSeconds = gameConfig.turnTimeoutSeconds ?? null;
+  if (turnTimeoutSeconds !== null && !(Number.isInteger(turnTimeoutSeconds) && turnTimeoutSeconds > 0)) {
+    res.status(400).json({ error: 'Turn timer must be a whole number of seconds' });
+    return null;
+  }
+  const tradeWindowMinutes = gameConfig.tradeWindowMinutes ?? null;
+  if (tradeWindowMinutes !== null && !(Number.isInteger(tradeWindowMinutes) && tradeWindowMinutes > 0)) {
+    res.status(400).json({ error: 'Trading window must be a whole number of minutes' });
+    return null;
+  }
+  const maxStealsPerPlayer = gameConfig.maxStealsPerPlayer ?? null;
+  if (maxStealsPerPlayer !== null && !(Number.isInteger(maxStealsPerPlayer) && maxStealsPerPlayer > 0)) {
+    res.status(400).json({ error: 'Steals per player must be a whole number of at least 1' });
+    return null;
+  }
+  const maxStealsPerTurn = gameConfig.maxStealsPerTurn ?? null;
+  if (maxStealsPerTurn !== null && !(Number.isInteger(maxStealsPerTurn) && maxStealsPerTurn > 0)) {
+    res.status(400).json({ error: 'Steals per turn must be a whole number of at least 1' });
+    return null;
+  }
+  // Chaos cards: turn indexes (sorted, after the first turn) and the cards that may be drawn
+  const chaosCardTurns = gameConfig.chaosCardTurns ?? [];
+  if (!Array.isArray(chaosCardTurns) || chaosCardTurns.some((turnIndex, i) =>
+    !Number.isInteger(turnIndex) || turnIndex < 1 || (i > 0 && turnIndex <= chaosCardTurns[i - 1]))) {
+    res.status(400).json({ error: 'Chaos card turns must be increasing turn numbers after the first turn' });
+    return null;
+  }
+  // A Boomerang queue already snakes back, so it has no remaining order to reverse
+  const availableChaosCards = Object.values(CHAOS_CARDS)
+    .filter((card) => !(variant.returnToStart && card === CHAOS_CARDS.REVERSE_ORDER));
+  const chaosCards = gameConfig.chaosCards ?? availableChaosCards;
+  if (!Array.isArray(chaosCards) || chaosCards.length === 0 || chaosCards.some((card) => !availableChaosCards.includes(card))) {
+    res.status(400).json({ error: `Pick at least one chaos card from: ${availableChaosCards.join(', ')}` });
+    return null;
+  }
+  // No-steal groups (e.g. couples): players who left the party are dropped, and so are groups left with one player
+  const rawStealExclusionGroups = gameConfig.stealExclusionGroups ?? [];
+  if (!Array.isArray(rawStealExclusionGroups) || rawStealExclusionGroups.some((group) => !Array.isArray(group?.playerIds))) {
+    res.status(400).json({ error: 'No-steal groups must be lists of participants' });
+    return null;
+  }
+  const participantIds = new Set(participants.map((p) => p.id));
+  const stealExclusionGroups = rawStealExclusionGroups
+    .map((group) => ({
+      playerIds: [...new Set(group.playerIds.filter((id) => participantIds.has(id)).map((id) => getSeatId({ teams }, id)))],
+    }))
+    .filter(({ playerIds }) => playerIds.length >= 2);
+  const groupedIds = stealExclusionGroups.flatMap(({ playerIds }) => playerIds);
+  if (new Set(groupedIds).size !== groupedIds.length) {
+    res.status(400).json({ error: 'A participant can only be in one no-steal group' });
+    return null;
+  }
+  const surplusGiftPolicy = Object.values(SURPLUS_GIFT_POLICIES).includes(gameConfig.surplusGiftPolicy)
+    ? gameConfig.surplusGiftPolicy
+    : SURPLUS_GIFT_POLICIES.RETURN;
+  const config = {
+    variant: variant.id,
+    maxSteals: gameConfig.maxSteals ?? 3,
+    giftsPerPlayer, // Picking passes of the turn order - everyone goes home with this many gifts
+    giftPoolMode, // null = no pools; 'one_each' or 'per_turn' (see utils/gift-pools.js)
+    giftPools, // { giftId: 'nice' | 'gag' } - null without pools
+    maxStealsPerPlayer, // null = no per-player limit
+    maxStealsPerTurn, // null = steal chains run until someone picks or skips
+    stealChainFallback: Object.values(STEAL_CHAIN_FALLBACKS).includes(gameConfig.stealChainFallback)
+      ? gameConfig.stealChainFallback
+      : STEAL_CHAIN_FALLBACKS.SKIP,
+    stealExclusionGroups, // [] = anyone can steal from anyone
+    teams, // [] = everyone plays for themselves
+    returnToStart: variant.returnToStart, // Kept for clients that still read the legacy flag
+    turnOrderMode,
+    turnTimeoutSeconds, // null = no turn timer
+    dropOutGiftRule: Object.values(DROP_OUT_GIFT_RULES).includes(gameConfig.dropOutGiftRule)
+      ? gameConfig.dropOutGiftRule
+      : DROP_OUT_GIFT_RULES.RETURN,
+    // Gifts beyond everyone's share (or a leaver's, never picked) are handed out when the game ends
+    surplusGiftPolicy,
+    surplusSeed: surplusGiftPolicy === SURPLUS_GIFT_POLICIES.BONUS_ROUND ? createShuffleSeed() : null,
+    adminId: party.adminId, // Gets the surplus gifts under the admin policy
+    blindSteal: gameConfig.blindSteal === true, // Unwrapped gifts stay hidden until the game ends
+    lastChanceSwap: gameConfig.lastChanceSwap === true, // One more swap each, in reverse turn order, before the game ends
+    forbidOwnGift: gameConfig.forbidOwnGift === true, // Nobody goes home with the gift they brought
+    tradeWindowMinutes, // null = no trading after the game (see utils/trades.js)
+    chaosCardTurns, // [] = no chaos cards
+    chaosCards,
+    // Cards are drawn from this seed, so replaying the event log draws the same ones
+    chaosSeed: chaosCardTurns.length > 0 ? createShuffleSeed() : null,
+    rounds, // [] = a single game; otherwise this game is rounds[round] (see utils/rounds.js)
+    round,
+  };
+
+  // Generate turn queue based on the selected variant
+  const turnQueue = variant.generateTurnQueue(turnOrder, giftsPerPlayer);
+
+  // Initialize game state (the event log starts with GAME_STARTED)
+  const gameState = createInitialGameState({
+    partyId,
+    turnOrder,
+    turnQueue,
+    wrappedGifts,
+    config,
+    // A household's gifts count as its seat's (own-gift rules, returned extras)
+    giftSubmitters: Object.fromEntries(gifts.map((g) => [g.id, getSeatId(config, g.submitterId)])),
+    startedBy: userId,
+    fairness,
+  });
+
+  // Keep the seed server-side until the game ends
+  if (shuffleSeed) {
+    await saveShuffleSeed(partyId, { seed: shuffleSeed, ...fairness }, round);
+  }
+
+  // Save to both Redis and Firestore
+  await saveGameState(partyId, gameState);
+
+  // Update party status (a party between rounds is ENDED until the next one starts)
+  await db.collection('parties').doc(partyId).update({
+    status: 'ACTIVE',
+    endedAt: null,
+    updatedAt: new Date(),
+  });
 
-    // Emit socket event (handled in server.js)
-    req.io?.to(`party:${partyId}`).emit('game-started', gameState);
-
-    // Schedule bot refresh simulation for all bots in the game
-    setTimeout(async () => {
-      try {
-        const { scheduleBotRefreshSimulation } = await import('../utils/bot-utils.js');
-        if (scheduleBotRefreshSimulation && req.io) {
-          // Get all bot participant IDs
-          const participantsSnapshot = await db
-            .collection('parties')
-            .doc(partyId)
-            .collection('participants')
-            .where('status', '==', 'GOING')
-            .get();
-          
-          const botIds = participantsSnapshot.docs
-            .map(doc => doc.id)
-            .filter(id => id.startsWith('bot_'));
-          
-          if (botIds.length > 0) {
-            console.log(`🔄 Scheduling refresh simulation for ${botIds.length} bots in party ${partyId}`);
-            scheduleBotRefreshSimulation(partyId, botIds, req.io);
-          }
+  // Emit socket event (handled in server.js)
+  if (req.io) {
+    await emitGameState(req.io, partyId, 'game-started', gameState);
+  }
+
+  // Schedule bot refresh simulation for all bots in the game
+  setTimeout(async () => {
+    try {
+      const { scheduleBotRefreshSimulation } = await import('../utils/bot-utils.js');
+      if (scheduleBotRefreshSimulation && req.io) {
+        // Get all bot participant IDs
+        const participantsSnapshot = await db
+          .collection('parties')
+          .doc(partyId)
+          .collection('participants')
+          .where('status', '==', 'GOING')
+          .get();
+        
+        const botIds = participantsSnapshot.docs
+          .map(doc => doc.id)
+          .filter(id => id.startsWith('bot_'));
+        
+        if (botIds.length > 0) {
+          console.log(`🔄 Scheduling refresh simulation for ${botIds.length} bots in party ${partyId}`);
+          scheduleBotRefreshSimulation(partyId, botIds, req.io);
         }
-      } catch (error) {
-        console.error('Error scheduling bot refresh simulation on game start:', error);
       }
-    }, 3000);
-
-    // Check if first player is a bot and trigger auto-play
-    // Use longer delay (2 seconds) to ensure all clients have received game-started event
-    setTimeout(async () => {
-      try {
-        const { checkAndMakeBotMove } = await import('../utils/bot-utils.js');
-        if (checkAndMakeBotMove && req.io) {
-          // Re-fetch game state to ensure we have the latest
-          const currentState = await loadGameState(partyId);
-          if (currentState && currentState.phase === 'ACTIVE') {
-            await checkAndMakeBotMove(partyId, currentState, req.io);
-          }
+    } catch (error) {
+      console.error('Error scheduling bot refresh simulation on game start:', error);
+    }
+  }, 3000);
+
+  // Check if first player is a bot and trigger auto-play
+  // Use longer delay (2 seconds) to ensure all clients have received game-started event
+  setTimeout(async () => {
+    try {
+      const { checkAndMakeBotMove } = await import('../utils/bot-utils.js');
+      if (checkAndMakeBotMove && req.io) {
+        // Re-fetch game state to ensure we have the latest
+        const currentState = await loadGameState(partyId);
+        if (currentState && currentState.phase === 'ACTIVE') {
+          await checkAndMakeBotMove(partyId, currentState, req.io);
         }
-      } catch (error) {
-        console.error('Error triggering bot move on game start:', error);
       }
-    }, 2000);
+    } catch (error) {
+      console.error('Error triggering bot move on game start:', error);
+    }
+  }, 2000);
 
-    res.json({ success: true, gameState });
+  return gameState;
+}
+
+/**
+ * Load a party in the lobby and its GOING participants for the turn order routes
+ * Sends the error response itself and returns null if the request can't proceed
+ */
+async function loadLobbyForTurnOrder(req, res, partyId) {
+  const userId = req.user?.uid;
+  if (!userId) {
+    res.status(401).json({ error: 'Authentication required' });
+    return null;
+  }
+
+  if (!partyId || typeof partyId !== 'string' || partyId.length === 0 || partyId.length > 128) {
+    res.status(400).json({ error: 'Valid partyId is required' });
+    return null;
+  }
+
+  const partyDoc = await db.collection('parties').doc(partyId).get();
+  if (!partyDoc.exists) {
+    res.status(404).json({ error: 'Party not found' });
+    return null;
+  }
+
+  const party = partyConverter.fromFirestore(partyDoc);
+  if (party.status !== 'LOBBY') {
+    res.status(400).json({ error: 'Turn order can only be changed before the game starts' });
+    return null;
+  }
+
+  return { party, userId, isAdmin: party.adminId === userId };
+}
+
+function goingParticipantsQuery(partyId) {
+  return db
+    .collection('parties')
+    .doc(partyId)
+    .collection('participants')
+    .where('status', '==', 'GOING');
+}
+
+/**
+ * POST /api/game/turn-order
+ * Set the turn order manually (admin only, 'manual' turn order mode)
+ * Body: { partyId, turnOrder: string[] } - every GOING participant, first player first
+ */
+router.post('/turn-order', async (req, res) => {
+  try {
+    const { partyId, turnOrder } = req.body;
+    const loaded = await loadLobbyForTurnOrder(req, res, partyId);
+    if (!loaded) return;
+
+    const { party, isAdmin } = loaded;
+    if (!isAdmin) {
+      return res.status(403).json({ error: 'Only party admin can set the turn order' });
+    }
+    if (resolveTurnOrderMode(party.config) !== TURN_ORDER_MODES.MANUAL) {
+      return res.status(400).json({ error: 'Turn order mode is not manual' });
+    }
+
+    const participantsSnapshot = await goingParticipantsQuery(partyId).get();
+    const goingIds = new Set(participantsSnapshot.docs.map((doc) => doc.id));
+    const isValidOrder = Array.isArray(turnOrder) &&
+      turnOrder.length === goingIds.size &&
+      new Set(turnOrder).size === turnOrder.length &&
+      turnOrder.every((id) => goingIds.has(id));
+    if (!isValidOrder) {
+      return res.status(400).json({ error: 'turnOrder must list every participant who is going exactly once' });
+    }
+
+    const batch = db.batch();
+    turnOrder.forEach((participantId, index) => {
+      batch.update(db.collection('parties').doc(partyId).collection('participants').doc(participantId), {
+        turnNumber: index + 1,
+        updatedAt: new Date(),
+      });
+    });
+    await batch.commit();
+
+    res.json({ success: true, turnOrder });
   } catch (error) {
-    console.error('Error starting game:', error);
-    res.status(500).json({ error: 'Failed to start game', message: error.message });
+    console.error('Error setting turn order:', error);
+    res.status(500).json({ error: 'Failed to set turn order', message: error.message });
+  }
+});
+
+/**
+ * POST /api/game/turn-order/draw
+ * Draw a turn number from the hat ('draw' turn order mode)
+ * Body: { partyId, participantId? } - participants draw for themselves; the admin may
+ * draw for anyone (bots, or guests drawing in person)
+ */
+router.post('/turn-order/draw', async (req, res) => {
+  try {
+    const { partyId } = req.body;
+    const loaded = await loadLobbyForTurnOrder(req, res, partyId);
+    if (!loaded) return;
+
+    const { party, userId, isAdmin } = loaded;
+    const participantId = req.body.participantId || userId;
+    if (participantId !== userId && !isAdmin) {
+      return res.status(403).json({ error: 'You can only draw your own number' });
+    }
+    if (resolveTurnOrderMode(party.config) !== TURN_ORDER_MODES.DRAW) {
+      return res.status(400).json({ error: 'Turn order mode is not draw' });
+    }
+
+    // Transaction so two simultaneous draws can't pull the same number
+    const draw = await db.runTransaction(async (transaction) => {
+      const participantsSnapshot = await transaction.get(goingParticipantsQuery(partyId));
+      const participants = participantsSnapshot.docs.map((doc) => ({
+        id: doc.id,
+        ...participantConverter.fromFirestore(doc),
+      }));
+
+      const drawer = participants.find((p) => p.id === participantId);
+      if (!drawer) {
+        return { error: 'Participant is not going to this party' };
+      }
+      if (drawer.turnNumber) {
+        return { error: 'A number has already been drawn for this participant' };
+      }
+
+      const turnNumber = drawTurnNumber(participants, participantId);
+      if (turnNumber === null) {
+        return { error: 'No numbers left to draw' };
+      }
+      transaction.update(participantsSnapshot.docs.find((doc) => doc.id === participantId).ref, {
+        turnNumber,
+        updatedAt: new Date(),
+      });
+      return { turnNumber };
+    });
+
+    if (draw.error) {
+      return res.status(400).json({ error: draw.error });
+    }
+
+    res.json({ success: true, participantId, turnNumber: draw.turnNumber });
+  } catch (error) {
+    console.error('Error drawing turn number:', error);
+    res.status(500).json({ error: 'Failed to draw turn number', message: error.message });
+  }
+});
+
+/**
+ * POST /api/game/turn-order/clear
+ * Clear all turn numbers, e.g. to redo the draw (admin only)
+ */
+router.post('/turn-order/clear', async (req, res) => {
+  try {
+    const { partyId } = req.body;
+    const loaded = await loadLobbyForTurnOrder(req, res, partyId);
+    if (!loaded) return;
+
+    if (!loaded.isAdmin) {
+      return res.status(403).json({ error: 'Only party admin can clear the turn order' });
+    }
+
+    const participantsSnapshot = await db.collection('parties').doc(partyId).collection('participants').get();
+    const batch = db.batch();
+    participantsSnapshot.docs.forEach((doc) => {
+      batch.update(doc.ref, { turnNumber: null, updatedAt: new Date() });
+    });
+    await batch.commit();
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error clearing turn order:', error);
+    res.status(500).json({ error: 'Failed to clear turn order', message: error.message });
   }
 });
 
@@ -254,90 +607,438 @@ router.post('/end', async (req, res) => {
     const engine = new GameEngine(gameState, config);
 
     // End the game and get final state
-    const finalState = engine.endGame();
-    const finalOwnership = finalState.finalOwnership || {};
+    const finalState = engine.endGame({ endedBy: userId });
 
-    // Ensure one gift per player - remove any duplicate winnerId assignments
-    const winnerToGiftMap = new Map(); // Track which gift each winner gets
-    const giftsToUpdate = [];
-    
-    // First pass: build map of winner -> gift (only first gift per winner)
-    for (const [giftId, winnerId] of Object.entries(finalOwnership)) {
-      if (winnerId) {
-        if (!winnerToGiftMap.has(winnerId)) {
-          winnerToGiftMap.set(winnerId, giftId);
-          giftsToUpdate.push({ giftId, winnerId });
-        }
+    // Save ended state to both Redis and Firestore first - if another action saved since we
+    // loaded (STATE_CONFLICT), the game is still running and nothing below may be written
+    finalState.state.config = gameState.config;
+    try {
+      await saveGameState(partyId, finalState.state, null, { expectedVersion: gameState.stateVersion });
+    } catch (error) {
+      if (isStateConflict(error)) {
+        return res.status(409).json({ error: 'The game changed while ending it - please try again' });
       }
+      throw error;
     }
-    
-    // Clear winnerId from any gifts not assigned to their winner
-    const assignedGiftIds = new Set(giftsToUpdate.map(g => g.giftId));
-    const allGiftsSnapshot = await db.collection('gifts').where('partyId', '==', partyId).get();
-    
-    for (const giftDoc of allGiftsSnapshot.docs) {
-      const giftId = giftDoc.id;
-      const giftData = giftDoc.data();
-      
-      if (assignedGiftIds.has(giftId)) {
-        // This gift is assigned to a winner - update with correct winnerId
-        const assignment = giftsToUpdate.find(g => g.giftId === giftId);
-        if (assignment && giftData.winnerId !== assignment.winnerId) {
-          await db.collection('gifts').doc(giftId).update({
-            winnerId: assignment.winnerId,
-            updatedAt: new Date(),
-          });
-        }
-      } else {
-        // This gift is not assigned - clear any existing winnerId
-        if (giftData.winnerId) {
-          await db.collection('gifts').doc(giftId).update({
-            winnerId: null,
-            updatedAt: new Date(),
-          });
-        }
-      }
+
+    // Stop bot refresh simulation when game ends
+    const { stopBotRefreshSimulation } = await import('../utils/bot-utils.js');
+    stopBotRefreshSimulation(partyId);
+    // Write winners, mark the party ENDED and notify all clients
+    await persistGameResults(partyId, finalState.state, req.io);
+
+    res.json({ success: true, finalState });
+  } catch (error) {
+    console.error('Error ending game:', error);
+    res.status(500).json({ error: 'Failed to end game', message: error.message });
+  }
+});
+
+/**
+ * POST /api/game/rounds/next
+ * Start the next round of a multi-round party (config.rounds) once the current one has ended
+ */
+router.post('/rounds/next', async (req, res) => {
+  try {
+    const { partyId } = req.body;
+    const userId = req.user?.uid;
+
+    if (!userId) {
+      return res.status(401).json({ error: 'Authentication required' });
     }
 
-    // Update party status to ENDED and store game history
-    const endedAt = admin.firestore.Timestamp.now();
-    await db.collection('parties').doc(partyId).update({
-      status: 'ENDED',
-      endedAt: endedAt, // Set retention timestamp for data cleanup
-      gameHistory: finalState.state.history || [], // Store history in party document
-      updatedAt: new Date(),
+    if (!partyId || typeof partyId !== 'string' || partyId.length === 0 || partyId.length > 128) {
+      return res.status(400).json({ error: 'Valid partyId is required' });
+    }
+
+    const partyDoc = await db.collection('parties').doc(partyId).get();
+    if (!partyDoc.exists) {
+      return res.status(404).json({ error: 'Party not found' });
+    }
+
+    const party = partyConverter.fromFirestore(partyDoc);
+    if (party.adminId !== userId) {
+      return res.status(403).json({ error: 'Only party admin can start the next round' });
+    }
+
+    if (party.status !== 'ENDED') {
+      return res.status(400).json({ error: 'The current round has not ended' });
+    }
+
+    const gameState = await loadGameState(partyId);
+    if (!gameState) {
+      return res.status(404).json({ error: 'Game state not found' });
+    }
+
+    const config = gameState.config || {};
+    if (gameState.phase !== 'ENDED' || !hasNextRound(config)) {
+      return res.status(400).json({ error: 'There are no more rounds to play' });
+    }
+
+    const participantsSnapshot = await goingParticipantsQuery(partyId).get();
+    const participants = participantsSnapshot.docs.map((doc) => ({
+      id: doc.id,
+      ...participantConverter.fromFirestore(doc),
+    }));
+    const giftsSnapshot = await db.collection('gifts').where('partyId', '==', partyId).get();
+    const gifts = giftsSnapshot.docs.map((doc) => ({
+      id: doc.id,
+      ...giftConverter.fromFirestore(doc),
+    }));
+
+    // Archive the finished round under its index before the next one takes over game:{partyId}
+    await saveRoundState(partyId, gameState);
+
+    const nextState = await startRound(req, res, {
+      partyId,
+      party,
+      rounds: config.rounds,
+      round: config.round + 1,
+      participants,
+      gifts,
     });
+    if (!nextState) {
+      return;
+    }
 
-    // Update all gifts for this party with partyEndedAt timestamp for retention
-    const giftsForRetentionSnapshot = await db.collection('gifts').where('partyId', '==', partyId).get();
-    const giftRetentionBatch = db.batch();
-    giftsForRetentionSnapshot.docs.forEach((giftDoc) => {
-      giftRetentionBatch.update(giftDoc.ref, {
-        partyEndedAt: endedAt,
-        updatedAt: new Date(),
-      });
+    res.json({ success: true, gameState: nextState });
+  } catch (error) {
+    console.error('Error starting next round:', error);
+    res.status(500).json({ error: 'Failed to start next round', message: error.message });
+  }
+});
+
+/**
+ * GET /api/game/rounds/:partyId
+ * Each round of a multi-round party with who won what in it - the combined result is the
+ * gift docs' winnerId. Rounds still being played or yet to come have no results.
+ */
+router.get('/rounds/:partyId', async (req, res) => {
+  try {
+    const { partyId } = req.params;
+    const userId = req.user?.uid;
+
+    if (!userId) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    if (!partyId || typeof partyId !== 'string' || partyId.length === 0 || partyId.length > 128) {
+      return res.status(400).json({ error: 'Valid partyId is required' });
+    }
+
+    const participantDoc = await db
+      .collection('parties')
+      .doc(partyId)
+      .collection('participants')
+      .doc(userId)
+      .get();
+
+    if (!participantDoc.exists) {
+      return res.status(403).json({ error: 'You are not a participant in this party' });
+    }
+
+    const gameState = await loadGameState(partyId);
+    if (!gameState) {
+      return res.status(404).json({ error: 'Game state not found' });
+    }
+
+    const { rounds = [], round: currentRound = 0 } = gameState.config || {};
+    const results = await Promise.all(rounds.map(async ({ name, finals }, index) => {
+      const roundState = index === currentRound
+        ? gameState
+        : index < currentRound ? await loadRoundState(partyId, index) : null;
+      const status = index > currentRound ? 'UPCOMING' : roundState?.phase === 'ENDED' ? 'ENDED' : 'ACTIVE';
+      if (status !== 'ENDED') {
+        return { index, name, finals, status, winners: null };
+      }
+      const { giftIdToWinner, surplusGifts } = getFinalWinners(roundState);
+      return {
+        index,
+        name,
+        finals,
+        status,
+        winners: [...giftIdToWinner].map(([giftId, winnerId]) => ({ giftId, winnerId, isSurplus: giftId in surplusGifts })),
+      };
+    }));
+
+    res.json({ currentRound, rounds: results });
+  } catch (error) {
+    console.error('Error fetching rounds:', error);
+    res.status(500).json({ error: 'Failed to fetch rounds', message: error.message });
+  }
+});
+
+/**
+ * Load a party and its game state for an admin-only event log route
+ * Sends the error response itself and returns null if the request can't proceed
+ */
+async function loadGameForAdmin(req, res, partyId) {
+  const userId = req.user?.uid;
+  if (!userId) {
+    res.status(401).json({ error: 'Authentication required' });
+    return null;
+  }
+
+  if (!partyId || typeof partyId !== 'string' || partyId.length === 0 || partyId.length > 128) {
+    res.status(400).json({ error: 'Valid partyId is required' });
+    return null;
+  }
+
+  const partyDoc = await db.collection('parties').doc(partyId).get();
+  if (!partyDoc.exists) {
+    res.status(404).json({ error: 'Party not found' });
+    return null;
+  }
+
+  const party = partyConverter.fromFirestore(partyDoc);
+  if (party.adminId !== userId) {
+    res.status(403).json({ error: 'Only party admin can audit the game' });
+    return null;
+  }
+
+  const gameState = await loadGameState(partyId);
+  if (!gameState) {
+    res.status(404).json({ error: 'Game state not found' });
+    return null;
+  }
+
+  return { party, gameState };
+}
+
+/**
+ * Load an ended party and the caller's seat for the trade routes
+ * Sends the error response itself and returns null if the request can't proceed
+ */
+async function loadEndedGameForTrades(req, res, partyId) {
+  const userId = req.user?.uid;
+  if (!userId) {
+    res.status(401).json({ error: 'Authentication required' });
+    return null;
+  }
+
+  if (!partyId || typeof partyId !== 'string' || partyId.length === 0 || partyId.length > 128) {
+    res.status(400).json({ error: 'Valid partyId is required' });
+    return null;
+  }
+
+  const partyDoc = await db.collection('parties').doc(partyId).get();
+  if (!partyDoc.exists) {
+    res.status(404).json({ error: 'Party not found' });
+    return null;
+  }
+
+  const party = partyConverter.fromFirestore(partyDoc);
+  if (party.status !== 'ENDED') {
+    res.status(400).json({ error: 'Gifts can only be traded after the game' });
+    return null;
+  }
+
+  const gameState = await loadGameState(partyId);
+  if (!gameState) {
+    res.status(404).json({ error: 'Game state not found' });
+    return null;
+  }
+
+  // Gifts won in a round can still go back into play in a later one
+  if (hasNextRound(gameState.config)) {
+    res.status(400).json({ error: 'Gifts can only be traded after the last round' });
+    return null;
+  }
+
+  // Players trade as their seat, so a team's members share its gifts.
+  // In a multi-round party the last round's players aren't everyone who won something.
+  const seatId = getSeatId(gameState.config, userId);
+  const isPlayer = gameState.config?.rounds?.length > 0
+    ? (await db.collection('parties').doc(partyId).collection('participants').doc(userId).get()).exists
+    : gameState.turnOrder.includes(seatId);
+  if (!isPlayer) {
+    res.status(403).json({ error: 'Only players in the game can trade' });
+    return null;
+  }
+
+  return { party, config: gameState.config || {}, userId, seatId };
+}
+
+function isValidDocId(id) {
+  return typeof id === 'string' && id.length > 0 && id.length <= 128 && !id.includes('/');
+}
+
+/**
+ * POST /api/game/trades
+ * Offer one of your won gifts for one another player won (config.tradeWindowMinutes)
+ */
+router.post('/trades', async (req, res) => {
+  try {
+    const { partyId, offeredGiftId, requestedGiftId } = req.body;
+    const context = await loadEndedGameForTrades(req, res, partyId);
+    if (!context) return;
+
+    if (!isValidDocId(offeredGiftId) || !isValidDocId(requestedGiftId)) {
+      return res.status(400).json({ error: 'Valid offeredGiftId and requestedGiftId are required' });
+    }
+
+    const tradeId = await proposeTrade({ partyId, ...context, offeredGiftId, requestedGiftId });
+    res.json({ success: true, tradeId });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error proposing trade:', error);
+    res.status(500).json({ error: 'Failed to propose trade', message: error.message });
+  }
+});
+
+const TRADE_RESPONSES = {
+  accept: TRADE_STATUSES.ACCEPTED,
+  decline: TRADE_STATUSES.DECLINED,
+  cancel: TRADE_STATUSES.CANCELLED,
+};
+
+/**
+ * POST /api/game/trades/respond
+ * Accept or decline a trade you were offered, or cancel one you offered
+ * Body: { partyId, tradeId, response: 'accept' | 'decline' | 'cancel' }
+ */
+router.post('/trades/respond', async (req, res) => {
+  try {
+    const { partyId, tradeId, response } = req.body;
+    const context = await loadEndedGameForTrades(req, res, partyId);
+    if (!context) return;
+
+    if (!isValidDocId(tradeId) || !Object.hasOwn(TRADE_RESPONSES, response)) {
+      return res.status(400).json({ error: 'Valid tradeId and response (accept, decline or cancel) are required' });
+    }
+
+    await closeTrade({ partyId, ...context, tradeId, status: TRADE_RESPONSES[response] });
+    console.log(`🔁 ${context.userId} answered trade ${tradeId} in party ${partyId}: ${response}`);
+    res.json({ success: true });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error answering trade:', error);
+    res.status(500).json({ error: 'Failed to answer trade', message: error.message });
+  }
+});
+
+/**
+ * GET /api/game/audit/:partyId
+ * Replay the game's event log and compare it with the stored state (admin only)
+ */
+router.get('/audit/:partyId', async (req, res) => {
+  try {
+    const { partyId } = req.params;
+    const loaded = await loadGameForAdmin(req, res, partyId);
+    if (!loaded) return;
+
+    const { gameState } = loaded;
+    const { matches, differences, error } = verifyReplay(gameState);
+
+    res.json({
+      partyId,
+      matches,
+      differences,
+      error,
+      events: gameState.events || [],
     });
-    if (giftsForRetentionSnapshot.docs.length > 0) {
-      await giftRetentionBatch.commit();
+  } catch (error) {
+    console.error('Error auditing game:', error);
+    res.status(500).json({ error: 'Failed to audit game', message: error.message });
+  }
+});
+
+/**
+ * POST /api/game/rebuild
+ * Replace the stored game state with the one rebuilt from its event log (admin only)
+ * Use to repair a corrupted Redis entry.
+ */
+router.post('/rebuild', async (req, res) => {
+  try {
+    const { partyId } = req.body;
+    const loaded = await loadGameForAdmin(req, res, partyId);
+    if (!loaded) return;
+
+    const { gameState } = loaded;
+    const { matches, differences, replayedState, error } = verifyReplay(gameState);
+    if (error) {
+      return res.status(400).json({ error: 'Game cannot be rebuilt from its event log', message: error });
     }
 
-    // Save ended state to both Redis and Firestore
-    finalState.state.config = gameState.config;
-    await saveGameState(partyId, finalState.state);
+    if (!matches) {
+      console.warn(`⚠️ Rebuilding game state for party ${partyId} from event log - fields differed: ${differences.join(', ')}`);
+      await saveGameState(partyId, replayedState, null, { expectedVersion: gameState.stateVersion });
+      if (req.io) {
+        await emitGameState(req.io, partyId, 'game-updated', replayedState);
+      }
+    }
 
-    // Stop bot refresh simulation when game ends
-    const { stopBotRefreshSimulation } = await import('../utils/bot-utils.js');
-    stopBotRefreshSimulation(partyId);
+    const currentState = matches ? gameState : replayedState;
+    res.json({ success: true, rebuilt: !matches, differences, gameState: await getGameStateView(currentState, req.user?.uid) });
+  } catch (error) {
+    console.error('Error rebuilding game state:', error);
+    res.status(500).json({ error: 'Failed to rebuild game state', message: error.message });
+  }
+});
+
+/**
+ * GET /api/game/fairness/:partyId
+ * Turn-order shuffle proof: the published seed hash, plus the seed once the game has ended
+ * Requires authentication (participants only)
+ */
+router.get('/fairness/:partyId', async (req, res) => {
+  try {
+    const { partyId } = req.params;
+    const userId = req.user?.uid;
 
-    // Emit socket event to notify all clients
-    if (req.io) {
-      req.io.to(`party:${partyId}`).emit('game-ended', finalState);
+    if (!userId) {
+      return res.status(401).json({ error: 'Authentication required' });
     }
 
-    res.json({ success: true, finalState });
+    if (!partyId || typeof partyId !== 'string' || partyId.length === 0 || partyId.length > 128) {
+      return res.status(400).json({ error: 'Valid partyId is required' });
+    }
+
+    // Verify user is a participant
+    const participantDoc = await db
+      .collection('parties')
+      .doc(partyId)
+      .collection('participants')
+      .doc(userId)
+      .get();
+
+    if (!participantDoc.exists) {
+      return res.status(403).json({ error: 'You are not a participant in this party' });
+    }
+
+    const gameState = await loadGameState(partyId);
+    if (!gameState) {
+      return res.status(404).json({ error: 'Game state not found' });
+    }
+
+    if (!gameState.fairness) {
+      return res.status(404).json({ error: 'This game was started without a verifiable shuffle' });
+    }
+
+    const { algorithm, seedHash } = gameState.fairness;
+    // The shuffled order from the start - players added or removed mid-game aren't part of the proof
+    const gameStarted = gameState.events?.[0];
+    const turnOrder = gameStarted?.type === GAME_EVENT_TYPES.GAME_STARTED ? gameStarted.turnOrder : gameState.turnOrder;
+    const proof = { partyId, algorithm, seedHash, turnOrder, seed: null };
+
+    // Never reveal the seed while the game is running
+    if (gameState.phase !== 'ENDED') {
+      return res.json(proof);
+    }
+
+    const seed = await loadShuffleSeed(partyId, gameState.config?.round ?? 0);
+    if (!seed) {
+      return res.status(404).json({ error: 'Shuffle seed not found' });
+    }
+
+    res.json({ ...proof, seed, ...verifyShuffle({ seed, seedHash, turnOrder }) });
   } catch (error) {
-    console.error('Error ending game:', error);
-    res.status(500).json({ error: 'Failed to end game', message: error.message });
+    console.error('Error fetching shuffle proof:', error);
+    res.status(500).json({ error: 'Failed to fetch shuffle proof', message: error.message });
   }
 });
 
@@ -378,7 +1079,7 @@ router.get('/state/:partyId', async (req, res) => {
       return res.status(404).json({ error: 'Game state not found' });
     }
 
-    res.json(gameState);
+    res.json(await getGameStateView(gameState, userId));
   } catch (error) {
     console.error('Error fetching game state:', error);
     res.status(500).json({ error: 'Failed to fetch game state', message: error.message });
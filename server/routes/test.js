@@ -35,6 +35,7 @@ router.use((req, res, next) => {
  *   "title": "My Test Party",    // Optional
  *   "date": "2024-12-25",        // Optional, defaults to tomorrow
  *   "config": {                   // Optional
+ *     "variant": "standard",       // Rule variant id (see server/variants)
  *     "maxSteals": 3,
  *     "returnToStart": false
  *   }
@@ -68,6 +69,7 @@ router.post('/party', async (req, res) => {
 
     // Default config
     const partyConfig = {
+      variant: config?.variant ?? null,
       maxSteals: config?.maxSteals ?? 3,
       returnToStart: config?.returnToStart ?? false,
       priceLimit: config?.priceLimit ?? null,
@@ -11,8 +11,15 @@ import userRoutes from './routes/users.js';
 import testRoutes from './routes/test.js';
 import redisClient from './utils/redis.js';
 import { auth, db } from './config/firebase-admin.js';
-import admin from 'firebase-admin';
-import { checkAndMakeBotMove } from './utils/bot-utils.js';
+import { checkAndMakeBotMove, cancelPendingBotMoves, pauseBotTimers, resumeBotTimers, stopBotRefreshSimulation } from './utils/bot-utils.js';
+import { runGameAction, actionError, ACTION_ERROR_CODES } from './utils/socket-actions.js';
+import { startTurnTimerPoller } from './utils/turn-timer.js';
+import { persistGameResults } from './utils/game-results.js';
+import { emitGameState, getGameStateView, forgetGiftDetails } from './utils/blind-steal.js';
+import { isPlayablePhase } from './engine.js';
+import { getGiftsPerPlayer } from './variants/index.js';
+import { getSeatId } from './utils/teams.js';
+import { GIFT_POOLS } from './utils/gift-pools.js';
 
 dotenv.config();
 
@@ -96,6 +103,29 @@ async function verifyPartyMembership(partyId, userId) {
   }
 }
 
+// Helper function for admin game actions: checks the caller is the party admin and loads the game
+// Throws actionError codes for runGameAction acks
+async function loadGameForAdminAction(partyId, userId, action) {
+  if (!isValidPartyId(partyId)) {
+    throw actionError(ACTION_ERROR_CODES.INVALID_REQUEST, 'Invalid party ID');
+  }
+
+  const partyDoc = await db.collection('parties').doc(partyId).get();
+  if (!partyDoc.exists) {
+    throw actionError(ACTION_ERROR_CODES.GAME_NOT_FOUND, 'Party not found');
+  }
+  if (partyDoc.data().adminId !== userId) {
+    throw actionError(ACTION_ERROR_CODES.NOT_PARTY_ADMIN, `Only party admin can ${action}`);
+  }
+
+  const { loadGameState } = await import('./utils/game-state-persistence.js');
+  const gameState = await loadGameState(partyId);
+  if (!gameState) {
+    throw actionError(ACTION_ERROR_CODES.GAME_NOT_FOUND, 'Game not found');
+  }
+  return gameState;
+}
+
 const io = new Server(httpServer, {
   cors: {
     origin: (origin, callback) => {
@@ -244,7 +274,7 @@ io.on('connection', (socket) => {
     
     if (gameState) {
       console.log(`📤 Sending game-state to socket ${socket.id} for party ${partyId}`);
-      socket.emit('game-state', gameState);
+      socket.emit('game-state', await getGameStateView(gameState, socket.userId));
     } else {
       console.log(`⚠️ No game state found for party ${partyId}`);
       // Check if party is marked as ACTIVE - if so, there's a data inconsistency
@@ -267,273 +297,246 @@ io.on('connection', (socket) => {
   });
 
   // Handle game actions
-  socket.on('pick-gift', async ({ partyId, giftId }) => {
-    try {
-      // Validate inputs
-      if (!isValidPartyId(partyId) || !isValidGiftId(giftId)) {
-        socket.emit('error', { message: 'Invalid party ID or gift ID' });
-        return;
-      }
-      
-      // Verify user is a participant
-      const isParticipant = await verifyPartyMembership(partyId, socket.userId);
-      if (!isParticipant) {
-        socket.emit('error', { message: 'You are not a participant in this party' });
-        return;
-      }
-      
-      // Load game state (from Redis or Firestore)
-      const { loadGameState, saveGameState } = await import('./utils/game-state-persistence.js');
-      const gameState = await loadGameState(partyId);
-      if (!gameState) {
-        socket.emit('error', { message: 'Game not found' });
-        return;
-      }
-
-      // Emit action_started event BEFORE processing (for synchronized reveal animation)
-      io.to(`party:${partyId}`).emit('action_started', { 
-        type: 'pick', 
-        giftId, 
-        playerId: socket.userId 
-      });
+  // Each action takes an optional client actionId (retries are de-duplicated) and an ack callback
+  // that receives { ok, actionId, code, message } - see utils/socket-actions.js
+  socket.on('pick-gift', ({ partyId, giftId, actionId } = {}, ack) => runGameAction(socket, { partyId, actionId, ack }, async () => {
+    // Validate inputs
+    if (!isValidPartyId(partyId) || !isValidGiftId(giftId)) {
+      throw actionError(ACTION_ERROR_CODES.INVALID_REQUEST, 'Invalid party ID or gift ID');
+    }
+    
+    // Verify user is a participant
+    const isParticipant = await verifyPartyMembership(partyId, socket.userId);
+    if (!isParticipant) {
+      throw actionError(ACTION_ERROR_CODES.NOT_A_PARTICIPANT, 'You are not a participant in this party');
+    }
+    
+    // Load game state (from Redis or Firestore)
+    const { loadGameState, saveGameState } = await import('./utils/game-state-persistence.js');
+    const gameState = await loadGameState(partyId);
+    if (!gameState) {
+      throw actionError(ACTION_ERROR_CODES.GAME_NOT_FOUND, 'Game not found');
+    }
+    // Checked before action_started so clients don't start an animation for a rejected move
+    if (gameState.phase === 'PAUSED') {
+      throw actionError(ACTION_ERROR_CODES.GAME_PAUSED, 'The game is paused');
+    }
+    // Any member of a team plays for its seat
+    const seatId = getSeatId(gameState.config, socket.userId);
+
+    // Emit action_started event BEFORE processing (for synchronized reveal animation)
+    io.to(`party:${partyId}`).emit('action_started', { 
+      type: 'pick', 
+      giftId, 
+      playerId: seatId 
+    });
 
-      // CRITICAL: Validate gameState.partyId matches partyId parameter
-      if (gameState.partyId && gameState.partyId !== partyId) {
-        console.error(`❌ CRITICAL: partyId mismatch in pick-gift! Parameter: ${partyId}, gameState.partyId: ${gameState.partyId}`);
-        socket.emit('error', { message: 'Game state party ID mismatch' });
-        return;
-      }
-      
-      const { GameEngine } = await import('./engine.js');
-      const config = gameState.config || { maxSteals: 3, returnToStart: false };
-      // Ensure partyId is set in gameState before creating engine
-      gameState.partyId = partyId;
-      const engine = new GameEngine(gameState, config);
+    // CRITICAL: Validate gameState.partyId matches partyId parameter
+    if (gameState.partyId && gameState.partyId !== partyId) {
+      console.error(`❌ CRITICAL: partyId mismatch in pick-gift! Parameter: ${partyId}, gameState.partyId: ${gameState.partyId}`);
+      throw actionError(ACTION_ERROR_CODES.INVALID_REQUEST, 'Game state party ID mismatch');
+    }
+    
+    const { GameEngine } = await import('./engine.js');
+    const config = gameState.config || { maxSteals: 3, returnToStart: false };
+    // Ensure partyId is set in gameState before creating engine
+    gameState.partyId = partyId;
+    const engine = new GameEngine(gameState, config);
+
+    engine.pickGift(giftId, seatId);
+    const newState = engine.getState();
+    // Preserve config in state
+    newState.config = gameState.config;
+    // CRITICAL: Ensure partyId is preserved
+    newState.partyId = partyId;
+
+    // Save to both Redis and Firestore (rejected if another action saved first)
+    await saveGameState(partyId, newState, null, { expectedVersion: gameState.stateVersion });
+
+    // Broadcast update
+    await emitGameState(io, partyId, 'game-updated', newState);
+    
+    // The last pick in the turn queue can end the game (e.g. after a player left)
+    if (newState.phase === 'ENDED') {
+      stopBotRefreshSimulation(partyId);
+      await persistGameResults(partyId, newState, io);
+      return;
+    }
 
-      engine.pickGift(giftId, socket.userId);
-      const newState = engine.getState();
-      // Preserve config in state
-      newState.config = gameState.config;
-      // CRITICAL: Ensure partyId is preserved
-      newState.partyId = partyId;
+    // Check if next player is a bot and trigger auto-play
+    // Wait for reveal animation to complete (3s) + small buffer before checking
+    setTimeout(() => {
+      checkAndMakeBotMove(partyId, newState, io).catch(console.error);
+    }, 3500); // 3s reveal animation + 500ms buffer
+  }));
 
-      // Save to both Redis and Firestore
-      await saveGameState(partyId, newState);
+  socket.on('steal-gift', ({ partyId, giftId, actionId } = {}, ack) => runGameAction(socket, { partyId, actionId, ack }, async () => {
+    console.log(`[Server] 📥 Received steal-gift event:`, { partyId, giftId, actionId, userId: socket.userId });
+    
+    // Validate inputs
+    if (!isValidPartyId(partyId) || !isValidGiftId(giftId)) {
+      throw actionError(ACTION_ERROR_CODES.INVALID_REQUEST, 'Invalid party ID or gift ID');
+    }
+    
+    // Verify user is a participant
+    const isParticipant = await verifyPartyMembership(partyId, socket.userId);
+    if (!isParticipant) {
+      throw actionError(ACTION_ERROR_CODES.NOT_A_PARTICIPANT, 'You are not a participant in this party');
+    }
+    
+    // Load game state (from Redis or Firestore)
+    const { loadGameState, saveGameState } = await import('./utils/game-state-persistence.js');
+    const gameState = await loadGameState(partyId);
+    if (!gameState) {
+      throw actionError(ACTION_ERROR_CODES.GAME_NOT_FOUND, 'Game not found');
+    }
+    // Checked before action_started so clients don't start an animation for a rejected move
+    if (gameState.phase === 'PAUSED') {
+      throw actionError(ACTION_ERROR_CODES.GAME_PAUSED, 'The game is paused');
+    }
+    // Any member of a team plays for its seat
+    const seatId = getSeatId(gameState.config, socket.userId);
+
+    // Emit action_started event BEFORE processing (for auto-scroll, not reveal animation)
+    // Note: STEAL events don't trigger reveal animation (gift is already known)
+    io.to(`party:${partyId}`).emit('action_started', { 
+      type: 'steal', 
+      giftId, 
+      playerId: seatId 
+    });
 
-      // Broadcast update
-      io.to(`party:${partyId}`).emit('game-updated', newState);
-      
-      // Check if next player is a bot and trigger auto-play
-      // Wait for reveal animation to complete (3s) + small buffer before checking
-      setTimeout(() => {
-        checkAndMakeBotMove(partyId, newState, io).catch(console.error);
-      }, 3500); // 3s reveal animation + 500ms buffer
-    } catch (error) {
-      socket.emit('error', { message: error.message });
+    // CRITICAL: Validate gameState.partyId matches partyId parameter
+    if (gameState.partyId && gameState.partyId !== partyId) {
+      console.error(`❌ CRITICAL: partyId mismatch in steal-gift! Parameter: ${partyId}, gameState.partyId: ${gameState.partyId}`);
+      throw actionError(ACTION_ERROR_CODES.INVALID_REQUEST, 'Game state party ID mismatch');
     }
-  });
+    
+    const { GameEngine } = await import('./engine.js');
+    const config = gameState.config || { maxSteals: 3, returnToStart: false };
+    // Ensure partyId is set in gameState before creating engine
+    gameState.partyId = partyId;
+    const engine = new GameEngine(gameState, config);
+    
+    engine.stealGift(giftId, seatId);
+    
+    const newState = engine.getState();
+    // Preserve config in state
+    newState.config = gameState.config;
+    // CRITICAL: Ensure partyId is preserved
+    newState.partyId = partyId;
 
-  socket.on('steal-gift', async ({ partyId, giftId }) => {
-    try {
-      console.log(`[Server] 📥 Received steal-gift event:`, { partyId, giftId, userId: socket.userId });
-      
-      // Validate inputs
-      if (!isValidPartyId(partyId) || !isValidGiftId(giftId)) {
-        socket.emit('error', { message: 'Invalid party ID or gift ID' });
-        return;
-      }
-      
-      // Verify user is a participant
-      const isParticipant = await verifyPartyMembership(partyId, socket.userId);
-      if (!isParticipant) {
-        socket.emit('error', { message: 'You are not a participant in this party' });
-        return;
-      }
-      
-      // Load game state (from Redis or Firestore)
-      const { loadGameState, saveGameState } = await import('./utils/game-state-persistence.js');
-      const gameState = await loadGameState(partyId);
-      if (!gameState) {
-        socket.emit('error', { message: 'Game not found' });
-        return;
-      }
+    // Save to both Redis and Firestore (rejected if another action saved first)
+    await saveGameState(partyId, newState, null, { expectedVersion: gameState.stateVersion });
 
-      // Emit action_started event BEFORE processing (for auto-scroll, not reveal animation)
-      // Note: STEAL events don't trigger reveal animation (gift is already known)
-      io.to(`party:${partyId}`).emit('action_started', { 
-        type: 'steal', 
-        giftId, 
-        playerId: socket.userId 
-      });
+    // Broadcast update
+    await emitGameState(io, partyId, 'game-updated', newState);
+    
+    // The last swap of the last-chance round ends the game
+    if (newState.phase === 'ENDED') {
+      stopBotRefreshSimulation(partyId);
+      await persistGameResults(partyId, newState, io);
+      return;
+    }
 
-      // CRITICAL: Validate gameState.partyId matches partyId parameter
-      if (gameState.partyId && gameState.partyId !== partyId) {
-        console.error(`❌ CRITICAL: partyId mismatch in steal-gift! Parameter: ${partyId}, gameState.partyId: ${gameState.partyId}`);
-        socket.emit('error', { message: 'Game state party ID mismatch' });
-        return;
-      }
-      
-      const { GameEngine } = await import('./engine.js');
-      const config = gameState.config || { maxSteals: 3, returnToStart: false };
-      // Ensure partyId is set in gameState before creating engine
-      gameState.partyId = partyId;
-      const engine = new GameEngine(gameState, config);
-      
-      engine.stealGift(giftId, socket.userId);
-      
-      const newState = engine.getState();
-      // Preserve config in state
-      newState.config = gameState.config;
-      // CRITICAL: Ensure partyId is preserved
-      newState.partyId = partyId;
+    // Check if next player (victim) is a bot and trigger auto-play
+    // For STEAL events, no reveal animation, so use shorter delay
+    setTimeout(() => {
+      checkAndMakeBotMove(partyId, newState, io).catch(console.error);
+    }, 1000); // Shorter delay for steal (no reveal animation needed)
+  }));
 
-      // Save to both Redis and Firestore
-      await saveGameState(partyId, newState);
+  socket.on('end-turn', ({ partyId, actionId } = {}, ack) => runGameAction(socket, { partyId, actionId, ack }, async () => {
+    // Validate input
+    if (!isValidPartyId(partyId)) {
+      throw actionError(ACTION_ERROR_CODES.INVALID_REQUEST, 'Invalid party ID');
+    }
+    
+    // Verify user is a participant
+    const isParticipant = await verifyPartyMembership(partyId, socket.userId);
+    if (!isParticipant) {
+      throw actionError(ACTION_ERROR_CODES.NOT_A_PARTICIPANT, 'You are not a participant in this party');
+    }
+    
+    // Load game state (from Redis or Firestore)
+    const { loadGameState, saveGameState } = await import('./utils/game-state-persistence.js');
+    const gameState = await loadGameState(partyId);
+    if (!gameState) {
+      throw actionError(ACTION_ERROR_CODES.GAME_NOT_FOUND, 'Game not found');
+    }
 
-      // Broadcast update
-      io.to(`party:${partyId}`).emit('game-updated', newState);
-      
-      // Check if next player (victim) is a bot and trigger auto-play
-      // For STEAL events, no reveal animation, so use shorter delay
+    // CRITICAL: Validate gameState.partyId matches partyId parameter
+    if (gameState.partyId && gameState.partyId !== partyId) {
+      console.error(`❌ CRITICAL: partyId mismatch in end-turn! Parameter: ${partyId}, gameState.partyId: ${gameState.partyId}`);
+      throw actionError(ACTION_ERROR_CODES.INVALID_REQUEST, 'Game state party ID mismatch');
+    }
+    
+    const { GameEngine } = await import('./engine.js');
+    const config = gameState.config || { maxSteals: 3, returnToStart: false };
+    // Ensure partyId is set in gameState before creating engine
+    gameState.partyId = partyId;
+    const engine = new GameEngine(gameState, config);
+
+    const newState = engine.endTurn();
+    // Preserve config in state
+    newState.config = gameState.config;
+    // CRITICAL: Ensure partyId is preserved
+    newState.partyId = partyId;
+
+    // Save to both Redis and Firestore (rejected if another action saved first)
+    await saveGameState(partyId, newState, null, { expectedVersion: gameState.stateVersion });
+
+    // Broadcast update
+    await emitGameState(io, partyId, 'game-updated', newState);
+
+    // Check if next player is a bot and trigger auto-play (if game didn't end)
+    if (isPlayablePhase(newState.phase)) {
+      // Wait for reveal animation to complete (3s) + small buffer before checking
       setTimeout(() => {
         checkAndMakeBotMove(partyId, newState, io).catch(console.error);
-      }, 1000); // Shorter delay for steal (no reveal animation needed)
-    } catch (error) {
-      console.error(`[Server] ❌ Error in steal-gift:`, error);
-      socket.emit('error', { message: error.message });
+      }, 3500); // 3s reveal animation + 500ms buffer
     }
-  });
 
-  socket.on('end-turn', async ({ partyId }) => {
+    // If game ended, persist winners to Firestore
+    if (newState.phase === 'ENDED') {
+      stopBotRefreshSimulation(partyId);
+      await persistGameResults(partyId, newState, io);
+    }
+  }));
+
+  // Legal moves for the requesting player (server is the source of truth for canPick/canSteal/skip)
+  socket.on('get-legal-moves', async ({ partyId }) => {
     try {
       // Validate input
       if (!isValidPartyId(partyId)) {
         socket.emit('error', { message: 'Invalid party ID' });
         return;
       }
-      
+
       // Verify user is a participant
       const isParticipant = await verifyPartyMembership(partyId, socket.userId);
       if (!isParticipant) {
         socket.emit('error', { message: 'You are not a participant in this party' });
         return;
       }
-      
-      // Load game state (from Redis or Firestore)
-      const { loadGameState, saveGameState } = await import('./utils/game-state-persistence.js');
+
+      const { loadGameState } = await import('./utils/game-state-persistence.js');
       const gameState = await loadGameState(partyId);
       if (!gameState) {
-        socket.emit('error', { message: 'Game not found' });
+        // No active game - nothing to report (join-party already surfaces missing state)
         return;
       }
 
-      // CRITICAL: Validate gameState.partyId matches partyId parameter
-      if (gameState.partyId && gameState.partyId !== partyId) {
-        console.error(`❌ CRITICAL: partyId mismatch in end-turn! Parameter: ${partyId}, gameState.partyId: ${gameState.partyId}`);
-        socket.emit('error', { message: 'Game state party ID mismatch' });
-        return;
-      }
-      
       const { GameEngine } = await import('./engine.js');
       const config = gameState.config || { maxSteals: 3, returnToStart: false };
-      // Ensure partyId is set in gameState before creating engine
       gameState.partyId = partyId;
       const engine = new GameEngine(gameState, config);
 
-      const newState = engine.endTurn();
-      // Preserve config in state
-      newState.config = gameState.config;
-      // CRITICAL: Ensure partyId is preserved
-      newState.partyId = partyId;
-
-      // Save to both Redis and Firestore
-      await saveGameState(partyId, newState);
-
-      // Broadcast update
-      io.to(`party:${partyId}`).emit('game-updated', newState);
-
-      // Check if next player is a bot and trigger auto-play (if game didn't end)
-      if (newState.phase === 'ACTIVE') {
-        // Wait for reveal animation to complete (3s) + small buffer before checking
-        setTimeout(() => {
-          checkAndMakeBotMove(partyId, newState, io).catch(console.error);
-        }, 3500); // 3s reveal animation + 500ms buffer
-      }
-
-      // If game ended, persist winners to Firestore
-      if (newState.phase === 'ENDED') {
-        // Create a new engine with the updated state to get correct final ownership
-        const finalEngine = new GameEngine(newState, config);
-        const finalState = finalEngine.endGame();
-        
-        // Write winnerId to Firestore gifts collection - ensure one gift per player
-        const { db } = await import('./config/firebase-admin.js');
-        const finalOwnership = finalState.finalOwnership || {};
-        
-        // Ensure one gift per player - track which gift each winner gets
-        const winnerToGiftMap = new Map();
-        const giftsToUpdate = [];
-        
-        // First pass: build map of winner -> gift (only first gift per winner)
-        for (const [giftId, winnerId] of Object.entries(finalOwnership)) {
-          if (winnerId && !winnerToGiftMap.has(winnerId)) {
-            winnerToGiftMap.set(winnerId, giftId);
-            giftsToUpdate.push({ giftId, winnerId });
-          }
-        }
-        
-        // Clear winnerId from any gifts not in the final assignment
-        const assignedGiftIds = new Set(giftsToUpdate.map(g => g.giftId));
-        const allGiftsSnapshot = await db.collection('gifts').where('partyId', '==', partyId).get();
-        
-        for (const giftDoc of allGiftsSnapshot.docs) {
-          const giftId = giftDoc.id;
-          const giftData = giftDoc.data();
-          
-          if (assignedGiftIds.has(giftId)) {
-            // Update with correct winnerId
-            const assignment = giftsToUpdate.find(g => g.giftId === giftId);
-            if (assignment) {
-              await db.collection('gifts').doc(giftId).update({
-                winnerId: assignment.winnerId,
-                updatedAt: new Date(),
-              });
-            }
-          } else {
-            // Clear winnerId from unassigned gifts
-            if (giftData.winnerId) {
-              await db.collection('gifts').doc(giftId).update({
-                winnerId: null,
-                updatedAt: new Date(),
-              });
-            }
-          }
-        }
-        
-        // Update party status to ENDED and store game history
-        const endedAt = admin.firestore.Timestamp.now();
-        await db.collection('parties').doc(partyId).update({
-          status: 'ENDED',
-          endedAt: endedAt, // Set retention timestamp for data cleanup
-          gameHistory: finalState.state.history || [], // Store history in party document
-          updatedAt: new Date(),
-        });
-
-        // Update all gifts for this party with partyEndedAt timestamp for retention
-        const giftsForRetentionSnapshot = await db.collection('gifts').where('partyId', '==', partyId).get();
-        const giftRetentionBatch = db.batch();
-        giftsForRetentionSnapshot.docs.forEach((giftDoc) => {
-          giftRetentionBatch.update(giftDoc.ref, {
-            partyEndedAt: endedAt,
-            updatedAt: new Date(),
-          });
-        });
-        if (giftsForRetentionSnapshot.docs.length > 0) {
-          await giftRetentionBatch.commit();
-        }
-        
-        io.to(`party:${partyId}`).emit('game-ended', finalState);
-      }
+      socket.emit('legal-moves', {
+        partyId,
+        // Lets clients discard answers computed against an older state
+        stateVersion: gameState.stateVersion,
+        ...engine.getLegalMoves(getSeatId(gameState.config, socket.userId)),
+      });
     } catch (error) {
       socket.emit('error', { message: error.message });
     }
@@ -562,21 +565,20 @@ io.on('connection', (socket) => {
         socket.join(roomName);
       }
       
-      // Load game state and increment reaction count
-      const { loadGameState, saveGameState } = await import('./utils/game-state-persistence.js');
-      const gameState = await loadGameState(partyId);
-      
-      if (gameState && gameState.phase === 'ACTIVE') {
-        // Increment reaction count in game state
-        const { GameEngine } = await import('./engine.js');
+      // Increment reaction count in game state
+      // Version-checked with retries so a reaction never overwrites a concurrent game move
+      const { updateGameState } = await import('./utils/game-state-persistence.js');
+      const { GameEngine } = await import('./engine.js');
+      await updateGameState(partyId, (gameState) => {
+        if (!isPlayablePhase(gameState.phase)) {
+          return null;
+        }
         const config = gameState.config || { maxSteals: 3, returnToStart: false };
         const engine = new GameEngine(gameState, config);
-        engine.reactionCount = (engine.reactionCount || 0) + 1;
-        const updatedState = engine.getState();
-        
-        // Save updated state (with incremented reaction count)
-        await saveGameState(partyId, updatedState);
-      }
+        const newState = engine.addReaction();
+        newState.config = gameState.config;
+        return newState;
+      });
       
       // Broadcast reaction to all OTHER clients in the party room
       // (Sender already sees it via optimistic UI)
@@ -715,21 +717,25 @@ io.on('connection', (socket) => {
           updatedAt: new Date(),
         });
 
-        // Create fake gift for this bot
+        // Create fake gifts for this bot (one per config.giftsPerPlayer, one nice and one gag with gift pools)
         const giftData = fakeGifts[i % fakeGifts.length];
-        const giftRef = db.collection('gifts').doc();
-        batch.set(giftRef, {
-          partyId,
-          submitterId: botId,
-          title: giftData.title,
-          price: giftData.price,
-          image: null,
-          url: null,
-          isFrozen: false,
-          winnerId: null,
-          createdAt: new Date(),
-          updatedAt: new Date(),
-        });
+        for (let g = 0; g < getGiftsPerPlayer(party.config); g++) {
+          const botGiftData = fakeGifts[(i + g * count) % fakeGifts.length];
+          const giftRef = db.collection('gifts').doc();
+          batch.set(giftRef, {
+            partyId,
+            submitterId: botId,
+            title: botGiftData.title,
+            price: botGiftData.price,
+            image: null,
+            url: null,
+            pool: party.config?.giftPoolMode ? Object.values(GIFT_POOLS)[g] ?? null : null,
+            isFrozen: false,
+            winnerId: null,
+            createdAt: new Date(),
+            updatedAt: new Date(),
+          });
+        }
 
         addedBots.push({ id: botId, name: botName, gift: giftData.title });
       }
@@ -771,7 +777,7 @@ io.on('connection', (socket) => {
       const { scheduleBotRefreshSimulation } = await import('./utils/bot-utils.js');
       const { loadGameState } = await import('./utils/game-state-persistence.js');
       const gameState = await loadGameState(partyId);
-      if (gameState && gameState.phase === 'ACTIVE') {
+      if (gameState && isPlayablePhase(gameState.phase)) {
         const botIds = addedBots.map(b => b.id);
         scheduleBotRefreshSimulation(partyId, botIds, io);
       }
@@ -814,7 +820,7 @@ io.on('connection', (socket) => {
         // Trigger bot move check if game is active
         const { loadGameState } = await import('./utils/game-state-persistence.js');
         const gameState = await loadGameState(partyId);
-        if (gameState && gameState.phase === 'ACTIVE') {
+        if (gameState && isPlayablePhase(gameState.phase)) {
           // Schedule bot move check - wait for reveal animation to complete
           setTimeout(() => checkAndMakeBotMove(partyId, gameState, io), 3500); // 3s reveal animation + 500ms buffer
         }
@@ -968,6 +974,245 @@ io.on('connection', (socket) => {
     }
   });
 
+  // Admin: Undo the last pick, steal or skip (rewinds the game via its event log)
+  socket.on('admin_undo_last_action', ({ partyId, actionId } = {}, ack) => runGameAction(socket, { partyId, actionId, ack }, async () => {
+    console.log(`📥 Received admin_undo_last_action event:`, { partyId, userId: socket.userId });
+    const gameState = await loadGameForAdminAction(partyId, socket.userId, 'undo actions');
+    if (gameState.phase === 'PAUSED') {
+      throw actionError(ACTION_ERROR_CODES.GAME_PAUSED, 'Resume the game before undoing');
+    }
+    if (!isPlayablePhase(gameState.phase)) {
+      throw actionError(ACTION_ERROR_CODES.GAME_ENDED, 'Game has ended');
+    }
+
+    const { getUndoableAction, undoLastAction } = await import('./event-log.js');
+    if (!getUndoableAction(gameState.events)) {
+      throw actionError(ACTION_ERROR_CODES.NOTHING_TO_UNDO, 'There is no action to undo');
+    }
+
+    const { state: newState, undone } = undoLastAction(gameState, { undoneBy: socket.userId });
+    // CRITICAL: Ensure partyId is preserved
+    newState.partyId = partyId;
+
+    // Save to both Redis and Firestore (rejected if another action saved first)
+    const { saveGameState } = await import('./utils/game-state-persistence.js');
+    await saveGameState(partyId, newState, null, { expectedVersion: gameState.stateVersion });
+
+    // Bot moves scheduled for the undone turn no longer apply
+    cancelPendingBotMoves(partyId);
+
+    console.log(`↩️ Admin ${socket.userId} undid ${undone.type} by ${undone.playerId} in party ${partyId}`);
+    await emitGameState(io, partyId, 'game-updated', newState);
+    io.to(`party:${partyId}`).emit('action-undone', {
+      partyId,
+      undoneBy: socket.userId,
+      undone: { type: undone.type, playerId: undone.playerId, giftId: undone.giftId ?? null },
+    });
+
+    // The rewound turn may belong to a bot
+    setTimeout(() => {
+      checkAndMakeBotMove(partyId, newState, io).catch(console.error);
+    }, 1000);
+  }));
+
+  // Admin: Pause the game (e.g. for dinner) - moves, turn timers and bots wait until it resumes
+  socket.on('admin_pause_game', ({ partyId, actionId } = {}, ack) => runGameAction(socket, { partyId, actionId, ack }, async () => {
+    console.log(`📥 Received admin_pause_game event:`, { partyId, userId: socket.userId });
+    const gameState = await loadGameForAdminAction(partyId, socket.userId, 'pause the game');
+    if (gameState.phase === 'PAUSED') {
+      throw actionError(ACTION_ERROR_CODES.GAME_PAUSED, 'The game is already paused');
+    }
+    if (!isPlayablePhase(gameState.phase)) {
+      throw actionError(ACTION_ERROR_CODES.GAME_ENDED, 'Game has ended');
+    }
+
+    const { GameEngine } = await import('./engine.js');
+    const config = gameState.config || { maxSteals: 3, returnToStart: false };
+    const newState = new GameEngine(gameState, config).pauseGame(socket.userId);
+    newState.config = gameState.config;
+    newState.partyId = partyId;
+
+    // Saving a PAUSED state also takes the party off the turn deadline schedule
+    const { saveGameState } = await import('./utils/game-state-persistence.js');
+    await saveGameState(partyId, newState, null, { expectedVersion: gameState.stateVersion });
+    pauseBotTimers(partyId);
+
+    console.log(`⏸️ Admin ${socket.userId} paused party ${partyId}`);
+    await emitGameState(io, partyId, 'game-updated', newState);
+  }));
+
+  // Admin: Resume a paused game with the same active player and victim
+  socket.on('admin_resume_game', ({ partyId, actionId } = {}, ack) => runGameAction(socket, { partyId, actionId, ack }, async () => {
+    console.log(`📥 Received admin_resume_game event:`, { partyId, userId: socket.userId });
+    const gameState = await loadGameForAdminAction(partyId, socket.userId, 'resume the game');
+    if (gameState.phase !== 'PAUSED') {
+      throw actionError(ACTION_ERROR_CODES.GAME_NOT_PAUSED, 'The game is not paused');
+    }
+
+    const { GameEngine } = await import('./engine.js');
+    const config = gameState.config || { maxSteals: 3, returnToStart: false };
+    const newState = new GameEngine(gameState, config).resumeGame(socket.userId);
+    newState.config = gameState.config;
+    newState.partyId = partyId;
+
+    // The remaining turn time is restored, so the deadline goes back on the schedule
+    const { saveGameState } = await import('./utils/game-state-persistence.js');
+    await saveGameState(partyId, newState, null, { expectedVersion: gameState.stateVersion });
+
+    console.log(`▶️ Admin ${socket.userId} resumed party ${partyId}`);
+    await emitGameState(io, partyId, 'game-updated', newState);
+    resumeBotTimers(partyId, newState, io);
+  }));
+
+  // Admin: Remove a player who left mid-game (their gift follows config.dropOutGiftRule)
+  socket.on('admin_remove_player', ({ partyId, playerId, actionId } = {}, ack) => runGameAction(socket, { partyId, actionId, ack }, async () => {
+    console.log(`📥 Received admin_remove_player event:`, { partyId, playerId, userId: socket.userId });
+    if (!isValidPartyId(playerId)) {
+      throw actionError(ACTION_ERROR_CODES.INVALID_REQUEST, 'Invalid player ID');
+    }
+    const gameState = await loadGameForAdminAction(partyId, socket.userId, 'remove players');
+    if (gameState.phase !== 'ACTIVE' && gameState.phase !== 'PAUSED' && gameState.phase !== 'LAST_CHANCE') {
+      throw actionError(ACTION_ERROR_CODES.GAME_ENDED, 'Game has ended');
+    }
+    if (gameState.lastChance) {
+      throw actionError(ACTION_ERROR_CODES.INVALID_REQUEST, 'Players cannot be removed during the last-chance swaps');
+    }
+    if (!gameState.turnOrder.includes(playerId)) {
+      throw actionError(ACTION_ERROR_CODES.INVALID_REQUEST, 'That player is not in the game');
+    }
+    if (gameState.turnOrder.length <= 2) {
+      throw actionError(ACTION_ERROR_CODES.INVALID_REQUEST, 'A game needs at least 2 players - end the game instead');
+    }
+
+    const { GameEngine } = await import('./engine.js');
+    const config = gameState.config || { maxSteals: 3, returnToStart: false };
+    const newState = new GameEngine(gameState, config).removePlayer(playerId, socket.userId);
+    newState.config = gameState.config;
+    newState.partyId = partyId;
+
+    const { saveGameState } = await import('./utils/game-state-persistence.js');
+    await saveGameState(partyId, newState, null, { expectedVersion: gameState.stateVersion });
+
+    // The turn may have moved on - bot moves scheduled for the old turn no longer apply
+    cancelPendingBotMoves(partyId);
+
+    console.log(`🚪 Admin ${socket.userId} removed ${playerId} from party ${partyId}`);
+    await emitGameState(io, partyId, 'game-updated', newState);
+    io.to(`party:${partyId}`).emit('player-removed', { partyId, playerId, removedBy: socket.userId });
+
+    if (newState.phase === 'ENDED') {
+      stopBotRefreshSimulation(partyId);
+      await persistGameResults(partyId, newState, io);
+    } else if (isPlayablePhase(newState.phase)) {
+      setTimeout(() => {
+        checkAndMakeBotMove(partyId, newState, io).catch(console.error);
+      }, 1000);
+    }
+  }));
+
+  // Admin: Add a late arrival and their gift to a running game
+  // position: 'random' (default), 'next', 'last' or a turn order index (see GameEngine.getLateJoinPositions)
+  // giftTitle: only needed if the player hasn't submitted a gift yet
+  socket.on('admin_add_player', ({ partyId, playerId, position = 'random', giftTitle, actionId } = {}, ack) => runGameAction(socket, { partyId, actionId, ack }, async () => {
+    console.log(`📥 Received admin_add_player event:`, { partyId, playerId, position, userId: socket.userId });
+    if (!isValidPartyId(playerId)) {
+      throw actionError(ACTION_ERROR_CODES.INVALID_REQUEST, 'Invalid player ID');
+    }
+    if (giftTitle !== undefined && (typeof giftTitle !== 'string' || giftTitle.trim().length === 0 || giftTitle.length > 200)) {
+      throw actionError(ACTION_ERROR_CODES.INVALID_REQUEST, 'Gift title must be 1-200 characters');
+    }
+    const gameState = await loadGameForAdminAction(partyId, socket.userId, 'add players');
+    if (gameState.phase !== 'ACTIVE' && gameState.phase !== 'PAUSED' && gameState.phase !== 'LAST_CHANCE') {
+      throw actionError(ACTION_ERROR_CODES.GAME_ENDED, 'Game has ended');
+    }
+    if (gameState.lastChance) {
+      throw actionError(ACTION_ERROR_CODES.INVALID_REQUEST, 'Players cannot be added during the last-chance swaps');
+    }
+    // A team member joins their team's seat, which is already playing
+    const seatId = getSeatId(gameState.config, playerId);
+    if (gameState.turnOrder.includes(seatId)) {
+      throw actionError(ACTION_ERROR_CODES.INVALID_REQUEST, 'That player is already in the game');
+    }
+
+    const { GameEngine } = await import('./engine.js');
+    const config = gameState.config || { maxSteals: 3, returnToStart: false };
+    const engine = new GameEngine(gameState, config);
+    const positions = engine.getLateJoinPositions();
+    // Pools need one nice and one gag gift from everyone (config.giftPools is fixed at the start)
+    if (config.giftPoolMode) {
+      throw actionError(ACTION_ERROR_CODES.INVALID_REQUEST, 'Late arrivals can\'t join a game with nice and gag gift pools');
+    }
+    if (getGiftsPerPlayer(config) > 1) {
+      throw actionError(ACTION_ERROR_CODES.INVALID_REQUEST, 'Late arrivals can\'t join a game where everyone brings more than one gift');
+    }
+    if (positions.length === 0) {
+      throw actionError(ACTION_ERROR_CODES.INVALID_REQUEST, 'Everyone has had their turn - it is too late to add a player');
+    }
+    let turnOrderPosition;
+    if (position === 'next') {
+      turnOrderPosition = positions[0];
+    } else if (position === 'last') {
+      turnOrderPosition = positions[positions.length - 1];
+    } else if (position === 'random') {
+      turnOrderPosition = positions[Math.floor(Math.random() * positions.length)];
+    } else if (positions.includes(position)) {
+      turnOrderPosition = position;
+    } else {
+      throw actionError(ACTION_ERROR_CODES.INVALID_REQUEST, 'That spot in the turn order has already been played');
+    }
+
+    const participantDoc = await db.collection('parties').doc(partyId).collection('participants').doc(playerId).get();
+    if (!participantDoc.exists || participantDoc.data().status !== 'GOING') {
+      throw actionError(ACTION_ERROR_CODES.NOT_A_PARTICIPANT, 'That player has not joined the party');
+    }
+
+    // Use the gift they submitted, or create one from the title the admin entered
+    const inGame = new Set([...gameState.wrappedGifts, ...gameState.unwrappedGifts.map(([giftId]) => giftId)]);
+    const giftsSnapshot = await db.collection('gifts')
+      .where('partyId', '==', partyId)
+      .where('submitterId', '==', playerId)
+      .get();
+    let giftId = giftsSnapshot.docs.map((doc) => doc.id).find((id) => !inGame.has(id));
+    let createdGiftRef = null;
+    if (!giftId) {
+      if (!giftTitle) {
+        throw actionError(ACTION_ERROR_CODES.INVALID_REQUEST, 'That player has not submitted a gift - enter what they brought');
+      }
+      createdGiftRef = await db.collection('gifts').add({
+        partyId,
+        submitterId: playerId,
+        title: giftTitle.trim(),
+        price: null,
+        image: null,
+        url: null,
+        isFrozen: false,
+        winnerId: null,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      });
+      giftId = createdGiftRef.id;
+    }
+
+    const { saveGameState } = await import('./utils/game-state-persistence.js');
+    let newState;
+    try {
+      newState = engine.addPlayer(seatId, giftId, socket.userId, turnOrderPosition);
+      newState.config = gameState.config;
+      newState.partyId = partyId;
+      await saveGameState(partyId, newState, null, { expectedVersion: gameState.stateVersion });
+    } catch (error) {
+      // The game never got the gift (e.g. a STATE_CONFLICT) - don't leave it behind in the party
+      if (createdGiftRef) {
+        await createdGiftRef.delete();
+      }
+      throw error;
+    }
+
+    console.log(`🙋 Admin ${socket.userId} added ${seatId} to party ${partyId} at position ${turnOrderPosition}`);
+    await emitGameState(io, partyId, 'game-updated', newState);
+    io.to(`party:${partyId}`).emit('player-added', { partyId, playerId: seatId, giftId, position: turnOrderPosition, addedBy: socket.userId });
+  }));
+
   // Admin: Reset game
   socket.on('admin_reset_game', async ({ partyId }) => {
     console.log(`📥 Received admin_reset_game event:`, { partyId, userId: socket.userId });
@@ -1006,6 +1251,7 @@ io.on('connection', (socket) => {
       // Clear bot timers and state
       const { clearBotState } = await import('./utils/bot-utils.js');
       clearBotState(partyId);
+      forgetGiftDetails(partyId);
 
       // Reset party status to LOBBY
       await db.collection('parties').doc(partyId).update({
@@ -1044,6 +1290,9 @@ httpServer.listen(PORT, () => {
   console.log(`📡 Socket.io ready`);
   console.log(`🔍 Debug logging enabled - watching for socket events`);
   console.log(`🌐 CORS allowed origins:`, allowedOrigins);
+
+  // Enforce turn timers (deadlines are kept in Redis, so pending ones resume after a restart)
+  startTurnTimerPoller(io);
 });
 
 
@@ -0,0 +1,81 @@
+/**
+ * Unit tests for blind steal views (utils/blind-steal.js)
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { db } from '../config/firebase-admin.js';
+import { GameEngine } from '../engine.js';
+import { createInitialGameState } from '../event-log.js';
+import { emitGameState, forgetGiftDetails, getGameStateView } from '../utils/blind-steal.js';
+
+vi.mock('../config/firebase-admin.js', async () => {
+  const { createFakeFirestore } = await import('./support/fake-firestore.js');
+  return { db: createFakeFirestore() };
+});
+
+const partyId = 'party-1';
+const config = { maxSteals: 3, variant: 'standard', blindSteal: true };
+
+describe('blind steal', () => {
+  let engine;
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    db.docs.clear();
+    forgetGiftDetails(partyId);
+    ['g1', 'g2', 'g3'].forEach((giftId) => {
+      db.docs.set(`gifts/${giftId}`, { partyId, title: `Gift ${giftId}`, image: null, url: null, price: 20 });
+    });
+
+    engine = new GameEngine(createInitialGameState({
+      partyId,
+      turnOrder: ['p1', 'p2', 'p3'],
+      turnQueue: ['p1', 'p2', 'p3', 'p1'],
+      wrappedGifts: ['g1', 'g2', 'g3'],
+      config,
+    }), config);
+    engine.pickGift('g1', 'p1');
+  });
+
+  it('should only show a gift to the player holding it', async () => {
+    const gameState = { ...engine.pickGift('g2', 'p2'), config };
+
+    expect((await getGameStateView(gameState, 'p1')).giftDetails).toEqual([
+      ['g1', { title: 'Gift g1', image: null, url: null, price: 20 }],
+    ]);
+    expect((await getGameStateView(gameState, 'p3')).giftDetails).toEqual([]);
+    // The shared state never carries details
+    expect(gameState.giftDetails).toBeUndefined();
+  });
+
+  it('should show everyone the same state when blind steal is off or the game has ended', async () => {
+    const openGame = { ...engine.getState(), config: { ...config, blindSteal: false } };
+    const endedGame = { ...engine.getState(), config, phase: 'ENDED' };
+
+    expect(await getGameStateView(openGame, 'p3')).toBe(openGame);
+    expect(await getGameStateView(endedGame, 'p3')).toBe(endedGame);
+  });
+
+  it('should re-read the gifts for one that joined the game after they were cached', async () => {
+    await getGameStateView({ ...engine.getState(), config }, 'p1');
+    db.docs.set('gifts/g4', { partyId, title: 'Late gift' });
+    engine.addPlayer('p4', 'g4', 'admin', 3);
+    engine.pickGift('g4', 'p2');
+
+    const view = await getGameStateView({ ...engine.getState(), config }, 'p2');
+
+    expect(view.giftDetails).toEqual([['g4', { title: 'Late gift', image: null, url: null, price: null }]]);
+  });
+
+  it('should send each socket in the party room its own view', async () => {
+    const gameState = { ...engine.pickGift('g2', 'p2'), config };
+    const sockets = new Map(['p1', 'p2', 'p3'].map((userId) => [`socket-${userId}`, { userId, emitted: [], emit(event, payload) { this.emitted.push({ event, payload }); } }]));
+    const io = { sockets: { sockets, adapter: { rooms: new Map([[`party:${partyId}`, new Set(sockets.keys())]]) } } };
+
+    await emitGameState(io, partyId, 'game-updated', gameState);
+
+    const heldGifts = (userId) => sockets.get(`socket-${userId}`).emitted.map(({ payload }) => payload.giftDetails.map(([giftId]) => giftId));
+    expect(heldGifts('p1')).toEqual([['g1']]);
+    expect(heldGifts('p2')).toEqual([['g2']]);
+    expect(heldGifts('p3')).toEqual([[]]);
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Unit tests for bot decisions (utils/bot-utils.js)
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { GameEngine } from '../engine.js';
+import { createInitialGameState } from '../event-log.js';
+import { botMakeDecision } from '../utils/bot-utils.js';
+
+vi.mock('../utils/redis.js', async () => {
+  const { createFakeRedis } = await import('./support/fake-redis.js');
+  return { default: createFakeRedis() };
+});
+
+vi.mock('../config/firebase-admin.js', async () => {
+  const { createFakeFirestore } = await import('./support/fake-firestore.js');
+  return { db: createFakeFirestore() };
+});
+
+describe('botMakeDecision', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    // The bot takes the first gift it may and steals whenever it gets the choice
+    vi.spyOn(Math, 'random').mockReturnValue(0);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  /**
+   * Boomerang game where p2 stole once in the first pass and is up again in the swap phase
+   * @param {Object} config - Game config (merged over the boomerang variant)
+   * @returns {Object} Game state
+   */
+  const swapPhaseAfterOneSteal = (config = {}) => {
+    const gameConfig = { maxSteals: 3, variant: 'boomerang', returnToStart: true, ...config };
+    const engine = new GameEngine(createInitialGameState({
+      partyId: 'test-party',
+      turnOrder: ['p1', 'p2', 'p3'],
+      turnQueue: ['p1', 'p2', 'p3', 'p3', 'p2', 'p1'],
+      wrappedGifts: ['g1', 'g2', 'g3'],
+      config: gameConfig,
+    }), gameConfig);
+    engine.pickGift('g1', 'p1');
+    engine.stealGift('g1', 'p2');
+    engine.pickGift('g2', 'p1');
+    engine.pickGift('g3', 'p3');
+    return { ...engine.endTurn(), config: gameConfig };
+  };
+
+  it('should swap in the swap phase', () => {
+    const gameState = swapPhaseAfterOneSteal();
+
+    expect(gameState.currentPlayerId).toBe('p2');
+    expect(botMakeDecision(gameState)).toEqual({ action: 'steal', giftId: 'g2' });
+  });
+
+  it('should keep its gift once it has used its steals (config.maxStealsPerPlayer)', () => {
+    const gameState = swapPhaseAfterOneSteal({ maxStealsPerPlayer: 1 });
+
+    expect(gameState.playerStealCounts).toEqual([['p2', 1]]);
+    expect(botMakeDecision(gameState)).toEqual({ action: 'skip' });
+  });
+
+  it('should not steal from a player in its no-steal group', () => {
+    const gameState = swapPhaseAfterOneSteal({ stealExclusionGroups: [{ playerIds: ['p2', 'p3'] }] });
+    // The last gift it could take - p3's g3, were p3 not in its group
+    Math.random.mockReturnValue(0.99);
+
+    expect(botMakeDecision(gameState)).toEqual({ action: 'steal', giftId: 'g2' });
+  });
+
+  describe('last-chance swap', () => {
+    // p3 is first up in the last-chance round; g1 was frozen by p2's steal
+    const lastChanceRound = () => {
+      const config = { maxSteals: 1, variant: 'standard', lastChanceSwap: true };
+      const engine = new GameEngine(createInitialGameState({
+        partyId: 'test-party',
+        turnOrder: ['p1', 'p2', 'p3'],
+        turnQueue: ['p1', 'p2', 'p3', 'p1'],
+        wrappedGifts: ['g1', 'g2', 'g3'],
+        config,
+      }), config);
+      engine.pickGift('g1', 'p1');
+      engine.stealGift('g1', 'p2');
+      engine.pickGift('g2', 'p1');
+      engine.pickGift('g3', 'p3');
+      return { ...engine.endTurn(), config };
+    };
+
+    it('should swap for an unlocked gift half the time', () => {
+      expect(botMakeDecision(lastChanceRound())).toEqual({ action: 'steal', giftId: 'g2' });
+    });
+
+    it('should keep its gift the other half', () => {
+      Math.random.mockReturnValue(0.5);
+
+      expect(botMakeDecision(lastChanceRound())).toEqual({ action: 'skip' });
+    });
+  });
+
+  it('should only open a gift from a pool it has no gift from yet (config.giftPoolMode)', () => {
+    const config = { maxSteals: 3, variant: 'standard', giftsPerPlayer: 2, giftPoolMode: 'one_each', giftPools: { n1: 'nice', n2: 'nice', j1: 'gag', j2: 'gag' } };
+    const engine = new GameEngine(createInitialGameState({
+      partyId: 'test-party',
+      turnOrder: ['p1', 'p2'],
+      turnQueue: ['p1', 'p2', 'p1', 'p2', 'p1'],
+      wrappedGifts: ['j1', 'n1', 'j2', 'n2'],
+      config,
+    }), config);
+    engine.pickGift('j1', 'p1');
+    const gameState = { ...engine.pickGift('n1', 'p2'), config };
+
+    expect(botMakeDecision(gameState)).toEqual({ action: 'pick', giftId: 'n2' });
+  });
+});
@@ -0,0 +1,546 @@
+/**
+ * Unit tests for the game engine (engine.js)
+ * Each test starts a game the way routes/game.js does and plays it move by move
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { CHAOS_CARDS, GameEngine, MOVE_BLOCK_REASONS } from '../engine.js';
+import { createInitialGameState, verifyReplay } from '../event-log.js';
+import { getGiftsPerPlayer, getHandSize, resolveVariant } from '../variants/index.js';
+
+/**
+ * Engine for a new game
+ * @param {Object} config - Game config (merged over maxSteals 3)
+ * @param {Object} options - players (turn order), gifts (wrapped pile) and giftSubmitters
+ * @returns {GameEngine}
+ */
+function startGame(config = {}, { players = ['p1', 'p2', 'p3'], gifts = ['g1', 'g2', 'g3'], giftSubmitters = {} } = {}) {
+  const gameConfig = { maxSteals: 3, ...config };
+  const gameState = createInitialGameState({
+    partyId: 'test-party',
+    turnOrder: players,
+    turnQueue: resolveVariant(gameConfig).generateTurnQueue(players, getGiftsPerPlayer(gameConfig)),
+    wrappedGifts: gifts,
+    config: gameConfig,
+    giftSubmitters,
+  });
+  return new GameEngine(gameState, gameConfig);
+}
+
+const owners = (state) => Object.fromEntries(state.unwrappedGifts.map(([giftId, gift]) => [giftId, gift.ownerId]));
+
+const stealBlockCodes = (engine, playerId) => Object.fromEntries(
+  engine.getLegalMoves(playerId).steals.map(({ giftId, blockReason }) => [giftId, blockReason?.code ?? null]),
+);
+
+describe('GameEngine', () => {
+  beforeEach(() => {
+    // The engine narrates steal chains and auto-skips on the console
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  describe('getLegalMoves', () => {
+    it('should only let the active player pick', () => {
+      const engine = startGame();
+
+      expect(engine.getLegalMoves('p1')).toMatchObject({
+        isActivePlayer: true,
+        canPick: true,
+        pickableGiftIds: ['g1', 'g2', 'g3'],
+        canSkip: false,
+        skipBlockReason: { code: MOVE_BLOCK_REASONS.NO_GIFT },
+      });
+      expect(engine.getLegalMoves('p2')).toMatchObject({
+        isActivePlayer: false,
+        canPick: false,
+        pickBlockReason: { code: MOVE_BLOCK_REASONS.NOT_YOUR_TURN },
+      });
+    });
+
+    it('should hand the turn to the victim of a steal and block the steal back', () => {
+      const engine = startGame();
+      engine.pickGift('g1', 'p1');
+      const state = engine.stealGift('g1', 'p2');
+
+      expect(state.currentVictim).toBe('p1');
+      expect(state.currentTurnIndex).toBe(1);
+      expect(owners(state)).toEqual({ g1: 'p2' });
+      expect(stealBlockCodes(engine, 'p1')).toEqual({ g1: MOVE_BLOCK_REASONS.UTURN_BLOCKED });
+      expect(() => engine.stealGift('g1', 'p1')).toThrow('Cannot steal back');
+    });
+
+    it('should lock a gift after config.maxSteals steals', () => {
+      const engine = startGame({ maxSteals: 1 });
+      engine.pickGift('g1', 'p1');
+      const state = engine.stealGift('g1', 'p2');
+
+      expect(state.unwrappedGifts[0][1]).toMatchObject({ stealCount: 1, isFrozen: true });
+      expect(stealBlockCodes(engine, 'p1')).toEqual({ g1: MOVE_BLOCK_REASONS.GIFT_FROZEN });
+    });
+
+    it('should let Player 1 swap on the bookend turn and end the game', () => {
+      const engine = startGame();
+      engine.pickGift('g1', 'p1');
+      engine.stealGift('g1', 'p2');
+      engine.pickGift('g2', 'p1');
+      engine.pickGift('g3', 'p3');
+
+      expect(engine.getLegalMoves('p1')).toMatchObject({
+        canPick: false,
+        pickBlockReason: { code: MOVE_BLOCK_REASONS.NO_WRAPPED_GIFTS },
+        stealableGiftIds: ['g1', 'g3'],
+        canSkip: true,
+      });
+
+      engine.stealGift('g3', 'p1');
+      const state = engine.endTurn();
+
+      expect(state.phase).toBe('ENDED');
+      expect(owners(state)).toEqual({ g1: 'p2', g2: 'p3', g3: 'p1' });
+      expect(engine.getLegalMoves('p1').pickBlockReason.code).toBe(MOVE_BLOCK_REASONS.GAME_ENDED);
+    });
+
+    it('should let everyone swap in the boomerang phase', () => {
+      const engine = startGame({ returnToStart: true });
+      engine.pickGift('g1', 'p1');
+      engine.pickGift('g2', 'p2');
+      const state = engine.pickGift('g3', 'p3');
+
+      expect(state.isBoomerangPhase).toBe(true);
+      expect(state.currentPlayerId).toBe('p3');
+      expect(stealBlockCodes(engine, 'p3')).toEqual({ g1: null, g2: null, g3: MOVE_BLOCK_REASONS.OWN_GIFT });
+    });
+  });
+
+  describe('pause', () => {
+    it('should block every move while paused and keep the turn time left', () => {
+      const timedConfig = { turnTimeoutSeconds: 60 };
+      const engine = startGame(timedConfig);
+      engine.clock = () => 1000;
+      engine.pickGift('g1', 'p1');
+      engine.clock = () => 21000;
+      const paused = engine.pauseGame('admin');
+
+      expect(paused).toMatchObject({ phase: 'PAUSED', turnDeadline: null, pause: { pausedBy: 'admin', turnTimeLeft: 40000 } });
+      expect(engine.getLegalMoves('p2')).toMatchObject({
+        canPick: false,
+        pickBlockReason: { code: MOVE_BLOCK_REASONS.GAME_PAUSED },
+        stealableGiftIds: [],
+        canSkip: false,
+      });
+      expect(() => engine.pickGift('g2', 'p2')).toThrow('The game is paused');
+      expect(() => engine.stealGift('g1', 'p2')).toThrow('The game is paused');
+      expect(() => engine.endTurn()).toThrow('The game is paused');
+      expect(() => engine.pauseGame('admin')).toThrow('Cannot pause a game that is PAUSED');
+
+      engine.clock = () => 600000;
+      const resumed = engine.resumeGame('admin');
+
+      expect(resumed).toMatchObject({ phase: 'ACTIVE', pause: null, currentPlayerId: 'p2', turnDeadline: 640000 });
+      expect(() => engine.resumeGame('admin')).toThrow('Cannot resume a game that is not paused');
+    });
+  });
+
+  describe('removePlayer', () => {
+    const fourPlayers = { players: ['p1', 'p2', 'p3', 'p4'], gifts: ['g1', 'g2', 'g3', 'g4'] };
+
+    // p2 has just stolen g1, so p1 is the victim
+    const startMidSteal = (config = {}) => {
+      const engine = startGame(config, fourPlayers);
+      engine.pickGift('g1', 'p1');
+      engine.stealGift('g1', 'p2');
+      return engine;
+    };
+
+    it('should end the steal chain and move on when the victim leaves', () => {
+      const state = startMidSteal().removePlayer('p1', 'admin');
+
+      expect(state.currentVictim).toBeNull();
+      expect(state.currentPlayerId).toBe('p3');
+      expect(state.turnQueue).toEqual(['p2', 'p3', 'p4']);
+      expect(owners(state)).toEqual({ g1: 'p2' });
+      expect(state.history.at(-1)).toMatchObject({ type: 'PLAYER_REMOVED', playerId: 'admin', removedPlayerId: 'p1', gifts: [] });
+    });
+
+    it('should keep the victim up and rewrap the stolen gift when the thief leaves', () => {
+      const engine = startMidSteal();
+      const state = engine.removePlayer('p2', 'admin');
+
+      expect(state.currentVictim).toBe('p1');
+      expect(state.currentPlayerId).toBe('p1');
+      expect(state.unwrappedGifts).toEqual([]);
+      expect(state.wrappedGifts).toEqual(['g2', 'g3', 'g4', 'g1']);
+      expect(state.history.at(-1)).toMatchObject({ removedPlayerId: 'p2', gifts: [{ giftId: 'g1', reassignedTo: null }] });
+
+      // The victim's pick resolves the chain onto the next slot
+      expect(engine.pickGift('g2', 'p1')).toMatchObject({ currentVictim: null, currentPlayerId: 'p3' });
+    });
+
+    it('should hand the thief\'s gift to the next player still waiting with the reassign rule', () => {
+      const state = startMidSteal({ dropOutGiftRule: 'reassign' }).removePlayer('p2', 'admin');
+
+      expect(state.currentPlayerId).toBe('p1');
+      expect(owners(state)).toEqual({ g1: 'p3' });
+      expect(state.history.at(-1).gifts).toEqual([{ giftId: 'g1', reassignedTo: 'p3' }]);
+    });
+
+    it('should keep at least two players', () => {
+      const engine = startGame({}, { players: ['p1', 'p2'], gifts: ['g1', 'g2'] });
+
+      expect(() => engine.removePlayer('p2', 'admin')).toThrow('A game needs at least 2 players');
+      expect(() => engine.removePlayer('p9', 'admin')).toThrow('Player p9 is not in this game');
+    });
+  });
+
+  describe('steal quota', () => {
+    it('should count each player\'s steals and stop them at config.maxStealsPerPlayer', () => {
+      const engine = startGame({ variant: 'boomerang', returnToStart: true, maxStealsPerPlayer: 1 });
+      engine.pickGift('g1', 'p1');
+      engine.stealGift('g1', 'p2');
+      engine.pickGift('g2', 'p1');
+      engine.pickGift('g3', 'p3');
+      const state = engine.endTurn();
+
+      expect(state.currentPlayerId).toBe('p2');
+      expect(state.playerStealCounts).toEqual([['p2', 1]]);
+      expect(stealBlockCodes(engine, 'p2')).toEqual({
+        g1: MOVE_BLOCK_REASONS.STEAL_QUOTA_REACHED,
+        g2: MOVE_BLOCK_REASONS.STEAL_QUOTA_REACHED,
+        g3: MOVE_BLOCK_REASONS.STEAL_QUOTA_REACHED,
+      });
+      expect(() => engine.stealGift('g2', 'p2')).toThrow('Cannot steal gift');
+      expect(engine.getLegalMoves('p2').canSkip).toBe(true);
+    });
+
+    it('should leave steals unlimited without a quota', () => {
+      const engine = startGame({ variant: 'boomerang', returnToStart: true });
+      engine.pickGift('g1', 'p1');
+      engine.stealGift('g1', 'p2');
+      engine.pickGift('g2', 'p1');
+      engine.pickGift('g3', 'p3');
+      engine.endTurn();
+
+      expect(engine.getLegalMoves('p2').stealableGiftIds).toEqual(['g2', 'g3']);
+    });
+  });
+
+  describe('steal chain cap', () => {
+    it('should make the victim pick once the turn hits config.maxStealsPerTurn', () => {
+      const engine = startGame({ maxStealsPerTurn: 1 });
+      engine.pickGift('g1', 'p1');
+      engine.pickGift('g2', 'p2');
+      const state = engine.stealGift('g1', 'p3');
+
+      expect(state.turnStealCount).toBe(1);
+      expect(state.history.at(-1)).toMatchObject({ type: 'STEAL', turnStealNumber: 1, chainCapLifted: false });
+      expect(stealBlockCodes(engine, 'p1')).toEqual({
+        g1: MOVE_BLOCK_REASONS.STEAL_CHAIN_LIMIT,
+        g2: MOVE_BLOCK_REASONS.STEAL_CHAIN_LIMIT,
+      });
+      expect(engine.canPick('p1')).toBe(true);
+    });
+
+    // Player 1's bookend swap leaves p2 holding g1 with no wrapped gifts left
+    const capOnBookendSwap = (stealChainFallback) => {
+      const engine = startGame({ maxStealsPerTurn: 1, stealChainFallback });
+      engine.pickGift('g1', 'p1');
+      engine.pickGift('g2', 'p2');
+      engine.pickGift('g3', 'p3');
+      engine.stealGift('g2', 'p1');
+      return engine;
+    };
+
+    it('should end the chain with nothing left to pick by default', () => {
+      const engine = capOnBookendSwap();
+
+      expect(engine.calculateActivePlayer()).toBe('p2');
+      expect(stealBlockCodes(engine, 'p2')).toEqual({
+        g1: MOVE_BLOCK_REASONS.STEAL_CHAIN_LIMIT,
+        g2: MOVE_BLOCK_REASONS.STEAL_CHAIN_LIMIT,
+        g3: MOVE_BLOCK_REASONS.STEAL_CHAIN_LIMIT,
+      });
+      expect(engine.getLegalMoves('p2').canSkip).toBe(true);
+    });
+
+    it('should lift the cap with the steal fallback and record it', () => {
+      const engine = capOnBookendSwap('steal');
+
+      expect(stealBlockCodes(engine, 'p2').g3).toBeNull();
+
+      const state = engine.stealGift('g3', 'p2');
+
+      expect(state.turnStealCount).toBe(2);
+      expect(state.history.at(-1)).toMatchObject({ playerId: 'p2', turnStealNumber: 2, chainCapLifted: true });
+    });
+  });
+
+  describe('chaos cards', () => {
+    // A one-card deck always draws that card
+    const chaosConfig = (card, turn) => ({ chaosCardTurns: [turn], chaosCards: [card], chaosSeed: 'test-seed' });
+
+    it('should pass every gift to the next holder with PASS_LEFT', () => {
+      const engine = startGame(chaosConfig(CHAOS_CARDS.PASS_LEFT, 2));
+      engine.pickGift('g1', 'p1');
+      const state = engine.pickGift('g2', 'p2');
+
+      expect(owners(state)).toEqual({ g1: 'p2', g2: 'p1' });
+      expect(state.chaosCardsPlayed).toBe(1);
+      expect(state.history.at(-1)).toMatchObject({ type: 'CHAOS_CARD', card: CHAOS_CARDS.PASS_LEFT, playerId: 'p3', turnIndex: 2 });
+    });
+
+    it('should play the rest of the queue backwards with REVERSE_ORDER', () => {
+      const engine = startGame(chaosConfig(CHAOS_CARDS.REVERSE_ORDER, 1), { players: ['p1', 'p2', 'p3', 'p4'], gifts: ['g1', 'g2', 'g3', 'g4'] });
+      const state = engine.pickGift('g1', 'p1');
+
+      expect(state.turnQueue).toEqual(['p1', 'p2', 'p1', 'p4', 'p3']);
+      expect(state.currentPlayerId).toBe('p2');
+    });
+
+    it('should give a second go while holding with DOUBLE_ACTION', () => {
+      const engine = startGame(chaosConfig(CHAOS_CARDS.DOUBLE_ACTION, 1));
+      engine.pickGift('g1', 'p1');
+      let state = engine.pickGift('g2', 'p2');
+
+      expect(state.currentPlayerId).toBe('p2');
+      expect(state.chaosExtraTurn).toEqual({ turnIndex: 1, playerId: 'p2', used: true });
+      expect(stealBlockCodes(engine, 'p2')).toEqual({ g1: null, g2: MOVE_BLOCK_REASONS.OWN_GIFT });
+
+      state = engine.stealGift('g1', 'p2');
+
+      expect(owners(state)).toEqual({ g1: 'p2', g2: 'p1' });
+      expect(state.currentVictim).toBe('p1');
+    });
+
+    it('should unlock frozen gifts with UNFREEZE_ALL and keep their steal counts', () => {
+      const engine = startGame({ maxSteals: 1, ...chaosConfig(CHAOS_CARDS.UNFREEZE_ALL, 2) });
+      engine.pickGift('g1', 'p1');
+      engine.stealGift('g1', 'p2');
+      const state = engine.pickGift('g2', 'p1');
+
+      expect(state.unwrappedGifts[0][1]).toMatchObject({ stealCount: 1, isFrozen: false });
+      expect(state.history.at(-1)).toMatchObject({ card: CHAOS_CARDS.UNFREEZE_ALL, giftIds: ['g1'] });
+    });
+
+    it('should draw the same cards from the same seed', () => {
+      // No DOUBLE_ACTION - a second go would hold the second card back
+      const chaosCards = [CHAOS_CARDS.PASS_LEFT, CHAOS_CARDS.UNFREEZE_ALL, CHAOS_CARDS.REVERSE_ORDER];
+      const cardsDrawn = () => {
+        const engine = startGame({ chaosCardTurns: [1, 2], chaosCards, chaosSeed: 'party-seed' });
+        engine.pickGift('g1', 'p1');
+        return engine.pickGift('g2', 'p2').history
+          .filter(({ type }) => type === 'CHAOS_CARD')
+          .map(({ card }) => card);
+      };
+
+      expect(cardsDrawn()).toHaveLength(2);
+      expect(cardsDrawn()).toEqual(cardsDrawn());
+    });
+
+    it('should replay a chaos game from its event log', () => {
+      const chaosCards = [CHAOS_CARDS.PASS_LEFT, CHAOS_CARDS.UNFREEZE_ALL];
+      const engine = startGame({ chaosCardTurns: [1, 2], chaosCards, chaosSeed: 'party-seed' });
+      engine.pickGift('g1', 'p1');
+      engine.pickGift('g2', 'p2');
+      const state = engine.pickGift('g3', 'p3');
+
+      expect(state.chaosCardsPlayed).toBe(2);
+      expect(verifyReplay(state).matches).toBe(true);
+    });
+  });
+
+  describe('last-chance swap', () => {
+    const playQueue = (config = {}) => {
+      const engine = startGame({ lastChanceSwap: true, ...config });
+      engine.pickGift('g1', 'p1');
+      engine.pickGift('g2', 'p2');
+      engine.pickGift('g3', 'p3');
+      engine.endTurn();
+      return engine;
+    };
+
+    it('should give everyone one swap in reverse turn order once the queue is done', () => {
+      const engine = playQueue();
+
+      expect(engine.getState()).toMatchObject({ phase: 'LAST_CHANCE', lastChance: { queue: ['p3', 'p2', 'p1'], index: 0 } });
+      expect(stealBlockCodes(engine, 'p3')).toEqual({ g1: null, g2: null, g3: MOVE_BLOCK_REASONS.OWN_GIFT });
+    });
+
+    it('should swap without a steal chain and end after the last player', () => {
+      const engine = playQueue();
+      let state = engine.stealGift('g1', 'p3');
+
+      expect(owners(state)).toEqual({ g1: 'p3', g2: 'p2', g3: 'p1' });
+      expect(state.currentVictim).toBeNull();
+      expect(state.currentPlayerId).toBe('p2');
+
+      engine.endTurn();
+      state = engine.endTurn();
+
+      expect(state.phase).toBe('ENDED');
+      expect(owners(state)).toEqual({ g1: 'p3', g2: 'p2', g3: 'p1' });
+    });
+
+    it('should keep frozen gifts protected', () => {
+      const engine = startGame({ lastChanceSwap: true, maxSteals: 1 });
+      engine.pickGift('g1', 'p1');
+      engine.stealGift('g1', 'p2');
+      engine.pickGift('g2', 'p1');
+      engine.pickGift('g3', 'p3');
+      engine.endTurn();
+
+      expect(engine.getState().phase).toBe('LAST_CHANCE');
+      expect(stealBlockCodes(engine, 'p3')).toEqual({ g1: MOVE_BLOCK_REASONS.GIFT_FROZEN, g2: null, g3: MOVE_BLOCK_REASONS.OWN_GIFT });
+    });
+  });
+
+  describe('no-steal groups', () => {
+    const stealExclusionGroups = [{ playerIds: ['p1', 'p2'] }];
+
+    it('should stop players in a no-steal group stealing from each other', () => {
+      const engine = startGame({ stealExclusionGroups });
+      engine.pickGift('g1', 'p1');
+
+      expect(stealBlockCodes(engine, 'p2')).toEqual({ g1: MOVE_BLOCK_REASONS.STEAL_EXCLUDED });
+      expect(() => engine.stealGift('g1', 'p2')).toThrow('Cannot steal gift');
+    });
+
+    it('should let a player with no gift and nothing left to pick steal from their group', () => {
+      // One gift short, so p3 can only get a gift by stealing
+      const engine = startGame({ stealExclusionGroups: [{ playerIds: ['p2', 'p3'] }] }, { gifts: ['g1', 'g2'] });
+      engine.pickGift('g1', 'p1');
+      engine.pickGift('g2', 'p2');
+
+      expect(stealBlockCodes(engine, 'p3')).toEqual({ g1: null, g2: null });
+      expect(owners(engine.stealGift('g2', 'p3'))).toEqual({ g1: 'p1', g2: 'p3' });
+    });
+  });
+
+  describe('forbidOwnGift', () => {
+    const giftSubmitters = { g1: 'p1', g2: 'p2', g3: 'p3' };
+
+    it('should keep players off the gift they brought', () => {
+      const engine = startGame({ forbidOwnGift: true }, { giftSubmitters });
+
+      expect(engine.getLegalMoves('p1').pickableGiftIds).toEqual(['g2', 'g3']);
+      expect(() => engine.pickGift('g1', 'p1')).toThrow('You cannot open the gift you brought');
+
+      engine.pickGift('g2', 'p1');
+
+      expect(stealBlockCodes(engine, 'p2')).toEqual({ g2: MOVE_BLOCK_REASONS.OWN_SUBMITTED_GIFT });
+    });
+
+    it('should swap away a gift someone is left holding of their own when the game ends', () => {
+      const engine = startGame({ forbidOwnGift: true }, { giftSubmitters });
+      engine.pickGift('g2', 'p1');
+      engine.pickGift('g1', 'p2');
+
+      // Only the gift p3 brought is left to open
+      expect(engine.getLegalMoves('p3').pickableGiftIds).toEqual(['g3']);
+
+      engine.pickGift('g3', 'p3');
+      const state = engine.endTurn();
+
+      expect(state.phase).toBe('ENDED');
+      expect(owners(state)).toEqual({ g1: 'p2', g2: 'p3', g3: 'p1' });
+      expect(state.history.filter(({ type }) => type === 'SELF_WIN_SWAP')).toEqual([
+        expect.objectContaining({ playerId: 'p3', giftId: 'g2', otherPlayerId: 'p1', otherGiftId: 'g3' }),
+      ]);
+    });
+  });
+
+  describe('multiple gifts each', () => {
+    const twoGiftsEach = { players: ['p1', 'p2'], gifts: ['g1', 'g2', 'g3', 'g4'] };
+
+    it('should play one picking pass per gift before the bookend turn', () => {
+      const state = startGame({ giftsPerPlayer: 2 }, twoGiftsEach).getState();
+
+      expect(state.turnQueue).toEqual(['p1', 'p2', 'p1', 'p2', 'p1']);
+      expect(getHandSize(state, 'p1', 0)).toBe(1);
+      expect(getHandSize(state, 'p2', 0)).toBe(1);
+      expect(getHandSize(state, 'p1', 2)).toBe(2);
+      expect(getHandSize(state, 'p1', 4)).toBe(2);
+    });
+
+    it('should let players fill their hand on each pass and end with everyone holding their share', () => {
+      const engine = startGame({ giftsPerPlayer: 2 }, twoGiftsEach);
+      engine.pickGift('g1', 'p1');
+      engine.pickGift('g2', 'p2');
+      engine.pickGift('g3', 'p1');
+      let state = engine.stealGift('g1', 'p2');
+
+      expect(state.currentVictim).toBe('p1');
+      expect(owners(state)).toEqual({ g1: 'p2', g2: 'p2', g3: 'p1' });
+
+      engine.pickGift('g4', 'p1');
+      expect(engine.getLegalMoves('p1')).toMatchObject({ canPick: false, canSkip: true });
+      state = engine.endTurn();
+
+      expect(state.phase).toBe('ENDED');
+      expect(owners(state)).toEqual({ g1: 'p2', g2: 'p2', g3: 'p1', g4: 'p1' });
+    });
+  });
+
+  describe('surplus gifts', () => {
+    const playWithSurplus = (config) => {
+      const engine = startGame({ adminId: 'admin', surplusSeed: 'surplus-seed', ...config }, {
+        players: ['p1', 'p2'],
+        gifts: ['g1', 'g2', 'g3', 'g4'],
+        giftSubmitters: { g1: 'p1', g2: 'p2', g3: 'p1', g4: 'p2' },
+      });
+      engine.pickGift('g1', 'p1');
+      engine.pickGift('g2', 'p2');
+      return engine.endTurn();
+    };
+
+    it('should return gifts nobody needed to whoever brought them by default', () => {
+      const state = playWithSurplus({});
+
+      expect(state.phase).toBe('ENDED');
+      expect(state.surplusGifts).toEqual({ g3: 'p1', g4: 'p2' });
+      expect(state.history.filter(({ type }) => type === 'SURPLUS_GIFT')).toHaveLength(2);
+    });
+
+    it('should give surplus gifts to the admin with the admin policy', () => {
+      expect(playWithSurplus({ surplusGiftPolicy: 'admin' }).surplusGifts).toEqual({ g3: 'admin', g4: 'admin' });
+    });
+
+    it('should draw one surplus gift each with the bonus round policy', () => {
+      const { surplusGifts } = playWithSurplus({ surplusGiftPolicy: 'bonus_round' });
+
+      expect(Object.keys(surplusGifts)).toEqual(['g3', 'g4']);
+      expect(new Set(Object.values(surplusGifts))).toEqual(new Set(['p1', 'p2']));
+      expect(playWithSurplus({ surplusGiftPolicy: 'bonus_round' }).surplusGifts).toEqual(surplusGifts);
+    });
+  });
+
+  describe('gift pools', () => {
+    const giftPools = { n1: 'nice', n2: 'nice', j1: 'gag', j2: 'gag' };
+    const startPooledGame = (giftPoolMode) => startGame(
+      { giftsPerPlayer: 2, giftPoolMode, giftPools },
+      { players: ['p1', 'p2'], gifts: ['n1', 'j1', 'n2', 'j2'] },
+    );
+
+    it('should play nice gifts on the first pass and gag gifts on the second with per_turn', () => {
+      const engine = startPooledGame('per_turn');
+      expect(() => engine.pickGift('j1', 'p1')).toThrow('This turn is for nice gifts');
+
+      engine.pickGift('n1', 'p1');
+      engine.pickGift('n2', 'p2');
+      expect(engine.getLegalMoves('p1').pickableGiftIds).toEqual(['j1', 'j2']);
+      expect(stealBlockCodes(engine, 'p1').n2).toBe(MOVE_BLOCK_REASONS.WRONG_POOL);
+
+      engine.pickGift('j1', 'p1');
+      const state = engine.pickGift('j2', 'p2');
+      expect(owners(state)).toEqual({ n1: 'p1', n2: 'p2', j1: 'p1', j2: 'p2' });
+    });
+
+    it('should let any turn take a pool the player has none from yet with one_each', () => {
+      const engine = startPooledGame('one_each');
+      engine.pickGift('j1', 'p1');
+      engine.pickGift('n1', 'p2');
+
+      expect(engine.getLegalMoves('p1').pickableGiftIds).toEqual(['n2']);
+      expect(stealBlockCodes(engine, 'p1')).toEqual({ j1: MOVE_BLOCK_REASONS.OWN_GIFT, n1: null });
+    });
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * Unit tests for the game event log (event-log.js)
+ * Replaying a game's events must rebuild its saved state exactly, undo included
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { GameEngine, GAME_EVENT_TYPES } from '../engine.js';
+import {
+  createInitialGameState,
+  getUndoableAction,
+  replay,
+  undoLastAction,
+  verifyReplay,
+} from '../event-log.js';
+
+const config = { maxSteals: 3, variant: 'standard' };
+
+// Standard three-player game: Player 1 gets the bookend turn
+const newGame = (gameConfig = config) => createInitialGameState({
+  partyId: 'test-party',
+  turnOrder: ['p1', 'p2', 'p3'],
+  turnQueue: ['p1', 'p2', 'p3', 'p1'],
+  wrappedGifts: ['g1', 'g2', 'g3'],
+  config: gameConfig,
+  startedAt: 1000,
+});
+
+// Save metadata that differs between the stored and replayed state
+const withoutSaveMetadata = ({ stateVersion, updatedAt, ...state }) => state;
+
+describe('event log', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  describe('replay', () => {
+    it('should start every game with GAME_STARTED', () => {
+      const state = newGame();
+
+      expect(state.events).toEqual([expect.objectContaining({
+        seq: 0,
+        type: GAME_EVENT_TYPES.GAME_STARTED,
+        turnOrder: ['p1', 'p2', 'p3'],
+        wrappedGifts: ['g1', 'g2', 'g3'],
+        config,
+        at: 1000,
+      })]);
+    });
+
+    it('should log each action and rebuild the state from the log', () => {
+      const engine = new GameEngine(newGame(), config);
+      engine.pickGift('g1', 'p1');
+      engine.stealGift('g1', 'p2');
+      engine.pickGift('g2', 'p1');
+      engine.pickGift('g3', 'p3');
+      engine.stealGift('g3', 'p1');
+      const state = engine.endTurn();
+
+      expect(state.events.map(({ type }) => type)).toEqual([
+        GAME_EVENT_TYPES.GAME_STARTED,
+        GAME_EVENT_TYPES.PICK,
+        GAME_EVENT_TYPES.STEAL,
+        GAME_EVENT_TYPES.PICK,
+        GAME_EVENT_TYPES.PICK,
+        GAME_EVENT_TYPES.STEAL,
+        GAME_EVENT_TYPES.END_TURN,
+      ]);
+      expect(withoutSaveMetadata(replay(state.events))).toEqual(withoutSaveMetadata(state));
+    });
+
+    it('should refuse a log that does not start with GAME_STARTED or skips an event', () => {
+      const { events } = new GameEngine(newGame(), config).pickGift('g1', 'p1');
+
+      expect(() => replay(events.slice(1))).toThrow('event log must start with GAME_STARTED');
+      expect(() => replay([events[0], { ...events[1], seq: 5 }])).toThrow('expected event 1 but found 5');
+    });
+  });
+
+  describe('undoLastAction', () => {
+    const owners = (state) => Object.fromEntries(state.unwrappedGifts.map(([giftId, gift]) => [giftId, gift.ownerId]));
+
+    it('should rewind a steal and hand the turn back to the thief', () => {
+      const engine = new GameEngine(newGame(), config);
+      engine.pickGift('g1', 'p1');
+      const state = engine.stealGift('g1', 'p2');
+      expect(getUndoableAction(state.events)).toMatchObject({ seq: 2, type: GAME_EVENT_TYPES.STEAL, playerId: 'p2' });
+
+      const { state: rewound, undone } = undoLastAction(state, { undoneBy: 'admin', at: 5000 });
+
+      expect(undone.seq).toBe(2);
+      expect(owners(rewound)).toEqual({ g1: 'p1' });
+      expect(rewound.currentVictim).toBeNull();
+      expect(rewound.currentPlayerId).toBe('p2');
+      expect(rewound.playerStealCounts).toEqual([]);
+      expect(rewound.events.at(-1)).toMatchObject({ type: GAME_EVENT_TYPES.UNDO, undoneSeq: 2, undoneBy: 'admin' });
+      expect(rewound.history.at(-1)).toMatchObject({ type: 'UNDO', undoneType: 'STEAL', undonePlayerId: 'p2', giftId: 'g1' });
+      expect(verifyReplay(rewound).matches).toBe(true);
+    });
+
+    it('should undo actions one at a time, newest first', () => {
+      const engine = new GameEngine(newGame(), config);
+      engine.pickGift('g1', 'p1');
+      const state = engine.pickGift('g2', 'p2');
+
+      const once = undoLastAction(state, { undoneBy: 'admin', at: 5000 }).state;
+      const twice = undoLastAction(once, { undoneBy: 'admin', at: 6000 });
+
+      expect(twice.undone.seq).toBe(1);
+      expect(twice.state.wrappedGifts).toEqual(['g1', 'g2', 'g3']);
+      expect(twice.state.currentPlayerId).toBe('p1');
+      expect(getUndoableAction(twice.state.events)).toBeNull();
+      expect(() => undoLastAction(twice.state, { undoneBy: 'admin', at: 7000 })).toThrow('There is no action to undo');
+    });
+
+    it('should keep pauses, reactions, timeouts and turn resets made after the undone action', () => {
+      const timedConfig = { ...config, turnTimeoutSeconds: 60 };
+      const engine = new GameEngine(newGame(timedConfig), timedConfig);
+      engine.pickGift('g1', 'p1');
+      engine.pickGift('g2', 'p2');
+      engine.pauseGame('admin');
+      engine.resumeGame('admin');
+      engine.addReaction();
+      engine.resetTurnAction('p1');
+      const state = engine.recordTurnTimeout('p3');
+
+      const { state: rewound, undone } = undoLastAction(state, { undoneBy: 'admin', at: Date.now() + 1000 });
+
+      expect(undone).toMatchObject({ type: GAME_EVENT_TYPES.PICK, playerId: 'p2' });
+      expect(owners(rewound)).toEqual({ g1: 'p1' });
+      expect(rewound.phase).toBe('ACTIVE');
+      expect(rewound.pause).toBeNull();
+      expect(rewound.reactionCount).toBe(1);
+      expect(rewound.turnAction).toContainEqual(['p1', null]);
+      expect(rewound.history.map(({ type }) => type).slice(-2)).toEqual(['TIMEOUT', 'UNDO']);
+      expect(rewound.turnDeadline).toBe(rewound.events.at(-1).at + 60000);
+      expect(verifyReplay(rewound).matches).toBe(true);
+    });
+
+    it('should not rewind past a player leaving or an ended game', () => {
+      const engine = new GameEngine(newGame(), config);
+      engine.pickGift('g1', 'p1');
+      expect(getUndoableAction(engine.removePlayer('p3', 'admin').events)).toBeNull();
+
+      const ended = new GameEngine(newGame(), config);
+      ended.pickGift('g1', 'p1');
+      const { state } = ended.endGame({ endedBy: 'admin' });
+      expect(() => undoLastAction(state, { undoneBy: 'admin', at: 5000 })).toThrow('Only an active game can be rewound');
+    });
+  });
+
+  describe('verifyReplay', () => {
+    it('should name the fields a tampered state gets wrong', () => {
+      const engine = new GameEngine(newGame(), config);
+      engine.pickGift('g1', 'p1');
+      const state = engine.pickGift('g2', 'p2');
+      const tampered = structuredClone(state);
+      tampered.unwrappedGifts[0][1].ownerId = 'p3';
+
+      expect(verifyReplay(state).matches).toBe(true);
+      expect(verifyReplay(tampered)).toMatchObject({ matches: false, differences: ['unwrappedGifts'], error: null });
+    });
+
+    it('should ignore save metadata and key order', () => {
+      const state = new GameEngine(newGame(), config).pickGift('g1', 'p1');
+      const reordered = Object.fromEntries(Object.entries({ ...state, stateVersion: 1, updatedAt: 'later' }).reverse());
+
+      expect(verifyReplay(reordered).matches).toBe(true);
+    });
+
+    it('should report a log that cannot be replayed', () => {
+      expect(verifyReplay({ events: [] })).toMatchObject({
+        matches: false,
+        replayedState: null,
+        error: 'Cannot replay: event log must start with GAME_STARTED',
+      });
+    });
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * Unit tests for the provably fair turn order shuffle (utils/fair-shuffle.js)
+ */
+import { describe, it, expect } from 'vitest';
+import {
+  SHUFFLE_ALGORITHM,
+  createShuffleSeed,
+  hashSeed,
+  seededShuffle,
+  verifyShuffle,
+} from '../utils/fair-shuffle.js';
+
+describe('fair shuffle', () => {
+  const players = ['p3', 'p1', 'p4', 'p2'];
+
+  it('should give the same order for the same seed whatever order the players come in', () => {
+    expect(seededShuffle(players, 'seed-1')).toEqual(['p4', 'p1', 'p3', 'p2']);
+    expect(seededShuffle([...players].reverse(), 'seed-1')).toEqual(['p4', 'p1', 'p3', 'p2']);
+    expect(seededShuffle(players, 'seed-2')).toEqual(['p4', 'p1', 'p2', 'p3']);
+  });
+
+  it('should publish a SHA-256 hash of a fresh 256-bit seed', () => {
+    const seed = createShuffleSeed();
+
+    expect(SHUFFLE_ALGORITHM).toBe('sha256-fisher-yates-v1');
+    expect(seed).toMatch(/^[0-9a-f]{64}$/);
+    expect(createShuffleSeed()).not.toBe(seed);
+    expect(hashSeed('seed-1')).toBe('0eb026731d9ea3f870511f8c18daeb814eaa2c9e276082b204f2a962212fb5bd');
+  });
+
+  it('should verify a revealed seed against the published hash and turn order', () => {
+    const seed = createShuffleSeed();
+    const turnOrder = seededShuffle(players, seed);
+
+    expect(verifyShuffle({ seed, seedHash: hashSeed(seed), turnOrder })).toEqual({
+      seedMatchesHash: true,
+      turnOrderMatches: true,
+    });
+  });
+
+  it('should catch a swapped seed or a rigged turn order', () => {
+    const seed = 'seed-1';
+    const turnOrder = seededShuffle(players, seed);
+
+    expect(verifyShuffle({ seed, seedHash: hashSeed('seed-2'), turnOrder }).seedMatchesHash).toBe(false);
+    expect(verifyShuffle({ seed, seedHash: hashSeed(seed), turnOrder: [...turnOrder].reverse() }).turnOrderMatches).toBe(false);
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * Unit tests for ended-game results (utils/game-results.js)
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { db } from '../config/firebase-admin.js';
+import { GameEngine } from '../engine.js';
+import { createInitialGameState } from '../event-log.js';
+import { getFinalWinners, persistGameResults } from '../utils/game-results.js';
+
+vi.mock('../config/firebase-admin.js', async () => {
+  const { createFakeFirestore } = await import('./support/fake-firestore.js');
+  return { db: createFakeFirestore() };
+});
+
+const partyId = 'party-1';
+
+describe('game results', () => {
+  let endedState;
+
+  // Two players and four gifts: g3 and g4 are surplus
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const config = { maxSteals: 3, variant: 'standard' };
+    const engine = new GameEngine(createInitialGameState({
+      partyId,
+      turnOrder: ['p1', 'p2'],
+      turnQueue: ['p1', 'p2', 'p1'],
+      wrappedGifts: ['g1', 'g2', 'g3', 'g4'],
+      config,
+      giftSubmitters: { g1: 'p2', g2: 'p1', g3: 'p1', g4: 'p2' },
+    }), config);
+    engine.pickGift('g1', 'p1');
+    engine.pickGift('g2', 'p2');
+    endedState = { ...engine.endTurn(), config };
+
+    db.docs.clear();
+    db.docs.set(`parties/${partyId}`, { status: 'ACTIVE' });
+    ['g1', 'g2', 'g3', 'g4'].forEach((giftId) => db.docs.set(`gifts/${giftId}`, { partyId }));
+  });
+
+  it('should give surplus gifts a winner on top of each player\'s share', () => {
+    const { giftIdToWinner, surplusGifts } = getFinalWinners(endedState);
+
+    expect(surplusGifts).toEqual({ g3: 'p1', g4: 'p2' });
+    expect(Object.fromEntries(giftIdToWinner)).toEqual({ g1: 'p1', g2: 'p2', g3: 'p1', g4: 'p2' });
+  });
+
+  it('should write each gift\'s winner and mark the surplus ones', async () => {
+    const io = { to: () => ({ emit: vi.fn() }) };
+
+    await persistGameResults(partyId, endedState, io);
+
+    expect(db.docs.get('gifts/g1')).toMatchObject({ winnerId: 'p1', isSurplus: false });
+    expect(db.docs.get('gifts/g3')).toMatchObject({ winnerId: 'p1', isSurplus: true });
+    expect(db.docs.get(`parties/${partyId}`).status).toBe('ENDED');
+  });
+});
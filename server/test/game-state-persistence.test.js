@@ -0,0 +1,119 @@
+/**
+ * Unit tests for version-checked game state saves (utils/game-state-persistence.js)
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import redisClient from '../utils/redis.js';
+import { db } from '../config/firebase-admin.js';
+import {
+  STATE_CONFLICT,
+  loadGameState,
+  saveGameState,
+} from '../utils/game-state-persistence.js';
+
+vi.mock('../utils/redis.js', async () => {
+  const { createFakeRedis } = await import('./support/fake-redis.js');
+  return { default: createFakeRedis() };
+});
+
+vi.mock('../config/firebase-admin.js', async () => {
+  const { createFakeFirestore } = await import('./support/fake-firestore.js');
+  return { db: createFakeFirestore() };
+});
+
+const partyId = 'party-1';
+
+describe('saveGameState', () => {
+  let saved;
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    redisClient.store.clear();
+    db.docs.clear();
+    db.docs.set(`parties/${partyId}`, { status: 'ACTIVE' });
+
+    saved = { partyId, phase: 'ACTIVE', currentTurnIndex: 0 };
+    await saveGameState(partyId, saved);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should save when the expected version is the stored one', async () => {
+    const next = { ...saved, currentTurnIndex: 1 };
+
+    await saveGameState(partyId, next, null, { expectedVersion: saved.stateVersion });
+
+    expect(next.stateVersion).toBeGreaterThan(saved.stateVersion);
+    expect(await loadGameState(partyId)).toMatchObject({ currentTurnIndex: 1, stateVersion: next.stateVersion });
+    expect(db.docs.get(`parties/${partyId}`).gameState.currentTurnIndex).toBe(1);
+  });
+
+  it('should reject a stale expected version and leave the state unchanged', async () => {
+    const winner = { ...saved, currentTurnIndex: 1 };
+    await saveGameState(partyId, winner, null, { expectedVersion: saved.stateVersion });
+
+    const loser = { ...saved, currentTurnIndex: 2 };
+    const save = saveGameState(partyId, loser, null, { expectedVersion: saved.stateVersion });
+
+    await expect(save).rejects.toMatchObject({
+      code: STATE_CONFLICT,
+      message: 'The game changed before this move was saved. Please try again.',
+    });
+    expect(await loadGameState(partyId)).toMatchObject({ currentTurnIndex: 1, stateVersion: winner.stateVersion });
+    expect(db.docs.get(`parties/${partyId}`).gameState.currentTurnIndex).toBe(1);
+  });
+
+  it('should write nothing when Redis cannot check the version', async () => {
+    vi.spyOn(redisClient, 'eval').mockRejectedValueOnce(new Error('Connection lost'));
+    const setEx = vi.spyOn(redisClient, 'setEx');
+
+    const save = saveGameState(partyId, { ...saved, currentTurnIndex: 1 }, null, { expectedVersion: saved.stateVersion });
+
+    await expect(save).rejects.toThrow('could not check the state version');
+    expect(setEx).not.toHaveBeenCalled();
+    expect(await loadGameState(partyId)).toMatchObject({ currentTurnIndex: 0 });
+    expect(db.docs.get(`parties/${partyId}`).gameState.currentTurnIndex).toBe(0);
+  });
+});
+
+describe('multi-round games', () => {
+  const config = { rounds: [{ name: 'Upstairs' }, { name: 'Downstairs' }], round: 1 };
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    redisClient.store.clear();
+    db.docs.clear();
+    db.docs.set(`parties/${partyId}`, { status: 'ACTIVE' });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should keep the round being played under its round index', async () => {
+    await saveGameState(partyId, { partyId, phase: 'ACTIVE', currentTurnIndex: 2, config });
+
+    expect(JSON.parse(redisClient.store.get(`game:${partyId}:round:1`))).toMatchObject({ currentTurnIndex: 2 });
+    expect(redisClient.store.has(`game:${partyId}:round:0`)).toBe(false);
+  });
+
+  it('should restore an ended round from Firestore once Redis has dropped it', async () => {
+    await saveGameState(partyId, { partyId, phase: 'ENDED', currentTurnIndex: 4, config });
+    db.docs.set(`parties/${partyId}`, { ...db.docs.get(`parties/${partyId}`), status: 'ENDED' });
+    redisClient.store.clear();
+
+    expect(await loadGameState(partyId)).toMatchObject({ phase: 'ENDED', currentTurnIndex: 4 });
+    expect(redisClient.store.has(`game:${partyId}`)).toBe(true);
+  });
+
+  it('should not restore the game of a party back in its lobby', async () => {
+    await saveGameState(partyId, { partyId, phase: 'ENDED', currentTurnIndex: 4, config });
+    db.docs.set(`parties/${partyId}`, { ...db.docs.get(`parties/${partyId}`), status: 'LOBBY' });
+    redisClient.store.clear();
+
+    expect(await loadGameState(partyId)).toBeNull();
+  });
+});
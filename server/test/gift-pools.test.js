@@ -0,0 +1,42 @@
+/**
+ * Unit tests for nice and gag gift pools (utils/gift-pools.js)
+ */
+import { describe, it, expect } from 'vitest';
+import { getTurnPool, normalizeGiftPools } from '../utils/gift-pools.js';
+
+describe('gift pools', () => {
+  const gifts = [
+    { id: 'n1', pool: 'nice' },
+    { id: 'n2', pool: 'nice' },
+    { id: 'j1', pool: 'gag' },
+    { id: 'j2', pool: 'gag' },
+  ];
+
+  it('should fix each gift\'s pool when the game starts', () => {
+    expect(normalizeGiftPools({ mode: 'one_each', giftsPerPlayer: 2, gifts, seatCount: 2 })).toEqual({
+      giftPoolMode: 'one_each',
+      giftPools: { n1: 'nice', n2: 'nice', j1: 'gag', j2: 'gag' },
+      error: null,
+    });
+    expect(normalizeGiftPools({ mode: null, giftsPerPlayer: 1, gifts, seatCount: 2 }).giftPoolMode).toBeNull();
+  });
+
+  it('should reject pools that cannot give everyone one of each', () => {
+    const check = (overrides) => normalizeGiftPools({ mode: 'per_turn', giftsPerPlayer: 2, gifts, seatCount: 2, ...overrides }).error;
+
+    expect(check({ mode: 'lucky_dip' })).toBe('Unknown gift pool mode: lucky_dip');
+    expect(check({ giftsPerPlayer: 1 })).toBe('Gift pools need everyone to bring 2 gifts - one nice, one gag');
+    expect(check({ gifts: [...gifts, { id: 'x1', pool: null }] })).toBe('1 gift(s) aren\'t tagged nice or gag yet');
+    expect(check({ seatCount: 3 })).toBe('Not enough nice gifts - every player needs one');
+  });
+
+  it('should count per_turn pools by each player\'s own turns', () => {
+    const state = { config: { giftPoolMode: 'per_turn' }, turnOrder: ['p1', 'p2'], turnQueue: ['p1', 'p2', 'p1', 'p2', 'p1'] };
+    // A reversed queue (REVERSE_ORDER chaos card) still gives p2 nice first
+    const reversed = { ...state, turnQueue: ['p1', 'p2', 'p2', 'p1', 'p1'] };
+
+    expect([0, 1, 2, 3, 4].map((turnIndex) => getTurnPool(state, turnIndex))).toEqual(['nice', 'nice', 'gag', 'gag', null]);
+    expect([1, 2, 3].map((turnIndex) => getTurnPool(reversed, turnIndex))).toEqual(['nice', 'gag', 'gag']);
+    expect(getTurnPool({ ...state, config: { giftPoolMode: 'one_each' } }, 0)).toBeNull();
+  });
+});
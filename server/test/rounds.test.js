@@ -0,0 +1,72 @@
+/**
+ * Unit tests for multi-round parties (utils/rounds.js)
+ */
+import { describe, it, expect } from 'vitest';
+import { getRoundLineup, hasNextRound, normalizeRounds } from '../utils/rounds.js';
+
+describe('rounds', () => {
+  const participants = [
+    { id: 'p1', teamNumber: null },
+    { id: 'p2', teamNumber: null },
+    { id: 'p3', teamNumber: 1 },
+    { id: 'p4', teamNumber: 1 },
+  ];
+  const gifts = [
+    { id: 'g1', submitterId: 'p1', winnerId: 'p2' },
+    { id: 'g2', submitterId: 'p2', winnerId: 'p1' },
+    { id: 'g3', submitterId: 'p3', winnerId: 'p3' },
+    { id: 'g4', submitterId: 'p4', winnerId: null },
+    { id: 'g5', submitterId: 'admin', winnerId: null },
+  ];
+  const { rounds } = normalizeRounds([
+    { name: '  Upstairs ', playerIds: ['p1', 'p2'] },
+    { playerIds: ['p3', 'p4'] },
+    { finals: true },
+  ]);
+
+  it('should name rounds and treat no rounds as a single game', () => {
+    expect(rounds).toEqual([
+      { name: 'Upstairs', playerIds: ['p1', 'p2'], finals: false },
+      { name: 'Round 2', playerIds: ['p3', 'p4'], finals: false },
+      { name: 'Finals', playerIds: null, finals: true },
+    ]);
+    expect(normalizeRounds(undefined)).toEqual({ rounds: [], error: null });
+    expect(normalizeRounds([])).toEqual({ rounds: [], error: null });
+  });
+
+  it('should reject round setups that cannot be played', () => {
+    expect(normalizeRounds([{ playerIds: ['p1'] }]).error).toBe('A party can play between 2 and 6 rounds');
+    expect(normalizeRounds([{ finals: true }, { playerIds: ['p1'] }]).error).toBe('The finals must be the last round, after at least one other');
+    expect(normalizeRounds([{ playerIds: ['p1'] }, { playerIds: ['p1', 'p2'] }]).error).toBe('A participant can only play in one breakout round');
+    expect(normalizeRounds([{ playerIds: ['p1'] }, { name: 'Empty' }]).error).toBe('Each round needs a list of participants');
+  });
+
+  it('should play each breakout round with its players\' gifts', () => {
+    const first = getRoundLineup({ rounds, round: 0, participants, gifts });
+    const second = getRoundLineup({ rounds, round: 1, participants, gifts });
+
+    expect(first.participants.map(({ id }) => id)).toEqual(['p1', 'p2']);
+    // Gifts from anyone not in a round join the first one
+    expect(first.gifts.map(({ id }) => id)).toEqual(['g1', 'g2', 'g5']);
+    expect(second.gifts.map(({ id }) => id)).toEqual(['g3', 'g4']);
+  });
+
+  it('should play the finals among the winners and their teammates', () => {
+    const finals = getRoundLineup({ rounds, round: 2, participants, gifts });
+
+    expect(finals.participants.map(({ id }) => id)).toEqual(['p1', 'p2', 'p3', 'p4']);
+    expect(finals.gifts.map(({ id }) => id)).toEqual(['g1', 'g2', 'g3']);
+  });
+
+  it('should not start the first round while a participant is unplaced', () => {
+    const lineup = getRoundLineup({ rounds, round: 0, participants: [...participants, { id: 'p5', teamNumber: null }], gifts });
+
+    expect(lineup.error).toBe('1 participant(s) aren\'t in a round yet');
+  });
+
+  it('should know when another round follows', () => {
+    expect(hasNextRound({ rounds, round: 1 })).toBe(true);
+    expect(hasNextRound({ rounds, round: 2 })).toBe(false);
+    expect(hasNextRound({})).toBe(false);
+  });
+});
@@ -0,0 +1,253 @@
+/**
+ * Tests for the socket game action handlers in server.js
+ * Clients are fake sockets connected to an in-process Socket.IO server (see support/fake-socket-io.js)
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { Server } from 'socket.io';
+import redisClient from '../utils/redis.js';
+import { db } from '../config/firebase-admin.js';
+import { checkAndMakeBotMove, pauseBotTimers, resumeBotTimers } from '../utils/bot-utils.js';
+import { persistGameResults } from '../utils/game-results.js';
+import { GameEngine } from '../engine.js';
+import { createInitialGameState } from '../event-log.js';
+import '../server.js';
+
+vi.mock('http', async (importOriginal) => ({
+  ...(await importOriginal()),
+  createServer: () => ({ listen: () => {} }),
+}));
+
+vi.mock('socket.io', () => import('./support/fake-socket-io.js'));
+
+vi.mock('../utils/redis.js', async () => {
+  const { createFakeRedis } = await import('./support/fake-redis.js');
+  return { default: createFakeRedis() };
+});
+
+vi.mock('../config/firebase-admin.js', async () => {
+  const { createFakeFirestore } = await import('./support/fake-firestore.js');
+  // Tokens are user IDs
+  return { db: createFakeFirestore(), auth: { verifyIdToken: async (token) => ({ uid: token }) } };
+});
+
+vi.mock('../utils/bot-utils.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  checkAndMakeBotMove: vi.fn(async () => {}),
+  stopBotRefreshSimulation: vi.fn(),
+  pauseBotTimers: vi.fn(),
+  resumeBotTimers: vi.fn(),
+}));
+
+vi.mock('../utils/game-results.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  persistGameResults: vi.fn(async () => {}),
+}));
+
+const partyId = 'party-1';
+const config = { maxSteals: 3, variant: 'standard' };
+
+/**
+ * Store a party whose game is an engine's current state
+ * @param {GameEngine} engine
+ */
+function storeGame(engine) {
+  const gameState = { ...engine.getState(), config, stateVersion: 1 };
+  redisClient.store.set(`game:${partyId}`, JSON.stringify(gameState));
+  db.docs.set(`parties/${partyId}`, { status: 'ACTIVE', adminId: 'admin', config });
+  gameState.turnOrder.forEach((playerId) => {
+    db.docs.set(`parties/${partyId}/participants/${playerId}`, { status: 'GOING' });
+  });
+}
+
+const loadStoredGame = () => JSON.parse(redisClient.store.get(`game:${partyId}`));
+
+describe('socket game actions', () => {
+  let engine;
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.useFakeTimers({ toFake: ['setTimeout'] });
+    redisClient.store.clear();
+    redisClient.sortedSets.clear();
+    db.docs.clear();
+    Server.instance.emitted.length = 0;
+    vi.clearAllMocks();
+
+    engine = new GameEngine(createInitialGameState({
+      partyId,
+      turnOrder: ['p1', 'p2', 'p3'],
+      turnQueue: ['p1', 'p2', 'p3', 'p1'],
+      wrappedGifts: ['g1', 'g2', 'g3'],
+      config,
+    }), config);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('pick-gift', () => {
+    it('should save the pick and hand the turn on', async () => {
+      storeGame(engine);
+      const socket = await Server.instance.connect('p1');
+
+      const ack = await socket.send('pick-gift', { partyId, giftId: 'g1', actionId: 'a-1' });
+      vi.runAllTimers();
+
+      expect(ack).toEqual({ ok: true, actionId: 'a-1' });
+      expect(loadStoredGame()).toMatchObject({ phase: 'ACTIVE', currentPlayerId: 'p2' });
+      expect(persistGameResults).not.toHaveBeenCalled();
+      expect(checkAndMakeBotMove).toHaveBeenCalledTimes(1);
+    });
+
+    it('should persist the results when a pick ends the game', async () => {
+      // With Player 1 gone, p3's pick is the last turn in the queue
+      engine.pickGift('g1', 'p1');
+      engine.pickGift('g2', 'p2');
+      engine.removePlayer('p1', 'admin');
+      storeGame(engine);
+      const socket = await Server.instance.connect('p3');
+
+      const ack = await socket.send('pick-gift', { partyId, giftId: 'g3', actionId: 'a-1' });
+      vi.runAllTimers();
+
+      expect(ack).toEqual({ ok: true, actionId: 'a-1' });
+      expect(loadStoredGame().phase).toBe('ENDED');
+      expect(persistGameResults).toHaveBeenCalledWith(partyId, expect.objectContaining({ phase: 'ENDED' }), Server.instance);
+      expect(checkAndMakeBotMove).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('teams', () => {
+    it('should let any team member play their team\'s seat', async () => {
+      storeGame(engine);
+      const teamGame = { ...loadStoredGame(), config: { ...config, teams: [{ seatId: 'p1', playerIds: ['p1', 'p4'] }] } };
+      redisClient.store.set(`game:${partyId}`, JSON.stringify(teamGame));
+      db.docs.set(`parties/${partyId}/participants/p4`, { status: 'GOING' });
+      const teammate = await Server.instance.connect('p4');
+
+      const ack = await teammate.send('pick-gift', { partyId, giftId: 'g1', actionId: 'a-1' });
+
+      expect(ack).toEqual({ ok: true, actionId: 'a-1' });
+      expect(loadStoredGame().unwrappedGifts).toEqual([['g1', expect.objectContaining({ ownerId: 'p1' })]]);
+    });
+  });
+
+  describe('admin_pause_game and admin_resume_game', () => {
+    it('should reject moves while the game is paused and accept them once it resumes', async () => {
+      storeGame(engine);
+      const admin = await Server.instance.connect('admin');
+      const player = await Server.instance.connect('p1');
+
+      expect(await admin.send('admin_pause_game', { partyId, actionId: 'pause-1' })).toEqual({ ok: true, actionId: 'pause-1' });
+      expect(loadStoredGame()).toMatchObject({ phase: 'PAUSED', pause: { pausedBy: 'admin' } });
+      expect(pauseBotTimers).toHaveBeenCalledWith(partyId);
+
+      const rejected = await player.send('pick-gift', { partyId, giftId: 'g1', actionId: 'a-1' });
+      expect(rejected).toMatchObject({ ok: false, code: 'GAME_PAUSED', message: 'The game is paused' });
+      expect(Server.instance.emitted.some(({ event }) => event === 'action_started')).toBe(false);
+      expect(loadStoredGame().wrappedGifts).toEqual(['g1', 'g2', 'g3']);
+
+      expect(await admin.send('admin_resume_game', { partyId, actionId: 'resume-1' })).toEqual({ ok: true, actionId: 'resume-1' });
+      expect(loadStoredGame()).toMatchObject({ phase: 'ACTIVE', pause: null, currentPlayerId: 'p1' });
+      expect(resumeBotTimers).toHaveBeenCalledTimes(1);
+
+      expect(await player.send('pick-gift', { partyId, giftId: 'g1', actionId: 'a-2' })).toEqual({ ok: true, actionId: 'a-2' });
+    });
+
+    it('should only let the admin pause, and only pause or resume once', async () => {
+      storeGame(engine);
+      const admin = await Server.instance.connect('admin');
+      const player = await Server.instance.connect('p1');
+
+      expect(await player.send('admin_pause_game', { partyId, actionId: 'pause-1' })).toMatchObject({ ok: false, code: 'NOT_PARTY_ADMIN' });
+      expect(await admin.send('admin_resume_game', { partyId, actionId: 'resume-1' })).toMatchObject({ ok: false, code: 'GAME_NOT_PAUSED' });
+
+      await admin.send('admin_pause_game', { partyId, actionId: 'pause-2' });
+      expect(await admin.send('admin_pause_game', { partyId, actionId: 'pause-3' })).toMatchObject({ ok: false, code: 'GAME_PAUSED' });
+    });
+  });
+
+  describe('admin_add_player', () => {
+    const giftsInParty = () => [...db.docs.keys()].filter((path) => path.startsWith('gifts/'));
+
+    beforeEach(() => {
+      engine.pickGift('g1', 'p1');
+      storeGame(engine);
+      db.docs.set(`parties/${partyId}/participants/p4`, { status: 'GOING' });
+    });
+
+    it('should seat a late joiner at the next open spot with the gift they brought', async () => {
+      db.docs.set('gifts/g4', { partyId, submitterId: 'p4', title: 'Board game' });
+      const admin = await Server.instance.connect('admin');
+
+      const ack = await admin.send('admin_add_player', { partyId, playerId: 'p4', position: 'next', actionId: 'add-1' });
+
+      expect(ack).toEqual({ ok: true, actionId: 'add-1' });
+      expect(loadStoredGame()).toMatchObject({
+        turnOrder: ['p1', 'p2', 'p4', 'p3'],
+        turnQueue: ['p1', 'p2', 'p4', 'p3', 'p1'],
+        wrappedGifts: ['g2', 'g3', 'g4'],
+        currentPlayerId: 'p2',
+      });
+      expect(Server.instance.emitted.at(-1)).toMatchObject({
+        event: 'player-added',
+        payload: { playerId: 'p4', giftId: 'g4', position: 2 },
+      });
+    });
+
+    it('should seat a late joiner last, before Player 1\'s bookend turn', async () => {
+      const admin = await Server.instance.connect('admin');
+
+      await admin.send('admin_add_player', { partyId, playerId: 'p4', position: 'last', giftTitle: 'Scented candle', actionId: 'add-1' });
+
+      const state = loadStoredGame();
+      expect(state.turnQueue).toEqual(['p1', 'p2', 'p3', 'p4', 'p1']);
+      expect(giftsInParty()).toHaveLength(1);
+      expect(state.wrappedGifts.at(-1)).toBe(giftsInParty()[0].split('/')[1]);
+      expect(db.docs.get(giftsInParty()[0])).toMatchObject({ submitterId: 'p4', title: 'Scented candle' });
+    });
+
+    it('should not seat a late joiner in a spot that has already played', async () => {
+      const admin = await Server.instance.connect('admin');
+
+      const ack = await admin.send('admin_add_player', { partyId, playerId: 'p4', position: 1, giftTitle: 'Mug', actionId: 'add-1' });
+
+      expect(ack).toMatchObject({ ok: false, code: 'INVALID_REQUEST', message: 'That spot in the turn order has already been played' });
+      expect(giftsInParty()).toEqual([]);
+    });
+
+    it('should delete the gift it created when another action saved first', async () => {
+      vi.spyOn(redisClient, 'eval').mockResolvedValueOnce(0);
+      const admin = await Server.instance.connect('admin');
+
+      const ack = await admin.send('admin_add_player', { partyId, playerId: 'p4', position: 'next', giftTitle: 'Mug', actionId: 'add-1' });
+
+      expect(ack).toMatchObject({ ok: false, code: 'STATE_CONFLICT' });
+      expect(giftsInParty()).toEqual([]);
+      expect(loadStoredGame().turnOrder).toEqual(['p1', 'p2', 'p3']);
+    });
+
+    it('should not add a team member whose team is already playing', async () => {
+      const teamGame = { ...loadStoredGame(), config: { ...config, teams: [{ seatId: 'p2', playerIds: ['p2', 'p4'] }] } };
+      redisClient.store.set(`game:${partyId}`, JSON.stringify(teamGame));
+      const admin = await Server.instance.connect('admin');
+
+      const ack = await admin.send('admin_add_player', { partyId, playerId: 'p4', position: 'next', giftTitle: 'Mug', actionId: 'add-1' });
+
+      expect(ack).toMatchObject({ ok: false, message: 'That player is already in the game' });
+    });
+
+    it('should not add players to a game with gift pools', async () => {
+      const pooledGame = { ...loadStoredGame(), config: { ...config, giftPoolMode: 'one_each' } };
+      redisClient.store.set(`game:${partyId}`, JSON.stringify(pooledGame));
+      const admin = await Server.instance.connect('admin');
+
+      const ack = await admin.send('admin_add_player', { partyId, playerId: 'p4', position: 'next', giftTitle: 'Mug', actionId: 'add-1' });
+
+      expect(ack).toMatchObject({ ok: false, message: 'Late arrivals can\'t join a game with nice and gag gift pools' });
+      expect(giftsInParty()).toEqual([]);
+    });
+  });
+});
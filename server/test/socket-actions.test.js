@@ -0,0 +1,115 @@
+/**
+ * Unit tests for socket game action acks and de-duplication (utils/socket-actions.js)
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import redisClient from '../utils/redis.js';
+import { ACTION_ERROR_CODES, actionError, runGameAction } from '../utils/socket-actions.js';
+import { STATE_CONFLICT } from '../utils/game-state-persistence.js';
+
+vi.mock('../utils/redis.js', async () => {
+  const { createFakeRedis } = await import('./support/fake-redis.js');
+  return { default: createFakeRedis() };
+});
+
+vi.mock('../config/firebase-admin.js', async () => {
+  const { createFakeFirestore } = await import('./support/fake-firestore.js');
+  return { db: createFakeFirestore() };
+});
+
+describe('runGameAction', () => {
+  let socket;
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    redisClient.store.clear();
+    socket = { userId: 'p1', emit: vi.fn() };
+  });
+
+  it('should ack success and replay the stored ack for a retried action id', async () => {
+    const handler = vi.fn().mockResolvedValue();
+    const ack = vi.fn();
+
+    await runGameAction(socket, { partyId: 'party-1', actionId: 'a-1', ack }, handler);
+    await runGameAction(socket, { partyId: 'party-1', actionId: 'a-1', ack }, handler);
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(ack.mock.calls).toEqual([[{ ok: true, actionId: 'a-1' }], [{ ok: true, actionId: 'a-1' }]]);
+  });
+
+  it('should keep action ids per player', async () => {
+    const handler = vi.fn().mockResolvedValue();
+
+    await runGameAction(socket, { partyId: 'party-1', actionId: 'a-1', ack: vi.fn() }, handler);
+    await runGameAction({ ...socket, userId: 'p2' }, { partyId: 'party-1', actionId: 'a-1', ack: vi.fn() }, handler);
+
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+
+  it('should replay a rejected move instead of running it again', async () => {
+    const handler = vi.fn().mockRejectedValue(actionError(ACTION_ERROR_CODES.NOT_YOUR_TURN, 'Not your turn'));
+    const ack = vi.fn();
+
+    await runGameAction(socket, { partyId: 'party-1', actionId: 'a-1', ack }, handler);
+    await runGameAction(socket, { partyId: 'party-1', actionId: 'a-1', ack }, handler);
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(ack).toHaveBeenLastCalledWith({ ok: false, actionId: 'a-1', code: 'NOT_YOUR_TURN', message: 'Not your turn' });
+  });
+
+  it('should tell the player when their move lost a state conflict', async () => {
+    const conflict = new Error('The game changed before this move was saved. Please try again.');
+    conflict.code = STATE_CONFLICT;
+    const ack = vi.fn();
+
+    await runGameAction(socket, { partyId: 'party-1', actionId: 'a-1', ack }, vi.fn().mockRejectedValue(conflict));
+
+    expect(ack).toHaveBeenCalledWith({
+      ok: false,
+      actionId: 'a-1',
+      code: ACTION_ERROR_CODES.STATE_CONFLICT,
+      message: 'The game changed before this move was saved. Please try again.',
+    });
+  });
+
+  it('should release the action id after an unexpected error so a retry can run', async () => {
+    const handler = vi.fn().mockRejectedValueOnce(new Error('Firestore unavailable')).mockResolvedValueOnce();
+    const ack = vi.fn();
+
+    await runGameAction(socket, { partyId: 'party-1', actionId: 'a-1', ack }, handler);
+    await runGameAction(socket, { partyId: 'party-1', actionId: 'a-1', ack }, handler);
+
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(ack.mock.calls.map(([result]) => result.code ?? 'OK')).toEqual([ACTION_ERROR_CODES.INTERNAL_ERROR, 'OK']);
+  });
+
+  it('should not run a retry while the first attempt is still in progress', async () => {
+    let finish;
+    const handler = vi.fn(() => new Promise((resolve) => { finish = resolve; }));
+    const ack = vi.fn();
+
+    const first = runGameAction(socket, { partyId: 'party-1', actionId: 'a-1', ack }, handler);
+    await runGameAction(socket, { partyId: 'party-1', actionId: 'a-1', ack }, handler);
+    finish();
+    await first;
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(ack.mock.calls.map(([result]) => result.code ?? 'OK')).toEqual([ACTION_ERROR_CODES.ACTION_IN_PROGRESS, 'OK']);
+  });
+
+  it('should reject a malformed action id without running the action', async () => {
+    const handler = vi.fn();
+    const ack = vi.fn();
+
+    await runGameAction(socket, { partyId: 'party-1', actionId: 'a:1', ack }, handler);
+
+    expect(handler).not.toHaveBeenCalled();
+    expect(ack).toHaveBeenCalledWith(expect.objectContaining({ ok: false, code: ACTION_ERROR_CODES.INVALID_REQUEST }));
+  });
+
+  it('should emit the legacy error event to clients without an ack', async () => {
+    await runGameAction(socket, { partyId: 'party-1' }, () => Promise.reject(actionError(ACTION_ERROR_CODES.GIFT_FROZEN, 'Gift is frozen')));
+
+    expect(socket.emit).toHaveBeenCalledWith('error', { message: 'Gift is frozen', code: 'GIFT_FROZEN' });
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * In-memory stand-in for the Firestore client (db from config/firebase-admin.js)
+ * Documents are stored by path, e.g. 'parties/party-1/participants/p1'.
+ */
+
+/**
+ * Create an empty fake Firestore
+ * @returns {Object} db with collection(), batch() and runTransaction(), plus `docs` (path -> data) for setup and assertions
+ */
+export function createFakeFirestore() {
+  const docs = new Map();
+
+  const snapshot = (path) => ({
+    id: path.split('/').pop(),
+    exists: docs.has(path),
+    ref: docRef(path),
+    data: () => (docs.has(path) ? structuredClone(docs.get(path)) : undefined),
+  });
+
+  function docRef(path) {
+    return {
+      id: path.split('/').pop(),
+      path,
+      collection: (name) => collectionRef(`${path}/${name}`),
+      async get() {
+        return snapshot(path);
+      },
+      async set(data, { merge = false } = {}) {
+        docs.set(path, structuredClone(merge ? { ...docs.get(path), ...data } : data));
+      },
+      async update(data) {
+        if (!docs.has(path)) {
+          throw new Error(`No document to update: ${path}`);
+        }
+        docs.set(path, { ...docs.get(path), ...structuredClone(data) });
+      },
+      async delete() {
+        docs.delete(path);
+      },
+    };
+  }
+
+  function query(path, filters) {
+    const field = (data, name) => (name === '__name__' ? data.id : data[name]);
+    return {
+      where: (name, op, value) => query(path, [...filters, { name, op, value }]),
+      async get() {
+        const matches = [...docs.keys()]
+          .filter((docPath) => docPath.startsWith(`${path}/`) && !docPath.slice(path.length + 1).includes('/'))
+          .map(snapshot)
+          .filter((doc) => filters.every(({ name, op, value }) => {
+            const actual = field({ id: doc.id, ...doc.data() }, name);
+            return op === 'in' ? value.includes(actual) : actual === value;
+          }));
+        return { docs: matches, empty: matches.length === 0, size: matches.length };
+      },
+    };
+  }
+
+  function collectionRef(path) {
+    return {
+      ...query(path, []),
+      doc: (id) => docRef(`${path}/${id}`),
+      async add(data) {
+        const ref = docRef(`${path}/doc-${docs.size + 1}`);
+        await ref.set(data);
+        return ref;
+      },
+    };
+  }
+
+  return {
+    docs,
+    collection: (name) => collectionRef(name),
+    batch() {
+      const writes = [];
+      return {
+        set: (ref, data, options) => writes.push(() => ref.set(data, options)),
+        update: (ref, data) => writes.push(() => ref.update(data)),
+        delete: (ref) => writes.push(() => ref.delete()),
+        async commit() {
+          for (const write of writes) {
+            await write();
+          }
+        },
+      };
+    },
+    /**
+     * Run a transaction - its writes are applied once the update function resolves
+     * (no contention: nothing else runs in between)
+     */
+    async runTransaction(updateFunction) {
+      const writes = [];
+      const result = await updateFunction({
+        get: (refOrQuery) => refOrQuery.get(),
+        set: (ref, data, options) => writes.push(() => ref.set(data, options)),
+        update: (ref, data) => writes.push(() => ref.update(data)),
+        delete: (ref) => writes.push(() => ref.delete()),
+      });
+      for (const write of writes) {
+        await write();
+      }
+      return result;
+    },
+  };
+}
@@ -0,0 +1,71 @@
+/**
+ * In-memory stand-in for the Redis client (utils/redis.js)
+ * Covers the commands the server uses; eval runs the state save compare-and-set script.
+ */
+
+/**
+ * Create an empty fake Redis client
+ * @returns {Object} Client with the same command methods as node-redis, plus `store` and `sortedSets`
+ */
+export function createFakeRedis() {
+  const store = new Map();
+  const sortedSets = new Map();
+  const sortedSet = (key) => {
+    if (!sortedSets.has(key)) {
+      sortedSets.set(key, new Map());
+    }
+    return sortedSets.get(key);
+  };
+
+  return {
+    store,
+    sortedSets,
+
+    async get(key) {
+      return store.has(key) ? store.get(key) : null;
+    },
+
+    async set(key, value, { NX = false } = {}) {
+      if (NX && store.has(key)) {
+        return null;
+      }
+      store.set(key, value);
+      return 'OK';
+    },
+
+    async setEx(key, ttl, value) {
+      store.set(key, value);
+      return 'OK';
+    },
+
+    async del(key) {
+      return store.delete(key) ? 1 : 0;
+    },
+
+    // The only script the server runs is COMPARE_AND_SET_SCRIPT in game-state-persistence.js
+    async eval(script, { keys: [key], arguments: [expectedVersion, value] }) {
+      const current = store.has(key) ? JSON.parse(store.get(key)) : null;
+      if (current?.stateVersion && current.stateVersion !== Number(expectedVersion)) {
+        return 0;
+      }
+      store.set(key, value);
+      return 1;
+    },
+
+    async zAdd(key, { score, value }) {
+      sortedSet(key).set(value, score);
+      return 1;
+    },
+
+    async zRem(key, value) {
+      return sortedSet(key).delete(value) ? 1 : 0;
+    },
+
+    async zRangeByScore(key, min, max) {
+      return [...sortedSet(key)]
+        .filter(([, score]) => score >= min && score <= max)
+        .sort(([, a], [, b]) => a - b)
+        .map(([value]) => value);
+    },
+  };
+}
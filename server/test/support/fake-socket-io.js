@@ -0,0 +1,86 @@
+/**
+ * In-process stand-in for the Socket.IO server (mock 'socket.io' with this module)
+ * Tests connect fake sockets and call server.js event handlers directly - no port is opened.
+ */
+
+class FakeSocket {
+  constructor(io, token) {
+    this.io = io;
+    this.id = `socket-${io.sockets.sockets.size + 1}`;
+    this.handshake = { auth: { token } };
+    this.handlers = {};
+    this.emitted = [];
+    this.rooms = new Set([this.id]);
+    this.connected = true;
+    this.broadcast = { emit: () => {} };
+  }
+
+  on(event, handler) {
+    this.handlers[event] = handler;
+  }
+
+  onAny() {}
+
+  join(room) {
+    this.rooms.add(room);
+    if (!this.io.sockets.adapter.rooms.has(room)) {
+      this.io.sockets.adapter.rooms.set(room, new Set());
+    }
+    this.io.sockets.adapter.rooms.get(room).add(this.id);
+  }
+
+  emit(event, payload) {
+    this.emitted.push({ event, payload });
+  }
+
+  /**
+   * Send an event from the client and wait for its handler to finish
+   * @param {string} event
+   * @param {*} payload
+   * @returns {Promise<*>} The ack the handler sent, if any
+   */
+  async send(event, payload) {
+    let ackResult;
+    await this.handlers[event](payload, (result) => {
+      ackResult = result;
+    });
+    return ackResult;
+  }
+}
+
+export class Server {
+  constructor() {
+    this.middlewares = [];
+    this.handlers = {};
+    this.emitted = [];
+    this.sockets = { sockets: new Map(), adapter: { rooms: new Map() } };
+    Server.instance = this;
+  }
+
+  use(middleware) {
+    this.middlewares.push(middleware);
+  }
+
+  on(event, handler) {
+    this.handlers[event] = handler;
+  }
+
+  to(room) {
+    return { emit: (event, payload) => this.emitted.push({ room, event, payload }) };
+  }
+
+  /**
+   * Connect a client through the auth middleware
+   * @param {string} token - handshake.auth.token
+   * @returns {Promise<FakeSocket>}
+   */
+  async connect(token) {
+    const socket = new FakeSocket(this, token);
+    for (const middleware of this.middlewares) {
+      await new Promise((resolve, reject) => middleware(socket, (error) => (error ? reject(error) : resolve())));
+    }
+    this.sockets.sockets.set(socket.id, socket);
+    this.handlers.connection(socket);
+    return socket;
+  }
+}
@@ -0,0 +1,38 @@
+/**
+ * Unit tests for team seats (utils/teams.js)
+ */
+import { describe, it, expect } from 'vitest';
+import { buildTeams, getSeatId, toSeatTurnOrder } from '../utils/teams.js';
+
+describe('teams', () => {
+  it('should group participants by team number under the member who joined first', () => {
+    const participants = [
+      { id: 'amy', teamNumber: 1, joinedAt: new Date('2026-12-01T10:05:00Z') },
+      { id: 'ben', teamNumber: 1, joinedAt: new Date('2026-12-01T10:00:00Z') },
+      { id: 'cat', teamNumber: 2, joinedAt: null },
+      { id: 'dan', teamNumber: 2, joinedAt: null },
+      { id: 'eve', teamNumber: 3, joinedAt: new Date('2026-12-01T10:00:00Z') },
+      { id: 'fay', teamNumber: null, joinedAt: null },
+    ];
+
+    expect(buildTeams(participants)).toEqual([
+      { seatId: 'ben', playerIds: ['ben', 'amy'] },
+      { seatId: 'cat', playerIds: ['cat', 'dan'] },
+    ]);
+  });
+
+  it('should seat team members in their team\'s seat and everyone else in their own', () => {
+    const config = { teams: [{ seatId: 'ben', playerIds: ['ben', 'amy'] }] };
+
+    expect(getSeatId(config, 'amy')).toBe('ben');
+    expect(getSeatId(config, 'ben')).toBe('ben');
+    expect(getSeatId(config, 'eve')).toBe('eve');
+    expect(getSeatId({}, 'amy')).toBe('amy');
+  });
+
+  it('should give each team one turn, where its first member was drawn', () => {
+    const teams = [{ seatId: 'ben', playerIds: ['ben', 'amy'] }];
+
+    expect(toSeatTurnOrder(['eve', 'amy', 'fay', 'ben'], teams)).toEqual(['eve', 'ben', 'fay']);
+  });
+});
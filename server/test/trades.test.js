@@ -0,0 +1,69 @@
+/**
+ * Unit tests for post-game trades (utils/trades.js)
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { db } from '../config/firebase-admin.js';
+import { TRADE_STATUSES, closeTrade, proposeTrade } from '../utils/trades.js';
+
+vi.mock('../config/firebase-admin.js', async () => {
+  const { createFakeFirestore } = await import('./support/fake-firestore.js');
+  return { db: createFakeFirestore() };
+});
+
+const partyId = 'party-1';
+const config = { tradeWindowMinutes: 30 };
+const party = { status: 'ENDED', endedAt: new Date('2026-12-18T21:00:00Z') };
+
+describe('trades', () => {
+  const winnerOf = (giftId) => db.docs.get(`gifts/${giftId}`).winnerId;
+  const tradeStatus = (tradeId) => db.docs.get(`parties/${partyId}/trades/${tradeId}`).status;
+  const offer = (seatId, offeredGiftId, requestedGiftId) =>
+    proposeTrade({ partyId, party, config, userId: seatId, seatId, offeredGiftId, requestedGiftId });
+  const answer = (seatId, tradeId, status) =>
+    closeTrade({ partyId, party, config, userId: seatId, seatId, tradeId, status });
+
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2026-12-18T21:10:00Z'));
+    db.docs.clear();
+    db.docs.set('gifts/g1', { partyId, winnerId: 'p1' });
+    db.docs.set('gifts/g2', { partyId, winnerId: 'p2' });
+    db.docs.set('gifts/g3', { partyId, winnerId: 'p3' });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should swap the two gifts when the other player accepts, and close other offers for them', async () => {
+    const tradeId = await offer('p1', 'g1', 'g2');
+    const otherTradeId = await offer('p3', 'g3', 'g2');
+
+    await answer('p2', tradeId, TRADE_STATUSES.ACCEPTED);
+
+    expect([winnerOf('g1'), winnerOf('g2'), winnerOf('g3')]).toEqual(['p2', 'p1', 'p3']);
+    expect(tradeStatus(tradeId)).toBe(TRADE_STATUSES.ACCEPTED);
+    expect(tradeStatus(otherTradeId)).toBe(TRADE_STATUSES.CANCELLED);
+    await expect(answer('p2', tradeId, TRADE_STATUSES.ACCEPTED)).rejects.toThrow('This trade is no longer open');
+  });
+
+  it('should only let the player who was offered a trade answer it', async () => {
+    const tradeId = await offer('p1', 'g1', 'g2');
+
+    await expect(answer('p1', tradeId, TRADE_STATUSES.ACCEPTED)).rejects.toMatchObject({ status: 403 });
+    await expect(offer('p1', 'g2', 'g3')).rejects.toThrow('You can only offer a gift you won');
+    await expect(offer('p1', 'g1', 'g2')).rejects.toThrow('You have already offered this trade');
+  });
+
+  it('should not accept a trade once the window has closed, but still let it be declined', async () => {
+    const tradeId = await offer('p1', 'g1', 'g2');
+    vi.setSystemTime(new Date('2026-12-18T21:30:00Z'));
+
+    await expect(answer('p2', tradeId, TRADE_STATUSES.ACCEPTED)).rejects.toThrow('The trading window has closed');
+    expect([winnerOf('g1'), winnerOf('g2')]).toEqual(['p1', 'p2']);
+
+    await answer('p2', tradeId, TRADE_STATUSES.DECLINED);
+    expect(tradeStatus(tradeId)).toBe(TRADE_STATUSES.DECLINED);
+    await expect(offer('p3', 'g3', 'g1')).rejects.toThrow('The trading window has closed');
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * Unit tests for lobby turn order modes (utils/turn-order.js)
+ */
+import { describe, it, expect } from 'vitest';
+import {
+  TURN_ORDER_MODES,
+  drawTurnNumber,
+  getTurnOrderFromNumbers,
+  resolveTurnOrderMode,
+} from '../utils/turn-order.js';
+
+describe('turn order', () => {
+  it('should default to a random order', () => {
+    expect(resolveTurnOrderMode(undefined)).toBe(TURN_ORDER_MODES.RANDOM);
+    expect(resolveTurnOrderMode({ turnOrderMode: 'alphabetical' })).toBe(TURN_ORDER_MODES.RANDOM);
+    expect(resolveTurnOrderMode({ turnOrderMode: 'draw' })).toBe(TURN_ORDER_MODES.DRAW);
+  });
+
+  it('should play a set order by turn number', () => {
+    const participants = [
+      { id: 'p1', turnNumber: 3 },
+      { id: 'p2', turnNumber: 1 },
+      { id: 'p3', turnNumber: 2 },
+    ];
+
+    expect(getTurnOrderFromNumbers(participants)).toEqual({ turnOrder: ['p2', 'p3', 'p1'], error: null });
+  });
+
+  it('should not start until every participant has their own number', () => {
+    expect(getTurnOrderFromNumbers([{ id: 'p1', turnNumber: 1 }, { id: 'p2', turnNumber: null }])).toEqual({
+      turnOrder: null,
+      error: '1 participant(s) don\'t have a turn number yet',
+    });
+    expect(getTurnOrderFromNumbers([{ id: 'p1', turnNumber: 1 }, { id: 'p2', turnNumber: 1 }]).error)
+      .toBe('Two participants have the same turn number');
+  });
+
+  it('should draw each number from the hat once', () => {
+    const participants = [
+      { id: 'p1', turnNumber: null },
+      { id: 'p2', turnNumber: null },
+      { id: 'p3', turnNumber: null },
+    ];
+
+    participants.forEach((participant) => {
+      participant.turnNumber = drawTurnNumber(participants, participant.id);
+    });
+
+    expect(participants.map(({ turnNumber }) => turnNumber).sort()).toEqual([1, 2, 3]);
+  });
+
+  it('should put a participant\'s own number back when they draw again', () => {
+    const participants = [
+      { id: 'p1', turnNumber: 1 },
+      { id: 'p2', turnNumber: 2 },
+    ];
+
+    expect(drawTurnNumber(participants, 'p2')).toBe(2);
+    expect(drawTurnNumber([...participants, { id: 'p3', turnNumber: 3 }], 'p4')).toBeNull();
+  });
+});
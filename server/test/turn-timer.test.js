@@ -0,0 +1,141 @@
+/**
+ * Unit tests for turn timeouts (utils/turn-timer.js)
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import redisClient from '../utils/redis.js';
+import { db } from '../config/firebase-admin.js';
+import { GameEngine } from '../engine.js';
+import { createInitialGameState } from '../event-log.js';
+import { TURN_DEADLINES_KEY, loadGameState, saveGameState } from '../utils/game-state-persistence.js';
+import { expireTurn, startTurnTimerPoller } from '../utils/turn-timer.js';
+import { checkAndMakeBotMove } from '../utils/bot-utils.js';
+import { persistGameResults } from '../utils/game-results.js';
+
+vi.mock('../utils/redis.js', async () => {
+  const { createFakeRedis } = await import('./support/fake-redis.js');
+  return { default: createFakeRedis() };
+});
+
+vi.mock('../config/firebase-admin.js', async () => {
+  const { createFakeFirestore } = await import('./support/fake-firestore.js');
+  return { db: createFakeFirestore() };
+});
+
+vi.mock('../utils/bot-utils.js', () => ({
+  checkAndMakeBotMove: vi.fn(async () => {}),
+  stopBotRefreshSimulation: vi.fn(),
+}));
+
+vi.mock('../utils/game-results.js', () => ({
+  persistGameResults: vi.fn(async () => {}),
+}));
+
+const partyId = 'party-1';
+const config = { maxSteals: 3, variant: 'standard', turnTimeoutSeconds: 30 };
+
+describe('turn timer', () => {
+  let io;
+
+  // Game whose first turn started a minute ago, so p1's 30 seconds are up
+  const startOverdueGame = async () => {
+    const gameState = createInitialGameState({
+      partyId,
+      turnOrder: ['p1', 'p2', 'p3'],
+      turnQueue: ['p1', 'p2', 'p3', 'p1'],
+      wrappedGifts: ['g1', 'g2', 'g3'],
+      config,
+      startedAt: Date.now() - 60000,
+    });
+    await saveGameState(partyId, gameState);
+    return gameState;
+  };
+
+  const scheduledParties = () => [...redisClient.sortedSets.get(TURN_DEADLINES_KEY)?.keys() ?? []];
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.useFakeTimers({ toFake: ['setTimeout', 'setInterval', 'clearInterval'] });
+    redisClient.store.clear();
+    redisClient.sortedSets.clear();
+    db.docs.clear();
+    db.docs.set(`parties/${partyId}`, { status: 'ACTIVE' });
+    vi.clearAllMocks();
+    io = { emitted: [], to: (room) => ({ emit: (event, payload) => io.emitted.push({ room, event, payload }) }) };
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('should pick a random gift for a player whose turn ran out', async () => {
+    await startOverdueGame();
+    expect(scheduledParties()).toEqual([partyId]);
+
+    await expireTurn(partyId, io);
+
+    const state = await loadGameState(partyId);
+    expect(state.unwrappedGifts).toHaveLength(1);
+    expect(state.unwrappedGifts[0][1].ownerId).toBe('p1');
+    expect(state.currentPlayerId).toBe('p2');
+    expect(state.history.map(({ type }) => type)).toEqual(['TIMEOUT', 'PICK']);
+    expect(state.turnDeadline).toBeGreaterThan(Date.now());
+    expect(scheduledParties()).toEqual([partyId]);
+    expect(io.emitted.map(({ event }) => event)).toEqual(['game-updated', 'turn-timed-out']);
+    expect(io.emitted[1].payload).toMatchObject({ partyId, playerId: 'p1', move: { type: 'PICK' } });
+
+    vi.runAllTimers();
+    expect(checkAndMakeBotMove).toHaveBeenCalledTimes(1);
+  });
+
+  it('should persist the results when the timeout move ends the game', async () => {
+    const gameState = await startOverdueGame();
+    const engine = new GameEngine(gameState, config);
+    engine.pickGift('g1', 'p1');
+    engine.pickGift('g2', 'p2');
+    const lastTurn = engine.pickGift('g3', 'p3');
+    await saveGameState(partyId, { ...lastTurn, turnDeadline: Date.now() - 1000 });
+
+    await expireTurn(partyId, io);
+
+    expect((await loadGameState(partyId)).phase).toBe('ENDED');
+    expect(scheduledParties()).toEqual([]);
+    expect(persistGameResults).toHaveBeenCalledWith(partyId, expect.objectContaining({ phase: 'ENDED' }), io);
+  });
+
+  it('should let the player\'s own move win when it lands first', async () => {
+    const gameState = await startOverdueGame();
+    const playerMove = new GameEngine(structuredClone(gameState), config).pickGift('g2', 'p1');
+    // The player's pick is saved while the server is working out the timeout move
+    const evalScript = redisClient.eval.bind(redisClient);
+    vi.spyOn(redisClient, 'eval').mockImplementationOnce(async (...args) => {
+      await saveGameState(partyId, playerMove, null, { expectedVersion: gameState.stateVersion });
+      return evalScript(...args);
+    });
+
+    await expireTurn(partyId, io);
+
+    const state = await loadGameState(partyId);
+    expect(state.unwrappedGifts).toEqual([['g2', expect.objectContaining({ ownerId: 'p1' })]]);
+    expect(state.history.map(({ type }) => type)).toEqual(['PICK']);
+    expect(io.emitted).toEqual([]);
+  });
+
+  it('should stop retrying a timeout move the engine rejects', async () => {
+    await startOverdueGame();
+    const pickGift = vi.spyOn(GameEngine.prototype, 'pickGift').mockImplementation(() => {
+      throw new Error('Corrupted gift list');
+    });
+
+    const poller = startTurnTimerPoller(io);
+    await vi.advanceTimersByTimeAsync(3000);
+    clearInterval(poller);
+
+    expect(pickGift).toHaveBeenCalledTimes(1);
+    expect(scheduledParties()).toEqual([]);
+    expect((await loadGameState(partyId)).history).toEqual([]);
+    expect(io.emitted).toEqual([]);
+  });
+});
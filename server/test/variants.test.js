@@ -0,0 +1,82 @@
+/**
+ * Unit tests for the game variant registry (variants/index.js)
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  DEFAULT_VARIANT_ID,
+  getGiftsPerPlayer,
+  getVariant,
+  hasVariant,
+  listVariants,
+  registerVariant,
+  resolveVariant,
+  resolveVariantId,
+} from '../variants/index.js';
+
+describe('variant registry', () => {
+  it('should register the standard and boomerang variants', () => {
+    expect(listVariants().map(({ id }) => id)).toEqual(['standard', 'boomerang']);
+    expect(DEFAULT_VARIANT_ID).toBe('standard');
+  });
+
+  it('should fall back to returnToStart for configs without a variant', () => {
+    expect(resolveVariantId({})).toBe('standard');
+    expect(resolveVariantId({ returnToStart: true })).toBe('boomerang');
+    expect(resolveVariantId({ variant: 'standard', returnToStart: true })).toBe('standard');
+  });
+
+  it('should reject unknown and malformed variants', () => {
+    expect(() => getVariant('musical-chairs')).toThrow('Unknown game variant: musical-chairs');
+    expect(() => registerVariant({ id: 'no-queue' })).toThrow('registerVariant');
+    expect(hasVariant('no-queue')).toBe(false);
+  });
+
+  it('should build each variant\'s turn queue', () => {
+    const players = ['p1', 'p2', 'p3'];
+
+    expect(getVariant('standard').generateTurnQueue(players, 1)).toEqual(['p1', 'p2', 'p3', 'p1']);
+    expect(getVariant('boomerang').generateTurnQueue(players, 1)).toEqual(['p1', 'p2', 'p3', 'p3', 'p2', 'p1']);
+    expect(getVariant('standard').generateTurnQueue(players, 2)).toEqual(['p1', 'p2', 'p3', 'p1', 'p2', 'p3', 'p1']);
+    expect(resolveVariant({ returnToStart: true }).id).toBe('boomerang');
+    expect(getGiftsPerPlayer({})).toBe(1);
+  });
+
+  describe('house rules', () => {
+    // A fresh registry per test, so a house rule never leaks into other suites
+    beforeEach(() => {
+      vi.resetModules();
+    });
+
+    it('should play a registered house rule', async () => {
+      const registry = await import('../variants/index.js');
+      const { GameEngine } = await import('../engine.js');
+      const { createInitialGameState } = await import('../event-log.js');
+      registry.registerVariant({
+        ...registry.getVariant('standard'),
+        id: 'last-first',
+        name: 'Last First',
+        generateTurnQueue: (turnOrder) => [...turnOrder].reverse(),
+      });
+      const config = { maxSteals: 3, variant: 'last-first' };
+      const turnOrder = ['p1', 'p2', 'p3'];
+
+      const engine = new GameEngine(createInitialGameState({
+        partyId: 'test-party',
+        turnOrder,
+        turnQueue: registry.resolveVariant(config).generateTurnQueue(turnOrder, 1),
+        wrappedGifts: ['g1', 'g2', 'g3'],
+        config,
+      }), config);
+
+      expect(engine.turnQueue).toEqual(['p3', 'p2', 'p1']);
+      expect(engine.calculateActivePlayer()).toBe('p3');
+      expect(engine.pickGift('g1', 'p3').currentPlayerId).toBe('p2');
+    });
+
+    it('should not keep house rules registered by other tests', async () => {
+      const registry = await import('../variants/index.js');
+
+      expect(registry.hasVariant('last-first')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Blind Steal - per-player views of the game state (config.blindSteal)
+ *
+ * In a blind game only a gift's current holder learns what it is; everyone else
+ * sees an opaque card with its steal count. Gift details never go into the saved
+ * game state (the party doc is publicly readable), so each socket in the party
+ * room gets its own copy of the state with details for the gifts its player holds.
+ * Once the game has ended everyone gets the same state again.
+ */
+import { db } from '../config/firebase-admin.js';
+import { getSeatId } from './teams.js';
+
+// partyId -> Map of giftId -> { title, image, url, price }
+const giftDetailsCache = new Map();
+
+/**
+ * Whether gifts are currently hidden from players who don't hold them
+ * @param {Object} gameState
+ * @returns {boolean}
+ */
+export function isBlindGame(gameState) {
+  return Boolean(gameState?.config?.blindSteal) && gameState.phase !== 'ENDED';
+}
+
+/**
+ * Load the party's gift details, re-reading Firestore when a gift is missing
+ * (late arrivals bring gifts created after the cache was filled)
+ * @param {string} partyId
+ * @param {string[]} giftIds - Gifts that must be in the result
+ * @returns {Promise<Map>} giftId -> details
+ */
+async function loadGiftDetails(partyId, giftIds) {
+  let details = giftDetailsCache.get(partyId);
+  if (!details || giftIds.some((giftId) => !details.has(giftId))) {
+    const snapshot = await db.collection('gifts').where('partyId', '==', partyId).get();
+    details = new Map(snapshot.docs.map((doc) => {
+      const { title = null, image = null, url = null, price = null } = doc.data();
+      return [doc.id, { title, image, url, price }];
+    }));
+    giftDetailsCache.set(partyId, details);
+  }
+  return details;
+}
+
+/**
+ * Drop a party's cached gift details (game ended or reset)
+ * @param {string} partyId
+ */
+export function forgetGiftDetails(partyId) {
+  giftDetailsCache.delete(partyId);
+}
+
+// Copy of the state carrying details ([giftId, details] entries) for the gifts playerId holds
+function viewFor(gameState, playerId, details) {
+  const giftDetails = gameState.unwrappedGifts
+    .filter(([giftId, gift]) => gift.ownerId === playerId && details.has(giftId))
+    .map(([giftId]) => [giftId, details.get(giftId)]);
+  return { ...gameState, giftDetails };
+}
+
+/**
+ * Game state as one player may see it
+ * Team members see what their seat holds.
+ * @param {Object} gameState
+ * @param {string} userId
+ * @returns {Promise<Object>} The state itself, or the player's view in a blind game
+ */
+export async function getGameStateView(gameState, userId) {
+  if (!isBlindGame(gameState)) {
+    return gameState;
+  }
+  const playerId = getSeatId(gameState.config, userId);
+  const heldGiftIds = gameState.unwrappedGifts
+    .filter(([, gift]) => gift.ownerId === playerId)
+    .map(([giftId]) => giftId);
+  return viewFor(gameState, playerId, await loadGiftDetails(gameState.partyId, heldGiftIds));
+}
+
+/**
+ * Send a game state to everyone in the party room
+ * Blind games send each socket its own view instead of one shared payload.
+ * @param {Object} io - Socket.IO server
+ * @param {string} partyId
+ * @param {string} event - e.g. 'game-updated'
+ * @param {Object} gameState
+ */
+export async function emitGameState(io, partyId, event, gameState) {
+  const roomName = `party:${partyId}`;
+  if (!isBlindGame(gameState)) {
+    io.to(roomName).emit(event, gameState);
+    return;
+  }
+  const details = await loadGiftDetails(partyId, gameState.unwrappedGifts.map(([giftId]) => giftId));
+  for (const socketId of io.sockets.adapter.rooms.get(roomName) || []) {
+    const socket = io.sockets.sockets.get(socketId);
+    if (socket) {
+      socket.emit(event, viewFor(gameState, getSeatId(gameState.config, socket.userId), details));
+    }
+  }
+}
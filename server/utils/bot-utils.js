@@ -2,9 +2,11 @@
  * Bot Auto-Play Utilities
  */
 import redisClient from './redis.js';
-import { loadGameState, saveGameState } from './game-state-persistence.js';
-import { db } from '../config/firebase-admin.js';
-import admin from 'firebase-admin';
+import { loadGameState, saveGameState, isStateConflict } from './game-state-persistence.js';
+import { emitGameState } from './blind-steal.js';
+import { persistGameResults } from './game-results.js';
+import { GameEngine, isPlayablePhase } from '../engine.js';
+import { getGiftsPerPlayer } from '../variants/index.js';
 
 // Track active bot move timers to prevent duplicate moves
 const activeBotTimers = new Map();
@@ -23,10 +25,10 @@ const BOT_REFRESH_INTERVAL_MAX = 120000; // 2 minutes maximum between refreshes
 const BOT_REFRESH_PROBABILITY = 0.3; // 30% chance of refresh per interval
 
 /**
- * Clear all bot timers and state for a party (for recovery/reset)
+ * Cancel scheduled bot moves for a party (e.g. after an admin rewinds the game)
+ * @returns {number} Number of timers cancelled
  */
-export function clearBotState(partyId) {
-  // Clear all timers for this party
+export function cancelPendingBotMoves(partyId) {
   const keysToDelete = [];
   for (const key of activeBotTimers.keys()) {
     if (key.startsWith(`${partyId}:`)) {
@@ -35,6 +37,15 @@ export function clearBotState(partyId) {
     }
   }
   keysToDelete.forEach(key => activeBotTimers.delete(key));
+  return keysToDelete.length;
+}
+
+/**
+ * Clear all bot timers and state for a party (for recovery/reset)
+ */
+export function clearBotState(partyId) {
+  // Clear all timers for this party
+  const clearedTimers = cancelPendingBotMoves(partyId);
   
   // Clear attempt counters
   const attemptKeysToDelete = [];
@@ -55,7 +66,7 @@ export function clearBotState(partyId) {
   }
   refreshKeysToDelete.forEach(key => botRefreshTimers.delete(key));
   
-  console.log(`🧹 Cleared bot state for party ${partyId} (${keysToDelete.length} timers, ${attemptKeysToDelete.length} attempts, ${refreshKeysToDelete.length} refresh timers)`);
+  console.log(`🧹 Cleared bot state for party ${partyId} (${clearedTimers} timers, ${attemptKeysToDelete.length} attempts, ${refreshKeysToDelete.length} refresh timers)`);
 }
 
 /**
@@ -68,232 +79,96 @@ export function isBot(userId) {
 /**
  * Bot decision-making: Choose whether to pick or steal
  * Strategy: 50% chance to steal, 50% chance to pick wrapped gift (when both options available)
- * Handles boomerang phase where bots with gifts can swap
+ * The bot only chooses among the moves GameEngine.getLegalMoves allows, so every house rule
+ * (steal quotas and caps, no-steal groups, forbidOwnGift, gift pools, the swap phase) applies to it as-is.
+ * In the last-chance round, bots swap for a random unlocked gift half the time and keep their gift otherwise
  */
 export function botMakeDecision(gameState) {
-  const { wrappedGifts, unwrappedGifts, currentPlayerId, currentTurnIndex, turnOrder, config, currentVictim } = gameState;
-  const unwrappedMap = new Map(unwrappedGifts);
-
-  // Check if bot already has a gift
-  const botHasGift = (() => {
-    for (const [_, gift] of unwrappedMap.entries()) {
-      if (gift.ownerId === currentPlayerId) {
-        return true;
-      }
-    }
-    return false;
-  })();
+  const config = gameState.config || { maxSteals: 3, returnToStart: false };
+  const engine = new GameEngine(gameState, config);
+  const botId = engine.calculateActivePlayer();
+  const { pickableGiftIds, stealableGiftIds } = engine.getLegalMoves(botId);
+  const canPick = pickableGiftIds.length > 0;
+  const canSteal = stealableGiftIds.length > 0;
+  const pick = () => ({ action: 'pick', giftId: pickableGiftIds[Math.floor(Math.random() * pickableGiftIds.length)] });
+  const steal = () => ({ action: 'steal', giftId: stealableGiftIds[Math.floor(Math.random() * stealableGiftIds.length)] });
+  const skip = { action: 'skip' };
+
+  // Last-chance swap round: swap half the time, otherwise keep the gift
+  if (engine.lastChance) {
+    return canSteal && Math.random() < 0.5 ? steal() : skip;
+  }
+
+  // Check if bot already has a gift - every gift it should hold by now (config.giftsPerPlayer)
+  const botHasGift = engine.hasFullHand(botId);
 
   // CRITICAL: Check if bot is a victim (was stolen from)
   // Per GAME_RULES.md Rule 6: Victims who have no gift MUST pick a new gift (cannot skip)
-  const isVictim = currentVictim === currentPlayerId;
-  
-  // If bot is a victim and has no gift, they MUST pick a wrapped gift (cannot skip)
-  if (isVictim && !botHasGift) {
-    if (wrappedGifts && wrappedGifts.length > 0) {
-      const randomGift = wrappedGifts[Math.floor(Math.random() * wrappedGifts.length)];
-      return { action: 'pick', giftId: randomGift };
+  if (engine.currentVictim === botId && !botHasGift) {
+    if (canPick) {
+      return pick();
     }
     // If no wrapped gifts, victim can try to steal
-    // (But they should not skip - that would be invalid)
-    const stealableGifts = [];
-    for (const [giftId, gift] of unwrappedMap.entries()) {
-      if (!gift.isFrozen && gift.ownerId !== currentPlayerId) {
-        if (gift.lastOwnerId !== currentPlayerId) {
-          stealableGifts.push(giftId);
-        }
-      }
-    }
-    if (stealableGifts.length > 0) {
-      const randomGift = stealableGifts[Math.floor(Math.random() * stealableGifts.length)];
-      return { action: 'steal', giftId: randomGift };
+    if (canSteal) {
+      return steal();
     }
     // No legal moves - this is a deadlock (Rule 10 exception allows skip)
-    // But this should be rare - log a warning
-    console.warn(`⚠️ Victim bot ${currentPlayerId} has no gift and no legal moves - allowing skip to prevent deadlock`);
-    return { action: 'skip' };
+    console.warn(`⚠️ Victim bot ${botId} has no gift and no legal moves - allowing skip to prevent deadlock`);
+    return skip;
   }
 
-  // Check if currentTurnIndex is out of bounds (queue exhausted)
-  const turnQueueLength = gameState.turnQueue?.length || 0;
-  const isQueueExhausted = currentTurnIndex >= turnQueueLength;
-  
-  // Check if we're in boomerang phase (second half of turn queue)
-  // CRITICAL: Boomerang phase only exists if returnToStart is enabled
-  const returnToStart = config?.returnToStart || false;
-  const isBoomerangPhase = returnToStart && (
-    gameState.isBoomerangPhase || 
-    (currentTurnIndex >= (turnOrder?.length || 0))
-  );
-
   // CRITICAL: If queue is exhausted but wrapped gifts remain, bot MUST pick a wrapped gift
   // This prevents the game from getting stuck in an infinite loop
-  if (isQueueExhausted && wrappedGifts && wrappedGifts.length > 0) {
-    // Bot can pick a wrapped gift even if they have a gift (to claim all gifts)
-    const randomGift = wrappedGifts[Math.floor(Math.random() * wrappedGifts.length)];
-    return { action: 'pick', giftId: randomGift };
+  if (engine.currentTurnIndex >= engine.turnQueue.length && canPick) {
+    return pick();
   }
 
-  // If bot has a gift and we're in standard phase, check if bot can act
-  // Per GAME_RULES.md Rule 10: Players can only skip if they have a gift they like
-  // In Standard Phase, players with gifts can only skip if:
-  // - They are Player 1 on Final Turn (bookend exception), OR
-  // - They are a victim with a gift from exchange and no legal moves
-  if (botHasGift && !isBoomerangPhase) {
-    // Check if this is Player 1's final turn (bookend exception)
-    const isLastIndex = currentTurnIndex === (turnQueueLength - 1);
-    const isPlayer1 = turnOrder && turnOrder[0] === currentPlayerId;
-    const isPlayer1FinalTurn = isLastIndex && isPlayer1;
-    
-    // Check if bot is a victim (received gift from exchange)
-    const isVictim = gameState.currentVictim === currentPlayerId;
-    
-    // Check if there are wrapped gifts remaining (Exception 2: can pick to claim all gifts)
-    const hasWrappedGifts = wrappedGifts && wrappedGifts.length > 0;
-    
-    // If Player 1 final turn OR wrapped gifts remain, bot can act
-    if (isPlayer1FinalTurn || hasWrappedGifts) {
-      // Bot can pick a wrapped gift even though they have a gift
-      if (hasWrappedGifts && wrappedGifts.length > 0) {
-        const randomGift = wrappedGifts[Math.floor(Math.random() * wrappedGifts.length)];
-        return { action: 'pick', giftId: randomGift };
-      }
-      
-      // If Player 1 final turn and no wrapped gifts, try to steal
-      if (isPlayer1FinalTurn && (!hasWrappedGifts || wrappedGifts.length === 0)) {
-        // Find stealable gifts (not frozen, not owned by bot, and not U-Turn violation)
-        const stealableGifts = [];
-        for (const [giftId, gift] of unwrappedMap.entries()) {
-          if (!gift.isFrozen && gift.ownerId !== currentPlayerId) {
-            // Check U-Turn rule: can't steal back immediately
-            if (gift.lastOwnerId !== currentPlayerId) {
-              stealableGifts.push(giftId);
-            }
-          }
-        }
-        
-        if (stealableGifts.length > 0) {
-          // Player 1 final turn: try to steal
-          const randomGift = stealableGifts[Math.floor(Math.random() * stealableGifts.length)];
-          return { action: 'steal', giftId: randomGift };
-        }
-      }
-    }
-    
-    // Check if bot is a victim with no legal moves (deadlock prevention)
-    let hasLegalMoves = false;
-    if (isVictim) {
-      if (hasWrappedGifts) {
-        hasLegalMoves = true;
-      } else {
-        // Check if bot can steal
-        for (const [giftId, gift] of unwrappedMap.entries()) {
-          if (!gift.isFrozen && gift.ownerId !== currentPlayerId) {
-            if (gift.lastOwnerId !== currentPlayerId) {
-              hasLegalMoves = true;
-              break;
-            }
-          }
-        }
-      }
-    }
-    
-    // In Standard Phase, bot can skip if:
-    // - Player 1 on Final Turn (only if no stealable gifts available), OR
-    // - Victim with gift from exchange and no legal moves (deadlock prevention)
-    if (isPlayer1FinalTurn || (isVictim && !hasLegalMoves)) {
-      return { action: 'skip' }; // Bot can skip (has gift they like)
-    }
-    
-    // Otherwise, bot should not skip - they should try to act
-    // This shouldn't happen in normal gameplay, but log a warning
-    console.warn(`⚠️ Bot ${currentPlayerId} has a gift in Standard Phase but cannot skip (not Player 1 Final Turn and not victim with no legal moves). This may indicate a logic error.`);
-    // Fall through to try other actions
-  }
-
-  // If bot has a gift and we're in boomerang phase, bot MUST steal (swap)
-  if (botHasGift && isBoomerangPhase) {
-    // Find stealable gifts (not frozen, not owned by bot, and not U-Turn violation)
-    const stealableGifts = [];
-    for (const [giftId, gift] of unwrappedMap.entries()) {
-      if (!gift.isFrozen && gift.ownerId !== currentPlayerId) {
-        // Check U-Turn rule: can't steal back immediately
-        if (gift.lastOwnerId !== currentPlayerId) {
-          stealableGifts.push(giftId);
-        }
-      }
-    }
-    
-    if (stealableGifts.length > 0) {
-      const randomGift = stealableGifts[Math.floor(Math.random() * stealableGifts.length)];
-      return { action: 'steal', giftId: randomGift };
+  if (botHasGift) {
+    // Outside the swap phase, the bot opens a wrapped gift while they are to spare, steals on
+    // Player 1's final turn (or a chaos extra turn), and otherwise keeps its gift (Rule 10)
+    if (!engine.isSwapPhase() && canPick) {
+      return pick();
     }
-    
-    // No stealable gifts - bot must skip (all gifts frozen or U-Turn violations)
-    return { action: 'skip' };
+    // In the swap phase the bot swaps whenever it can
+    return canSteal ? steal() : skip;
   }
 
   // Bot doesn't have a gift - can pick or steal
-  // RULE 9: Wrapped Gift Claiming (Unwrap Before Final Turn)
-  // Per GAME_RULES.md Rule 9: If bot has NO gift and wrapped gifts remain, bot MUST pick wrapped gift (cannot steal)
-  const isLastIndex = currentTurnIndex === (turnQueueLength - 1);
-  const isPlayer1 = turnOrder && turnOrder[0] === currentPlayerId;
-  const isPlayer1FinalTurn = isLastIndex && isPlayer1;
-  const hasWrappedGifts = wrappedGifts && wrappedGifts.length > 0;
-  
-  // If bot has NO gift and wrapped gifts remain, bot MUST pick wrapped gift (cannot steal)
-  // Exception: If bot already has a gift (Boomerang phase), they can still steal
-  if (hasWrappedGifts && !isPlayer1FinalTurn && !botHasGift) {
-    const randomGift = wrappedGifts[Math.floor(Math.random() * wrappedGifts.length)];
-    return { action: 'pick', giftId: randomGift };
-  }
-  
-  // Find stealable gifts (not frozen, not owned by bot, and not U-Turn violation)
-  const stealableGifts = [];
-  for (const [giftId, gift] of unwrappedMap.entries()) {
-    if (!gift.isFrozen && gift.ownerId !== currentPlayerId) {
-      // Check U-Turn rule: can't steal back immediately
-      if (gift.lastOwnerId !== currentPlayerId) {
-        stealableGifts.push(giftId);
-      }
-    }
+  // RULE 9: Wrapped Gift Claiming (Unwrap Before Final Turn) - pick while wrapped gifts remain,
+  // except on a turn where the bot may act while holding (e.g. Player 1's final turn)
+  if (canPick && !engine.canActWhileHolding(botId)) {
+    return pick();
   }
 
   // 50% chance to steal, 50% chance to pick (when both options available)
-  const hasBothOptions = stealableGifts.length > 0 && wrappedGifts.length > 0;
-  if (hasBothOptions) {
-    // Randomly choose between steal and pick (50/50)
-    if (Math.random() < 0.5) {
-      // Choose to steal
-      const randomGift = stealableGifts[Math.floor(Math.random() * stealableGifts.length)];
-      return { action: 'steal', giftId: randomGift };
-    } else {
-      // Choose to pick
-      const randomGift = wrappedGifts[Math.floor(Math.random() * wrappedGifts.length)];
-      return { action: 'pick', giftId: randomGift };
-    }
+  if (canPick && canSteal) {
+    return Math.random() < 0.5 ? steal() : pick();
   }
-  
-  // If only one option available, use it
-  if (stealableGifts.length > 0) {
-    const randomGift = stealableGifts[Math.floor(Math.random() * stealableGifts.length)];
-    return { action: 'steal', giftId: randomGift };
+  if (canSteal) {
+    return steal();
   }
-  
-  // Otherwise pick a wrapped gift
-  if (wrappedGifts.length > 0) {
-    const randomGift = wrappedGifts[Math.floor(Math.random() * wrappedGifts.length)];
-    return { action: 'pick', giftId: randomGift };
-  }
-
-  // Fallback: if no wrapped gifts, try to steal (even if less preferred)
-  if (stealableGifts.length > 0) {
-    const randomGift = stealableGifts[Math.floor(Math.random() * stealableGifts.length)];
-    return { action: 'steal', giftId: randomGift };
+  if (canPick) {
+    return pick();
   }
 
   // No valid move - bot should skip
-  return { action: 'skip' };
+  return skip;
+}
+
+/**
+ * Follow up a bot's move that ended the turn queue or was in the last-chance round: persist the
+ * results if it ended the game, otherwise hand over to the round's next player (swaps there start
+ * no steal chain)
+ */
+async function continueLastChance(partyId, newState, io) {
+  if (newState.phase === 'ENDED') {
+    stopBotRefreshSimulation(partyId);
+    await persistGameResults(partyId, newState, io);
+    return;
+  }
+  setTimeout(() => {
+    checkAndMakeBotMove(partyId, newState, io).catch(console.error);
+  }, 1000);
 }
 
 /**
@@ -322,7 +197,7 @@ export async function endBotTurn(partyId, io) {
     // Ensure partyId is set
     gameState.partyId = partyId;
     
-    if (gameState.phase !== 'ACTIVE') {
+    if (!isPlayablePhase(gameState.phase)) {
       return;
     }
 
@@ -336,75 +211,15 @@ export async function endBotTurn(partyId, io) {
     newState.partyId = partyId;
 
     // Save to both Redis and Firestore
-    await saveGameState(partyId, newState);
+    await saveGameState(partyId, newState, null, { expectedVersion: gameState.stateVersion });
 
     // Broadcast update
-    io.to(`party:${partyId}`).emit('game-updated', newState);
+    await emitGameState(io, partyId, 'game-updated', newState);
 
     // If game ended, persist winners to Firestore
     if (newState.phase === 'ENDED') {
-      const finalEngine = new GameEngine(newState, config);
-      const finalState = finalEngine.endGame();
-      
-      const finalOwnership = finalState.finalOwnership || {};
-      
-      const winnerToGiftMap = new Map();
-      const giftsToUpdate = [];
-      
-      for (const [giftId, winnerId] of Object.entries(finalOwnership)) {
-        if (winnerId && !winnerToGiftMap.has(winnerId)) {
-          winnerToGiftMap.set(winnerId, giftId);
-          giftsToUpdate.push({ giftId, winnerId });
-        }
-      }
-      
-      const assignedGiftIds = new Set(giftsToUpdate.map(g => g.giftId));
-      const allGiftsSnapshot = await db.collection('gifts').where('partyId', '==', partyId).get();
-      
-      for (const giftDoc of allGiftsSnapshot.docs) {
-        const giftId = giftDoc.id;
-        const giftData = giftDoc.data();
-        
-        if (assignedGiftIds.has(giftId)) {
-          const assignment = giftsToUpdate.find(g => g.giftId === giftId);
-          if (assignment) {
-            await db.collection('gifts').doc(giftId).update({
-              winnerId: assignment.winnerId,
-              updatedAt: new Date(),
-            });
-          }
-        } else {
-          if (giftData.winnerId) {
-            await db.collection('gifts').doc(giftId).update({
-              winnerId: null,
-              updatedAt: new Date(),
-            });
-          }
-        }
-      }
-      
-      const endedAt = admin.firestore.Timestamp.now();
-      await db.collection('parties').doc(partyId).update({
-        status: 'ENDED',
-        endedAt: endedAt, // Set retention timestamp for data cleanup
-        gameHistory: finalState.state.history || [],
-        updatedAt: new Date(),
-      });
-
-      // Update all gifts for this party with partyEndedAt timestamp for retention
-      const giftsForRetentionSnapshot = await db.collection('gifts').where('partyId', '==', partyId).get();
-      const giftRetentionBatch = db.batch();
-      giftsForRetentionSnapshot.docs.forEach((giftDoc) => {
-        giftRetentionBatch.update(giftDoc.ref, {
-          partyEndedAt: endedAt,
-          updatedAt: new Date(),
-        });
-      });
-      if (giftsForRetentionSnapshot.docs.length > 0) {
-        await giftRetentionBatch.commit();
-      }
-      
-      io.to(`party:${partyId}`).emit('game-ended', finalState);
+      stopBotRefreshSimulation(partyId);
+      await persistGameResults(partyId, newState, io);
     } else {
       // Check if next player is a bot and trigger their move
       // Add timeout protection
@@ -452,7 +267,7 @@ export async function checkAndMakeBotMove(partyId, gameState, io) {
     }
 
     // Check if game is active
-    if (gameState.phase !== 'ACTIVE') {
+    if (!isPlayablePhase(gameState.phase)) {
       return; // Game not active
     }
 
@@ -468,17 +283,9 @@ export async function checkAndMakeBotMove(partyId, gameState, io) {
       const finalState = checkEngine.endGame();
       finalState.state.config = gameState.config;
       
-      const { saveGameState } = await import('./game-state-persistence.js');
-      await saveGameState(partyId, finalState.state);
-      
-      // Update party status
-      await db.collection('parties').doc(partyId).update({
-        status: 'ENDED',
-        gameHistory: finalState.state.history || [],
-        updatedAt: new Date(),
-      });
-      
-      io.to(`party:${partyId}`).emit('game-ended', finalState);
+      await saveGameState(partyId, finalState.state, null, { expectedVersion: gameState.stateVersion });
+      stopBotRefreshSimulation(partyId);
+      await persistGameResults(partyId, finalState.state, io);
       return; // Game ended
     }
     
@@ -514,7 +321,7 @@ export async function checkAndMakeBotMove(partyId, gameState, io) {
         }
         
         // Double-check it's still this bot's turn
-        if (currentState.currentPlayerId !== currentPlayerId || currentState.phase !== 'ACTIVE') {
+        if (currentState.currentPlayerId !== currentPlayerId || !isPlayablePhase(currentState.phase)) {
           return; // Turn changed or game ended
         }
 
@@ -590,35 +397,16 @@ export async function checkAndMakeBotMove(partyId, gameState, io) {
       // Check if game should end before trying to recover
       const { GameEngine } = await import('../engine.js');
       const checkState = await loadGameState(partyId);
-      if (checkState && checkState.phase === 'ACTIVE') {
+      if (checkState && isPlayablePhase(checkState.phase)) {
         const checkConfig = checkState.config || { maxSteals: 3, returnToStart: false };
         const checkEngine = new GameEngine(checkState, checkConfig);
         if (checkEngine.shouldGameEnd()) {
           // Game should end - trigger end game
           const finalState = checkEngine.endGame();
           finalState.state.config = checkState.config;
-          await saveGameState(partyId, finalState.state);
-          const endedAt = admin.firestore.Timestamp.now();
-          await db.collection('parties').doc(partyId).update({
-            status: 'ENDED',
-            endedAt: endedAt, // Set retention timestamp for data cleanup
-            gameHistory: finalState.state.history || [],
-            updatedAt: new Date(),
-          });
-
-          // Update all gifts for this party with partyEndedAt timestamp for retention
-          const allGiftsSnapshot = await db.collection('gifts').where('partyId', '==', partyId).get();
-          const giftUpdateBatch = db.batch();
-          allGiftsSnapshot.docs.forEach((giftDoc) => {
-            giftUpdateBatch.update(giftDoc.ref, {
-              partyEndedAt: endedAt,
-              updatedAt: new Date(),
-            });
-          });
-          if (allGiftsSnapshot.docs.length > 0) {
-            await giftUpdateBatch.commit();
-          }
-          io.to(`party:${partyId}`).emit('game-ended', finalState);
+          await saveGameState(partyId, finalState.state, null, { expectedVersion: checkState.stateVersion });
+          stopBotRefreshSimulation(partyId);
+          await persistGameResults(partyId, finalState.state, io);
           return;
         }
       }
@@ -635,15 +423,18 @@ export async function checkAndMakeBotMove(partyId, gameState, io) {
     newState.config = currentState.config;
 
     // Save to both Redis and Firestore
-    await saveGameState(partyId, newState);
+    await saveGameState(partyId, newState, null, { expectedVersion: currentState.stateVersion });
 
     // Broadcast update
-    io.to(`party:${partyId}`).emit('game-updated', newState);
+    await emitGameState(io, partyId, 'game-updated', newState);
 
     // CRITICAL: After a STEAL, the stealer's turn is OVER and the victim becomes active
     // Do NOT call endBotTurn - the victim is now active and will be handled by checkAndMakeBotMove
     // Only call endBotTurn for PICK actions (which advance the turn queue)
-    if (decision.action === 'pick') {
+    if (newState.lastChance || newState.phase === 'ENDED') {
+      // The move ended the game or the turn queue, or was a last-chance swap - nothing left to end
+      await continueLastChance(partyId, newState, io);
+    } else if (decision.action === 'pick') {
       // After PICK: end turn after a short delay (0.5-1.5 seconds)
       setTimeout(async () => {
         await endBotTurn(partyId, io);
@@ -655,10 +446,16 @@ export async function checkAndMakeBotMove(partyId, gameState, io) {
     }
 
       } catch (error) {
-        console.error(`❌ Error making bot move for ${currentPlayerId}:`, error);
-        console.error(`   Stack:`, error.stack);
         activeBotTimers.delete(timerKey);
         botMoveAttempts.delete(`${partyId}:${currentPlayerId}`);
+        // Another action saved first - its handler schedules the next bot check,
+        // so don't "recover" by ending whoever's turn it is now
+        if (isStateConflict(error)) {
+          console.log(`⏭️ Bot ${currentPlayerId} move superseded by a concurrent action`);
+          return;
+        }
+        console.error(`❌ Error making bot move for ${currentPlayerId}:`, error);
+        console.error(`   Stack:`, error.stack);
         // Try to recover by ending turn
         try {
           await endBotTurn(partyId, io);
@@ -699,7 +496,7 @@ export async function forceBotMove(partyId, io) {
     gameState.partyId = partyId;
 
     // Check if game is active
-    if (gameState.phase !== 'ACTIVE') {
+    if (!isPlayablePhase(gameState.phase)) {
       throw new Error('Game is not active');
     }
 
@@ -796,15 +593,18 @@ export async function forceBotMove(partyId, io) {
     newState.partyId = partyId;
 
     // Save to both Redis and Firestore
-    await saveGameState(partyId, newState);
+    await saveGameState(partyId, newState, null, { expectedVersion: gameState.stateVersion });
 
     // Broadcast update
-    io.to(`party:${partyId}`).emit('game-updated', newState);
+    await emitGameState(io, partyId, 'game-updated', newState);
 
     // CRITICAL: After a STEAL, the stealer's turn is OVER and the victim becomes active
     // Do NOT call endBotTurn - the victim is now active and will be handled separately
     // Only call endBotTurn for PICK actions (which advance the turn queue)
-    if (decision.action === 'pick') {
+    if (newState.lastChance || newState.phase === 'ENDED') {
+      // The move ended the game or the turn queue, or was a last-chance swap - nothing left to end
+      await continueLastChance(partyId, newState, io);
+    } else if (decision.action === 'pick') {
       // After PICK: end turn after a short delay (0.5-1.5 seconds)
       setTimeout(async () => {
         await endBotTurn(partyId, io);
@@ -852,7 +652,7 @@ export async function forceBotSteal(partyId, io) {
     gameState.partyId = partyId;
 
     // Check if game is active
-    if (gameState.phase !== 'ACTIVE') {
+    if (!isPlayablePhase(gameState.phase)) {
       throw new Error('Game is not active');
     }
 
@@ -875,9 +675,9 @@ export async function forceBotSteal(partyId, io) {
     const hasActed = turnActionMap.get(currentPlayerId);
     
     // Determine if we're in boomerang phase
-    // Boomerang phase: currentTurnIndex >= turnOrder.length AND returnToStart is enabled
+    // Boomerang phase: currentTurnIndex past the picking passes AND returnToStart is enabled
     const returnToStart = gameState.config?.returnToStart || false;
-    const isInSecondHalf = gameState.currentTurnIndex >= (gameState.turnOrder?.length || 0);
+    const isInSecondHalf = gameState.currentTurnIndex >= (gameState.turnOrder?.length || 0) * getGiftsPerPlayer(gameState.config);
     const isBoomerangPhase = returnToStart && isInSecondHalf;
     
     // Calculate Player 1's final turn (bookend exception)
@@ -900,11 +700,8 @@ export async function forceBotSteal(partyId, io) {
     
     // If they're a victim or have stale data, ensure turnAction is cleared
     // In boomerang phase, we allow stealing after acting, so we may need to clear stale turnAction
-    if (isVictim || (hasActed && (isBoomerangPhase || isPlayer1FinalTurn))) {
-      // Clear stale turnAction - the engine will handle setting it correctly
-      turnActionMap.set(currentPlayerId, null);
-      gameState.turnAction = Array.from(turnActionMap.entries());
-    }
+    // (cleared through the engine below so the reset is in the event log)
+    const resetStaleTurnAction = isVictim || (hasActed && (isBoomerangPhase || isPlayer1FinalTurn));
 
     // Find stealable gifts
     const unwrappedMap = new Map(gameState.unwrappedGifts);
@@ -931,6 +728,9 @@ export async function forceBotSteal(partyId, io) {
     const { GameEngine } = await import('../engine.js');
     const config = gameState.config || { maxSteals: 3, returnToStart: false };
     const engine = new GameEngine(gameState, config);
+    if (resetStaleTurnAction) {
+      engine.resetTurnAction(currentPlayerId);
+    }
     engine.stealGift(giftId, currentPlayerId);
 
     const newState = engine.getState();
@@ -939,10 +739,10 @@ export async function forceBotSteal(partyId, io) {
     newState.partyId = partyId;
 
     // Save to both Redis and Firestore
-    await saveGameState(partyId, newState);
+    await saveGameState(partyId, newState, null, { expectedVersion: gameState.stateVersion });
 
     // Broadcast update
-    io.to(`party:${partyId}`).emit('game-updated', newState);
+    await emitGameState(io, partyId, 'game-updated', newState);
 
     // After STEAL: victim becomes active, don't end turn
     console.log(`✅ Bot ${currentPlayerId} stole - victim ${newState.currentVictim} is now active`);
@@ -980,7 +780,7 @@ export async function forceBotSkip(partyId, io) {
     gameState.partyId = partyId;
 
     // Check if game is active
-    if (gameState.phase !== 'ACTIVE') {
+    if (!isPlayablePhase(gameState.phase)) {
       throw new Error('Game is not active');
     }
 
@@ -1003,11 +803,8 @@ export async function forceBotSkip(partyId, io) {
     }
     
     // If they're a victim or have stale data, ensure turnAction is cleared
-    if (isVictim || hasActed) {
-      // Clear stale turnAction - the engine will handle setting it correctly
-      turnActionMap.set(currentPlayerId, null);
-      gameState.turnAction = Array.from(turnActionMap.entries());
-    }
+    // (cleared through the engine below so the reset is in the event log)
+    const resetStaleTurnAction = isVictim || hasActed;
 
     console.log(`🤖 [FORCED SKIP] Bot ${currentPlayerId} skipping turn`);
 
@@ -1015,6 +812,9 @@ export async function forceBotSkip(partyId, io) {
     const { GameEngine } = await import('../engine.js');
     const config = gameState.config || { maxSteals: 3, returnToStart: false };
     const engine = new GameEngine(gameState, config);
+    if (resetStaleTurnAction) {
+      engine.resetTurnAction(currentPlayerId);
+    }
     engine.endTurn();
 
     const newState = engine.getState();
@@ -1023,10 +823,10 @@ export async function forceBotSkip(partyId, io) {
     newState.partyId = partyId;
 
     // Save to both Redis and Firestore
-    await saveGameState(partyId, newState);
+    await saveGameState(partyId, newState, null, { expectedVersion: gameState.stateVersion });
 
     // Broadcast update
-    io.to(`party:${partyId}`).emit('game-updated', newState);
+    await emitGameState(io, partyId, 'game-updated', newState);
 
     // Check if next player is a bot and trigger their move
     setTimeout(() => {
@@ -1070,7 +870,7 @@ export async function forceBotPick(partyId, io) {
     gameState.partyId = partyId;
 
     // Check if game is active
-    if (gameState.phase !== 'ACTIVE') {
+    if (!isPlayablePhase(gameState.phase)) {
       throw new Error('Game is not active');
     }
 
@@ -1105,11 +905,13 @@ export async function forceBotPick(partyId, io) {
     // If they're a victim or have stale data, ensure turnAction is cleared
     // CRITICAL: If we clear turnAction, we must save it even if we throw an error later
     // Otherwise, the cleared state is lost and subsequent force operations will fail
+    const { GameEngine } = await import('../engine.js');
+    const config = gameState.config || { maxSteals: 3, returnToStart: false };
+    const engine = new GameEngine(gameState, config);
     let clearedTurnAction = false;
     if (isVictim || hasActed) {
-      // Clear stale turnAction - the engine will handle setting it correctly
-      turnActionMap.set(currentPlayerId, null);
-      gameState.turnAction = Array.from(turnActionMap.entries());
+      // Clear stale turnAction through the engine so the reset is in the event log
+      engine.resetTurnAction(currentPlayerId);
       clearedTurnAction = true;
       // #region agent log
       fetch('http://localhost:7243/ingest/aa8b9df8-f732-4ee4-afb1-02470529209e',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'bot-utils.js:forceBotPick:cleared',message:'Cleared turnAction',data:{currentPlayerId,clearedTurnAction:gameState.turnAction},timestamp:Date.now(),sessionId:'debug-session',runId:'pre-fix',hypothesisId:'D'})}).catch(()=>{});
@@ -1128,24 +930,23 @@ export async function forceBotPick(partyId, io) {
         // #region agent log
         fetch('http://localhost:7243/ingest/aa8b9df8-f732-4ee4-afb1-02470529209e',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'bot-utils.js:forceBotPick:savingClearedState',message:'Saving cleared turnAction before throwing error',data:{currentPlayerId,turnAction:gameState.turnAction},timestamp:Date.now(),sessionId:'debug-session',runId:'pre-fix',hypothesisId:'D'})}).catch(()=>{});
         // #endregion
-        gameState.config = gameState.config || { maxSteals: 3, returnToStart: false };
-        await saveGameState(partyId, gameState);
+        const clearedState = engine.getState();
+        clearedState.config = config;
+        await saveGameState(partyId, clearedState, null, { expectedVersion: gameState.stateVersion });
         // Broadcast the cleared state so clients are updated
-        io.to(`party:${partyId}`).emit('game-updated', gameState);
+        await emitGameState(io, partyId, 'game-updated', clearedState);
       }
       
       throw new Error('No wrapped gifts available');
     }
 
-    // Pick a random wrapped gift
-    const giftId = gameState.wrappedGifts[Math.floor(Math.random() * gameState.wrappedGifts.length)];
+    // Pick a random wrapped gift (not the bot's own while others are wrapped - config.forbidOwnGift)
+    const pickableGiftIds = engine.getPickableGiftIds(currentPlayerId);
+    const giftId = pickableGiftIds[Math.floor(Math.random() * pickableGiftIds.length)];
 
     console.log(`🤖 [FORCED PICK] Bot ${currentPlayerId} picking gift ${giftId}`);
 
     // Execute pick
-    const { GameEngine } = await import('../engine.js');
-    const config = gameState.config || { maxSteals: 3, returnToStart: false };
-    const engine = new GameEngine(gameState, config);
     engine.pickGift(giftId, currentPlayerId);
 
     const newState = engine.getState();
@@ -1154,15 +955,20 @@ export async function forceBotPick(partyId, io) {
     newState.partyId = partyId;
 
     // Save to both Redis and Firestore
-    await saveGameState(partyId, newState);
+    await saveGameState(partyId, newState, null, { expectedVersion: gameState.stateVersion });
 
     // Broadcast update
-    io.to(`party:${partyId}`).emit('game-updated', newState);
+    await emitGameState(io, partyId, 'game-updated', newState);
 
-    // After PICK: end turn after a short delay
-    setTimeout(async () => {
-      await endBotTurn(partyId, io);
-    }, 500 + Math.random() * 1000);
+    if (newState.lastChance || newState.phase === 'ENDED') {
+      // The pick ended the game or the turn queue - nothing left to end
+      await continueLastChance(partyId, newState, io);
+    } else {
+      // After PICK: end turn after a short delay
+      setTimeout(async () => {
+        await endBotTurn(partyId, io);
+      }, 500 + Math.random() * 1000);
+    }
 
     return { success: true, action: 'pick', giftId };
 
@@ -1193,7 +999,7 @@ export async function simulateBotRefresh(partyId, botId, io) {
     }
 
     // Only simulate refresh if game is active
-    if (gameState.phase !== 'ACTIVE') {
+    if (!isPlayablePhase(gameState.phase)) {
       return;
     }
 
@@ -1214,7 +1020,7 @@ export async function simulateBotRefresh(partyId, botId, io) {
     if (room && room.size > 0) {
       console.log(`📤 [Bot Refresh] Sending game-state event to party room (${room.size} clients connected)`);
       // This will trigger the state version checking logic in the client
-      io.to(roomName).emit('game-state', gameState);
+      await emitGameState(io, partyId, 'game-state', gameState);
       console.log(`✅ [Bot Refresh] Game-state event sent for bot ${botId} refresh simulation`);
       console.log(`   State version: ${gameState.stateVersion || 'N/A'}, Updated: ${gameState.updatedAt || 'N/A'}`);
     } else {
@@ -1269,7 +1075,7 @@ export function scheduleBotRefreshSimulation(partyId, botIds, io) {
         // Schedule next refresh (only if game is still active)
         const { loadGameState } = await import('./game-state-persistence.js');
         const gameState = await loadGameState(partyId);
-        if (gameState && gameState.phase === 'ACTIVE') {
+        if (gameState && isPlayablePhase(gameState.phase)) {
           scheduleNextRefresh();
         }
       }, interval);
@@ -1301,3 +1107,24 @@ export function stopBotRefreshSimulation(partyId) {
   }
 }
 
+/**
+ * Freeze a party's bot timers while the game is paused
+ * Scheduled moves are dropped rather than held - resumeBotTimers schedules them again.
+ */
+export function pauseBotTimers(partyId) {
+  const cancelled = cancelPendingBotMoves(partyId);
+  stopBotRefreshSimulation(partyId);
+  console.log(`⏸️ Froze bot timers for party ${partyId} (${cancelled} pending moves)`);
+}
+
+/**
+ * Restart a party's bot timers after the game resumes
+ * @param {string} partyId - The party ID
+ * @param {Object} gameState - The resumed game state
+ * @param {Object} io - Socket.IO server
+ */
+export function resumeBotTimers(partyId, gameState, io) {
+  // Non-bots are skipped by the scheduler
+  scheduleBotRefreshSimulation(partyId, gameState.turnOrder || [], io);
+  checkAndMakeBotMove(partyId, gameState, io).catch(console.error);
+}
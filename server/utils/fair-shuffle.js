@@ -0,0 +1,105 @@
+/**
+ * Provably Fair Turn Order
+ *
+ * The turn order is a Fisher-Yates shuffle driven by a secret random seed. The
+ * SHA-256 hash of the seed is published when the game starts and the seed is
+ * revealed once the game ends, so any player can re-run the shuffle and check
+ * that the order wasn't rigged.
+ *
+ * Algorithm (sha256-fisher-yates-v1):
+ * 1. Sort the player IDs (plain string order) - the shuffle input
+ * 2. Random stream: SHA-256(`${seed}:${n}`) for n = 0, 1, 2, ... read as big-endian uint32s
+ * 3. For i from length-1 down to 1: draw j in [0, i] (uint32 rejection sampling, then
+ *    modulo) and swap items i and j
+ */
+import crypto from 'crypto';
+
+export const SHUFFLE_ALGORITHM = 'sha256-fisher-yates-v1';
+
+const UINT32_RANGE = 2 ** 32;
+
+/**
+ * Generate a secret shuffle seed
+ * @returns {string} 256-bit seed as hex
+ */
+export function createShuffleSeed() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Hash a seed for publishing before it's revealed
+ * @param {string} seed
+ * @returns {string} SHA-256 hex digest
+ */
+export function hashSeed(seed) {
+  return crypto.createHash('sha256').update(seed).digest('hex');
+}
+
+// Deterministic stream of uint32s derived from the seed
+function createRandomStream(seed) {
+  let block = 0;
+  let buffer = Buffer.alloc(0);
+  let offset = 0;
+  return () => {
+    if (offset + 4 > buffer.length) {
+      buffer = crypto.createHash('sha256').update(`${seed}:${block++}`).digest();
+      offset = 0;
+    }
+    const value = buffer.readUInt32BE(offset);
+    offset += 4;
+    return value;
+  };
+}
+
+// Uniform integer in [0, max) - rejection sampling avoids modulo bias
+function randomBelow(next, max) {
+  const limit = UINT32_RANGE - (UINT32_RANGE % max);
+  let value = next();
+  while (value >= limit) {
+    value = next();
+  }
+  return value % max;
+}
+
+/**
+ * Shuffle player IDs with the seed (same seed and players always give the same order)
+ * @param {string[]} playerIds - Players in any order
+ * @param {string} seed - Secret seed
+ * @returns {string[]} Shuffled turn order
+ */
+export function seededShuffle(playerIds, seed) {
+  const next = createRandomStream(seed);
+  const order = [...playerIds].sort();
+  for (let i = order.length - 1; i > 0; i--) {
+    const j = randomBelow(next, i + 1);
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+  return order;
+}
+
+/**
+ * Draw one uniform integer from a seed's random stream
+ * Chaos cards use this with a per-draw seed so a replayed game draws the same cards.
+ * @param {string} seed
+ * @param {number} max - Exclusive upper bound
+ * @returns {number} Integer in [0, max)
+ */
+export function seededIndex(seed, max) {
+  return randomBelow(createRandomStream(seed), max);
+}
+
+/**
+ * Check a revealed seed against the published hash and the game's turn order
+ * @param {Object} params
+ * @param {string} params.seed - Revealed seed
+ * @param {string} params.seedHash - Hash published at game start
+ * @param {string[]} params.turnOrder - The game's turn order
+ * @returns {{seedMatchesHash: boolean, turnOrderMatches: boolean}}
+ */
+export function verifyShuffle({ seed, seedHash, turnOrder }) {
+  const expected = seededShuffle(turnOrder, seed);
+  return {
+    seedMatchesHash: hashSeed(seed) === seedHash,
+    turnOrderMatches: expected.every((playerId, index) => playerId === turnOrder[index]),
+  };
+}
@@ -43,6 +43,7 @@ export const partyConverter = {
     date: party.date,
     status: party.status || 'LOBBY', // LOBBY, ACTIVE, ENDED
     config: {
+      variant: party.config?.variant || null, // Rule variant id (null = derive from returnToStart)
       maxSteals: party.config?.maxSteals || 3,
       returnToStart: party.config?.returnToStart || false,
       priceLimit: party.config?.priceLimit || null,
@@ -59,10 +60,13 @@ export const partyConverter = {
       date: data.date?.toDate() || null,
       status: data.status || 'LOBBY',
       config: {
+        ...data.config, // Every game option the lobby saves (turn order mode, timers, steal limits, ...)
+        variant: data.config?.variant || null,
         maxSteals: data.config?.maxSteals || 3,
         returnToStart: data.config?.returnToStart || false,
         priceLimit: data.config?.priceLimit || null,
       },
+      endedAt: data.endedAt?.toDate() || null, // Set when the game ends - starts the trading window
       createdAt: data.createdAt?.toDate() || null,
       updatedAt: data.updatedAt?.toDate() || null,
     };
@@ -78,6 +82,7 @@ export const participantConverter = {
   toFirestore: (participant) => ({
     status: participant.status, // 'GOING' | 'PENDING'
     turnNumber: participant.turnNumber || null,
+    teamNumber: participant.teamNumber || null, // Same number = one household playing as one seat
     joinedAt: participant.joinedAt || new Date(),
     updatedAt: new Date(),
   }),
@@ -87,6 +92,7 @@ export const participantConverter = {
       id: snapshot.id,
       status: data.status || 'PENDING',
       turnNumber: data.turnNumber || null,
+      teamNumber: data.teamNumber || null,
       joinedAt: data.joinedAt?.toDate() || null,
       updatedAt: data.updatedAt?.toDate() || null,
     };
@@ -108,6 +114,7 @@ export const giftConverter = {
     price: gift.price || null,
     isFrozen: gift.isFrozen || false,
     winnerId: gift.winnerId || null,
+    pool: gift.pool || null, // 'nice' | 'gag' - for party.config.giftPoolMode (see utils/gift-pools.js)
     createdAt: gift.createdAt || new Date(),
     updatedAt: new Date(),
   }),
@@ -123,6 +130,7 @@ export const giftConverter = {
       price: data.price || null,
       isFrozen: data.isFrozen || false,
       winnerId: data.winnerId || null,
+      pool: data.pool || null,
       createdAt: data.createdAt?.toDate() || null,
       updatedAt: data.updatedAt?.toDate() || null,
     };
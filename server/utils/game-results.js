@@ -0,0 +1,98 @@
+/**
+ * Game Results - persist winners once a game has ended
+ */
+import admin from 'firebase-admin';
+import { db } from '../config/firebase-admin.js';
+import { GameEngine } from '../engine.js';
+import { getGiftsPerPlayer } from '../variants/index.js';
+import { forgetGiftDetails } from './blind-steal.js';
+
+/**
+ * Whether a gift was played in this game
+ * In a multi-round party (config.rounds) each round only plays some of the party's gifts;
+ * the others keep the winners earlier rounds gave them.
+ * @param {Object} gameState - The game state (giftSubmitters lists every gift in play)
+ * @param {string} giftId
+ * @returns {boolean}
+ */
+export function isGiftInGame(gameState, giftId) {
+  const submitters = gameState?.giftSubmitters;
+  // Games from before giftSubmitters was recorded played every gift
+  if (!submitters || Object.keys(submitters).length === 0) {
+    return true;
+  }
+  return giftId in submitters;
+}
+
+/**
+ * Who goes home with each gift of an ended game
+ * @param {Object} endedState - Game state with phase ENDED
+ * @returns {{finalState: Object, giftIdToWinner: Map<string, string>, surplusGifts: Object}}
+ */
+export function getFinalWinners(endedState) {
+  const config = endedState.config || { maxSteals: 3, returnToStart: false };
+  // Create a new engine with the ended state to get correct final ownership
+  const finalState = new GameEngine(endedState, config).endGame();
+  const finalOwnership = finalState.finalOwnership || {};
+  // Gifts nobody needed (config.surplusGiftPolicy) - on top of each winner's share
+  const surplusGifts = finalState.surplusGifts || {};
+
+  // Ensure one gift per player (config.giftsPerPlayer) - only the first gift(s) per winner are assigned
+  const giftsPerPlayer = getGiftsPerPlayer(config);
+  const winnerGiftCounts = new Map();
+  const giftIdToWinner = new Map();
+  for (const [giftId, winnerId] of Object.entries(finalOwnership)) {
+    if (winnerId && (winnerGiftCounts.get(winnerId) || 0) < giftsPerPlayer) {
+      winnerGiftCounts.set(winnerId, (winnerGiftCounts.get(winnerId) || 0) + 1);
+      giftIdToWinner.set(giftId, winnerId);
+    }
+  }
+
+  for (const [giftId, playerId] of Object.entries(surplusGifts)) {
+    giftIdToWinner.set(giftId, playerId);
+  }
+
+  return { finalState, giftIdToWinner, surplusGifts };
+}
+
+/**
+ * Write winners to Firestore, mark the party ENDED and broadcast game-ended
+ * Use after saving a state whose phase is ENDED.
+ * @param {string} partyId - The party ID
+ * @param {Object} endedState - Saved game state with phase ENDED
+ * @param {Object} io - Socket.IO server
+ */
+export async function persistGameResults(partyId, endedState, io) {
+  const { finalState, giftIdToWinner, surplusGifts } = getFinalWinners(endedState);
+
+  // Set winnerId on assigned gifts and clear it from the rest
+  const giftsSnapshot = await db.collection('gifts').where('partyId', '==', partyId).get();
+  const endedAt = admin.firestore.Timestamp.now();
+  const batch = db.batch();
+  giftsSnapshot.docs.forEach((giftDoc) => {
+    if (!isGiftInGame(endedState, giftDoc.id)) {
+      batch.update(giftDoc.ref, { partyEndedAt: endedAt, updatedAt: new Date() });
+      return;
+    }
+    batch.update(giftDoc.ref, {
+      winnerId: giftIdToWinner.get(giftDoc.id) || null,
+      isSurplus: giftDoc.id in surplusGifts, // Handed out by config.surplusGiftPolicy
+      partyEndedAt: endedAt, // Retention timestamp
+      updatedAt: new Date(),
+    });
+  });
+  if (giftsSnapshot.docs.length > 0) {
+    await batch.commit();
+  }
+
+  // Update party status to ENDED and store game history
+  await db.collection('parties').doc(partyId).update({
+    status: 'ENDED',
+    endedAt: endedAt, // Set retention timestamp for data cleanup
+    gameHistory: finalState.state.history || [],
+    updatedAt: new Date(),
+  });
+
+  forgetGiftDetails(partyId);
+  io.to(`party:${partyId}`).emit('game-ended', finalState);
+}
@@ -5,6 +5,7 @@
 import redisClient from './redis.js';
 import { db } from '../config/firebase-admin.js';
 import admin from 'firebase-admin';
+import { isPlayablePhase } from '../engine.js';
 
 const { Timestamp } = admin.firestore;
 
@@ -170,18 +171,72 @@ function cleanForRedis(obj) {
   return result;
 }
 
+/**
+ * Error code for a version-checked save that lost a race with another write
+ */
+export const STATE_CONFLICT = 'STATE_CONFLICT';
+
+/**
+ * Check if an error is a stateVersion conflict from saveGameState
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isStateConflict(error) {
+  return error?.code === STATE_CONFLICT;
+}
+
+// Compare-and-set: replace the Redis state only if its stateVersion still matches the version
+// the caller loaded. Runs atomically inside Redis, so two writers can never both succeed.
+// States saved before stateVersion existed have no version and are always replaced.
+const COMPARE_AND_SET_SCRIPT = `
+local current = redis.call('GET', KEYS[1])
+if current then
+  local decoded = cjson.decode(current)
+  if decoded.stateVersion and decoded.stateVersion ~= tonumber(ARGV[1]) then
+    return 0
+  end
+end
+redis.call('SET', KEYS[1], ARGV[2], 'EX', tonumber(ARGV[3]))
+return 1
+`;
+
+// Sorted set of partyId -> turnDeadline (ms) for every active game with a turn timer.
+// Lives in Redis rather than in-process timers so deadlines survive server restarts.
+export const TURN_DEADLINES_KEY = 'turn-deadlines';
+
+/**
+ * Add, move or remove a game's entry in the turn deadline schedule
+ * @param {string} partyId - The party ID
+ * @param {object} gameState - The state being saved
+ */
+export async function syncTurnDeadline(partyId, gameState) {
+  try {
+    if (isPlayablePhase(gameState.phase) && gameState.turnDeadline) {
+      await redisClient.zAdd(TURN_DEADLINES_KEY, { score: gameState.turnDeadline, value: partyId });
+    } else {
+      await redisClient.zRem(TURN_DEADLINES_KEY, partyId);
+    }
+  } catch (error) {
+    console.error(`⚠️ Could not update turn deadline for party ${partyId}:`, error);
+  }
+}
+
 /**
  * Save game state to both Redis and Firestore
  * @param {string} partyId - The party ID
  * @param {object} gameState - The game state object
  * @param {number} ttl - Redis TTL in seconds (default: auto-calculated based on party status)
+ * @param {object} options
+ * @param {number} options.expectedVersion - stateVersion the caller loaded. When set, the save is
+ *   rejected with a STATE_CONFLICT error if another write landed first, and fails if Redis can't
+ *   check the version (nothing is written either way).
  * 
  * TTL Calculation:
  * - Active games: 2 years (63072000s) - ensures games don't expire while active
  * - Ended games: 1 year (31536000s) - per privacy policy: "Retained for 1 year after the game ends"
  * - Default: 2 years if party status cannot be determined
  */
-export async function saveGameState(partyId, gameState, ttl = null) {
+export async function saveGameState(partyId, gameState, ttl = null, { expectedVersion = null } = {}) {
   // CRITICAL: Validate partyId matches gameState.partyId to prevent cross-game contamination
   if (!partyId || typeof partyId !== 'string') {
     throw new Error(`Invalid partyId parameter: ${partyId}`);
@@ -201,7 +256,8 @@ export async function saveGameState(partyId, gameState, ttl = null) {
   gameState.partyId = partyId;
   
   // Update state version and timestamp on every save
-  gameState.stateVersion = Date.now();
+  // Versions strictly increase so two saves in the same millisecond can't share a version
+  gameState.stateVersion = Math.max(Date.now(), (expectedVersion || 0) + 1);
   gameState.updatedAt = new Date().toISOString();
   
   const redisKey = `game:${partyId}`;
@@ -238,7 +294,34 @@ export async function saveGameState(partyId, gameState, ttl = null) {
   // Create a JSON-safe version for Redis (convert Firestore Timestamps to ISO strings)
   const redisState = cleanForRedis(cleanedState);
   
-  // CRITICAL: Save to Firestore FIRST (persistence is more important than speed)
+  // Version-checked save: Redis is the source of truth for loads, so claim the write there
+  // FIRST. A losing writer must not touch Firestore either.
+  let redisSaved = false;
+  if (expectedVersion !== null) {
+    let applied;
+    try {
+      applied = await redisClient.eval(COMPARE_AND_SET_SCRIPT, {
+        keys: [redisKey],
+        arguments: [String(expectedVersion), JSON.stringify(redisState), String(ttl)],
+      });
+      redisSaved = true;
+    } catch (error) {
+      // Redis unavailable - an unchecked save could overwrite a newer move, so write nothing
+      console.error(`❌ Error in version-checked Redis save for party ${partyId}:`, error);
+      throw new Error(`Failed to save game state: could not check the state version for party ${partyId}`);
+    }
+    if (applied !== 1) {
+      console.warn(`⚠️ Rejected stale write for party ${partyId} (expected stateVersion ${expectedVersion})`);
+      const conflict = new Error('The game changed before this move was saved. Please try again.');
+      conflict.code = STATE_CONFLICT;
+      throw conflict;
+    }
+  }
+  
+  // Keep the turn timer schedule in step with the saved state
+  await syncTurnDeadline(partyId, gameState);
+  
+  // CRITICAL: Save to Firestore before the unchecked Redis write (persistence is more important than speed)
   // Firestore requires plain objects with no undefined values
   let firestoreSaved = false;
   try {
@@ -266,8 +349,22 @@ export async function saveGameState(partyId, gameState, ttl = null) {
     console.error(`⚠️ WARNING: Game state NOT persisted to Firestore for party ${partyId}. Game may be lost if Redis expires.`);
   }
   
+  // Multi-round parties also keep the round being played under its round index
+  if (gameState.config?.rounds?.length > 0) {
+    const round = gameState.config.round ?? 0;
+    try {
+      await redisClient.setEx(getRoundStateKey(partyId, round), ttl, JSON.stringify(redisState));
+    } catch (error) {
+      console.error(`❌ Error saving round ${round} to Redis for party ${partyId}:`, error);
+    }
+  }
+  
   // Save to Redis (fast access) - do this even if Firestore save failed
   // This ensures the game can continue even if Firestore had issues
+  if (redisSaved) {
+    console.log(`✅ Saved game state to Redis for party ${partyId} (TTL: ${ttl}s, version-checked)`);
+    return;
+  }
   try {
     await redisClient.setEx(redisKey, ttl, JSON.stringify(redisState));
     console.log(`✅ Saved game state to Redis for party ${partyId} (TTL: ${ttl}s)`);
@@ -281,6 +378,10 @@ export async function saveGameState(partyId, gameState, ttl = null) {
   }
 }
 
+// Parties whose game state Firestore can restore - ENDED keeps a finished game (e.g. a round
+// waiting for the next one to start) loadable after Redis has dropped it
+const RESTORABLE_PARTY_STATUSES = new Set(['ACTIVE', 'ENDED']);
+
 /**
  * Load game state from Redis, or restore from Firestore if Redis is empty
  * @param {string} partyId - The party ID
@@ -327,8 +428,8 @@ export async function loadGameState(partyId) {
     if (partyDoc.exists) {
       const partyData = partyDoc.data();
       
-      // Check if party is ACTIVE and has game state in Firestore
-      if (partyData.status === 'ACTIVE' && partyData.gameState) {
+      // Check if party is ACTIVE (or ENDED - e.g. a finished round waiting for the next) and has game state in Firestore
+      if (RESTORABLE_PARTY_STATUSES.has(partyData.status) && partyData.gameState) {
         const gameState = partyData.gameState;
         console.log(`🔄 Restoring game state from Firestore for party ${partyId}`);
         console.log(`   Party status: ${partyData.status}, Has gameState: ${!!partyData.gameState}`);
@@ -370,8 +471,8 @@ export async function loadGameState(partyId) {
         return convertedState;
       } else {
         console.log(`⚠️ Party ${partyId} status: ${partyData.status}, has gameState: ${!!partyData.gameState}`);
-        if (partyData.status !== 'ACTIVE') {
-          console.log(`   Party is not ACTIVE, cannot restore game state`);
+        if (!RESTORABLE_PARTY_STATUSES.has(partyData.status)) {
+          console.log(`   Party is not ACTIVE or ENDED, cannot restore game state`);
         }
         if (!partyData.gameState) {
           console.log(`   No gameState found in Firestore for party ${partyId}`);
@@ -389,7 +490,41 @@ export async function loadGameState(partyId) {
 }
 
 /**
- * Delete game state from both Redis and Firestore
+ * Load, update and save game state, retrying when another write lands first
+ * Use for updates that are safe to re-apply to a newer state (e.g. counters).
+ * @param {string} partyId - The party ID
+ * @param {function} update - (gameState) => newState, or null to skip saving
+ * @param {object} options
+ * @param {number} options.retries - Retries after a STATE_CONFLICT (default: 3)
+ * @returns {object|null} - The saved state, or null if nothing was saved
+ */
+export async function updateGameState(partyId, update, { retries = 3 } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    const gameState = await loadGameState(partyId);
+    if (!gameState) {
+      return null;
+    }
+    
+    const expectedVersion = gameState.stateVersion;
+    const newState = await update(gameState);
+    if (!newState) {
+      return null;
+    }
+    
+    try {
+      await saveGameState(partyId, newState, null, { expectedVersion });
+      return newState;
+    } catch (error) {
+      if (!isStateConflict(error) || attempt >= retries) {
+        throw error;
+      }
+      console.log(`🔁 State conflict for party ${partyId}, retrying update (${attempt + 1}/${retries})`);
+    }
+  }
+}
+
+/**
+ * Delete game state (and any archived rounds) from both Redis and Firestore
  * @param {string} partyId - The party ID
  */
 export async function deleteGameState(partyId) {
@@ -397,6 +532,7 @@ export async function deleteGameState(partyId) {
   
   // Delete from Redis
   await redisClient.del(redisKey);
+  await redisClient.zRem(TURN_DEADLINES_KEY, partyId);
   
   // Clear from Firestore
   try {
@@ -408,5 +544,104 @@ export async function deleteGameState(partyId) {
   } catch (error) {
     console.error(`Error deleting game state from Firestore for party ${partyId}:`, error);
   }
+  
+  try {
+    const roundsSnapshot = await roundsCollection(partyId).get();
+    for (const roundDoc of roundsSnapshot.docs) {
+      await redisClient.del(getRoundStateKey(partyId, Number(roundDoc.id)));
+      await roundDoc.ref.delete();
+    }
+  } catch (error) {
+    console.error(`Error deleting archived rounds for party ${partyId}:`, error);
+  }
+}
+
+// Multi-round parties (config.rounds, see rounds.js): the round being played lives at the
+// usual game:{partyId} key and party.gameState, and under its round index in Redis; each
+// finished round is also archived in Firestore under its index
+function getRoundStateKey(partyId, round) {
+  return `game:${partyId}:round:${round}`;
+}
+
+function roundsCollection(partyId) {
+  return db.collection('parties').doc(partyId).collection('rounds');
+}
+
+/**
+ * Archive a finished round's state before the next round replaces it
+ * @param {string} partyId - The party ID
+ * @param {object} gameState - The round's ENDED state (config.round is its index)
+ */
+export async function saveRoundState(partyId, gameState) {
+  const round = gameState.config?.round ?? 0;
+  const cleanedState = cleanForFirestore(gameState);
+  
+  // Firestore first - the archive is the only copy once the next round starts
+  await roundsCollection(partyId).doc(String(round)).set({
+    round,
+    name: gameState.config?.rounds?.[round]?.name ?? null,
+    gameState: cleanedState,
+    archivedAt: Timestamp.now(),
+  });
+  
+  try {
+    // Same retention as an ended game: 1 year
+    await redisClient.setEx(getRoundStateKey(partyId, round), 31536000, JSON.stringify(cleanForRedis(cleanedState)));
+  } catch (error) {
+    console.error(`❌ Error archiving round ${round} to Redis for party ${partyId}:`, error);
+  }
 }
 
+/**
+ * Load a finished round's archived state from Redis, or from Firestore if Redis is empty
+ * @param {string} partyId - The party ID
+ * @param {number} round - The round index
+ * @returns {object|null} - The round's state, or null if it was never archived
+ */
+export async function loadRoundState(partyId, round) {
+  const redisState = await redisClient.get(getRoundStateKey(partyId, round));
+  if (redisState) {
+    return JSON.parse(redisState);
+  }
+  
+  const roundDoc = await roundsCollection(partyId).doc(String(round)).get();
+  if (!roundDoc.exists || !roundDoc.data().gameState) {
+    return null;
+  }
+  return convertFirestoreTimestamps(roundDoc.data().gameState);
+}
+
+
+// Server-only collection (no client access in firestore.rules) - party docs are public
+const SHUFFLE_SEEDS_COLLECTION = 'gameSeeds';
+
+// Round 0 keeps the party's own ID so single-game parties are unchanged
+function shuffleSeedDocId(partyId, round) {
+  return round > 0 ? `${partyId}_round_${round}` : partyId;
+}
+
+/**
+ * Store a game's turn-order shuffle seed until it's revealed
+ * @param {string} partyId - The party ID
+ * @param {Object} seedRecord - { seed, seedHash, algorithm }
+ * @param {number} round - The round index for multi-round parties (default: 0)
+ */
+export async function saveShuffleSeed(partyId, { seed, seedHash, algorithm }, round = 0) {
+  await db.collection(SHUFFLE_SEEDS_COLLECTION).doc(shuffleSeedDocId(partyId, round)).set({
+    seed,
+    seedHash,
+    algorithm,
+    createdAt: Timestamp.now(),
+  });
+}
+
+/**
+ * Load a game's shuffle seed - only reveal it once the game has ended
+ * @param {string} partyId - The party ID
+ * @param {number} round - The round index for multi-round parties (default: 0)
+ * @returns {Promise<string|null>} The seed, or null for games started without one
+ */
+export async function loadShuffleSeed(partyId, round = 0) {
+  const seedDoc = await db.collection(SHUFFLE_SEEDS_COLLECTION).doc(shuffleSeedDocId(partyId, round)).get();
+  return seedDoc.exists ? seedDoc.data().seed : null;
+}
@@ -0,0 +1,90 @@
+/**
+ * Gift pools - "nice" and "gag" gifts in one game (config.giftPoolMode)
+ *
+ * Submitters tag each gift with a pool (gift.pool). Everyone brings two gifts
+ * (config.giftsPerPlayer 2) and goes home with one from each pool:
+ * one_each - any turn may take from either pool, as long as the player has none from it yet
+ * per_turn - each player's first turn only takes nice gifts and their second only gag gifts
+ * A player holding every gift they should have only ever swaps within a pool, so the
+ * player they swap with keeps one of each too.
+ *
+ * The game's pools are fixed when it starts: config.giftPools = { giftId: pool }.
+ */
+
+export const GIFT_POOLS = {
+  NICE: 'nice',
+  GAG: 'gag',
+};
+
+export const GIFT_POOL_MODES = {
+  ONE_EACH: 'one_each',
+  PER_TURN: 'per_turn',
+};
+
+// The pool each player's first and second turn take from with per_turn
+const PER_TURN_POOL_ORDER = [GIFT_POOLS.NICE, GIFT_POOLS.GAG];
+
+/**
+ * The pool a gift is in
+ * @param {Object} config - Game config
+ * @param {string} giftId
+ * @returns {string|null} One of GIFT_POOLS, or null if the game has no pools
+ */
+export function getGiftPool(config, giftId) {
+  return config?.giftPoolMode ? config.giftPools?.[giftId] ?? null : null;
+}
+
+/**
+ * The only pool a turn queue slot may take from (per_turn) - by how many turns its player
+ * has had, so a victim in a steal chain takes from the same pool as the thief
+ * Counted per player rather than per pass, so a reversed queue (chaos cards) still works.
+ * @param {Object} state - GameEngine or game state
+ * @param {number} turnIndex - Slot to check (defaults to the current one)
+ * @returns {string|null} One of GIFT_POOLS, or null if any pool goes (one_each, or past the picking passes)
+ */
+export function getTurnPool(state, turnIndex = state.currentTurnIndex || 0) {
+  const players = state.turnOrder?.length || 0;
+  if (state.config?.giftPoolMode !== GIFT_POOL_MODES.PER_TURN || turnIndex >= players * PER_TURN_POOL_ORDER.length) {
+    return null;
+  }
+  const playerId = state.turnQueue?.[turnIndex];
+  const turnsReached = (state.turnQueue || []).slice(0, turnIndex + 1).filter((id) => id === playerId).length;
+  return PER_TURN_POOL_ORDER[turnsReached - 1] ?? null;
+}
+
+/**
+ * Check a party's gifts against its pool mode when a game starts
+ * @param {Object} params
+ * @param {string|null|undefined} params.mode - party.config.giftPoolMode
+ * @param {number} params.giftsPerPlayer
+ * @param {Array<{id: string, pool: string|null}>} params.gifts - The game's gifts
+ * @param {number} params.seatCount - Players (or teams) in the game
+ * @returns {{giftPoolMode: string|null, giftPools: Object|null, error: string|null}}
+ */
+export function normalizeGiftPools({ mode, giftsPerPlayer, gifts, seatCount }) {
+  if (mode === null || mode === undefined) {
+    return { giftPoolMode: null, giftPools: null, error: null };
+  }
+  const invalid = (error) => ({ giftPoolMode: null, giftPools: null, error });
+  if (!Object.values(GIFT_POOL_MODES).includes(mode)) {
+    return invalid(`Unknown gift pool mode: ${mode}`);
+  }
+  if (giftsPerPlayer !== 2) {
+    return invalid('Gift pools need everyone to bring 2 gifts - one nice, one gag');
+  }
+
+  const untagged = gifts.filter((gift) => !Object.values(GIFT_POOLS).includes(gift.pool));
+  if (untagged.length > 0) {
+    return invalid(`${untagged.length} gift(s) aren't tagged nice or gag yet`);
+  }
+  for (const pool of Object.values(GIFT_POOLS)) {
+    if (gifts.filter((gift) => gift.pool === pool).length < seatCount) {
+      return invalid(`Not enough ${pool} gifts - every player needs one`);
+    }
+  }
+  return {
+    giftPoolMode: mode,
+    giftPools: Object.fromEntries(gifts.map((gift) => [gift.id, gift.pool])),
+    error: null,
+  };
+}
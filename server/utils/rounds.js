@@ -0,0 +1,103 @@
+/**
+ * Rounds - parties that play several games in a row
+ *
+ * config.rounds = [{ name, playerIds, finals }] splits a party into breakout rounds (each
+ * participant plays in one, with the gifts they brought), optionally followed by a finals
+ * round that puts every gift won so far back into play among its winners. Each round is
+ * its own game: the admin starts the next one once a round has ENDED, and the finished
+ * round's state stays stored under its round index (see game-state-persistence.js).
+ *
+ * Gift docs' winnerId always holds the latest result, so it is also the combined result
+ * across rounds - a round's end only touches the gifts it played (isGiftInGame).
+ */
+
+export const MAX_ROUNDS = 6;
+const MAX_ROUND_NAME_LENGTH = 40;
+
+/**
+ * Validate the lobby's round setup
+ * @param {Array|null|undefined} rawRounds - party.config.rounds
+ * @returns {{rounds: Array<{name: string, playerIds: string[]|null, finals: boolean}>, error: string|null}}
+ *   rounds is [] for a normal single game
+ */
+export function normalizeRounds(rawRounds) {
+  if (rawRounds === null || rawRounds === undefined || (Array.isArray(rawRounds) && rawRounds.length === 0)) {
+    return { rounds: [], error: null };
+  }
+  if (!Array.isArray(rawRounds) || rawRounds.length < 2 || rawRounds.length > MAX_ROUNDS) {
+    return { rounds: [], error: `A party can play between 2 and ${MAX_ROUNDS} rounds` };
+  }
+
+  const rounds = [];
+  const seen = new Set();
+  for (const [index, round] of rawRounds.entries()) {
+    const finals = round?.finals === true;
+    if (finals && (index === 0 || index !== rawRounds.length - 1)) {
+      return { rounds: [], error: 'The finals must be the last round, after at least one other' };
+    }
+    if (!finals && (!Array.isArray(round?.playerIds) || round.playerIds.some((id) => typeof id !== 'string'))) {
+      return { rounds: [], error: 'Each round needs a list of participants' };
+    }
+    const playerIds = finals ? null : [...new Set(round.playerIds)];
+    if (playerIds?.some((id) => seen.has(id))) {
+      return { rounds: [], error: 'A participant can only play in one breakout round' };
+    }
+    playerIds?.forEach((id) => seen.add(id));
+
+    const name = typeof round.name === 'string' ? round.name.trim().slice(0, MAX_ROUND_NAME_LENGTH) : '';
+    rounds.push({ name: name || (finals ? 'Finals' : `Round ${index + 1}`), playerIds, finals });
+  }
+  return { rounds, error: null };
+}
+
+/**
+ * Who plays a round, and with which gifts
+ * Breakout rounds play the gifts their players brought (the first round also takes gifts
+ * from anyone not in a round, e.g. the admin's extras). The finals play every gift won
+ * so far, among the winners and their teammates.
+ * @param {Object} params
+ * @param {Array} params.rounds - Normalized rounds
+ * @param {number} params.round - Index of the round to play
+ * @param {Array<{id: string, teamNumber: number|null}>} params.participants - GOING participants
+ * @param {Array<{id: string, submitterId: string, winnerId: string|null}>} params.gifts - All party gifts
+ * @returns {{participants: Array, gifts: Array, error: string|null}}
+ */
+export function getRoundLineup({ rounds, round, participants, gifts }) {
+  const current = rounds[round];
+
+  if (current.finals) {
+    const winnerIds = new Set(gifts.map((gift) => gift.winnerId).filter(Boolean));
+    const winningTeams = new Set(participants
+      .filter((p) => winnerIds.has(p.id) && Number.isInteger(p.teamNumber))
+      .map((p) => p.teamNumber));
+    return {
+      participants: participants.filter((p) => winnerIds.has(p.id) || winningTeams.has(p.teamNumber)),
+      gifts: gifts.filter((gift) => gift.winnerId),
+      error: null,
+    };
+  }
+
+  const playing = new Set(current.playerIds);
+  const placed = new Set(rounds.flatMap(({ playerIds }) => playerIds || []));
+  if (round === 0) {
+    const unplaced = participants.filter((p) => !placed.has(p.id));
+    if (unplaced.length > 0) {
+      return { participants: [], gifts: [], error: `${unplaced.length} participant(s) aren't in a round yet` };
+    }
+  }
+
+  return {
+    participants: participants.filter((p) => playing.has(p.id)),
+    gifts: gifts.filter((gift) => playing.has(gift.submitterId) || (round === 0 && !placed.has(gift.submitterId))),
+    error: null,
+  };
+}
+
+/**
+ * Whether a party has another round to play after this game
+ * @param {Object} config - Game config
+ * @returns {boolean}
+ */
+export function hasNextRound(config) {
+  return (config?.rounds?.length ?? 0) > (config?.round ?? 0) + 1;
+}
@@ -0,0 +1,155 @@
+/**
+ * Socket Game Actions - acknowledgements, error codes and de-duplication
+ *
+ * Clients send an actionId with each game action and pass a Socket.IO ack callback.
+ * The ack receives { ok: true, actionId } or { ok: false, actionId, code, message }.
+ * Retrying with the same actionId never re-applies a move: the first result is replayed.
+ */
+import redisClient from './redis.js';
+import { MOVE_BLOCK_REASONS } from '../engine.js';
+import { STATE_CONFLICT } from './game-state-persistence.js';
+
+/**
+ * Machine-readable error codes returned in action acks
+ * Includes the engine's move block reasons (NOT_YOUR_TURN, GIFT_FROZEN, UTURN_BLOCKED, ...)
+ */
+export const ACTION_ERROR_CODES = {
+  ...MOVE_BLOCK_REASONS,
+  INVALID_REQUEST: 'INVALID_REQUEST',
+  NOT_A_PARTICIPANT: 'NOT_A_PARTICIPANT',
+  NOT_PARTY_ADMIN: 'NOT_PARTY_ADMIN',
+  NOTHING_TO_UNDO: 'NOTHING_TO_UNDO',
+  GAME_NOT_PAUSED: 'GAME_NOT_PAUSED',
+  GAME_NOT_FOUND: 'GAME_NOT_FOUND',
+  STATE_CONFLICT,
+  ACTION_IN_PROGRESS: 'ACTION_IN_PROGRESS',
+  INTERNAL_ERROR: 'INTERNAL_ERROR',
+};
+
+// Long enough to cover client retries and reconnects
+const ACTION_RESULT_TTL = 600; // 10 minutes in seconds
+const PENDING = 'PENDING';
+
+/**
+ * Create an Error carrying a machine-readable code
+ * @param {string} code - One of ACTION_ERROR_CODES
+ * @param {string} message - Human-readable message
+ * @returns {Error}
+ */
+export function actionError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Check if a client-supplied action id is well formed
+ * @param {*} actionId
+ * @returns {boolean}
+ */
+export function isValidActionId(actionId) {
+  return isSafeKeyPart(actionId);
+}
+
+function isSafeKeyPart(value) {
+  return typeof value === 'string' &&
+         value.length > 0 &&
+         value.length <= 128 &&
+         /^[a-zA-Z0-9_-]+$/.test(value);
+}
+
+function actionKey(partyId, userId, actionId) {
+  return `action:${partyId}:${userId}:${actionId}`;
+}
+
+/**
+ * Claim an action id before running it
+ * @returns {Promise<{claimed: boolean, result: object|null}>} result is the stored ack for a duplicate
+ */
+async function claimAction(key) {
+  const claimed = await redisClient.set(key, PENDING, { NX: true, EX: ACTION_RESULT_TTL });
+  if (claimed) {
+    return { claimed: true, result: null };
+  }
+  const stored = await redisClient.get(key);
+  return { claimed: false, result: stored && stored !== PENDING ? JSON.parse(stored) : null };
+}
+
+/**
+ * Run a game action with an ack result and actionId de-duplication
+ * Handlers report failures by throwing (use actionError() for a specific code).
+ * Clients without an ack callback get the legacy socket 'error' event instead.
+ * @param {object} socket - The Socket.IO socket
+ * @param {object} params
+ * @param {string} params.partyId - The party ID (the handler still validates it)
+ * @param {string} params.actionId - Client-supplied action id (optional for older clients)
+ * @param {function} params.ack - Socket.IO ack callback (optional)
+ * @param {function} handler - async () => void, performs the action
+ */
+export async function runGameAction(socket, { partyId, actionId, ack }, handler) {
+  const respond = (result) => {
+    if (typeof ack === 'function') {
+      ack(result);
+    } else if (!result.ok) {
+      socket.emit('error', { message: result.message, code: result.code });
+    }
+  };
+
+  if (actionId !== undefined && !isValidActionId(actionId)) {
+    respond({ ok: false, actionId, code: ACTION_ERROR_CODES.INVALID_REQUEST, message: 'Invalid action ID' });
+    return;
+  }
+
+  // De-duplicate retries of the same action (skipped if Redis is unavailable)
+  const key = actionId && isSafeKeyPart(partyId) ? actionKey(partyId, socket.userId, actionId) : null;
+  let claimed = false;
+  if (key) {
+    try {
+      const claim = await claimAction(key);
+      if (!claim.claimed) {
+        console.log(`🔁 Duplicate action ${actionId} from ${socket.userId} in party ${partyId}`);
+        respond(claim.result || {
+          ok: false,
+          actionId,
+          code: ACTION_ERROR_CODES.ACTION_IN_PROGRESS,
+          message: 'This action is still being processed',
+        });
+        return;
+      }
+      claimed = true;
+    } catch (error) {
+      console.error(`⚠️ Could not de-duplicate action ${actionId} for party ${partyId}:`, error);
+    }
+  }
+
+  let result;
+  try {
+    await handler();
+    result = { ok: true, actionId: actionId ?? null };
+  } catch (error) {
+    if (!error.code) {
+      console.error(`❌ Error in game action for party ${partyId}:`, error);
+    }
+    result = {
+      ok: false,
+      actionId: actionId ?? null,
+      code: error.code || ACTION_ERROR_CODES.INTERNAL_ERROR,
+      message: error.message,
+    };
+  }
+
+  if (claimed) {
+    try {
+      if (result.ok || result.code !== ACTION_ERROR_CODES.INTERNAL_ERROR) {
+        await redisClient.set(key, JSON.stringify(result), { EX: ACTION_RESULT_TTL });
+      } else {
+        // Unexpected failures (e.g. Firestore down) may succeed on retry - release the id
+        await redisClient.del(key);
+      }
+    } catch (error) {
+      console.error(`⚠️ Could not record result of action ${actionId} for party ${partyId}:`, error);
+    }
+  }
+
+  respond(result);
+}
@@ -0,0 +1,52 @@
+/**
+ * Teams - households that play as a single seat
+ *
+ * Participants with the same participant.teamNumber share one turn slot and go home
+ * with one share of gifts. The seat is played under the captain's ID (the member who
+ * joined the party first); any member may act for it. Stored in the game config as
+ * config.teams = [{ seatId, playerIds }].
+ */
+
+/**
+ * Group GOING participants into teams by their team numbers
+ * Teams of one are just players, so they are left out.
+ * @param {Array<{id: string, teamNumber: number|null, joinedAt: Date|null}>} participants
+ * @returns {Array<{seatId: string, playerIds: string[]}>}
+ */
+export function buildTeams(participants) {
+  const byNumber = new Map();
+  for (const participant of participants) {
+    if (Number.isInteger(participant.teamNumber)) {
+      byNumber.set(participant.teamNumber, [...(byNumber.get(participant.teamNumber) || []), participant]);
+    }
+  }
+  return [...byNumber.values()]
+    .filter((members) => members.length >= 2)
+    .map((members) => {
+      const playerIds = [...members]
+        .sort((a, b) => (a.joinedAt?.getTime() ?? Infinity) - (b.joinedAt?.getTime() ?? Infinity) || a.id.localeCompare(b.id))
+        .map((member) => member.id);
+      return { seatId: playerIds[0], playerIds };
+    });
+}
+
+/**
+ * The seat a user plays - their team's seat, or their own ID
+ * @param {Object} config - Game config
+ * @param {string} userId
+ * @returns {string}
+ */
+export function getSeatId(config, userId) {
+  return config?.teams?.find(({ playerIds }) => playerIds.includes(userId))?.seatId ?? userId;
+}
+
+/**
+ * Collapse a turn order of players into one of seats - each team takes its first member's place
+ * @param {string[]} turnOrder - Player IDs
+ * @param {Array<{seatId: string, playerIds: string[]}>} teams
+ * @returns {string[]} Seat IDs
+ */
+export function toSeatTurnOrder(turnOrder, teams) {
+  const config = { teams };
+  return [...new Set(turnOrder.map((playerId) => getSeatId(config, playerId)))];
+}
@@ -0,0 +1,186 @@
+/**
+ * Post-Game Trades - consensual one-for-one swaps once a game has ENDED
+ *
+ * With config.tradeWindowMinutes set, a player can offer one of the gifts they won for a
+ * gift another player won, until that many minutes after the game ended. The other player
+ * accepts or declines; the offerer can cancel. Offers live in parties/{partyId}/trades,
+ * which is also the log of every trade. Accepting swaps the two gifts' winnerId in one
+ * transaction, so the results screens (listening to the gift docs) update live.
+ *
+ * Players trade as their seat - a team's members share its gifts (see teams.js).
+ * With gift pools, gifts only trade within their pool (see gift-pools.js).
+ */
+import { db } from '../config/firebase-admin.js';
+import { getGiftPool } from './gift-pools.js';
+
+export const TRADE_STATUSES = {
+  PENDING: 'PENDING',
+  ACCEPTED: 'ACCEPTED',
+  DECLINED: 'DECLINED',
+  CANCELLED: 'CANCELLED',
+};
+
+/**
+ * Create an Error carrying the HTTP status to answer with
+ * @param {number} status
+ * @param {string} message
+ * @returns {Error}
+ */
+export function tradeError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * When a party's trading window closes
+ * @param {Object} party - Converted party (status, endedAt)
+ * @param {Object} config - Game config (tradeWindowMinutes)
+ * @returns {Date|null} null if the game hasn't ended or trading is off
+ */
+export function getTradeWindowEndsAt(party, config) {
+  const minutes = config?.tradeWindowMinutes;
+  if (party.status !== 'ENDED' || !party.endedAt || !(Number.isInteger(minutes) && minutes > 0)) {
+    return null;
+  }
+  return new Date(party.endedAt.getTime() + minutes * 60 * 1000);
+}
+
+function assertWindowOpen(party, config) {
+  const endsAt = getTradeWindowEndsAt(party, config);
+  if (!endsAt) {
+    throw tradeError(400, 'Trading is not open for this party');
+  }
+  if (Date.now() >= endsAt.getTime()) {
+    throw tradeError(400, 'The trading window has closed');
+  }
+}
+
+/**
+ * Offer one of your gifts for one another player won
+ * @param {Object} params
+ * @param {string} params.partyId
+ * @param {Object} params.party - Converted party
+ * @param {Object} params.config - Game config
+ * @param {string} params.userId - Who is offering
+ * @param {string} params.seatId - The seat they play (their own ID outside team mode)
+ * @param {string} params.offeredGiftId - A gift the seat won
+ * @param {string} params.requestedGiftId - A gift another seat won
+ * @returns {Promise<string>} The new trade's ID
+ */
+export async function proposeTrade({ partyId, party, config, userId, seatId, offeredGiftId, requestedGiftId }) {
+  assertWindowOpen(party, config);
+  if (offeredGiftId === requestedGiftId) {
+    throw tradeError(400, 'Pick a gift someone else won');
+  }
+
+  const giftsRef = db.collection('gifts');
+  const [offeredDoc, requestedDoc] = await Promise.all([
+    giftsRef.doc(offeredGiftId).get(),
+    giftsRef.doc(requestedGiftId).get(),
+  ]);
+  if (!offeredDoc.exists || !requestedDoc.exists ||
+      offeredDoc.data().partyId !== partyId || requestedDoc.data().partyId !== partyId) {
+    throw tradeError(404, 'Gift not found');
+  }
+  if (offeredDoc.data().winnerId !== seatId) {
+    throw tradeError(400, 'You can only offer a gift you won');
+  }
+  const toSeatId = requestedDoc.data().winnerId;
+  if (!toSeatId || toSeatId === seatId) {
+    throw tradeError(400, 'Pick a gift someone else won');
+  }
+  if (getGiftPool(config, offeredGiftId) !== getGiftPool(config, requestedGiftId)) {
+    throw tradeError(400, 'You can only trade for a gift from the same pool');
+  }
+
+  const tradesRef = db.collection('parties').doc(partyId).collection('trades');
+  const pending = await tradesRef
+    .where('status', '==', TRADE_STATUSES.PENDING)
+    .where('offeredGiftId', '==', offeredGiftId)
+    .get();
+  if (pending.docs.some((tradeDoc) => tradeDoc.data().requestedGiftId === requestedGiftId)) {
+    throw tradeError(409, 'You have already offered this trade');
+  }
+
+  const tradeRef = await tradesRef.add({
+    fromSeatId: seatId,
+    toSeatId,
+    offeredGiftId,
+    requestedGiftId,
+    status: TRADE_STATUSES.PENDING,
+    proposedBy: userId,
+    respondedBy: null,
+    createdAt: new Date(),
+    respondedAt: null,
+  });
+  return tradeRef.id;
+}
+
+/**
+ * Accept, decline or cancel a pending trade
+ * Only the other seat may accept or decline, and only the offering seat may cancel.
+ * Accepting swaps winnerId on both gifts and cancels the other offers for either gift.
+ * @param {Object} params
+ * @param {string} params.partyId
+ * @param {Object} params.party - Converted party
+ * @param {Object} params.config - Game config
+ * @param {string} params.userId - Who is responding
+ * @param {string} params.seatId - The seat they play
+ * @param {string} params.tradeId
+ * @param {string} params.status - ACCEPTED, DECLINED or CANCELLED
+ * @returns {Promise<void>}
+ */
+export async function closeTrade({ partyId, party, config, userId, seatId, tradeId, status }) {
+  // Offers can be turned down after the window closes, but not accepted
+  if (status === TRADE_STATUSES.ACCEPTED) {
+    assertWindowOpen(party, config);
+  }
+
+  const tradesRef = db.collection('parties').doc(partyId).collection('trades');
+  await db.runTransaction(async (transaction) => {
+    const tradeDoc = await transaction.get(tradesRef.doc(tradeId));
+    if (!tradeDoc.exists) {
+      throw tradeError(404, 'Trade not found');
+    }
+    const trade = tradeDoc.data();
+    if (trade.status !== TRADE_STATUSES.PENDING) {
+      throw tradeError(409, 'This trade is no longer open');
+    }
+    const respondingSeatId = status === TRADE_STATUSES.CANCELLED ? trade.fromSeatId : trade.toSeatId;
+    if (seatId !== respondingSeatId) {
+      throw tradeError(403, status === TRADE_STATUSES.CANCELLED
+        ? 'Only the player who offered a trade can cancel it'
+        : 'Only the player who was offered a trade can answer it');
+    }
+    const response = { status, respondedBy: userId, respondedAt: new Date() };
+
+    if (status !== TRADE_STATUSES.ACCEPTED) {
+      transaction.update(tradeDoc.ref, response);
+      return;
+    }
+
+    // All reads come before the writes in a transaction
+    const offeredRef = db.collection('gifts').doc(trade.offeredGiftId);
+    const requestedRef = db.collection('gifts').doc(trade.requestedGiftId);
+    const [offeredDoc, requestedDoc, pending] = await Promise.all([
+      transaction.get(offeredRef),
+      transaction.get(requestedRef),
+      transaction.get(tradesRef.where('status', '==', TRADE_STATUSES.PENDING)),
+    ]);
+    if (offeredDoc.data()?.winnerId !== trade.fromSeatId || requestedDoc.data()?.winnerId !== trade.toSeatId) {
+      throw tradeError(409, 'One of these gifts has already been traded');
+    }
+
+    transaction.update(offeredRef, { winnerId: trade.toSeatId, updatedAt: new Date() });
+    transaction.update(requestedRef, { winnerId: trade.fromSeatId, updatedAt: new Date() });
+    transaction.update(tradeDoc.ref, response);
+    const tradedGiftIds = [trade.offeredGiftId, trade.requestedGiftId];
+    pending.docs
+      .filter((otherDoc) => otherDoc.id !== tradeId &&
+        (tradedGiftIds.includes(otherDoc.data().offeredGiftId) || tradedGiftIds.includes(otherDoc.data().requestedGiftId)))
+      .forEach((otherDoc) => {
+        transaction.update(otherDoc.ref, { status: TRADE_STATUSES.CANCELLED, respondedBy: null, respondedAt: new Date() });
+      });
+  });
+}
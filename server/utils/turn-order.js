@@ -0,0 +1,71 @@
+/**
+ * Turn Order Modes
+ *
+ * random - seeded shuffle at game start (see fair-shuffle.js)
+ * manual - the admin arranges the order in the lobby
+ * draw   - each participant draws a number from a virtual hat (1..N, no repeats),
+ *          so the app can match an in-person draw
+ *
+ * Manual and drawn orders are stored as participant.turnNumber (1-based).
+ */
+import crypto from 'crypto';
+
+export const TURN_ORDER_MODES = {
+  RANDOM: 'random',
+  MANUAL: 'manual',
+  DRAW: 'draw',
+};
+
+/**
+ * Resolve a party's turn order mode (defaults to random)
+ * @param {Object} config - Party config
+ * @returns {string} One of TURN_ORDER_MODES
+ */
+export function resolveTurnOrderMode(config = {}) {
+  const mode = config?.turnOrderMode;
+  return Object.values(TURN_ORDER_MODES).includes(mode) ? mode : TURN_ORDER_MODES.RANDOM;
+}
+
+/**
+ * Build the turn order from participants' turn numbers
+ * @param {Array<{id: string, turnNumber: number|null}>} participants - GOING participants
+ * @returns {{turnOrder: string[]|null, error: string|null}} error if any number is missing or repeated
+ */
+export function getTurnOrderFromNumbers(participants) {
+  const missing = participants.filter((p) => !Number.isInteger(p.turnNumber));
+  if (missing.length > 0) {
+    return { turnOrder: null, error: `${missing.length} participant(s) don't have a turn number yet` };
+  }
+
+  const numbers = new Set(participants.map((p) => p.turnNumber));
+  if (numbers.size !== participants.length) {
+    return { turnOrder: null, error: 'Two participants have the same turn number' };
+  }
+
+  const turnOrder = [...participants]
+    .sort((a, b) => a.turnNumber - b.turnNumber)
+    .map((p) => p.id);
+  return { turnOrder, error: null };
+}
+
+/**
+ * Draw a number from the hat for one participant
+ * The hat holds 1..N (N = participants going); numbers already drawn by others are out.
+ * @param {Array<{id: string, turnNumber: number|null}>} participants - GOING participants
+ * @param {string} participantId - Who is drawing
+ * @returns {number|null} The drawn number, or null if the hat is empty
+ */
+export function drawTurnNumber(participants, participantId) {
+  const taken = new Set(
+    participants
+      .filter((p) => p.id !== participantId && Number.isInteger(p.turnNumber))
+      .map((p) => p.turnNumber)
+  );
+  const hat = [];
+  for (let number = 1; number <= participants.length; number++) {
+    if (!taken.has(number)) {
+      hat.push(number);
+    }
+  }
+  return hat.length > 0 ? hat[crypto.randomInt(hat.length)] : null;
+}
@@ -0,0 +1,122 @@
+/**
+ * Turn Timer - acts for players whose turn deadline has passed
+ *
+ * Deadlines are stored in a Redis sorted set (see syncTurnDeadline), so a poller
+ * on any server instance - including one that just restarted - picks them up.
+ * When a turn times out the server skips for the player if the rules allow it,
+ * otherwise it picks a random wrapped gift.
+ */
+import redisClient from './redis.js';
+import { GameEngine, GAME_EVENT_TYPES, isPlayablePhase } from '../engine.js';
+import {
+  TURN_DEADLINES_KEY,
+  loadGameState,
+  saveGameState,
+  syncTurnDeadline,
+  isStateConflict,
+} from './game-state-persistence.js';
+import { checkAndMakeBotMove, stopBotRefreshSimulation } from './bot-utils.js';
+import { persistGameResults } from './game-results.js';
+import { emitGameState } from './blind-steal.js';
+
+const POLL_INTERVAL_MS = 1000;
+
+/**
+ * Make the timeout move for a party whose deadline has passed
+ * @param {string} partyId - The party ID
+ * @param {Object} io - Socket.IO server
+ */
+export async function expireTurn(partyId, io) {
+  const gameState = await loadGameState(partyId);
+  if (!gameState || !isPlayablePhase(gameState.phase) || !gameState.turnDeadline) {
+    await redisClient.zRem(TURN_DEADLINES_KEY, partyId);
+    return;
+  }
+  if (gameState.turnDeadline > Date.now()) {
+    // A move was made after the poller read the schedule - keep the newer deadline
+    await syncTurnDeadline(partyId, gameState);
+    return;
+  }
+
+  const config = gameState.config || { maxSteals: 3, returnToStart: false };
+  const engine = new GameEngine(gameState, config);
+  const playerId = engine.calculateActivePlayer();
+  let move;
+  let newState;
+  try {
+    move = playerId ? engine.getTimeoutMove(playerId) : null;
+    if (move) {
+      engine.recordTurnTimeout(playerId);
+      if (move.type === GAME_EVENT_TYPES.END_TURN) {
+        newState = engine.endTurn();
+      } else if (move.type === GAME_EVENT_TYPES.PICK) {
+        newState = engine.pickGift(move.giftId, playerId);
+      } else {
+        newState = engine.stealGift(move.giftId, playerId);
+      }
+    }
+  } catch (error) {
+    // The same state would fail again on every poll - the player's own move sets a new deadline
+    console.error(`❌ Timeout move failed in party ${partyId} - clearing the deadline:`, error);
+    await redisClient.zRem(TURN_DEADLINES_KEY, partyId);
+    return;
+  }
+  if (!move) {
+    console.warn(`⚠️ Turn timed out in party ${partyId} but there is no legal move - clearing the deadline`);
+    await redisClient.zRem(TURN_DEADLINES_KEY, partyId);
+    return;
+  }
+  newState.config = config;
+  newState.partyId = partyId;
+
+  try {
+    await saveGameState(partyId, newState, null, { expectedVersion: gameState.stateVersion });
+  } catch (error) {
+    if (isStateConflict(error)) {
+      // The player moved just in time - their action wins
+      return;
+    }
+    throw error;
+  }
+
+  console.log(`⏰ Turn timed out in party ${partyId}: ${move.type} for ${playerId}`);
+  await emitGameState(io, partyId, 'game-updated', newState);
+  io.to(`party:${partyId}`).emit('turn-timed-out', { partyId, playerId, move });
+
+  if (newState.phase === 'ENDED') {
+    stopBotRefreshSimulation(partyId);
+    await persistGameResults(partyId, newState, io);
+  } else {
+    // Wait for reveal animation to complete (3s) + small buffer before checking
+    setTimeout(() => {
+      checkAndMakeBotMove(partyId, newState, io).catch(console.error);
+    }, 3500);
+  }
+}
+
+/**
+ * Start polling the turn deadline schedule
+ * @param {Object} io - Socket.IO server
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+export function startTurnTimerPoller(io) {
+  let polling = false;
+  return setInterval(async () => {
+    if (polling) return;
+    polling = true;
+    try {
+      const expired = await redisClient.zRangeByScore(TURN_DEADLINES_KEY, 0, Date.now());
+      for (const partyId of expired) {
+        try {
+          await expireTurn(partyId, io);
+        } catch (error) {
+          console.error(`Error expiring turn for party ${partyId}:`, error);
+        }
+      }
+    } catch (error) {
+      console.error('Error polling turn deadlines:', error);
+    } finally {
+      polling = false;
+    }
+  }, POLL_INTERVAL_MS);
+}
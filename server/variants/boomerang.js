@@ -0,0 +1,43 @@
+/**
+ * Boomerang (Snake Draft) variant
+ * Queue: [P1, P2, ... P9, P10, P10, P9, ... P2, P1]
+ * In the reverse pass, players holding a gift may still act by swapping.
+ * With config.giftsPerPlayer N, the forward pass is played N times before the reverse pass.
+ */
+import { generatePickingPasses, isPastPickingPasses, isPlayer1FinalTurn, queueExhaustedEndCondition } from './shared.js';
+
+export const boomerangVariant = {
+  id: 'boomerang',
+  name: 'Boomerang',
+  returnToStart: true,
+
+  generateTurnQueue(turnOrder, giftsPerPlayer = 1) {
+    // Forward pass(es): all players, once per gift they take home
+    const forward = generatePickingPasses(turnOrder, giftsPerPlayer);
+    // Reverse pass: all players in reverse (last player appears twice at transition)
+    const reverse = [...turnOrder].reverse();
+    return [...forward, ...reverse];
+  },
+
+  // A late joiner gets a forward-pass slot and the mirrored slot in the reverse pass
+  insertIntoTurnQueue(turnQueue, playerId, position, turnOrderLength) {
+    const queue = [...turnQueue];
+    queue.splice(position, 0, playerId);
+    // The reverse pass now starts at turnOrderLength + 1
+    queue.splice(2 * turnOrderLength + 1 - position, 0, playerId);
+    return queue;
+  },
+
+  isSwapPhase(state) {
+    return isPastPickingPasses(state);
+  },
+
+  // Player 1's final slot at the end of the queue
+  canActWhileHolding(state, playerId) {
+    return isPlayer1FinalTurn(state, playerId);
+  },
+
+  shouldGameEnd(engine) {
+    return queueExhaustedEndCondition(engine);
+  },
+};
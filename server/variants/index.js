@@ -0,0 +1,95 @@
+/**
+ * Game Variant Registry
+ *
+ * Each rule set is a module exporting a variant object:
+ * {
+ *   id: string,                                  // Stored in party/game config as config.variant
+ *   name: string,                                // Display name
+ *   returnToStart: boolean,                      // Mirrored into config for older clients
+ *   generateTurnQueue(turnOrder, giftsPerPlayer) => string[],
+ *                                                // Full queue built at game start, with one
+ *                                                // picking pass per gift (config.giftsPerPlayer)
+ *   insertIntoTurnQueue(turnQueue, playerId, position, turnOrderLength) => string[],
+ *                                                // Optional: queue with a late joiner added at
+ *                                                // turnOrder[position] (see GameEngine.addPlayer)
+ *   isSwapPhase(state) => boolean,               // Players holding a gift may steal (swap)
+ *   canActWhileHolding(state, playerId) => boolean, // Per-player exception (e.g. bookend turn)
+ *   shouldGameEnd(engine) => boolean,            // Called only once no wrapped gifts remain
+ * }
+ *
+ * To add a house rule, create a module next to standard.js and register it below.
+ */
+import { standardVariant } from './standard.js';
+import { boomerangVariant } from './boomerang.js';
+
+export { getGiftsPerPlayer, getHandSize } from './shared.js';
+
+export const DEFAULT_VARIANT_ID = standardVariant.id;
+
+const variants = new Map();
+
+/**
+ * Register a variant module
+ * @param {Object} variant - Variant definition (see shape above)
+ */
+export function registerVariant(variant) {
+  if (!variant?.id || typeof variant.generateTurnQueue !== 'function') {
+    throw new Error('registerVariant: variant must have an id and generateTurnQueue()');
+  }
+  variants.set(variant.id, variant);
+}
+
+registerVariant(standardVariant);
+registerVariant(boomerangVariant);
+
+/**
+ * Check if a variant id is registered
+ * @param {string} variantId
+ * @returns {boolean}
+ */
+export function hasVariant(variantId) {
+  return variants.has(variantId);
+}
+
+/**
+ * Get a variant by id
+ * @param {string} variantId
+ * @returns {Object} Variant definition
+ */
+export function getVariant(variantId) {
+  const variant = variants.get(variantId);
+  if (!variant) {
+    throw new Error(`Unknown game variant: ${variantId}`);
+  }
+  return variant;
+}
+
+/**
+ * List registered variants (id + name) for config UIs
+ * @returns {Array<{id: string, name: string}>}
+ */
+export function listVariants() {
+  return Array.from(variants.values()).map(({ id, name }) => ({ id, name }));
+}
+
+/**
+ * Resolve the variant id for a config
+ * Falls back to the legacy returnToStart flag for games created before config.variant existed.
+ * @param {Object} config - Party or game config
+ * @returns {string} Variant id
+ */
+export function resolveVariantId(config) {
+  if (config?.variant) {
+    return config.variant;
+  }
+  return config?.returnToStart ? boomerangVariant.id : DEFAULT_VARIANT_ID;
+}
+
+/**
+ * Resolve the variant definition for a config
+ * @param {Object} config - Party or game config
+ * @returns {Object} Variant definition
+ */
+export function resolveVariant(config) {
+  return getVariant(resolveVariantId(config));
+}
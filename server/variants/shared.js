@@ -0,0 +1,153 @@
+/**
+ * Shared rule helpers for game variants
+ *
+ * Hooks receive either a live GameEngine or a serialized game state. Both expose
+ * currentTurnIndex, turnOrder, turnQueue and config, so helpers only read those fields
+ * (plus unwrappedGifts/currentVictim where an engine is required).
+ */
+
+/**
+ * Gifts each player brings and takes home (config.giftsPerPlayer, default 1)
+ * @param {Object} config - Party or game config
+ * @returns {number}
+ */
+export function getGiftsPerPlayer(config) {
+  const giftsPerPlayer = Number(config?.giftsPerPlayer);
+  return Number.isInteger(giftsPerPlayer) && giftsPerPlayer > 1 ? giftsPerPlayer : 1;
+}
+
+/**
+ * The picking passes: the turn order once per gift each player takes home
+ * @param {string[]} turnOrder
+ * @param {number} giftsPerPlayer
+ * @returns {string[]}
+ */
+export function generatePickingPasses(turnOrder, giftsPerPlayer = 1) {
+  return Array.from({ length: giftsPerPlayer }, () => turnOrder).flat();
+}
+
+/**
+ * Whether the turn index has moved past the picking passes (one pass of the turn order
+ * per gift each player takes home)
+ * @param {Object} state - GameEngine or game state
+ * @returns {boolean}
+ */
+export function isPastPickingPasses(state) {
+  const pickingSlots = (state.turnOrder?.length || 0) * getGiftsPerPlayer(state.config);
+  return (state.currentTurnIndex || 0) >= pickingSlots;
+}
+
+/**
+ * How many gifts a player should hold by a turn queue slot: one per picking pass they have
+ * reached (at least one, so a victim who had a gift handed to them early still needs one),
+ * and all of them once the picking passes are over
+ * @param {Object} state - GameEngine or game state
+ * @param {string} playerId
+ * @param {number} turnIndex - Slot to check (defaults to the current one)
+ * @returns {number}
+ */
+export function getHandSize(state, playerId, turnIndex = state.currentTurnIndex || 0) {
+  const giftsPerPlayer = getGiftsPerPlayer(state.config);
+  if (giftsPerPlayer === 1 || turnIndex >= (state.turnOrder?.length || 0) * giftsPerPlayer) {
+    return giftsPerPlayer;
+  }
+  const slotsReached = (state.turnQueue || []).slice(0, turnIndex + 1).filter((id) => id === playerId).length;
+  return Math.max(1, Math.min(giftsPerPlayer, slotsReached));
+}
+
+/**
+ * Whether it is Player 1's final slot at the end of the queue (bookend turn)
+ * @param {Object} state - GameEngine or game state
+ * @param {string} playerId - Player to check
+ * @returns {boolean}
+ */
+export function isPlayer1FinalTurn(state, playerId) {
+  const isLastIndex = state.currentTurnIndex === (state.turnQueue?.length || 0) - 1;
+  const isPlayer1 = state.turnOrder && state.turnOrder[0] === playerId;
+  return isLastIndex && isPlayer1;
+}
+
+/**
+ * Default end condition once the turn queue is exhausted
+ * The engine enforces the wrapped-gifts invariant before calling this.
+ * Game ends if:
+ * Option A (Normal end):
+ *   1. currentTurnIndex >= turnQueue.length (Everyone has had their primary turn)
+ *   2. AND the current activePlayer has a gift (No pending victims from steal chains)
+ *   3. AND unwrappedGifts.length === totalParticipants (All gifts have been claimed)
+ * Option B (All gifts frozen):
+ *   1. currentTurnIndex >= turnQueue.length (No more turns)
+ *   2. AND all unwrapped gifts are frozen (No more steals possible)
+ *   3. AND at least one gift has been unwrapped (game has started)
+ * @param {GameEngine} engine
+ * @returns {boolean}
+ */
+export function queueExhaustedEndCondition(engine) {
+  // Condition 1: Check if we've exhausted the turn queue
+  const queueExhausted = (engine.currentTurnIndex || 0) >= engine.turnQueue.length;
+  if (!queueExhausted) {
+    return false; // Still have players in queue
+  }
+
+  // Check if all unwrapped gifts are frozen
+  let allGiftsFrozen = true;
+  if (engine.unwrappedGifts.size === 0) {
+    allGiftsFrozen = false; // No gifts to freeze
+  } else {
+    for (const [_, gift] of engine.unwrappedGifts.entries()) {
+      if (!gift.isFrozen) {
+        allGiftsFrozen = false;
+        break;
+      }
+    }
+  }
+
+  // Option B: If all unwrapped gifts are frozen AND queue is exhausted, game should end
+  // (Remaining wrapped gifts will be assigned in endGame() to players without gifts)
+  if (allGiftsFrozen && engine.unwrappedGifts.size > 0) {
+    return true; // Game should end - no more steals possible
+  }
+
+  // Option A: Normal end - check if all gifts have been claimed
+  const totalParticipants = engine.turnOrder?.length || 0;
+  const giftsPerPlayer = getGiftsPerPlayer(engine.config);
+  const unwrappedGiftsCount = engine.unwrappedGifts.size;
+  const allGiftsClaimed = unwrappedGiftsCount >= totalParticipants * giftsPerPlayer;
+  if (!allGiftsClaimed) {
+    return false; // Not all gifts have been picked yet
+  }
+
+  // Current player must have a gift (no pending victims from steal chains)
+  // CRITICAL: Check if there's a pending victim (steal chain in progress)
+  if (engine.currentVictim) {
+    return false; // There's a pending victim - game cannot end yet
+  }
+
+  // When queue is exhausted, we don't need to check the active player
+  // because there is no active player (index is out of bounds)
+  // Instead, verify that all participants have all their gifts
+  const playerGiftCounts = new Map();
+  for (const [_, gift] of engine.unwrappedGifts.entries()) {
+    if (gift.ownerId) {
+      playerGiftCounts.set(gift.ownerId, (playerGiftCounts.get(gift.ownerId) || 0) + 1);
+    }
+  }
+  const playersWithGifts = [...playerGiftCounts.values()].filter((count) => count >= giftsPerPlayer);
+
+  // If queue is exhausted and all participants have gifts, game should end
+  if (playersWithGifts.length >= totalParticipants) {
+    return true; // All participants have gifts - game should end
+  }
+
+  // Fallback: Check active player if index is still valid
+  if (engine.currentTurnIndex < engine.turnQueue.length) {
+    const activePlayer = engine.calculateActivePlayer();
+    const currentPlayerHasGift = activePlayer && engine.hasFullHand(activePlayer);
+    if (!currentPlayerHasGift) {
+      return false; // Current player doesn't have a gift, might be waiting to act
+    }
+  }
+
+  // All conditions met - game should end
+  return true;
+}
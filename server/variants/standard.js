@@ -0,0 +1,42 @@
+/**
+ * Standard (Bookend) variant
+ * Queue: [P1, P2, ... P10, P1] - only Player 1 gets a second turn at the end.
+ * With config.giftsPerPlayer N, the forward pass is played N times before the bookend.
+ * Per GAME_RULES.md Rule 1, Player 1's final turn acts as if in Boomerang phase,
+ * allowing them to pick or steal even though they already hold a gift.
+ */
+import { generatePickingPasses, isPastPickingPasses, isPlayer1FinalTurn, queueExhaustedEndCondition } from './shared.js';
+
+export const standardVariant = {
+  id: 'standard',
+  name: 'Standard (Bookend)',
+  returnToStart: false,
+
+  generateTurnQueue(turnOrder, giftsPerPlayer = 1) {
+    // Forward pass(es): all players, once per gift they take home
+    const forward = generatePickingPasses(turnOrder, giftsPerPlayer);
+    // Only first player gets a second turn
+    return [...forward, turnOrder[0]];
+  },
+
+  // A late joiner only gets a forward-pass slot - the bookend stays Player 1's
+  insertIntoTurnQueue(turnQueue, playerId, position) {
+    const queue = [...turnQueue];
+    queue.splice(position, 0, playerId);
+    return queue;
+  },
+
+  // The bookend slot is the only part of the queue past the picking passes
+  isSwapPhase(state) {
+    return isPastPickingPasses(state);
+  },
+
+  // Player 1's final slot at the end of the queue
+  canActWhileHolding(state, playerId) {
+    return isPlayer1FinalTurn(state, playerId);
+  },
+
+  shouldGameEnd(engine) {
+    return queueExhaustedEndCondition(engine);
+  },
+};